@@ -0,0 +1,61 @@
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+const serviceAccount = require("./serviceAccountKey.json");
+
+admin.initializeApp({
+  credential: admin.credential.cert(serviceAccount),
+});
+
+const db = admin.firestore();
+
+/**
+ * Issue or revoke a key for the public API (/api/v1, see openapi.json).
+ * Usage: node create-api-key.js <name> [requestsPerMinute]
+ *        node create-api-key.js --revoke <key>
+ * Only the key's SHA-256 hash is stored, so the key itself is printed once and
+ * can't be recovered.
+ */
+async function createApiKey() {
+  const args = process.argv.slice(2);
+
+  if (args[0] === "--revoke") {
+    const keyId = crypto.createHash("sha256")
+        .update(args[1] || "")
+        .digest("hex");
+    const keyRef = db.collection("apiKeys").doc(keyId);
+    if (!args[1] || !(await keyRef.get()).exists) {
+      console.log("❌ No such API key");
+      return;
+    }
+    await keyRef.update({
+      revoked: true,
+      revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    console.log("✅ Revoked API key");
+    return;
+  }
+
+  const [name, rateLimit] = args;
+  if (!name) {
+    console.log("Usage: node create-api-key.js <name> [requestsPerMinute]");
+    console.log("       node create-api-key.js --revoke <key>");
+    return;
+  }
+
+  const key = `sg_${crypto.randomBytes(24).toString("hex")}`;
+  const keyId = crypto.createHash("sha256").update(key).digest("hex");
+
+  await db.collection("apiKeys").doc(keyId).set({
+    name,
+    rateLimitPerMinute: Number(rateLimit) || 60,
+    revoked: false,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  console.log(`✅ API key for ${name}: ${key}`);
+  console.log("Store it now - it is not saved anywhere.");
+}
+
+createApiKey()
+    .catch((error) => console.error("Error:", error.message))
+    .then(() => process.exit());
@@ -1,43 +1,123 @@
-const functions = require('firebase-functions');
-const admin = require('firebase-admin');
+const crypto = require("crypto");
+const net = require("net");
+const functions = require("firebase-functions");
+const admin = require("firebase-admin");
+const {
+  getGame,
+  getDifficulty,
+  getPoints,
+  DEFAULT_DIFFICULTY,
+} = require("./shared/gameRegistry");
+const {verifyReplay} = require("./shared/replay");
+const {hashSeed} = require("./shared/random");
+const {
+  DEFAULT_CYCLE_SCHEDULE,
+  CYCLE_CLOSING_MS,
+  normalizeSchedule,
+  getCycle,
+  getPreviousCycle,
+  getCycleById,
+  getCycleStatus,
+} = require("./shared/cycles");
+const {normalizeOverlaySettings} = require("./shared/overlay");
+const {WEBHOOK_EVENTS, MAX_WEBHOOKS_PER_CREATOR} = require("./shared/webhooks");
+const {
+  DEFAULT_SEASON_RULES,
+  SEASON_BADGES,
+  normalizeSeasonRules,
+  getSeasonId,
+  getSeasonPoints,
+  getSeasonLabel,
+} = require("./shared/seasons");
+const {ACHIEVEMENTS, isAchievementEarned} = require("./shared/achievements");
+const {getCycleQuests, getQuestProgress} = require("./shared/quests");
+const {getAnalyticsSlot} = require("./shared/analytics");
+const {
+  VERIFICATION_CODE_PREFIX,
+  DEFAULT_VERIFICATION_POLICY,
+  normalizeVerificationPolicy,
+  getVerificationCodeExpiry,
+  getChannelPlatform,
+  isChannelVerified,
+  getWinnerIndex,
+} = require("./shared/verification");
+const {
+  DEFAULT_PITY_RULES,
+  normalizePityRules,
+  getPityExpiry,
+  getPityCapWindowStart,
+  isPityClaimed,
+  getPityClaimError,
+} = require("./shared/pity");
+const {
+  REFERRAL_CODE_LENGTH,
+  referralCodeFromBytes,
+  normalizeReferralCode,
+  isReferralCode,
+  getReferralAttributionError,
+  isReferredBy,
+} = require("./shared/referrals");
+const {
+  isPublicAddress,
+  signWebhookBody,
+  postWebhook,
+} = require("./webhook-delivery");
+const openApiSpec = require("./openapi.json");
 admin.initializeApp();
 
 const db = admin.firestore();
 
+// Count 1 towards a counter field when flag is set, otherwise leave it as is
+const incrementIf = (flag) =>
+  admin.firestore.FieldValue.increment(flag ? 1 : 0);
+
+// Callables read their arguments from data, which is null when the client
+// sends none
+const requireData = (data) => {
+  if (!data || typeof data !== "object") {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        "Missing request data",
+    );
+  }
+  return data;
+};
+
 // Rate limiting helper function
 const checkRateLimit = async (userId, action, maxRequests, windowMinutes) => {
   const now = Date.now();
   const windowMs = windowMinutes * 60 * 1000;
-  const rateLimitRef = db.collection('rateLimits').doc(`${userId}_${action}`);
-  
+  const rateLimitRef = db.collection("rateLimits").doc(`${userId}_${action}`);
+
   const rateLimitDoc = await rateLimitRef.get();
-  
+
   if (rateLimitDoc.exists) {
     const data = rateLimitDoc.data();
     const windowStart = data.windowStart;
     const requestCount = data.requestCount;
-    
+
     // Check if we're still in the same time window
     if (now - windowStart < windowMs) {
       if (requestCount >= maxRequests) {
-        const timeLeft = Math.ceil((windowMs - (now - windowStart)) / 1000 / 60);
+        const timeLeft =
+          Math.ceil((windowMs - (now - windowStart)) / 1000 / 60);
         throw new functions.https.HttpsError(
-          'resource-exhausted',
-          `Rate limit exceeded. Please try again in ${timeLeft} minute(s).`
+            "resource-exhausted",
+            `Rate limit exceeded. Please try again in ${timeLeft} minute(s).`,
         );
       }
-      
+
       // Increment counter
       await rateLimitRef.update({
         requestCount: admin.firestore.FieldValue.increment(1),
-        lastRequest: now
+        lastRequest: now,
       });
     } else {
       // New window
       await rateLimitRef.set({
         windowStart: now,
         requestCount: 1,
-        lastRequest: now
+        lastRequest: now,
       });
     }
   } else {
@@ -45,595 +125,3728 @@ const checkRateLimit = async (userId, action, maxRequests, windowMinutes) => {
     await rateLimitRef.set({
       windowStart: now,
       requestCount: 1,
-      lastRequest: now
+      lastRequest: now,
     });
   }
-  
+
   return true;
 };
 
+// config/{configId} documents, cached for a minute so every call doesn't
+// re-read them. A config that fails to normalize falls back to the default
+// rather than taking the game down.
+const CONFIG_CACHE_MS = 60 * 1000;
+const configCache = {};
+
+const getConfig = async (configId, normalize, fallback) => {
+  const cached = configCache[configId];
+  if (cached && Date.now() - cached.loadedAt < CONFIG_CACHE_MS) {
+    return cached.value;
+  }
+
+  const configDoc = await db.collection("config").doc(configId).get();
+  let value;
+  try {
+    value = normalize(configDoc.exists ? configDoc.data() : {});
+  } catch (error) {
+    console.error(`Invalid config/${configId}, using default:`, error.message);
+    value = fallback;
+  }
+
+  configCache[configId] = {value, loadedAt: Date.now()};
+  return value;
+};
+
+// Cycle schedule from config/cycleSchedule (see src/shared/cycles.js)
+const getCycleSchedule = () => getConfig(
+    "cycleSchedule",
+    normalizeSchedule,
+    DEFAULT_CYCLE_SCHEDULE,
+);
+
+// Pick switching rules from config/pickPolicy:
+//   allowSwitching      - false keeps a pick for the rest of the cycle
+//   switchWindowMinutes - switching only within this many minutes of the first
+//                         pick (0 = any time)
+//   cooldownMinutes     - minimum wait between switches
+//   forfeitPoints       - switching takes the points the user earned back off
+//                         the old creator
+const DEFAULT_PICK_POLICY = {
+  allowSwitching: false,
+  switchWindowMinutes: 0,
+  cooldownMinutes: 0,
+  forfeitPoints: false,
+};
+
+const normalizePickPolicy = (config = {}) => {
+  const policy = {...DEFAULT_PICK_POLICY, ...config};
+
+  ["switchWindowMinutes", "cooldownMinutes"].forEach((key) => {
+    if (typeof policy[key] !== "number" || !(policy[key] >= 0)) {
+      throw new Error(`Invalid pickPolicy ${key}: ${policy[key]}`);
+    }
+  });
+
+  return {
+    allowSwitching: policy.allowSwitching === true,
+    switchWindowMinutes: policy.switchWindowMinutes,
+    cooldownMinutes: policy.cooldownMinutes,
+    forfeitPoints: policy.forfeitPoints === true,
+  };
+};
+
+const getPickPolicy = () => getConfig(
+    "pickPolicy",
+    normalizePickPolicy,
+    DEFAULT_PICK_POLICY,
+);
+
+// Pity points for players whose creator didn't win, from config/pityRules (see
+// src/shared/pity.js)
+const getPityRules = () => getConfig(
+    "pityRules",
+    normalizePityRules,
+    DEFAULT_PITY_RULES,
+);
+
+// Channel verification from config/verificationPolicy (see
+// src/shared/verification.js)
+const getVerificationPolicy = () => getConfig(
+    "verificationPolicy",
+    normalizeVerificationPolicy,
+    DEFAULT_VERIFICATION_POLICY,
+);
+
+// Season length and scoring from config/seasonRules (see src/shared/seasons.js)
+const getSeasonRules = () => getConfig(
+    "seasonRules",
+    normalizeSeasonRules,
+    DEFAULT_SEASON_RULES,
+);
+
 // Helper function to get current cycle ID
-const getCycleId = (daysAgo = 0) => {
-  const now = new Date();
-  now.setDate(now.getDate() - daysAgo);
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const day = String(now.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}-18:00`;
+const getCurrentCycleId = async () =>
+  getCycle(await getCycleSchedule()).cycleId;
+
+// Helper function to get the ID of the cycle that ended most recently
+const getLastCompletedCycleId = async () =>
+  getPreviousCycle(await getCycleSchedule()).cycleId;
+
+// Status of a cycle from its schedule bounds and its cycles/{cycleId} doc.
+// An ID from an older schedule has no bounds, so it counts as closed.
+const getCycleStatusFor = (schedule, cycleId, cycleData = {}) => {
+  const cycle = getCycleById(schedule, cycleId);
+  const finalized = !!cycleData.finalizedAt;
+  if (!cycle) return finalized ? "finalized" : "closed";
+  return getCycleStatus(cycle, {finalized});
+};
+
+// Throw unless a cycle still accepts writes. Results from a session started
+// while the cycle was open may still land while it is closing; everything else
+// needs it open.
+const assertCycleWritable = (
+    schedule, cycleId, cycleData = {}, {allowClosing = false} = {},
+) => {
+  const status = cycleData.voided ?
+    "voided" :
+    getCycleStatusFor(schedule, cycleId, cycleData);
+
+  if (status === "open" || (allowClosing && status === "closing")) return;
+  throw new functions.https.HttpsError(
+      "failed-precondition",
+      `Cycle ${cycleId} is ${status}`,
+  );
 };
 
-// Game validation constants
-const GAME_VALIDATION = {
-  'whackAMole': { minSeconds: 3, maxSeconds: 120, points: 3 },
-  'blockBlast': { minSeconds: 2, maxSeconds: 180, points: 5 },
-  'memoryFlip': { minSeconds: 5, maxSeconds: 150, points: 6 },
-  'colorMatch': { minSeconds: 8, maxSeconds: 200, points: 8 },
-  'patternPro': { minSeconds: 10, maxSeconds: 240, points: 10 },
-  'reaction': { minSeconds: 0.05, maxSeconds: 60, points: 1 } // Fast reactions are expected!
+// Create the cycles/{cycleId} doc for a cycle that hasn't started writing yet.
+// firestore.rules only accept picks and leaderboard entries for an open cycle
+// doc.
+const ensureCycleDoc = async (cycle) => {
+  const cycleRef = db.collection("cycles").doc(cycle.cycleId);
+  const cycleSnap = await cycleRef.get();
+  if (cycleSnap.exists && cycleSnap.data().status) return;
+
+  await cycleRef.set({
+    status: "open",
+    startsAt: admin.firestore.Timestamp.fromMillis(cycle.startsAt),
+    endsAt: admin.firestore.Timestamp.fromMillis(cycle.endsAt),
+  }, {merge: true});
 };
 
+// Session start is stamped when the callable runs, so allow for network latency
+// when comparing a move log's minimum duration against the server clock
+const REPLAY_CLOCK_SLACK_MS = 2000;
+
 // Function 1: Start Game Session (Anti-cheat)
 exports.startGameSession = functions.https.onCall(async (data, context) => {
   // Require authentication
   if (!context.auth) {
-    throw new functions.https.HttpsError('unauthenticated', 'Must be signed in to start a game session.');
+    throw new functions.https.HttpsError(
+        "unauthenticated",
+        "Must be signed in to start a game session.",
+    );
   }
-  
+
   const userId = context.auth.uid;
-  const { gameType, difficulty } = data;
-  
-  // Validate game type
-  if (!GAME_VALIDATION[gameType]) {
-    throw new functions.https.HttpsError('invalid-argument', `Invalid game type: ${gameType}`);
+  const {
+    gameType,
+    difficulty = DEFAULT_DIFFICULTY,
+    mode = "standard",
+  } = requireData(data);
+
+  // Validate game type against the shared game registry
+  const game = getGame(gameType);
+  if (!game) {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        `Invalid game type: ${gameType}`,
+    );
+  }
+
+  if (!getDifficulty(gameType, difficulty)) {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        `Invalid difficulty for ${gameType}: ${difficulty}`,
+    );
+  }
+
+  if (!["standard", "daily"].includes(mode)) {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        `Invalid mode: ${mode}`,
+    );
   }
-  
+
   // Rate limit: 30 game sessions per hour per user
-  await checkRateLimit(userId, 'startGameSession', 30, 60);
-  
-  const sessionRef = db.collection('gameSessions').doc();
-  const expiresAt = Date.now() + (10 * 60 * 1000); // 10 minutes
-  
+  await checkRateLimit(userId, "startGameSession", 30, 60);
+
+  // The session belongs to the cycle it starts in, even if it's submitted after
+  // that cycle ends
+  const cycle = getCycle(await getCycleSchedule());
+  await ensureCycleDoc(cycle);
+
+  const sessionRef = db.collection("gameSessions").doc();
+  // 10 minutes - the same as a cycle's closing window, so a session started
+  // just before the cycle ends can still be submitted
+  const expiresAt = Date.now() + CYCLE_CLOSING_MS;
+  // Every game layout is drawn from this seed, so the server can regenerate it
+  // when replaying the move log. Daily challenges share one seed per game per
+  // cycle so everyone plays the same layout.
+  const seed = mode === "daily" ?
+    hashSeed(`${cycle.cycleId}:${gameType}`) :
+    crypto.randomBytes(4).readUInt32BE(0);
+
   await sessionRef.set({
     userId,
+    cycleId: cycle.cycleId,
     gameType,
-    difficulty: difficulty || 'easy',
+    difficulty,
+    mode,
+    seed,
     startTime: admin.firestore.FieldValue.serverTimestamp(),
     used: false,
     expiresAt: admin.firestore.Timestamp.fromMillis(expiresAt),
-    expectedPointValue: GAME_VALIDATION[gameType].points
+    expectedPointValue: getPoints(gameType, difficulty),
   });
-  
-  return { sessionId: sessionRef.id };
+
+  return {sessionId: sessionRef.id, seed, mode};
 });
 
+/**
+ * Credit points a player won to their pick for the cycle and to the picked
+ * creator's leaderboard entry - game results and quest bonuses both go through
+ * here. Does all its reads before any writes, so callers do their own reads
+ * first and writes after.
+ * @param {Transaction} transaction Firestore transaction to run in.
+ * @param {Object} credit The cycle schedule, cycleId, userId, points and
+ *     whether they came from a game (isGame).
+ * @return {Promise<string>} The picked creator's ID.
+ */
+async function creditPickPoints(transaction, {
+  schedule,
+  cycleId,
+  userId,
+  points,
+  isGame = false,
+}) {
+  const cycleRef = db.collection("cycles").doc(cycleId);
+  const pickRef = cycleRef.collection("picks").doc(userId);
+  const userRef = db.collection("users").doc(userId);
+
+  // CRITICAL: All reads must happen BEFORE any writes in a Firestore
+  // transaction
+  const cycleDoc = await transaction.get(cycleRef);
+  const pickDoc = await transaction.get(pickRef);
+
+  if (!pickDoc.exists) {
+    throw new functions.https.HttpsError(
+        "failed-precondition",
+        "Must pick a creator first",
+    );
+  }
+
+  const creatorId = pickDoc.data().creatorId;
+  const leaderboardRef = cycleRef.collection("leaderboard").doc(creatorId);
+  const leaderboardDoc = await transaction.get(leaderboardRef);
+
+  // Once a cycle has closed its leaderboard can't change
+  assertCycleWritable(
+      schedule,
+      cycleId,
+      cycleDoc.exists ? cycleDoc.data() : {},
+      {allowClosing: true},
+  );
+
+  // Now do all the writes
+  // Update user's pick points
+  transaction.update(pickRef, {
+    pointsEarned: admin.firestore.FieldValue.increment(points),
+  });
+
+  // Update leaderboard
+  if (!leaderboardDoc.exists) {
+    transaction.set(leaderboardRef, {
+      creatorId,
+      totalPoints: points,
+      supporterCount: 1,
+      supporters: [userId],
+      firstToReachCurrentScore: admin.firestore.FieldValue.serverTimestamp(),
+      lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } else {
+    const supporters = leaderboardDoc.data().supporters || [];
+    // The tie-break is who reached the current score first, so it moves with
+    // every score change
+    const updates = {
+      totalPoints: admin.firestore.FieldValue.increment(points),
+      firstToReachCurrentScore: admin.firestore.FieldValue.serverTimestamp(),
+      lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    if (!supporters.includes(userId)) {
+      updates.supporters = admin.firestore.FieldValue.arrayUnion(userId);
+      updates.supporterCount = admin.firestore.FieldValue.increment(1);
+    }
+
+    transaction.update(leaderboardRef, updates);
+  }
+
+  // Update user stats
+  transaction.update(userRef, {
+    ...(isGame ?
+      {totalGamesPlayed: admin.firestore.FieldValue.increment(1)} :
+      {}),
+    totalPointsEarned: admin.firestore.FieldValue.increment(points),
+  });
+
+  return creatorId;
+}
+
 // Function 2: Submit Game Result (Validate & Award Points)
 exports.submitGameResult = functions.https.onCall(async (data, context) => {
   // Require authentication
   if (!context.auth) {
-    throw new functions.https.HttpsError('unauthenticated', 'Must be signed in to submit game results.');
+    throw new functions.https.HttpsError(
+        "unauthenticated",
+        "Must be signed in to submit game results.",
+    );
   }
-  
+
   const userId = context.auth.uid;
-  const { sessionId, timeTaken } = data;
-  
+  const {sessionId, timeTaken, moveLog} = requireData(data);
+
   // Rate limit: 30 submissions per hour per user
-  await checkRateLimit(userId, 'submitGameResult', 30, 60);
-  
+  await checkRateLimit(userId, "submitGameResult", 30, 60);
+
   // Validate session
-  const sessionDoc = await db.collection('gameSessions').doc(sessionId).get();
-  
+  const sessionDoc = await db.collection("gameSessions").doc(sessionId).get();
+
   if (!sessionDoc.exists) {
-    throw new functions.https.HttpsError('not-found', 'Session not found');
+    throw new functions.https.HttpsError("not-found", "Session not found");
   }
-  
+
   const session = sessionDoc.data();
-  
+
   if (session.used) {
-    throw new functions.https.HttpsError('already-exists', 'Session already used');
+    throw new functions.https.HttpsError(
+        "already-exists",
+        "Session already used",
+    );
   }
-  
+
   if (session.userId !== userId) {
-    throw new functions.https.HttpsError('permission-denied', 'Not your session');
+    throw new functions.https.HttpsError(
+        "permission-denied",
+        "Not your session",
+    );
   }
-  
+
   const now = admin.firestore.Timestamp.now();
   if (session.expiresAt < now) {
-    throw new functions.https.HttpsError('deadline-exceeded', 'Session expired');
+    throw new functions.https.HttpsError(
+        "deadline-exceeded",
+        "Session expired",
+    );
+  }
+
+  // NEW: Validate game completion time against the session's difficulty tier
+  const gameType = session.gameType;
+  const difficulty = session.difficulty || DEFAULT_DIFFICULTY;
+  const validation = getDifficulty(gameType, difficulty);
+
+  if (!validation) {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        `Unknown game type or difficulty: ${gameType} (${difficulty})`,
+    );
+  }
+
+  // Calculate actual time taken (server-side, not client-provided)
+  const startTime = session.startTime.toMillis();
+  const actualTimeTaken = Date.now() - startTime;
+  const actualSeconds = actualTimeTaken / 1000;
+
+  // Validate time is within acceptable range
+  if (actualSeconds < validation.minSeconds) {
+    console.warn(
+        `Suspicious fast completion: ${userId} completed ${gameType} ` +
+        `in ${actualSeconds}s (min: ${validation.minSeconds}s)`,
+    );
+    throw new functions.https.HttpsError(
+        "failed-precondition",
+        "Game completed too quickly. " +
+        `Minimum time is ${validation.minSeconds} seconds.`,
+    );
+  }
+
+  if (actualSeconds > validation.maxSeconds) {
+    throw new functions.https.HttpsError(
+        "deadline-exceeded",
+        `Game took too long. Maximum time is ${validation.maxSeconds} seconds.`,
+    );
+  }
+
+  // Replay the move log against the session seed - the log must actually reach
+  // the win condition
+  const replay = verifyReplay(
+      gameType,
+      moveLog,
+      {seed: session.seed, difficulty, elapsedMs: actualTimeTaken},
+  );
+
+  // The log can't describe a game longer than the session has existed
+  if (replay.won &&
+      replay.minDurationMs > actualTimeTaken + REPLAY_CLOCK_SLACK_MS) {
+    replay.won = false;
+    replay.reason = `Move log needs ${replay.minDurationMs}ms ` +
+      `but the session lasted ${actualTimeTaken}ms`;
+  }
+
+  if (!replay.won) {
+    console.warn(
+        `Replay rejected: ${userId} ${gameType} session ${sessionId}: ` +
+        replay.reason,
+    );
+    // Burn the session so a rejected log can't be retried with tweaks
+    await sessionDoc.ref.update({
+      used: true,
+      rejected: true,
+      rejectionReason: replay.reason,
+    });
+    throw new functions.https.HttpsError(
+        "failed-precondition",
+        `Game result could not be verified: ${replay.reason}`,
+    );
+  }
+
+  // Points go to the cycle the session started in (sessions from before cycles
+  // were tracked use the current one)
+  const schedule = await getCycleSchedule();
+  const cycleId = session.cycleId || getCycle(schedule).cycleId;
+
+  // Use validated points from server config, not client data - scaled by the
+  // difficulty multiplier
+  const pointsAwarded = getPoints(gameType, difficulty);
+
+  // Run transaction to update points - the session is re-read and marked used
+  // in the same transaction, so two concurrent submissions of one session can't
+  // both be credited
+  const creatorId = await db.runTransaction(async (transaction) => {
+    const currentSession = await transaction.get(sessionDoc.ref);
+    if (currentSession.data().used) {
+      throw new functions.https.HttpsError(
+          "already-exists",
+          "Session already used",
+      );
+    }
+
+    const pickCreatorId = await creditPickPoints(transaction, {
+      schedule,
+      cycleId,
+      userId,
+      points: pointsAwarded,
+      isGame: true,
+    });
+
+    transaction.update(sessionDoc.ref, {used: true});
+    return pickCreatorId;
+  });
+
+  // Record result
+  await db.collection("gameResults").add({
+    userId,
+    sessionId,
+    cycleId,
+    gameType: session.gameType,
+    difficulty,
+    mode: session.mode || "standard",
+    seed: session.seed,
+    pointsAwarded,
+    timeTaken,
+    durationMs: actualTimeTaken,
+    stats: replay.stats,
+    completedAt: admin.firestore.FieldValue.serverTimestamp(),
+    validated: true,
+    replayVerified: true,
+    tippedToCreator: creatorId,
+  });
+
+  return {success: true, pointsAwarded, creatorId};
+});
+
+// Keep per-user aggregates in userStats/{userId} (and
+// userStats/{userId}/cycles/{cycleId}, which also holds daily quest progress)
+// up to date, so the game history screen never has to scan raw gameResults.
+// Triggers can fire more than once, so each result is marked once it has been
+// counted.
+exports.updateUserStats = functions.firestore
+    .document("gameResults/{resultId}")
+    .onCreate(async (snap, context) => {
+      const result = snap.data();
+      const {userId, cycleId, gameType} = result;
+      const points = result.pointsAwarded || 0;
+      // Reaction Test is scored on the reaction itself; everything else on how
+      // long the game took
+      const timeMs = result.stats?.reactionMs ?? result.durationMs ?? null;
+
+      const schedule = await getCycleSchedule();
+      const cycle = getCycleById(schedule, cycleId);
+      const previousCycleId = cycle ?
+        getPreviousCycle(schedule, cycle.startsAt).cycleId :
+        null;
+
+      const statsRef = db.collection("userStats").doc(userId);
+      const cycleStatsRef = statsRef.collection("cycles").doc(cycleId);
+
+      await db.runTransaction(async (transaction) => {
+        const resultDoc = await transaction.get(snap.ref);
+        if (resultDoc.data().statsApplied) {
+          return;
+        }
+
+        const statsDoc = await transaction.get(statsRef);
+        const cycleStatsDoc = await transaction.get(cycleStatsRef);
+        const stats = statsDoc.exists ? statsDoc.data() : {};
+        const gameStats = stats.byGame?.[gameType] || {};
+
+        // Best replay stats per game this cycle - overall and per difficulty -
+        // for quests
+        const cycleStats = cycleStatsDoc.exists ? cycleStatsDoc.data() : {};
+        const difficulty = result.difficulty || DEFAULT_DIFFICULTY;
+        const mergeBestStats = (best = {}) => {
+          const merged = {...best};
+          Object.entries(result.stats || {}).forEach(([stat, value]) => {
+            if (typeof value === "number" && !(merged[stat] >= value)) {
+              merged[stat] = value;
+            }
+          });
+          return merged;
+        };
+        const bestStats = mergeBestStats(cycleStats.bestStats?.[gameType]);
+        const bestTierStats = mergeBestStats(
+            cycleStats.bestStatsByDifficulty?.[difficulty]?.[gameType],
+        );
+
+        // A streak is consecutive cycles with at least one win. A late result
+        // from an earlier cycle (submitted while it was closing) doesn't move
+        // the streak.
+        const isLatestCycle =
+          !stats.lastCycleId || cycleId >= stats.lastCycleId;
+        let currentStreak = 1;
+        if (stats.lastCycleId === cycleId) {
+          currentStreak = stats.currentStreak || 1;
+        } else if (previousCycleId && stats.lastCycleId === previousCycleId) {
+          currentStreak = (stats.currentStreak || 0) + 1;
+        }
+
+        const isBestTime = timeMs !== null &&
+          (gameStats.bestTimeMs == null || timeMs < gameStats.bestTimeMs);
+        const bestTimeMs = isBestTime ? timeMs : gameStats.bestTimeMs ?? null;
+
+        transaction.set(statsRef, {
+          userId,
+          totalGames: admin.firestore.FieldValue.increment(1),
+          totalPoints: admin.firestore.FieldValue.increment(points),
+          byGame: {
+            [gameType]: {
+              games: admin.firestore.FieldValue.increment(1),
+              points: admin.firestore.FieldValue.increment(points),
+              bestTimeMs,
+              lastPlayedAt: result.completedAt ||
+                admin.firestore.FieldValue.serverTimestamp(),
+
+            },
+          },
+          creators: {
+            [result.tippedToCreator]:
+              admin.firestore.FieldValue.increment(points),
+          },
+          ...(isLatestCycle ? {
+            lastCycleId: cycleId,
+            currentStreak,
+            longestStreak: Math.max(stats.longestStreak || 0, currentStreak),
+          } : {}),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        }, {merge: true});
+
+        transaction.set(cycleStatsRef, {
+          cycleId,
+          games: admin.firestore.FieldValue.increment(1),
+          points: admin.firestore.FieldValue.increment(points),
+          creators: {
+            [result.tippedToCreator]:
+              admin.firestore.FieldValue.increment(points),
+          },
+          gameTypes: admin.firestore.FieldValue.arrayUnion(gameType),
+          bestStats: {[gameType]: bestStats},
+          bestStatsByDifficulty: {[difficulty]: {[gameType]: bestTierStats}},
+        }, {merge: true});
+
+        transaction.update(snap.ref, {statsApplied: true});
+      });
+
+      const statsDoc = await statsRef.get();
+      const stats = statsDoc.data();
+      const newlyEarned = await awardAchievements(userId, {
+        result,
+        byGame: stats.byGame,
+        gamesWon: stats.totalGames,
+        longestStreak: stats.longestStreak,
+      });
+      if (newlyEarned.length) {
+        console.log("Achievements earned:", userId, newlyEarned.join(", "));
+      }
+    });
+
+// Supporter rankings: how many points each player has won for a creator, per
+// cycle in cycles/{cycleId}/leaderboard/{creatorId}/supporters/{userId} and
+// all-time in creatorSupporters/{creatorId}/supporters/{userId}. The same pass
+// keeps the creator's analytics aggregates (see shared/analytics.js).
+exports.updateSupporterRankings = functions.firestore
+    .document("gameResults/{resultId}")
+    .onCreate(async (snap, context) => {
+      const result = snap.data();
+      const {userId, cycleId, tippedToCreator: creatorId} = result;
+      const points = result.pointsAwarded || 0;
+      if (!creatorId || !points) {
+        return;
+      }
+
+      const profileSnap = await db.collection("users").doc(userId).get();
+      const profile = profileSnap.exists ? profileSnap.data() : {};
+
+      const cycleSupporterRef = db.collection("cycles").doc(cycleId)
+          .collection("leaderboard").doc(creatorId)
+          .collection("supporters").doc(userId);
+      const allTimeSupporterRef = db.collection("creatorSupporters")
+          .doc(creatorId).collection("supporters").doc(userId);
+
+      // Points from players who signed up through this creator's invite link
+      // feed the invite funnel
+      const isReferred = isReferredBy(profile, creatorId);
+
+      const schedule = await getCycleSchedule();
+      const cycle = getCycleById(schedule, cycleId);
+      const previousCycleId = cycle ?
+        getCycle(schedule, cycle.startsAt - 1).cycleId :
+        null;
+      const previousSupporterRef = previousCycleId &&
+        db.collection("cycles").doc(previousCycleId)
+            .collection("leaderboard").doc(creatorId)
+            .collection("supporters").doc(userId);
+
+      await db.runTransaction(async (transaction) => {
+      // Triggers can fire more than once - only count each result once
+        const resultDoc = await transaction.get(snap.ref);
+        if (resultDoc.data().supportersApplied) {
+          return;
+        }
+        const [cycleSupporterDoc, allTimeSupporterDoc] = await Promise.all([
+          transaction.get(cycleSupporterRef),
+          transaction.get(allTimeSupporterRef),
+        ]);
+        const isNewThisCycle = !cycleSupporterDoc.exists;
+        const isNewSupporter = !allTimeSupporterDoc.exists;
+        const isReturning = isNewThisCycle && !isNewSupporter &&
+          !!previousSupporterRef &&
+          (await transaction.get(previousSupporterRef)).exists;
+
+        const supporter = {
+          userId,
+          displayName: profile.displayName || "Player",
+          photoURL: profile.photoURL || "",
+          points: admin.firestore.FieldValue.increment(points),
+          lastContributedAt: admin.firestore.FieldValue.serverTimestamp(),
+        };
+
+        transaction.set(cycleSupporterRef, supporter, {merge: true});
+        transaction.set(allTimeSupporterRef, supporter, {merge: true});
+
+        if (isReferred) {
+          transaction.set(db.collection("referralStats").doc(creatorId), {
+            creatorId,
+            supporters: incrementIf(isNewSupporter),
+            pointsGenerated: admin.firestore.FieldValue.increment(points),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          }, {merge: true});
+        }
+
+        const {day, hour} = getAnalyticsSlot(
+            result.completedAt?.toMillis() || Date.now(),
+            schedule.timezone,
+        );
+        const gameType = result.gameType || "unknown";
+        const analyticsRef = db.collection("creatorAnalytics").doc(creatorId);
+        transaction.set(analyticsRef.collection("days").doc(day), {
+          creatorId,
+          day,
+          points: admin.firestore.FieldValue.increment(points),
+          games: admin.firestore.FieldValue.increment(1),
+          newSupporters: incrementIf(isNewSupporter),
+          byGame: {
+            [gameType]: {
+              games: admin.firestore.FieldValue.increment(1),
+              points: admin.firestore.FieldValue.increment(points),
+            },
+          },
+          byHour: {
+            [hour]: {
+              games: admin.firestore.FieldValue.increment(1),
+              points: admin.firestore.FieldValue.increment(points),
+            },
+          },
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        }, {merge: true});
+        transaction.set(analyticsRef.collection("cycles").doc(cycleId), {
+          creatorId,
+          cycleId,
+          points: admin.firestore.FieldValue.increment(points),
+          games: admin.firestore.FieldValue.increment(1),
+          supporters: incrementIf(isNewThisCycle),
+          newSupporters: incrementIf(isNewSupporter),
+          returningSupporters: incrementIf(isReturning),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        }, {merge: true});
+
+        transaction.update(snap.ref, {supportersApplied: true});
+      });
+    });
+
+// Record every ranked creator's cycle standing at the end of each hour, for the
+// rank timeline on the analytics dashboard
+exports.snapshotCreatorRanks = functions.pubsub.schedule("0 * * * *")
+    .onRun(async (context) => {
+      const schedule = await getCycleSchedule();
+      // The hour that just ended - the cycle it belongs to may have just closed
+      const at = Date.now() - 60 * 1000;
+      const {cycleId} = getCycle(schedule, at);
+      const {day, hour} = getAnalyticsSlot(at, schedule.timezone);
+
+      const leaderboardSnap = await db.collection("cycles").doc(cycleId)
+          .collection("leaderboard").get();
+      const ranked = rankStandings(leaderboardEntries(leaderboardSnap))
+          .filter((entry) => entry.totalPoints > 0);
+
+      for (let i = 0; i < ranked.length; i += 500) {
+        const batch = db.batch();
+        ranked.slice(i, i + 500).forEach((entry) => {
+          batch.set(db.collection("creatorAnalytics").doc(entry.creatorId)
+              .collection("days").doc(day), {
+            creatorId: entry.creatorId,
+            day,
+            byHour: {
+              [hour]: {
+                rank: entry.rank,
+                totalPoints: entry.totalPoints,
+                cycleId,
+              },
+            },
+          }, {merge: true});
+        });
+        await batch.commit();
+      }
+
+      console.log(
+          "Snapshot ranks for",
+          ranked.length,
+          "creators in cycle",
+          cycleId,
+          "at",
+          day,
+          hour,
+      );
+      return null;
+    });
+
+// Claim a completed daily quest. The bonus is credited to the player's pick and
+// the creator's leaderboard exactly like game points; claims are recorded on
+// the player's cycle stats so each quest pays out once.
+exports.claimQuestReward = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+        "unauthenticated",
+        "Must be signed in to claim quest rewards",
+    );
+  }
+
+  const userId = context.auth.uid;
+  const {questId} = requireData(data);
+
+  if (typeof questId !== "string" || !questId) {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        "Quest ID required",
+    );
+  }
+
+  await checkRateLimit(userId, "claimQuestReward", 20, 60);
+
+  // Quests belong to a cycle - a quest finished just before rollover can still
+  // be claimed while that cycle is closing
+  const schedule = await getCycleSchedule();
+  const cycleId = data.cycleId || getCycle(schedule).cycleId;
+  if (!getCycleById(schedule, cycleId)) {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        "Invalid cycle ID",
+    );
+  }
+
+  const quest = getCycleQuests(cycleId).find(
+      (cycleQuest) => cycleQuest.id === questId,
+  );
+  if (!quest) {
+    throw new functions.https.HttpsError(
+        "not-found",
+        "That quest is not active this cycle",
+    );
+  }
+
+  const cycleStatsRef = db.collection("userStats").doc(userId)
+      .collection("cycles").doc(cycleId);
+  const creatorId = await db.runTransaction(async (transaction) => {
+    const cycleStatsDoc = await transaction.get(cycleStatsRef);
+    const cycleStats = cycleStatsDoc.exists ? cycleStatsDoc.data() : {};
+
+    if ((cycleStats.questsClaimed || []).includes(questId)) {
+      throw new functions.https.HttpsError(
+          "already-exists",
+          "Quest reward already claimed",
+      );
+    }
+    if (!getQuestProgress(quest, cycleStats).complete) {
+      throw new functions.https.HttpsError(
+          "failed-precondition",
+          "Quest is not complete yet",
+      );
+    }
+
+    const pickedCreatorId = await creditPickPoints(transaction, {
+      schedule,
+      cycleId,
+      userId,
+      points: quest.bonusPoints,
+    });
+
+    transaction.set(cycleStatsRef, {
+      cycleId,
+      questsClaimed: admin.firestore.FieldValue.arrayUnion(questId),
+      questPoints: admin.firestore.FieldValue.increment(quest.bonusPoints),
+    }, {merge: true});
+
+    return pickedCreatorId;
+  });
+
+  return {success: true, questId, bonusPoints: quest.bonusPoints, creatorId};
+});
+
+// Server time for the client's cycle countdown - device clocks can be minutes
+// off
+exports.getServerTime = functions.https.onCall(async () => {
+  return {now: Date.now()};
+});
+
+// Pick (or switch) the creator a user plays for this cycle. Picks are only
+// written here so the pick and the creator's supporter list stay in step.
+exports.pickCreator = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+        "unauthenticated",
+        "Must be signed in to pick a creator",
+    );
+  }
+
+  const userId = context.auth.uid;
+  const {creatorId} = requireData(data);
+
+  if (typeof creatorId !== "string" || !creatorId) {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        "Creator ID required",
+    );
+  }
+
+  await checkRateLimit(userId, "pickCreator", 20, 60);
+
+  const creatorDoc = await db.collection("users").doc(creatorId).get();
+  const creator = creatorDoc.exists ? creatorDoc.data() : null;
+  if (!isCreatorProfile(creator)) {
+    throw new functions.https.HttpsError("not-found", "Creator not found");
+  }
+
+  const [schedule, policy] = await Promise.all([
+    getCycleSchedule(),
+    getPickPolicy(),
+  ]);
+  const cycle = getCycle(schedule);
+  const cycleId = cycle.cycleId;
+  await ensureCycleDoc(cycle);
+
+  const cycleRef = db.collection("cycles").doc(cycleId);
+  const pickRef = cycleRef.collection("picks").doc(userId);
+  const leaderboardRef = cycleRef.collection("leaderboard").doc(creatorId);
+
+  // Set once the transaction commits a pick of a creator the user wasn't
+  // already supporting
+  let isNewSupporter = false;
+  const result = await db.runTransaction(async (transaction) => {
+    isNewSupporter = false;
+    // All reads first
+    const cycleDoc = await transaction.get(cycleRef);
+    const pickDoc = await transaction.get(pickRef);
+    const leaderboardDoc = await transaction.get(leaderboardRef);
+
+    assertCycleWritable(
+        schedule,
+        cycleId,
+        cycleDoc.exists ? cycleDoc.data() : {},
+    );
+
+    const pick = pickDoc.exists ? pickDoc.data() : null;
+    if (pick && pick.creatorId === creatorId) {
+      return {
+        success: true,
+        cycleId,
+        creatorId,
+        switched: false,
+        forfeitedPoints: 0,
+      };
+    }
+
+    const now = Date.now();
+    let previousLeaderboardRef = null;
+    let forfeitedPoints = 0;
+
+    if (pick) {
+      if (!policy.allowSwitching) {
+        throw new functions.https.HttpsError(
+            "failed-precondition",
+            "Your pick is locked until the next cycle",
+        );
+      }
+
+      const pickedAt = toMillis(pick.pickedAt);
+      const switchWindowMs = policy.switchWindowMinutes * 60 * 1000;
+      if (switchWindowMs && now - pickedAt > switchWindowMs) {
+        throw new functions.https.HttpsError(
+            "failed-precondition",
+            "Picks can only be switched within " +
+            `${policy.switchWindowMinutes} minutes of picking`,
+        );
+      }
+
+      const lastSwitchedAt = toMillis(pick.lastSwitchedAt);
+      const cooldownMs = policy.cooldownMinutes * 60 * 1000;
+      if (cooldownMs && Number.isFinite(lastSwitchedAt) &&
+          now - lastSwitchedAt < cooldownMs) {
+        const minutesLeft =
+          Math.ceil((lastSwitchedAt + cooldownMs - now) / 60000);
+        throw new functions.https.HttpsError(
+            "resource-exhausted",
+            `You can switch again in ${minutesLeft} minutes`,
+        );
+      }
+
+      previousLeaderboardRef =
+        cycleRef.collection("leaderboard").doc(pick.creatorId);
+      forfeitedPoints = policy.forfeitPoints ? (pick.pointsEarned || 0) : 0;
+    }
+
+    const previousLeaderboardDoc = previousLeaderboardRef ?
+      await transaction.get(previousLeaderboardRef) :
+      null;
+
+    // Now the writes
+    if (pick) {
+      transaction.update(pickRef, {
+        creatorId,
+        previousCreatorId: pick.creatorId,
+        // Points earned from now on count for the new creator
+        pointsEarned: 0,
+        lastSwitchedAt: admin.firestore.FieldValue.serverTimestamp(),
+        switchCount: admin.firestore.FieldValue.increment(1),
+      });
+    } else {
+      transaction.set(pickRef, {
+        userId,
+        creatorId,
+        pointsEarned: 0,
+        pickedAt: admin.firestore.FieldValue.serverTimestamp(),
+        lastSwitchedAt: null,
+        switchCount: 0,
+      });
+    }
+
+    if (previousLeaderboardDoc && previousLeaderboardDoc.exists) {
+      const previous = previousLeaderboardDoc.data();
+      const updates = {
+        lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+      };
+
+      if ((previous.supporters || []).includes(userId)) {
+        updates.supporters = admin.firestore.FieldValue.arrayRemove(userId);
+        updates.supporterCount = admin.firestore.FieldValue.increment(-1);
+      }
+
+      if (forfeitedPoints > 0) {
+        updates.totalPoints =
+          admin.firestore.FieldValue.increment(-forfeitedPoints);
+        updates.firstToReachCurrentScore =
+          admin.firestore.FieldValue.serverTimestamp();
+      }
+
+      transaction.update(previousLeaderboardRef, updates);
+    }
+
+    if (!leaderboardDoc.exists) {
+      transaction.set(leaderboardRef, {
+        creatorId,
+        totalPoints: 0,
+        supporterCount: 1,
+        supporters: [userId],
+        firstToReachCurrentScore: admin.firestore.FieldValue.serverTimestamp(),
+        lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    } else if (!(leaderboardDoc.data().supporters || []).includes(userId)) {
+      transaction.update(leaderboardRef, {
+        supporters: admin.firestore.FieldValue.arrayUnion(userId),
+        supporterCount: admin.firestore.FieldValue.increment(1),
+        lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+
+    isNewSupporter = true;
+    return {
+      success: true,
+      cycleId,
+      creatorId,
+      switched: !!pick,
+      forfeitedPoints,
+    };
+  });
+
+  if (isNewSupporter) {
+    await queueWebhookEvent(creatorId, "supporter.new", {
+      cycleId,
+      supporterName: context.auth.token.name || "A player",
+      switchedFromAnotherCreator: result.switched,
+    });
+  }
+
+  return result;
+});
+
+// Admins carry an `admin: true` custom claim, set with functions/set-admin.js
+const requireAdmin = (context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+        "unauthenticated",
+        "Must be signed in",
+    );
+  }
+
+  if (context.auth.token.admin !== true) {
+    throw new functions.https.HttpsError(
+        "permission-denied",
+        "Admin access required",
+    );
+  }
+};
+
+// Every admin action is recorded in adminAuditLog
+const writeAuditLog = async (context, action, cycleId, details = {}) => {
+  await db.collection("adminAuditLog").add({
+    action,
+    cycleId: cycleId || null,
+    adminUid: context.auth.uid,
+    adminEmail: context.auth.token.email || null,
+    details,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+};
+
+// Validate a cycle ID passed to an admin callable against the schedule
+const requireCycleId = async (cycleId) => {
+  if (typeof cycleId !== "string" || !getCycleById(
+      await getCycleSchedule(),
+      cycleId,
+  )) {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        `Invalid cycle ID: ${cycleId}`,
+    );
+  }
+  return cycleId;
+};
+
+// How many ranked entries a finalized cycle keeps in
+// cycleWinners/{cycleId}.standings
+const FINAL_STANDINGS_SIZE = 10;
+
+// firstToReachCurrentScore is a Timestamp when written by Cloud Functions and
+// epoch ms when a creator registers from the client; missing sorts last
+const toMillis = (value) => {
+  if (!value) return Infinity;
+  if (typeof value.toMillis === "function") return value.toMillis();
+  return typeof value === "number" ? value : Infinity;
+};
+
+// A leaderboard query snapshot as entries for rankStandings
+const leaderboardEntries = (snapshot) =>
+  snapshot.docs.map((doc) => ({creatorId: doc.id, ...doc.data()}));
+
+// Rank leaderboard entries: most points first, then whoever reached that score
+// first. Entries with the same points and time share a rank (1, 1, 3); `tied`
+// marks entries whose points match another entry's, i.e. whose place was
+// decided by the time tie-break.
+const rankStandings = (entries) => {
+  const sorted = entries
+      .map(
+          (entry) => ({
+            ...entry,
+            totalPoints: entry.totalPoints || 0,
+            reachedAt: toMillis(entry.firstToReachCurrentScore),
+          }),
+      )
+      .sort((a, b) => (b.totalPoints - a.totalPoints) ||
+      (a.reachedAt - b.reachedAt) ||
+      a.creatorId.localeCompare(b.creatorId));
+
+  const pointCounts = {};
+  sorted.forEach((entry) => {
+    pointCounts[entry.totalPoints] = (pointCounts[entry.totalPoints] || 0) + 1;
+  });
+
+  let rank = 0;
+  return sorted.map((entry, index) => {
+    const previous = sorted[index - 1];
+    const sharesRank = previous &&
+      previous.totalPoints === entry.totalPoints &&
+      previous.reachedAt === entry.reachedAt;
+    if (!sharesRank) rank = index + 1;
+    return {...entry, rank, tied: pointCounts[entry.totalPoints] > 1};
+  });
+};
+
+/**
+ * Finalize a finished cycle: lock its leaderboard and record the ranked result.
+ * Runs once per cycle - later calls return the stored result unless `force` is
+ * set, which recomputes it (admin only). Voided cycles are never finalized.
+ * @param {string} cycleId Cycle to finalize.
+ * @param {Object} options Set force to recompute a finalized cycle.
+ * @return {Promise<Object>} The cycle's result.
+ */
+async function finalizeCycle(cycleId, {force = false} = {}) {
+  const [schedule, verificationPolicy] = await Promise.all([
+    getCycleSchedule(),
+    getVerificationPolicy(),
+  ]);
+  const cycle = getCycleById(schedule, cycleId);
+
+  // Wait out the closing window so late submissions from in-flight sessions are
+  // counted
+  const status = cycle ? getCycleStatus(cycle) : "closed";
+  if (status === "open" || status === "closing") {
+    return {success: false, cycleId, message: `Cycle is still ${status}`};
+  }
+
+  const cycleRef = db.collection("cycles").doc(cycleId);
+  const winnerRef = db.collection("cycleWinners").doc(cycleId);
+
+  const result = await db.runTransaction(async (transaction) => {
+    // All reads first
+    const cycleSnap = await transaction.get(cycleRef);
+    const cycleData = cycleSnap.exists ? cycleSnap.data() : {};
+
+    if (cycleData.voided) {
+      return {
+        success: false,
+        cycleId,
+        voided: true,
+        message: "Cycle has been voided",
+      };
+    }
+
+    const winnerSnap = await transaction.get(winnerRef);
+    if (cycleData.finalizedAt && !force) {
+      const winner = winnerSnap.exists ? winnerSnap.data() : null;
+      return {
+        success: !!winner,
+        cycleId,
+        alreadyFinalized: true,
+        winnerId: winner?.winnerId || null,
+        winnerName: winner?.winnerName || null,
+        message: winner ?
+          "Cycle already finalized" :
+          "Cycle already finalized with no entries",
+      };
+    }
+
+    const leaderboardSnapshot =
+      await transaction.get(cycleRef.collection("leaderboard"));
+    const ranked = rankStandings(leaderboardEntries(leaderboardSnapshot));
+    const standings = ranked.slice(0, FINAL_STANDINGS_SIZE);
+
+    // Profiles for the final standings - and, when the policy requires a
+    // verified winner, on down the ranking a page at a time until a verified
+    // creator turns up. Unverified creators keep their place but can't win
+    // under that policy.
+    const profiles = [];
+    let winnerIndex = -1;
+    for (
+      let start = 0;
+      start < ranked.length && (start === 0 || winnerIndex === -1);
+      start += FINAL_STANDINGS_SIZE
+    ) {
+      const page = ranked.slice(start, start + FINAL_STANDINGS_SIZE);
+      const profileSnaps = await transaction.getAll(
+          ...page.map((entry) => db.collection("users").doc(entry.creatorId)),
+      );
+      profiles.push(
+          ...profileSnaps.map((snap) => (snap.exists ? snap.data() : {})),
+      );
+      winnerIndex = getWinnerIndex(profiles, verificationPolicy);
+    }
+
+    // Now the writes - a finalized cycle accepts no further leaderboard changes
+    transaction.set(cycleRef, {
+      status: "finalized",
+      finalizedAt: admin.firestore.FieldValue.serverTimestamp(),
+      finalizeCount: admin.firestore.FieldValue.increment(1),
+      entryCount: leaderboardSnapshot.size,
+    }, {merge: true});
+
+    if (!standings.length) {
+      if (winnerSnap.exists) transaction.delete(winnerRef);
+      return {
+        success: false,
+        cycleId,
+        message: "No entries for this cycle",
+        previousWinnerId: winnerSnap.exists ? winnerSnap.data().winnerId : null,
+      };
+    }
+
+    if (winnerIndex === -1) {
+      if (winnerSnap.exists) transaction.delete(winnerRef);
+      return {
+        success: false,
+        cycleId,
+        message: "No verified creator in the cycle",
+        previousWinnerId: winnerSnap.exists ? winnerSnap.data().winnerId : null,
+      };
+    }
+
+    const winner = ranked[winnerIndex];
+    const profile = profiles[winnerIndex];
+
+    transaction.set(winnerRef, {
+      winnerId: winner.creatorId,
+      winnerName: profile.displayName || "Unknown",
+      winnerPhotoURL: profile.photoURL || "",
+      promotionalURL: profile.promotionalURL || "",
+      finalScore: winner.totalPoints,
+      supporterCount: winner.supporterCount || 0,
+      firstToReachScore: winner.firstToReachCurrentScore || null,
+      // Another creator had the same points and lost on time (or shares first
+      // place outright)
+      tieBrokenByTime: winner.tied,
+      sharedFirstPlace: ranked.some(
+          (entry) => entry !== winner && entry.rank === winner.rank,
+      ),
+      // Unverified creators placed above the winner
+      passedOverUnverified: ranked.slice(0, winnerIndex).map(
+          (entry) => entry.creatorId,
+      ),
+      standings: standings.map((entry, index) => ({
+        rank: entry.rank,
+        creatorId: entry.creatorId,
+        name: profiles[index].displayName || "Unknown",
+        totalPoints: entry.totalPoints,
+        supporterCount: entry.supporterCount || 0,
+        reachedScoreAt: Number.isFinite(entry.reachedAt) ?
+          admin.firestore.Timestamp.fromMillis(entry.reachedAt) :
+          null,
+        tied: entry.tied,
+        verified: isChannelVerified(profiles[index]),
+      })),
+      entryCount: leaderboardSnapshot.size,
+      announcedAt: winnerSnap.exists ?
+        winnerSnap.data().announcedAt :
+        admin.firestore.FieldValue.serverTimestamp(),
+      recomputedAt: winnerSnap.exists ?
+        admin.firestore.FieldValue.serverTimestamp() :
+        null,
+      cycleStartTime: cycle ?
+        admin.firestore.Timestamp.fromMillis(cycle.startsAt) :
+        null,
+      cycleEndTime: cycle ?
+        admin.firestore.Timestamp.fromMillis(cycle.endsAt) :
+        admin.firestore.FieldValue.serverTimestamp(),
+
+    });
+
+    return {
+      success: true,
+      cycleId,
+      winnerId: winner.creatorId,
+      winnerName: profile.displayName,
+      tieBrokenByTime: winner.tied,
+      previousWinnerId: winnerSnap.exists ? winnerSnap.data().winnerId : null,
+    };
+  });
+
+  // A recompute that changes the winner leaves stale pity eligibility behind
+  // (awardPityPoints only runs when the winner doc is first created)
+  const winnerChanged = result.previousWinnerId !== result.winnerId;
+  if (force && result.previousWinnerId && winnerChanged) {
+    await clearPityEligibility(cycleId);
+    if (result.winnerId) {
+      await setPityEligibility(cycleId, result.winnerId);
+    }
+  }
+
+  // Season points follow the final placings, so a recompute moves them too
+  if (!result.voided && !result.alreadyFinalized) {
+    await applySeasonPoints(cycleId);
+  }
+
+  console.log(
+      "Cycle finalized:",
+      cycleId,
+      "Winner:",
+      result.winnerId || "none",
+  );
+  return result;
+}
+
+// --- Seasons ---
+// Every finalized cycle awards season points by final placing
+// (config/seasonRules). seasons/{seasonId}/cycles/{cycleId} records what each
+// cycle awarded, so a recomputed or voided cycle replaces its points instead of
+// adding them twice; running totals are in
+// seasons/{seasonId}/standings/{creatorId}. Once the season's last cycle is
+// finalized the season is too: champion on seasons/{seasonId}, badges in
+// creatorStats/{id}/seasonBadges.
+
+// Season ranks: most season points, then most cycle wins; equal on both share a
+// rank
+const rankSeasonStandings = (entries) => {
+  const sorted = [...entries].sort((a, b) =>
+    (b.seasonPoints - a.seasonPoints) ||
+    ((b.cycleWins || 0) - (a.cycleWins || 0)) ||
+    a.creatorId.localeCompare(b.creatorId));
+
+  let rank = 0;
+  return sorted.map((entry, index) => {
+    const previous = sorted[index - 1];
+    const sharesRank = previous &&
+      previous.seasonPoints === entry.seasonPoints &&
+      (previous.cycleWins || 0) === (entry.cycleWins || 0);
+    rank = sharesRank ? rank : index + 1;
+    return {...entry, rank};
+  });
+};
+
+/**
+ * Add a finalized cycle's results to its season's standings, or take them off
+ * again with `remove` when the result is recomputed or voided.
+ * @param {string} cycleId Finalized cycle.
+ * @param {Object} options Set remove to take the cycle's points back off.
+ * @return {Promise<string>} The season the cycle belongs to.
+ */
+async function applySeasonPoints(cycleId, {remove = false} = {}) {
+  const [schedule, rules] = await Promise.all([
+    getCycleSchedule(),
+    getSeasonRules(),
+  ]);
+  const seasonId = getSeasonId(cycleId, rules);
+  const seasonRef = db.collection("seasons").doc(seasonId);
+  const contributionRef = seasonRef.collection("cycles").doc(cycleId);
+
+  // Only creators who scored in the cycle earn season points. The cycle win
+  // goes to the finalized winner, which isn't rank 1 when the verification
+  // policy passed over someone.
+  const awarded = {};
+  if (!remove) {
+    const [leaderboardSnapshot, winnerSnap] = await Promise.all([
+      db.collection("cycles").doc(cycleId).collection("leaderboard").get(),
+      db.collection("cycleWinners").doc(cycleId).get(),
+    ]);
+    const winnerId = winnerSnap.exists ? winnerSnap.data().winnerId : null;
+    rankStandings(leaderboardEntries(leaderboardSnapshot))
+        .filter((entry) => entry.totalPoints > 0)
+        .forEach((entry) => {
+          awarded[entry.creatorId] = {
+            rank: entry.rank,
+            seasonPoints: getSeasonPoints(rules, entry.rank),
+            won: entry.creatorId === winnerId,
+          };
+        });
+  }
+
+  const awardedIds = Object.keys(awarded);
+  const profileSnaps = awardedIds.length ?
+    await db.getAll(...awardedIds.map((id) => db.collection("users").doc(id))) :
+    [];
+  const profiles = {};
+  profileSnaps.forEach((snap) => {
+    profiles[snap.id] = snap.exists ? snap.data() : {};
+  });
+
+  await db.runTransaction(async (transaction) => {
+    const [seasonSnap, contributionSnap] = await Promise.all([
+      transaction.get(seasonRef),
+      transaction.get(contributionRef),
+    ]);
+    const previous = contributionSnap.exists ?
+      contributionSnap.data().awarded || {} :
+      {};
+
+    new Set([...Object.keys(previous), ...awardedIds]).forEach((creatorId) => {
+      const before = previous[creatorId];
+      const after = awarded[creatorId];
+      const pointsDelta =
+        (after?.seasonPoints || 0) - (before?.seasonPoints || 0);
+      const cyclesDelta = (after ? 1 : 0) - (before ? 1 : 0);
+      // Contributions recorded before `won` was kept counted rank 1 as the win
+      const wonBefore = before ? (before.won ?? before.rank === 1) : false;
+      const winsDelta = (after?.won ? 1 : 0) - (wonBefore ? 1 : 0);
+      if (!pointsDelta && !cyclesDelta && !winsDelta && !after) return;
+
+      const standing = {
+        creatorId,
+        seasonPoints: admin.firestore.FieldValue.increment(pointsDelta),
+        cyclesPlaced: admin.firestore.FieldValue.increment(cyclesDelta),
+        cycleWins: admin.firestore.FieldValue.increment(winsDelta),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
+      if (after) {
+        standing.name = profiles[creatorId].displayName || "Unknown";
+        standing.photoURL = profiles[creatorId].photoURL || "";
+      }
+      transaction.set(
+          seasonRef.collection("standings").doc(creatorId),
+          standing,
+          {merge: true},
+      );
+    });
+
+    transaction.set(contributionRef, {
+      cycleId,
+      awarded,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    if (!seasonSnap.exists) {
+      transaction.set(seasonRef, {
+        seasonId,
+        label: getSeasonLabel(seasonId, rules),
+        status: "active",
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+  });
+
+  // The season ends with its last cycle - and a recompute of an already
+  // finished season re-finalizes it so the champion and badges stay right
+  const cycle = getCycleById(schedule, cycleId);
+  const nextCycle = cycle ? getCycle(schedule, cycle.endsAt) : null;
+  if (!nextCycle || getSeasonId(nextCycle.cycleId, rules) !== seasonId) {
+    await finalizeSeason(seasonId);
+  } else {
+    const seasonSnap = await seasonRef.get();
+    if (seasonSnap.data().status === "finalized") {
+      await finalizeSeason(seasonId);
+    }
+  }
+
+  return seasonId;
+}
+
+// How many ranked entries a finalized season keeps on
+// seasons/{seasonId}.standings
+const FINAL_SEASON_STANDINGS_SIZE = 10;
+
+/**
+ * Rank a finished season's standings and store the top entries on the season.
+ * @param {string} seasonId Season to finalize.
+ */
+async function finalizeSeason(seasonId) {
+  const rules = await getSeasonRules();
+  const seasonRef = db.collection("seasons").doc(seasonId);
+  const [seasonSnap, standingsSnapshot] = await Promise.all([
+    seasonRef.get(),
+    seasonRef.collection("standings").get(),
+  ]);
+
+  const standings = rankSeasonStandings(standingsSnapshot.docs
+      .map((doc) => ({creatorId: doc.id, ...doc.data()}))
+      .filter((entry) => entry.seasonPoints > 0));
+  const champion = standings[0] || null;
+  const badgeHolders = standings.filter((entry) => SEASON_BADGES[entry.rank]);
+
+  const batch = db.batch();
+
+  // Replace the badges from any earlier finalization of this season
+  const previousHolders = seasonSnap.exists ?
+    seasonSnap.data().badgeHolders || [] :
+    [];
+  previousHolders.forEach((creatorId) => {
+    batch.delete(db.collection("creatorStats").doc(creatorId)
+        .collection("seasonBadges").doc(seasonId));
+  });
+  badgeHolders.forEach((entry) => {
+    const badge = SEASON_BADGES[entry.rank];
+    batch.set(db.collection("creatorStats").doc(entry.creatorId)
+        .collection("seasonBadges").doc(seasonId), {
+      seasonId,
+      seasonLabel: getSeasonLabel(seasonId, rules),
+      badge: badge.id,
+      rank: entry.rank,
+      seasonPoints: entry.seasonPoints,
+      awardedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  });
+
+  batch.set(seasonRef, {
+    seasonId,
+    label: getSeasonLabel(seasonId, rules),
+    status: "finalized",
+    finalizedAt: admin.firestore.FieldValue.serverTimestamp(),
+    championId: champion?.creatorId || null,
+    championName: champion?.name || null,
+    championPhotoURL: champion?.photoURL || "",
+    championPoints: champion?.seasonPoints || 0,
+    standings: standings.slice(0, FINAL_SEASON_STANDINGS_SIZE).map((entry) => ({
+      rank: entry.rank,
+      creatorId: entry.creatorId,
+      name: entry.name || "Unknown",
+      seasonPoints: entry.seasonPoints,
+      cycleWins: entry.cycleWins || 0,
+      cyclesPlaced: entry.cyclesPlaced || 0,
+    })),
+    badgeHolders: badgeHolders.map((entry) => entry.creatorId),
+  }, {merge: true});
+
+  await batch.commit();
+  console.log(
+      "Season finalized:",
+      seasonId,
+      "Champion:",
+      champion?.creatorId || "none",
+  );
+}
+
+// Function 3: Calculate Cycle Winner
+// Cycle length, start time and timezone are configurable, so rather than a
+// fixed cron this runs every few minutes: it opens the current and next cycles,
+// moves the last cycle through closing -> closed, and finalizes it once it has
+// closed
+exports.calculateCycleWinner = functions.pubsub.schedule("every 5 minutes")
+    .onRun(async (context) => {
+      const schedule = await getCycleSchedule();
+      const current = getCycle(schedule);
+      const next = getCycle(schedule, current.endsAt);
+      const completed = getPreviousCycle(schedule);
+
+      // Opening the next cycle ahead of time means picks work the moment it
+      // starts
+      await Promise.all([ensureCycleDoc(current), ensureCycleDoc(next)]);
+
+      const cycleRef = db.collection("cycles").doc(completed.cycleId);
+      const cycleSnap = await cycleRef.get();
+      const cycleData = cycleSnap.exists ? cycleSnap.data() : {};
+      if (cycleData.finalizedAt || cycleData.voided) {
+        return null;
+      }
+
+      const status = getCycleStatus(completed);
+      if (cycleData.status !== status) {
+        await cycleRef.set({
+          status,
+          startsAt: admin.firestore.Timestamp.fromMillis(completed.startsAt),
+          endsAt: admin.firestore.Timestamp.fromMillis(completed.endsAt),
+        }, {merge: true});
+      }
+
+      if (status === "closed") {
+        await finalizeCycle(completed.cycleId);
+      }
+      return null;
+    });
+
+// Leaderboard view: cycles/{cycleId}/leaderboardView/{creatorId} is a read-only
+// copy of the leaderboard with each creator's profile and rank merged in, so
+// clients can subscribe to one ordered query instead of fetching every
+// creator's profile.
+const isCreatorProfile = (profile) => !!profile &&
+  (profile.accountType === "creator" || profile.isCreator === true);
+
+/**
+ * Write (or remove) one creator's view entry. Returns the range of points whose
+ * ranks may have changed - { from, to } - or null when the entry's place can't
+ * have moved (e.g. only the supporter count or profile changed), so callers
+ * only re-rank when they must.
+ * @param {string} cycleId Cycle of the leaderboard.
+ * @param {string} creatorId Creator of the entry.
+ * @param {?Object} entry Leaderboard entry, or null to remove it.
+ * @param {?Object} profile The creator's user doc.
+ * @return {Promise<?Object>} The points range to re-rank.
+ */
+async function writeLeaderboardViewEntry(cycleId, creatorId, entry, profile) {
+  const viewRef = db.collection("cycles").doc(cycleId)
+      .collection("leaderboardView").doc(creatorId);
+  const viewSnap = await viewRef.get();
+  const previous = viewSnap.exists ? viewSnap.data() : null;
+
+  // Only creators are shown on the leaderboard. Everyone below a removed entry
+  // moves up.
+  if (!entry || !isCreatorProfile(profile)) {
+    if (!previous) return null;
+    await viewRef.delete();
+    return {from: 0, to: previous.points || 0};
+  }
+
+  const points = entry.totalPoints || 0;
+  const reachedAt = entry.firstToReachCurrentScore || null;
+  await viewRef.set({
+    creatorId,
+    name: profile.displayName || "Unknown",
+    photoURL: profile.photoURL || "",
+    contentUrl: profile.promotionalURL ||
+      profile.creatorProfile?.promotionalUrl ||
+      "",
+    verified: isChannelVerified(profile),
+    points,
+    supporterCount: entry.supporterCount || 0,
+    reachedAt,
+    // Keep the current rank until rerankLeaderboardView runs; new entries start
+    // at the bottom
+    rank: previous ? previous.rank : Number.MAX_SAFE_INTEGER,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  }, {merge: true});
+
+  // A new entry pushes down everyone it lands above
+  if (!previous) return {from: 0, to: points};
+  if (previous.points === points &&
+      toMillis(previous.reachedAt) === toMillis(reachedAt)) {
+    return null;
+  }
+  return {
+    from: Math.min(previous.points || 0, points),
+    to: Math.max(previous.points || 0, points),
+  };
+}
+
+// Ranks for view entries (same ordering and ties as finalizeCycle), offset by
+// the number of entries ranked above them. Returns the entries whose rank or
+// tie flag changed.
+const getChangedViewRanks = (viewDocs, offset = 0) => {
+  const current = {};
+  const entries = viewDocs.map((doc) => {
+    const view = doc.data();
+    current[doc.id] = view;
+    return {
+      creatorId: doc.id,
+      totalPoints: view.points,
+      firstToReachCurrentScore: view.reachedAt,
+    };
+  });
+
+  return rankStandings(entries)
+      .map((entry) => ({...entry, rank: entry.rank + offset}))
+      .filter((entry) => current[entry.creatorId].rank !== entry.rank ||
+        current[entry.creatorId].tied !== entry.tied)
+      .map((entry) => ({
+        ...entry,
+        previousRank: current[entry.creatorId].rank,
+      }));
+};
+
+/**
+ * Recompute ranks in a cycle's view, writing only the entries whose rank or tie
+ * flag changed. Given the points range an entry moved through, only entries in
+ * that range can change place - everyone above and below keeps theirs - so only
+ * those are read and re-ranked, in a transaction that re-runs if a concurrent
+ * trigger changes them. Without a range every entry is re-ranked.
+ * @param {string} cycleId Cycle of the leaderboard.
+ * @param {?Object} range Points range from writeLeaderboardViewEntry.
+ * @return {Promise<Array<Object>>} The entries whose rank changed.
+ */
+async function rerankLeaderboardView(cycleId, range = null) {
+  const viewCollection = db.collection("cycles").doc(cycleId)
+      .collection("leaderboardView");
+
+  if (range) {
+    return db.runTransaction(async (transaction) => {
+      const [aboveSnap, rangeSnap] = await Promise.all([
+        transaction.get(viewCollection.where("points", ">", range.to).count()),
+        transaction.get(
+            viewCollection.where("points", ">=", range.from).where(
+                "points",
+                "<=",
+                range.to,
+            ),
+        ),
+      ]);
+      const changed = getChangedViewRanks(
+          rangeSnap.docs,
+          aboveSnap.data().count,
+      );
+      changed.forEach((entry) => {
+        transaction.update(
+            viewCollection.doc(entry.creatorId),
+            {rank: entry.rank, tied: entry.tied},
+        );
+      });
+      return changed;
+    });
+  }
+
+  const viewSnapshot = await viewCollection.get();
+  const changed = getChangedViewRanks(viewSnapshot.docs);
+
+  // Batches hold at most 500 writes
+  for (let i = 0; i < changed.length; i += 500) {
+    const batch = db.batch();
+    changed.slice(i, i + 500).forEach((entry) => {
+      batch.update(
+          viewCollection.doc(entry.creatorId),
+          {rank: entry.rank, tied: entry.tied},
+      );
+    });
+    await batch.commit();
+  }
+
+  return changed;
+}
+
+// Keep the view in step with the leaderboard
+exports.syncLeaderboardView = functions.firestore
+    .document("cycles/{cycleId}/leaderboard/{creatorId}")
+    .onWrite(async (change, context) => {
+      const {cycleId, creatorId} = context.params;
+      const entry = change.after.exists ? change.after.data() : null;
+      const profileSnap = await db.collection("users").doc(creatorId).get();
+
+      const range = await writeLeaderboardViewEntry(
+          cycleId,
+          creatorId,
+          entry,
+          profileSnap.exists ? profileSnap.data() : null,
+      );
+      if (!range) {
+        return;
+      }
+      const changed = await rerankLeaderboardView(cycleId, range);
+
+      // Creators who just moved into first place (not just anyone sitting on 0
+      // points)
+      const newLeaders = changed.filter((standing) => standing.rank === 1 &&
+        standing.previousRank !== 1 && standing.totalPoints > 0);
+      for (const leader of newLeaders) {
+        await queueWebhookEvent(leader.creatorId, "lead.taken", {
+          cycleId,
+          points: leader.totalPoints,
+          previousRank: leader.previousRank === Number.MAX_SAFE_INTEGER ?
+            null :
+            leader.previousRank,
+        });
+      }
+    });
+
+// Fan profile changes out to the creator's entry in the current cycle's view
+exports.syncLeaderboardViewProfile = functions.firestore
+    .document("users/{userId}")
+    .onUpdate(async (change, context) => {
+      const {userId} = context.params;
+      const before = change.before.data();
+      const after = change.after.data();
+
+      const fields = (profile) => JSON.stringify([
+        profile.displayName,
+        profile.photoURL,
+        profile.promotionalURL,
+        profile.creatorProfile?.promotionalUrl,
+        isCreatorProfile(profile),
+        isChannelVerified(profile),
+      ]);
+      if (fields(before) === fields(after)) {
+        return null;
+      }
+
+      const cycleId = await getCurrentCycleId();
+      const entrySnap = await db.collection("cycles").doc(cycleId)
+          .collection("leaderboard").doc(userId).get();
+      if (!entrySnap.exists) {
+        return null;
+      }
+
+      const range = await writeLeaderboardViewEntry(
+          cycleId,
+          userId,
+          entrySnap.data(),
+          after,
+      );
+      if (range) {
+        await rerankLeaderboardView(cycleId, range);
+      }
+      return null;
+    });
+
+// Admin: rebuild a cycle's leaderboard view from scratch (e.g. for cycles from
+// before it existed)
+exports.adminRebuildLeaderboardView = functions.https.onCall(
+    async (data, context) => {
+      requireAdmin(context);
+
+      const cycleId = data?.cycleId ?
+
+        await requireCycleId(data.cycleId) :
+
+        await getCurrentCycleId();
+      const cycleRef = db.collection("cycles").doc(cycleId);
+
+      const [leaderboardSnapshot, viewSnapshot] = await Promise.all([
+        cycleRef.collection("leaderboard").get(),
+        cycleRef.collection("leaderboardView").get(),
+      ]);
+
+      const profileSnaps = leaderboardSnapshot.empty ?
+        [] :
+        await db.getAll(
+            ...leaderboardSnapshot.docs.map(
+                (doc) => db.collection("users").doc(doc.id),
+            ),
+        );
+
+      // Drop view entries whose leaderboard entry is gone, then rewrite the
+      // rest
+      const entryIds =
+        new Set(leaderboardSnapshot.docs.map((doc) => doc.id));
+      await Promise.all(viewSnapshot.docs
+          .filter((doc) => !entryIds.has(doc.id))
+          .map((doc) => doc.ref.delete()));
+
+      await Promise.all(leaderboardSnapshot.docs.map((doc, index) =>
+        writeLeaderboardViewEntry(
+            cycleId,
+            doc.id,
+            doc.data(),
+            profileSnaps[index].exists ? profileSnaps[index].data() : null,
+        )));
+      await rerankLeaderboardView(cycleId);
+
+      await writeAuditLog(
+          context,
+          "rebuildLeaderboardView",
+          cycleId,
+          {entries: leaderboardSnapshot.size},
+      );
+      return {success: true, cycleId, entries: leaderboardSnapshot.size};
+    });
+
+// --- Pity points ---
+// One record per player who picked a losing creator, at
+// cycles/{cycleId}/pityPointsEligible/{userId}: status 'eligible' until claimed
+// with claimPityPoint, then 'claimed' with where the points went. Eligibility
+// is set when the winner is announced (awardPityPoints) and again on an admin
+// re-run or a recompute that changes the winner; claimed records are never
+// reset.
+
+/**
+ * Mark everyone who picked someone other than the winner as eligible for a pity
+ * point.
+ * @param {string} cycleId Cycle that was won.
+ * @param {string} winnerId The winning creator.
+ * @return {Promise<number>} How many players became eligible.
+ */
+async function setPityEligibility(cycleId, winnerId) {
+  const rules = await getPityRules();
+  const cycleRef = db.collection("cycles").doc(cycleId);
+
+  // Get all picks for this cycle where user didn't pick the winner
+  const [picksSnapshot, eligibleSnapshot] = await Promise.all([
+    cycleRef.collection("picks").where("creatorId", "!=", winnerId).get(),
+    cycleRef.collection("pityPointsEligible").get(),
+  ]);
+
+  const claimedUserIds = new Set(eligibleSnapshot.docs
+      .filter((doc) => isPityClaimed(doc.data()))
+      .map((doc) => doc.id));
+  const expiry = getPityExpiry(rules);
+  const expiresAt = expiry ?
+    admin.firestore.Timestamp.fromMillis(expiry) :
+    null;
+
+  const eligiblePicks = picksSnapshot.docs
+      .filter((doc) => !claimedUserIds.has(doc.id));
+
+  // A batch holds at most 500 writes
+  for (let i = 0; i < eligiblePicks.length; i += 500) {
+    const batch = db.batch();
+    eligiblePicks.slice(i, i + 500).forEach((doc) => {
+      batch.set(cycleRef.collection("pityPointsEligible").doc(doc.id), {
+        userId: doc.id,
+        cycleId,
+        status: "eligible",
+        eligibleForPityPoint: true,
+        points: rules.points,
+        expiresAt,
+        winnerId,
+        theirCreatorId: doc.data().creatorId,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+    await batch.commit();
+  }
+
+  return eligiblePicks.length;
+}
+
+/**
+ * Remove the unclaimed pity eligibility records for a cycle - points already
+ * credited stay.
+ * @param {string} cycleId Cycle whose result changed.
+ * @return {Promise<number>} How many records were removed.
+ */
+async function clearPityEligibility(cycleId) {
+  const eligibleSnapshot = await db.collection("cycles")
+      .doc(cycleId)
+      .collection("pityPointsEligible")
+      .get();
+
+  const unclaimed = eligibleSnapshot.docs.filter(
+      (doc) => !isPityClaimed(doc.data()),
+  );
+  const batch = db.batch();
+  unclaimed.forEach((doc) => batch.delete(doc.ref));
+  await batch.commit();
+  return unclaimed.length;
+}
+
+// Manual trigger function for admin use - a no-op for a finalized cycle unless
+// `force` is set
+exports.manualCalculateWinner = functions.https.onCall(
+    async (data, context) => {
+      requireAdmin(context);
+
+      const cycleId = data?.cycleId ?
+
+        await requireCycleId(data.cycleId) :
+
+        await getLastCompletedCycleId();
+      const force = data?.force === true;
+      const result = await finalizeCycle(cycleId, {force});
+
+      const action = force ? "recomputeWinner" : "calculateWinner";
+      await writeAuditLog(context, action, cycleId, {
+        success: result.success,
+        winnerId: result.winnerId || null,
+        previousWinnerId: result.previousWinnerId || null,
+        alreadyFinalized: result.alreadyFinalized || false,
+        message: result.message || null,
+      });
+      return result;
+    });
+
+// Manual trigger for pity points (admin use)
+exports.manualAwardPityPoints = functions.https.onCall(
+    async (data, context) => {
+      requireAdmin(context);
+
+      const cycleId = data?.cycleId ?
+
+        await requireCycleId(data.cycleId) :
+
+        await getLastCompletedCycleId();
+
+      // Get winner data
+      const winnerSnap = await db.collection("cycleWinners").doc(cycleId).get();
+      if (!winnerSnap.exists) {
+        throw new functions.https.HttpsError(
+            "not-found",
+            "Winner not found for this cycle",
+        );
+      }
+
+      const winnerId = winnerSnap.data().winnerId;
+      const count = await setPityEligibility(cycleId, winnerId);
+
+      await writeAuditLog(
+          context,
+          "awardPityPoints",
+          cycleId,
+          {winnerId, eligibleUsers: count},
+      );
+
+      return {
+        success: true,
+        cycleId,
+        eligibleUsers: count,
+        message: `Pity point eligibility set for ${count} users`,
+      };
+    });
+
+// Admin: recent cycles, newest first, with their winner or void status
+exports.adminListCycles = functions.https.onCall(async (data, context) => {
+  requireAdmin(context);
+
+  const count = Math.min(Math.max(parseInt(data?.limit, 10) || 14, 1), 60);
+  const schedule = await getCycleSchedule();
+
+  // Walk the schedule back from the current cycle
+  const cycles = [getCycle(schedule)];
+  while (cycles.length < count) {
+    cycles.push(getPreviousCycle(schedule, cycles[cycles.length - 1].startsAt));
+  }
+
+  const [winnerSnaps, cycleSnaps] = await Promise.all([
+    db.getAll(
+        ...cycles.map(
+            (cycle) => db.collection("cycleWinners").doc(cycle.cycleId),
+        ),
+    ),
+    db.getAll(
+        ...cycles.map((cycle) => db.collection("cycles").doc(cycle.cycleId)),
+    ),
+  ]);
+
+  return {
+    cycles: cycles.map((cycle, index) => {
+      const winnerSnap = winnerSnaps[index];
+      const cycleSnap = cycleSnaps[index];
+      const winner = winnerSnap.exists ? winnerSnap.data() : null;
+      const cycleData = cycleSnap.exists ? cycleSnap.data() : {};
+
+      const status = cycleData.voided ?
+        "voided" :
+        getCycleStatus(cycle, {finalized: !!cycleData.finalizedAt});
+
+      return {
+        cycleId: cycle.cycleId,
+        startsAt: cycle.startsAt,
+        endsAt: cycle.endsAt,
+        status,
+        winnerId: winner?.winnerId || null,
+        winnerName: winner?.winnerName || null,
+        finalScore: winner?.finalScore ?? null,
+        voidReason: cycleData.voidReason || null,
+      };
+    }),
+  };
+});
+
+// Admin: the standings finalizeCycle would produce, without writing anything
+exports.adminPreviewWinner = functions.https.onCall(async (data, context) => {
+  requireAdmin(context);
+
+  const cycleId = await requireCycleId(data?.cycleId);
+
+  const leaderboardSnapshot = await db.collection("cycles")
+      .doc(cycleId)
+      .collection("leaderboard")
+      .get();
+
+  const standings =
+    rankStandings(leaderboardEntries(leaderboardSnapshot)).slice(0, 5);
+
+  if (!standings.length) {
+    return {cycleId, standings: []};
+  }
+
+  const profileSnaps = await db.getAll(
+      ...standings.map((entry) => db.collection("users").doc(entry.creatorId)),
+  );
+
+  return {
+    cycleId,
+    standings: standings.map((entry, index) => {
+      const profile = profileSnaps[index].exists ?
+        profileSnaps[index].data() :
+        null;
+      return {
+        rank: entry.rank,
+        creatorId: entry.creatorId,
+        creatorName: (profile && profile.displayName) || "Unknown",
+        totalPoints: entry.totalPoints,
+        supporterCount: entry.supporterCount || 0,
+        reachedScoreAt: Number.isFinite(entry.reachedAt) ?
+          entry.reachedAt :
+          null,
+        tied: entry.tied,
+        verified: !!profile && isChannelVerified(profile),
+      };
+    }),
+  };
+});
+
+// Admin: void a cycle - removes its winner and pity eligibility and stops it
+// being recalculated
+exports.adminVoidCycle = functions.https.onCall(async (data, context) => {
+  requireAdmin(context);
+
+  requireData(data);
+  const cycleId = await requireCycleId(data.cycleId);
+  const reason = typeof data.reason === "string" ?
+    data.reason.trim().slice(0, 500) :
+    "";
+  if (!reason) {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        "A reason is required to void a cycle",
+    );
+  }
+
+  const status = getCycleStatusFor(await getCycleSchedule(), cycleId);
+  if (status === "open" || status === "closing") {
+    throw new functions.https.HttpsError(
+        "failed-precondition",
+        `Cannot void a cycle that is still ${status}`,
+    );
+  }
+
+  const cycleRef = db.collection("cycles").doc(cycleId);
+  const winnerRef = db.collection("cycleWinners").doc(cycleId);
+  const winnerSnap = await winnerRef.get();
+
+  const batch = db.batch();
+
+  // Keep the removed winner on the cycle doc for the record
+  batch.set(cycleRef, {
+    voided: true,
+    voidReason: reason,
+    voidedBy: context.auth.uid,
+    voidedAt: admin.firestore.FieldValue.serverTimestamp(),
+    voidedWinner: winnerSnap.exists ? winnerSnap.data() : null,
+  }, {merge: true});
+
+  batch.delete(winnerRef);
+  await batch.commit();
+
+  const removedPityEligibility = await clearPityEligibility(cycleId);
+  const seasonId = await applySeasonPoints(cycleId, {remove: true});
+
+  await writeAuditLog(context, "voidCycle", cycleId, {
+    seasonId,
+    reason,
+    winnerId: winnerSnap.exists ? winnerSnap.data().winnerId : null,
+    removedPityEligibility,
+  });
+
+  return {success: true, cycleId};
+});
+
+/**
+ * Recompute a creator's Hall of Fame stats in creatorStats/{creatorId} from
+ * their cycleWinners docs. Recomputing (rather than incrementing) keeps them
+ * right when a result is recomputed or voided.
+ * @param {string} creatorId Creator to recompute.
+ * @param {Object} schedule The cycle schedule.
+ * @param {string} latestCycleId Most recent finalized cycle, for streaks.
+ */
+async function recomputeCreatorStats(creatorId, schedule, latestCycleId) {
+  const winsSnapshot = await db.collection("cycleWinners")
+      .where("winnerId", "==", creatorId)
+      .get();
+  const wonCycleIds = new Set(winsSnapshot.docs.map((doc) => doc.id));
+
+  // Length of the run of consecutive wins ending at a cycle
+  const streakEndingAt = (cycleId) => {
+    let streak = 0;
+    let cycle = getCycleById(schedule, cycleId);
+    let id = cycleId;
+    while (wonCycleIds.has(id)) {
+      streak++;
+      if (!cycle) break; // IDs from an older schedule can't be walked back
+      cycle = getPreviousCycle(schedule, cycle.startsAt);
+      id = cycle.cycleId;
+    }
+    return streak;
+  };
+
+  const sortedWins = [...wonCycleIds].sort();
+  const longestWinStreak = sortedWins.reduce(
+      (longest, cycleId) => Math.max(longest, streakEndingAt(cycleId)),
+      0,
+  );
+  const lastWinCycleId = sortedWins[sortedWins.length - 1] || null;
+
+  await db.collection("creatorStats").doc(creatorId).set({
+    creatorId,
+    wins: wonCycleIds.size,
+    // A streak is only current if the creator won the latest finalized cycle
+    currentWinStreak: latestCycleId && wonCycleIds.has(latestCycleId) ?
+      streakEndingAt(latestCycleId) :
+      0,
+    longestWinStreak,
+    lastWinCycleId,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  }, {merge: true});
+}
+
+// Keep creatorStats in step with cycleWinners - a new winner ends the previous
+// winner's streak, and a recompute or void can take a win away
+exports.updateCreatorStats = functions.firestore
+    .document("cycleWinners/{cycleId}")
+    .onWrite(async (change, context) => {
+      const {cycleId} = context.params;
+      const schedule = await getCycleSchedule();
+
+      const latestSnapshot = await db.collection("cycleWinners")
+          .orderBy(admin.firestore.FieldPath.documentId(), "desc")
+          .limit(1)
+          .get();
+      const latestCycleId =
+        latestSnapshot.empty ? null : latestSnapshot.docs[0].id;
+
+      const creatorIds = new Set();
+      if (change.before.exists) creatorIds.add(change.before.data().winnerId);
+      if (change.after.exists) creatorIds.add(change.after.data().winnerId);
+
+      // The winner of the cycle before this one may have just lost their
+      // current streak
+      const cycle = getCycleById(schedule, cycleId);
+      if (cycle) {
+        const previousCycleId =
+          getPreviousCycle(schedule, cycle.startsAt).cycleId;
+        const previousSnap =
+          await db.collection("cycleWinners").doc(previousCycleId).get();
+        if (previousSnap.exists) creatorIds.add(previousSnap.data().winnerId);
+      }
+
+      await Promise.all([...creatorIds]
+          .filter(Boolean)
+          .map((creatorId) =>
+            recomputeCreatorStats(creatorId, schedule, latestCycleId)));
+    });
+
+// --- Achievements ---
+// Badges from src/shared/achievements.js, evaluated here as results and winners
+// come in and kept in userAchievements/{userId}.achievements as
+// { [achievementId]: earnedAt }. Once earned an achievement stays earned.
+
+/**
+ * Award whichever achievements the progress now meets.
+ * @param {string} userId Player to award.
+ * @param {Object} progress The player's progress counters.
+ * @return {Promise<Array<string>>} The newly earned achievement IDs.
+ */
+async function awardAchievements(userId, progress) {
+  const earned = Object.values(ACHIEVEMENTS).filter(
+      (achievement) => isAchievementEarned(achievement, progress),
+  );
+  if (!earned.length) {
+    return [];
+  }
+
+  const achievementsRef = db.collection("userAchievements").doc(userId);
+  return db.runTransaction(async (transaction) => {
+    const achievementsDoc = await transaction.get(achievementsRef);
+    const existing = achievementsDoc.exists ?
+      achievementsDoc.data().achievements || {} :
+      {};
+    const newlyEarned = earned.filter(
+        (achievement) => !existing[achievement.id],
+    );
+    if (!newlyEarned.length) {
+      return [];
+    }
+
+    const achievements = {};
+    newlyEarned.forEach((achievement) => {
+      achievements[achievement.id] =
+        admin.firestore.FieldValue.serverTimestamp();
+    });
+    transaction.set(achievementsRef, {
+      userId,
+      achievements,
+      count: Object.keys(existing).length + newlyEarned.length,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, {merge: true});
+
+    return newlyEarned.map((achievement) => achievement.id);
+  });
+}
+
+// Game achievements are checked by updateUserStats once the result is counted,
+// so the totals and streaks they need are current. Winners are handled here:
+// players whose pick won (userStats.winningPicks, flagged per cycle so a
+// recompute or void moves the count) and the winning creator's cycle wins.
+exports.updateCycleAchievements = functions.firestore
+    .document("cycleWinners/{cycleId}")
+    .onWrite(async (change, context) => {
+      const {cycleId} = context.params;
+      const previousWinnerId =
+        change.before.exists ? change.before.data().winnerId : null;
+      const winnerId =
+        change.after.exists ? change.after.data().winnerId : null;
+
+      const picksSnapshot = await db.collection("cycles").doc(cycleId)
+          .collection("picks").get();
+      const affectedPicks = picksSnapshot.docs
+          .map((doc) => ({userId: doc.id, creatorId: doc.data().creatorId}))
+          .filter((pick) => pick.creatorId &&
+            (pick.creatorId === previousWinnerId ||
+              pick.creatorId === winnerId));
+
+      await Promise.all(affectedPicks.map(async ({userId, creatorId}) => {
+        const statsRef = db.collection("userStats").doc(userId);
+        const cycleStatsRef = statsRef.collection("cycles").doc(cycleId);
+        const pickedWinner = creatorId === winnerId;
+
+        const winningPicks = await db.runTransaction(async (transaction) => {
+          const [statsDoc, cycleStatsDoc] = await Promise.all([
+            transaction.get(statsRef),
+            transaction.get(cycleStatsRef),
+          ]);
+          const current = statsDoc.exists ?
+            statsDoc.data().winningPicks || 0 :
+            0;
+          const wasCounted = cycleStatsDoc.exists &&
+            cycleStatsDoc.data().pickedWinner === true;
+          if (wasCounted === pickedWinner) {
+            return current;
+          }
+
+          const delta = pickedWinner ? 1 : -1;
+          transaction.set(
+              cycleStatsRef,
+              {cycleId, pickedWinner},
+              {merge: true},
+          );
+          transaction.set(statsRef, {
+            userId,
+            winningPicks: admin.firestore.FieldValue.increment(delta),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          }, {merge: true});
+          return current + delta;
+        });
+
+        if (pickedWinner) {
+          await awardAchievements(userId, {winningPicks});
+        }
+      }));
+
+      if (winnerId) {
+        const winsSnapshot = await db.collection("cycleWinners")
+            .where("winnerId", "==", winnerId)
+            .count()
+            .get();
+        await awardAchievements(winnerId, {
+          cycleWins: winsSnapshot.data().count,
+        });
+      }
+    });
+
+// Function 4: Award Pity Points (run after winner calculation)
+exports.awardPityPoints = functions.firestore
+    .document("cycleWinners/{cycleId}")
+    .onCreate(async (snap, context) => {
+      const cycleId = context.params.cycleId;
+      const winnerData = snap.data();
+      const winnerId = winnerData.winnerId;
+
+      await setPityEligibility(cycleId, winnerId);
+      console.log("Pity point eligibility tracked for cycle:", cycleId);
+    });
+
+// Function 5: Claim a pity point for a lost cycle, following config/pityRules.
+/**
+ * A claim needs a recorded visit to the winner's channel through the /go/
+ * redirect - the visit claims automatically (claimPityOnWinnerVisit), and
+ * claimPityPoint retries a claim that failed then, e.g. because the player
+ * hadn't picked a creator yet.
+ * @param {string} userId Player claiming.
+ * @param {string} cycleId Cycle they lost.
+ * @return {Promise<Object>} The points credited and the creator they went to.
+ */
+async function claimPityPointFor(userId, cycleId) {
+  const [schedule, rules] = await Promise.all([
+    getCycleSchedule(),
+    getPityRules(),
+  ]);
+  const cycleRef = db.collection("cycles").doc(cycleId);
+  const eligibilityRef = cycleRef.collection("pityPointsEligible").doc(userId);
+  const visitorRef = cycleRef.collection("winnerVisitors").doc(userId);
+
+  // The lost cycle is closed, so the points go to the player's pick in the
+  // cycle after it - or in the current cycle, once that one has closed too
+  const lostCycle = getCycleById(schedule, cycleId);
+  if (!lostCycle) {
+    throw new functions.https.HttpsError(
+        "not-found",
+        `Cycle ${cycleId} is not in the cycle schedule`,
+    );
+  }
+  const creditCycleId = rules.applyToNextCycle ?
+    getCycle(schedule, Math.max(lostCycle.endsAt, Date.now())).cycleId :
+    null;
+  const capWindowStart =
+    admin.firestore.Timestamp.fromMillis(getPityCapWindowStart(rules));
+
+  const claim = await db.runTransaction(async (transaction) => {
+    const [eligibilityDoc, visitorDoc, recentClaims] = await Promise.all([
+      transaction.get(eligibilityRef),
+      transaction.get(visitorRef),
+      rules.maxClaimsPerUser ?
+        transaction.get(db.collectionGroup("pityPointsEligible")
+            .where("userId", "==", userId)
+            .where("claimedAt", ">=", capWindowStart)) :
+        null,
+    ]);
+    const record = eligibilityDoc.exists ? eligibilityDoc.data() : null;
+
+    const claimError = getPityClaimError(record, {
+      rules,
+      visited: visitorDoc.exists,
+      recentClaims: recentClaims ? recentClaims.size : 0,
+    });
+    if (claimError) {
+      throw new functions.https.HttpsError(claimError.code, claimError.message);
+    }
+
+    // Records from before pity rules existed were worth 1 point
+    const points = record.points ?? 1;
+    let creatorId = null;
+    if (creditCycleId) {
+      creatorId = await creditPickPoints(
+          transaction,
+          {schedule, cycleId: creditCycleId, userId, points},
+      );
+    } else {
+      transaction.update(db.collection("users").doc(userId), {
+        totalPointsEarned: admin.firestore.FieldValue.increment(points),
+      });
+    }
+
+    transaction.update(eligibilityRef, {
+      status: "claimed",
+      claimedAt: admin.firestore.FieldValue.serverTimestamp(),
+      pointsAwarded: points,
+      creditedCycleId: creditCycleId,
+      creditedCreatorId: creatorId,
+      claimError: admin.firestore.FieldValue.delete(),
+    });
+
+    return {points, creatorId};
+  });
+
+  let creditedCreatorName = null;
+  if (claim.creatorId) {
+    const creatorSnap = await db.collection("users").doc(claim.creatorId).get();
+    creditedCreatorName = creatorSnap.exists ?
+      creatorSnap.data().displayName || null :
+      null;
+    await eligibilityRef.update({creditedCreatorName});
+  }
+
+  return {
+    success: true,
+    pointsAwarded: claim.points,
+    creditedCycleId: creditCycleId,
+    creditedCreatorId: claim.creatorId,
+    creditedCreatorName,
+  };
+}
+
+exports.claimPityPoint = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+        "unauthenticated",
+        "Must be signed in",
+    );
+  }
+
+  const userId = context.auth.uid;
+  requireData(data);
+  const cycleId = await requireCycleId(data.cycleId);
+
+  await checkRateLimit(userId, "claimPityPoint", 10, 60);
+
+  return claimPityPointFor(userId, cycleId);
+});
+
+// A player's first recorded visit to a cycle's winner claims their pity point.
+// Failures that the player can fix (no pick yet) are left on the record for the
+// winner banner.
+exports.claimPityOnWinnerVisit = functions.firestore
+    .document("cycles/{cycleId}/winnerVisitors/{userId}")
+    .onCreate(async (snap, context) => {
+      const {cycleId, userId} = context.params;
+      const eligibilityRef = db.collection("cycles").doc(cycleId)
+          .collection("pityPointsEligible").doc(userId);
+
+      const eligibilityDoc = await eligibilityRef.get();
+      if (!eligibilityDoc.exists || isPityClaimed(eligibilityDoc.data())) {
+        return;
+      }
+
+      try {
+        await claimPityPointFor(userId, cycleId);
+      } catch (error) {
+        if (!(error instanceof functions.https.HttpsError)) {
+          throw error;
+        }
+        console.log(
+            "Pity point not claimed on visit:",
+            cycleId,
+            userId,
+            error.message,
+        );
+        await eligibilityRef.update({claimError: error.message});
+      }
+    });
+
+// Function 6.5: Winner link visits. The winner banner asks startWinnerVisit for
+// a visit ID, then opens /go/{cycleId}?v={visitId}; winnerRedirect records the
+// visit and sends the browser on to the winner's promotional URL (read from
+// cycleWinners, never from the request). Visits without an ID are still
+// counted, just not tied to a player.
+//   winnerVisits/{visitId} - one per click: user, cycle, referrer, time
+//   cycles/{cycleId}/winnerVisitors/{userId} - first visit by each signed-in
+//     player
+//   creatorStats/{creatorId}/visits/{cycleId} - visits and unique visitors per
+//     cycle
+exports.startWinnerVisit = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+        "unauthenticated",
+        "Must be signed in",
+    );
+  }
+
+  const userId = context.auth.uid;
+  requireData(data);
+  const cycleId = await requireCycleId(data.cycleId);
+
+  await checkRateLimit(userId, "startWinnerVisit", 30, 60);
+
+  const winnerSnap = await db.collection("cycleWinners").doc(cycleId).get();
+  if (!winnerSnap.exists || !winnerSnap.data().promotionalURL) {
+    throw new functions.https.HttpsError(
+        "not-found",
+        "This cycle has no winner link",
+    );
+  }
+
+  const visitRef = await db.collection("winnerVisits").add({
+    userId,
+    cycleId,
+    winnerId: winnerSnap.data().winnerId,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    visitedAt: null,
+  });
+
+  return {
+    visitId: visitRef.id,
+    url: `/go/${encodeURIComponent(cycleId)}?v=${visitRef.id}`,
+  };
+});
+
+// Promotional URLs are entered by creators - only ever redirect to http(s)
+const isRedirectableUrl = (url) => {
+  try {
+    return ["https:", "http:"].includes(new URL(url).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Record one visit through the redirect; a visit ID from startWinnerVisit ties
+ * it to a player.
+ * @param {string} cycleId Cycle that was won.
+ * @param {string} winnerId The winning creator.
+ * @param {?string} visitId Visit ID from startWinnerVisit.
+ * @param {Request} req The redirect request.
+ */
+async function recordWinnerVisit(cycleId, winnerId, visitId, req) {
+  const visit = {
+    referrer: req.get("referer") || null,
+    userAgent: req.get("user-agent") || null,
+    visitedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  const statsRef = db.collection("creatorStats").doc(winnerId)
+      .collection("visits").doc(cycleId);
+  const visitRef = visitId ? db.collection("winnerVisits").doc(visitId) : null;
+
+  await db.runTransaction(async (transaction) => {
+    const visitDoc = visitRef ? await transaction.get(visitRef) : null;
+
+    // A visit ID only counts once, and only for the cycle it was issued for
+    const issued = visitDoc && visitDoc.exists ? visitDoc.data() : null;
+    const pending = issued && issued.cycleId === cycleId && !issued.visitedAt ?
+      issued :
+      null;
+    const visitorRef = pending ?
+      db.collection("cycles").doc(cycleId)
+          .collection("winnerVisitors").doc(pending.userId) :
+      null;
+    const visitorDoc = visitorRef ? await transaction.get(visitorRef) : null;
+    const isFirstVisit = !!visitorDoc && !visitorDoc.exists;
+
+    if (pending) {
+      transaction.update(visitRef, visit);
+    } else {
+      transaction.set(db.collection("winnerVisits").doc(), {
+        userId: null,
+        cycleId,
+        winnerId,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        ...visit,
+      });
+    }
+
+    if (isFirstVisit) {
+      transaction.set(visitorRef, {
+        userId: pending.userId,
+        visitId,
+        firstVisitAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+
+    transaction.set(statsRef, {
+      cycleId,
+      visits: admin.firestore.FieldValue.increment(1),
+      uniqueVisitors: incrementIf(isFirstVisit),
+      lastVisitAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, {merge: true});
+  });
+}
+
+exports.winnerRedirect = functions.https.onRequest(async (req, res) => {
+  if (req.method !== "GET") {
+    res.set("Allow", "GET");
+    res.status(405).send("Method not allowed");
+    return;
+  }
+
+  let cycleId = "";
+  try {
+    cycleId = decodeURIComponent(req.path.replace(/^(\/go)?\//, ""));
+  } catch (error) {
+    // Malformed path - treated as an unknown link below
+  }
+  const visitId = typeof req.query.v === "string" ? req.query.v : "";
+
+  if (!cycleId || cycleId.includes("/") || visitId.includes("/")) {
+    res.status(404).send("Link not found");
+    return;
+  }
+
+  let winner = null;
+  try {
+    const winnerSnap = await db.collection("cycleWinners").doc(cycleId).get();
+    winner = winnerSnap.exists ? winnerSnap.data() : null;
+  } catch (error) {
+    console.error("Error loading winner for redirect:", error);
+    res.status(500).send("Something went wrong");
+    return;
+  }
+
+  if (!winner || !isRedirectableUrl(winner.promotionalURL)) {
+    res.status(404).send("Link not found");
+    return;
+  }
+
+  try {
+    await recordWinnerVisit(cycleId, winner.winnerId, visitId, req);
+  } catch (error) {
+    // Never strand the visitor - send them on even if the visit couldn't be
+    // recorded
+    console.error("Error recording winner visit:", error);
+  }
+
+  res.set("Cache-Control", "private, no-store");
+  res.redirect(302, winner.promotionalURL);
+});
+
+// Function 7: Track Referral Click
+exports.trackReferralClick = functions.https.onCall(async (data, context) => {
+  const {creatorId} = requireData(data);
+
+  if (!creatorId) {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        "Creator ID required",
+    );
+  }
+
+  // Rate limit referral clicks (even for anonymous users)
+  // Use IP address or user ID for tracking
+  const identifier = context.auth ? context.auth.uid : context.rawRequest.ip;
+  await checkRateLimit(identifier, `referralClick_${creatorId}`, 10, 60);
+
+  try {
+    // Increment referral click count in creator's profile
+    await db.collection("users").doc(creatorId).update({
+      "creatorProfile.referralClicks": admin.firestore.FieldValue.increment(1),
+    });
+
+    // Log the referral event
+    await db.collection("referralClicks").add({
+      creatorId,
+      clickedBy: context.auth ? context.auth.uid : "anonymous",
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return {success: true};
+  } catch (error) {
+    console.error("Error tracking referral:", error);
+    throw new functions.https.HttpsError(
+        "internal",
+        "Failed to track referral",
+    );
+  }
+});
+
+// --- Creator invite links ---
+// Each creator gets one invite link, /r/{code} (codes in referralCodes/{code}).
+// The redirect counts the click and sends the visitor to /?ref={code}; the app
+// keeps the code until sign-up and attributeReferral then records
+// users/{uid}.referredBy. The funnel - clicks, signups, supporters and points
+// generated - is in referralStats/{creatorId}.
+
+// Codes, and who a signup can be attributed to, are in src/shared/referrals.js
+const generateReferralCode = () =>
+  referralCodeFromBytes(crypto.randomBytes(REFERRAL_CODE_LENGTH));
+
+// The creator's invite code, created on first use
+exports.getReferralLink = functions.https.onCall(async (data, context) => {
+  const creatorId = await requireCreator(context);
+  const userRef = db.collection("users").doc(creatorId);
+
+  const code = await db.runTransaction(async (transaction) => {
+    const userDoc = await transaction.get(userRef);
+    const existing = userDoc.data().creatorProfile?.referralCode;
+    if (existing) {
+      return existing;
+    }
+
+    // Collisions are unlikely at 31^7 codes, but a code must never change hands
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const candidate = generateReferralCode();
+      const codeRef = db.collection("referralCodes").doc(candidate);
+      const codeDoc = await transaction.get(codeRef);
+      if (!codeDoc.exists) {
+        transaction.set(codeRef, {
+          code: candidate,
+          creatorId,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        transaction.update(userRef, {"creatorProfile.referralCode": candidate});
+        return candidate;
+      }
+    }
+    throw new functions.https.HttpsError(
+        "aborted",
+        "Could not create an invite code - please try again",
+    );
+  });
+
+  return {code, path: `/r/${code}`};
+});
+
+exports.referralRedirect = functions.https.onRequest(async (req, res) => {
+  const code = normalizeReferralCode(req.path.replace(/^(\/r)?\//, ""));
+
+  if (!isReferralCode(code)) {
+    res.redirect(302, "/");
+    return;
+  }
+
+  try {
+    const codeSnap = await db.collection("referralCodes").doc(code).get();
+    if (!codeSnap.exists) {
+      res.redirect(302, "/");
+      return;
+    }
+
+    const {creatorId} = codeSnap.data();
+    await checkRateLimit(req.ip, `referralLink_${code}`, 10, 60);
+
+    const batch = db.batch();
+    batch.set(db.collection("referralStats").doc(creatorId), {
+      creatorId,
+      clicks: admin.firestore.FieldValue.increment(1),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, {merge: true});
+    batch.set(db.collection("referralClicks").doc(), {
+      creatorId,
+      code,
+      source: "inviteLink",
+      clickedBy: "anonymous",
+      referrer: req.get("referer") || null,
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    await batch.commit();
+  } catch (error) {
+    // Rate-limited or failed clicks aren't counted, but the visitor still gets
+    // through
+    if (!(error instanceof functions.https.HttpsError)) {
+      console.error("Error tracking invite link click:", error);
+    }
+  }
+
+  res.set("Cache-Control", "private, no-store");
+  res.redirect(302, `/?ref=${code}`);
+});
+
+// Attribute a new account to the invite link it arrived through
+exports.attributeReferral = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+        "unauthenticated",
+        "Must be signed in",
+    );
+  }
+
+  const userId = context.auth.uid;
+  const code = normalizeReferralCode(data?.code);
+  if (!isReferralCode(code)) {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        "Invalid invite code",
+    );
+  }
+
+  const [codeSnap, authUser] = await Promise.all([
+    db.collection("referralCodes").doc(code).get(),
+    admin.auth().getUser(userId),
+  ]);
+  if (!codeSnap.exists) {
+    throw new functions.https.HttpsError("not-found", "Invite code not found");
+  }
+
+  const {creatorId} = codeSnap.data();
+  const userRef = db.collection("users").doc(userId);
+  await db.runTransaction(async (transaction) => {
+    const userDoc = await transaction.get(userRef);
+    const attributionError = getReferralAttributionError({
+      userId,
+      creatorId,
+      accountCreatedAt: new Date(authUser.metadata.creationTime).getTime(),
+      profile: userDoc.exists ? userDoc.data() : null,
+    });
+    if (attributionError) {
+      throw new functions.https.HttpsError(
+          attributionError.code,
+          attributionError.message,
+      );
+    }
+
+    transaction.update(userRef, {
+      referredBy: {
+        creatorId,
+        code,
+        attributedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+    });
+    transaction.set(db.collection("referralStats").doc(creatorId), {
+      creatorId,
+      signups: admin.firestore.FieldValue.increment(1),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, {merge: true});
+  });
+
+  const creatorSnap = await db.collection("users").doc(creatorId).get();
+  return {
+    success: true,
+    creatorId,
+    creatorName: (creatorSnap.exists && creatorSnap.data().displayName) ||
+      "Creator",
+  };
+});
+
+// Stream overlay data for /overlay/{creatorId} (public/overlay.html, an OBS
+// browser source). Tells the page who the creator is, how to draw them and
+// which cycle to follow - live points, rank and the gap to #1 come from the
+// page's own cycles/{cycleId}/leaderboard listener, and it asks again here when
+// the cycle ends.
+exports.overlayData = functions.https.onRequest(async (req, res) => {
+  if (req.method !== "GET") {
+    res.set("Allow", "GET");
+    res.status(405).json({error: "Method not allowed"});
+    return;
+  }
+
+  const creatorId =
+    typeof req.query.creator === "string" ? req.query.creator : "";
+  if (!creatorId || creatorId.includes("/")) {
+    res.status(400).json({error: "creator is required"});
+    return;
+  }
+
+  try {
+    const [profileSnap, schedule] = await Promise.all([
+      db.collection("users").doc(creatorId).get(),
+      getCycleSchedule(),
+    ]);
+    const profile = profileSnap.exists ? profileSnap.data() : null;
+    if (!isCreatorProfile(profile)) {
+      res.status(404).json({error: "Creator not found"});
+      return;
+    }
+
+    // ?layout= and ?theme= on the browser source URL override the creator's
+    // saved defaults
+    const saved = profile.creatorProfile?.overlay || {};
+    const settings = normalizeOverlaySettings({
+      layout: req.query.layout || saved.layout,
+      theme: req.query.theme || saved.theme,
+    });
+    const cycle = getCycle(schedule);
+
+    res.set("Cache-Control", "public, max-age=30");
+    res.json({
+      creatorId,
+      name: profile.displayName || "Creator",
+      photoURL: profile.photoURL || "",
+      layout: settings.layout,
+      theme: settings.theme,
+      cycleId: cycle.cycleId,
+      endsAt: cycle.endsAt,
+      serverTime: Date.now(),
+    });
+  } catch (error) {
+    console.error("Error loading overlay data:", error);
+    res.status(500).json({error: "Failed to load overlay"});
+  }
+});
+
+// --- Creator webhooks ---
+// Creators register URLs in CreatorProfile settings; they're stored in
+// users/{uid}/webhooks and only written by the callables below. Every event
+// becomes a delivery in users/{uid}/webhookDeliveries - which doubles as the
+// delivery log in settings - POSTed as JSON and signed with the webhook's
+// secret:
+//   X-SubGames-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// functions/webhook-receiver.js is a local receiver that checks signatures.
+// Failed deliveries are retried by retryWebhookDeliveries, waiting longer each
+// time.
+
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+// Minutes to wait after each failed attempt; once these run out the delivery is
+// marked failed
+const WEBHOOK_RETRY_MINUTES = [5, 15, 60, 240, 720];
+// A delivery stuck in 'sending' (e.g. the function died mid-request) is retried
+// after this
+const WEBHOOK_SENDING_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Webhooks can't point into our own network. Plain http (e.g. a local receiver)
+// is only allowed for localhost, and only under the Functions emulator. This
+// catches the obvious cases when a URL is registered - every delivery re-checks
+// the addresses it connects to (see webhook-delivery.js), since a hostname can
+// resolve anywhere later on.
+const PRIVATE_HOST_PATTERN = /(^|\.)(localhost|internal|local)$/i;
+const allowPrivateWebhooks = () => process.env.FUNCTIONS_EMULATOR === "true";
+
+const validateWebhookUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        "Enter a valid webhook URL",
+    );
+  }
+
+  const isLocal =
+    ["localhost", "127.0.0.1", "[::1]"].includes(parsed.hostname);
+  const isWeb = ["http:", "https:"].includes(parsed.protocol);
+  if (isLocal && allowPrivateWebhooks() && isWeb) {
+    return parsed.toString();
+  }
+  if (parsed.protocol !== "https:") {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        "Webhook URLs must use https",
+    );
+  }
+  // The URL parser has already turned decimal, hex and short IPv4 forms into
+  // dotted quads
+  const host = parsed.hostname.replace(/^\[|\]$/g, "");
+  if (PRIVATE_HOST_PATTERN.test(host) ||
+      (net.isIP(host) && !isPublicAddress(host))) {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        "Webhook URLs must be publicly reachable",
+    );
+  }
+  return parsed.toString();
+};
+
+const addWebhookDelivery = (batch, creatorId, webhookDoc, event, data) => {
+  const deliveryRef = db.collection("users").doc(creatorId)
+      .collection("webhookDeliveries").doc();
+  batch.set(deliveryRef, {
+    webhookId: webhookDoc.id,
+    url: webhookDoc.data().url,
+    event,
+    payload: {event, creatorId, createdAt: new Date().toISOString(), data},
+    status: "pending",
+    attempts: 0,
+    nextAttemptAt: admin.firestore.Timestamp.now(),
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+};
+
+/**
+ * Queue an event for every active webhook of the creator subscribed to it.
+ * Never throws - a webhook problem shouldn't fail the game action that caused
+ * it.
+ * @param {string} creatorId Creator the event is about.
+ * @param {string} event Event name.
+ * @param {Object} data Event payload.
+ */
+async function queueWebhookEvent(creatorId, event, data) {
+  try {
+    const webhooksSnap = await db.collection("users").doc(creatorId)
+        .collection("webhooks")
+        .where("events", "array-contains", event)
+        .get();
+    const webhooks = webhooksSnap.docs.filter(
+        (doc) => doc.data().active !== false,
+    );
+    if (!webhooks.length) return;
+
+    const batch = db.batch();
+    webhooks.forEach(
+        (webhookDoc) => addWebhookDelivery(
+            batch,
+            creatorId,
+            webhookDoc,
+            event,
+            data,
+        ),
+    );
+    await batch.commit();
+  } catch (error) {
+    console.error(`Error queueing ${event} webhook for ${creatorId}:`, error);
+  }
+}
+
+/**
+ * Send a queued delivery, rescheduling it with backoff when it fails.
+ * @param {DocumentReference} deliveryRef The delivery to send.
+ */
+async function attemptWebhookDelivery(deliveryRef) {
+  // Claim the attempt so the onCreate trigger and the retry sweep never both
+  // send it
+  const delivery = await db.runTransaction(async (transaction) => {
+    const deliverySnap = await transaction.get(deliveryRef);
+    if (!deliverySnap.exists) return null;
+
+    const data = deliverySnap.data();
+    const isQueued = ["pending", "retrying", "sending"].includes(data.status);
+    if (!isQueued || toMillis(data.nextAttemptAt) > Date.now()) {
+      return null;
+    }
+
+    transaction.update(deliveryRef, {
+      status: "sending",
+      attempts: admin.firestore.FieldValue.increment(1),
+      nextAttemptAt: admin.firestore.Timestamp.fromMillis(
+          Date.now() + WEBHOOK_SENDING_TIMEOUT_MS,
+      ),
+      lastAttemptAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return data;
+  });
+  if (!delivery) return;
+
+  const webhookSnap = await deliveryRef.parent.parent
+      .collection("webhooks").doc(delivery.webhookId).get();
+  if (!webhookSnap.exists || webhookSnap.data().active === false) {
+    await deliveryRef.update({
+      status: "cancelled",
+      error: "Webhook was removed or disabled",
+    });
+    return;
+  }
+
+  const body = JSON.stringify({id: deliveryRef.id, ...delivery.payload});
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature =
+    signWebhookBody(webhookSnap.data().secret, timestamp, body);
+  const attempts = (delivery.attempts || 0) + 1;
+  let responseStatus = null;
+  let error = null;
+
+  try {
+    responseStatus = await postWebhook(delivery.url, {
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "SubGames-Webhooks/1.0",
+        "X-SubGames-Event": delivery.event,
+        "X-SubGames-Delivery": deliveryRef.id,
+        "X-SubGames-Signature": `t=${timestamp},v1=${signature}`,
+      },
+      body,
+      timeoutMs: WEBHOOK_TIMEOUT_MS,
+      allowPrivate: allowPrivateWebhooks(),
+    });
+    if (responseStatus >= 300 && responseStatus < 400) {
+      error = `HTTP ${responseStatus} - redirects are not followed`;
+    } else if (responseStatus < 200 || responseStatus >= 300) {
+      error = `HTTP ${responseStatus}`;
+    }
+  } catch (postError) {
+    error = postError.message;
+  }
+
+  if (!error) {
+    await deliveryRef.update({
+      status: "delivered",
+      responseStatus,
+      error: null,
+      deliveredAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return;
+  }
+
+  const retryMinutes = WEBHOOK_RETRY_MINUTES[attempts - 1];
+  await deliveryRef.update(retryMinutes === undefined ?
+    {status: "failed", responseStatus, error} :
+    {
+      status: "retrying",
+      responseStatus,
+      error,
+      nextAttemptAt: admin.firestore.Timestamp.fromMillis(
+          Date.now() + retryMinutes * 60 * 1000,
+      ),
+
+    });
+}
+
+const requireCreator = async (context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+        "unauthenticated",
+        "Must be signed in",
+    );
+  }
+
+  const profileSnap = await db.collection("users").doc(context.auth.uid).get();
+  if (!isCreatorProfile(profileSnap.exists ? profileSnap.data() : null)) {
+    throw new functions.https.HttpsError(
+        "permission-denied",
+        "Only creators can do this",
+    );
+  }
+  return context.auth.uid;
+};
+
+// Register a webhook. The secret is generated here and shown to the creator in
+// settings.
+exports.createWebhook = functions.https.onCall(async (data, context) => {
+  const creatorId = await requireCreator(context);
+  await checkRateLimit(creatorId, "createWebhook", 10, 60);
+
+  requireData(data);
+  const url = validateWebhookUrl(data.url);
+  const events = Array.isArray(data.events) ? [...new Set(data.events)] : [];
+  if (!events.length || events.some(
+      (event) => !Object.prototype.hasOwnProperty.call(WEBHOOK_EVENTS, event),
+  )) {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        "Choose at least one valid event",
+    );
+  }
+
+  const webhooksRef = db.collection("users").doc(creatorId)
+      .collection("webhooks");
+  const existing = await webhooksRef.get();
+  if (existing.size >= MAX_WEBHOOKS_PER_CREATOR) {
+    throw new functions.https.HttpsError(
+        "resource-exhausted",
+        `You can register up to ${MAX_WEBHOOKS_PER_CREATOR} webhooks`,
+    );
+  }
+
+  const webhookRef = await webhooksRef.add({
+    url,
+    events,
+    secret: `whsec_${crypto.randomBytes(24).toString("hex")}`,
+    active: true,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return {success: true, webhookId: webhookRef.id};
+});
+
+exports.deleteWebhook = functions.https.onCall(async (data, context) => {
+  const creatorId = await requireCreator(context);
+  requireData(data);
+  if (typeof data.webhookId !== "string" || !data.webhookId) {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        "Webhook ID required",
+    );
+  }
+
+  // Pending deliveries see the webhook is gone and cancel themselves
+  await db.collection("users").doc(creatorId)
+      .collection("webhooks").doc(data.webhookId).delete();
+  return {success: true};
+});
+
+// Queue a 'ping' delivery so creators can check their endpoint and signature
+// handling
+exports.sendTestWebhook = functions.https.onCall(async (data, context) => {
+  const creatorId = await requireCreator(context);
+  await checkRateLimit(creatorId, "sendTestWebhook", 10, 10);
+
+  requireData(data);
+  const webhookDoc = typeof data.webhookId === "string" && data.webhookId ?
+    await db.collection("users").doc(creatorId)
+        .collection("webhooks").doc(data.webhookId).get() :
+    null;
+  if (!webhookDoc || !webhookDoc.exists) {
+    throw new functions.https.HttpsError("not-found", "Webhook not found");
+  }
+
+  const batch = db.batch();
+  addWebhookDelivery(
+      batch,
+      creatorId,
+      webhookDoc,
+      "ping",
+      {message: "Test delivery from SubGames"},
+  );
+  await batch.commit();
+  return {success: true};
+});
+
+exports.deliverWebhook = functions.firestore
+    .document("users/{userId}/webhookDeliveries/{deliveryId}")
+    .onCreate(async (snap) => {
+      await attemptWebhookDelivery(snap.ref);
+    });
+
+exports.retryWebhookDeliveries = functions.pubsub.schedule("every 5 minutes")
+    .onRun(async () => {
+      const dueSnapshot = await db.collectionGroup("webhookDeliveries")
+          .where("status", "in", ["pending", "retrying", "sending"])
+          .where("nextAttemptAt", "<=", admin.firestore.Timestamp.now())
+          .orderBy("nextAttemptAt")
+          .limit(100)
+          .get();
+
+      for (const doc of dueSnapshot.docs) {
+        await attemptWebhookDelivery(doc.ref);
+      }
+
+      console.log(`Retried ${dueSnapshot.size} webhook deliveries`);
+      return null;
+    });
+
+// cycle.won for the winner and cycle.ended (with final position) for everyone
+// on the board, once - when the cycle's winner is first announced
+exports.sendCycleWebhooks = functions.firestore
+    .document("cycleWinners/{cycleId}")
+    .onCreate(async (snap, context) => {
+      const {cycleId} = context.params;
+      const winner = snap.data();
+
+      await queueWebhookEvent(winner.winnerId, "cycle.won", {
+        cycleId,
+        finalScore: winner.finalScore || 0,
+        supporterCount: winner.supporterCount || 0,
+        tieBrokenByTime: !!winner.tieBrokenByTime,
+      });
+
+      const viewSnapshot = await db.collection("cycles").doc(cycleId)
+          .collection("leaderboardView").get();
+      for (const doc of viewSnapshot.docs) {
+        const entry = doc.data();
+        await queueWebhookEvent(doc.id, "cycle.ended", {
+          cycleId,
+          position: entry.rank,
+          points: entry.points || 0,
+          entryCount: viewSnapshot.size,
+          winnerId: winner.winnerId,
+          winnerName: winner.winnerName,
+        });
+      }
+    });
+
+// --- Public read-only API ---
+// GET /api/v1/... (Hosting rewrites /api/** to this function) for Discord bots,
+// fan sites and other community tools. openapi.json describes every route. All
+// routes except /v1/openapi.json need a key in the X-API-Key header: keys are
+// stored by their SHA-256 hash in apiKeys/{hash} (see create-api-key.js) and
+// each has its own per-minute rate limit.
+
+const API_VERSION = "v1";
+const API_DEFAULT_PAGE_SIZE = 25;
+const API_MAX_PAGE_SIZE = 100;
+// Requests per minute, unless the key sets rateLimitPerMinute
+const API_DEFAULT_RATE_LIMIT = 60;
+
+// Seconds clients may cache each kind of response
+const API_CACHE_SECONDS = {
+  live: 30,
+  final: 3600,
+  winners: 300,
+  creator: 300,
+};
+
+const API_ERROR_STATUS = {
+  "invalid-argument": 400,
+  "unauthenticated": 401,
+  "permission-denied": 403,
+  "not-found": 404,
+  "resource-exhausted": 429,
+};
+
+const CYCLE_ID_PATTERN = /^\d{4}-\d{2}-\d{2}-\d{2}:\d{2}$/;
+
+const hashApiKey = (key) =>
+  crypto.createHash("sha256").update(key).digest("hex");
+
+const toIsoString = (value) => {
+  const ms = toMillis(value);
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+};
+
+const authenticateApiKey = async (req) => {
+  const key = req.get("X-API-Key");
+  if (!key) {
+    throw new functions.https.HttpsError(
+        "unauthenticated",
+        "Missing X-API-Key header",
+    );
+  }
+
+  const keyId = hashApiKey(key);
+  const keySnap = await db.collection("apiKeys").doc(keyId).get();
+  if (!keySnap.exists || keySnap.data().revoked) {
+    throw new functions.https.HttpsError(
+        "permission-denied",
+        "Invalid API key",
+    );
+  }
+
+  await checkRateLimit(
+      `apiKey_${keyId}`,
+      "publicApi",
+      keySnap.data().rateLimitPerMinute || API_DEFAULT_RATE_LIMIT,
+      1,
+  );
+};
+
+// ?limit= and ?cursor= - cursors are opaque to clients (base64url JSON of the
+// last entry's sort values) and only valid for the route that returned them
+const getPageSize = (req) => {
+  if (req.query.limit === undefined) return API_DEFAULT_PAGE_SIZE;
+  const pageSize = Number(req.query.limit);
+  if (!Number.isInteger(pageSize) ||
+      pageSize < 1 || pageSize > API_MAX_PAGE_SIZE) {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        `limit must be between 1 and ${API_MAX_PAGE_SIZE}`,
+    );
+  }
+  return pageSize;
+};
+
+const encodeCursor = (values) =>
+  Buffer.from(JSON.stringify(values)).toString("base64url");
+
+// A document ID as a cursor value - startAfter() throws on anything else
+const isCursorDocId = (value) =>
+  typeof value === "string" && value !== "" && !value.includes("/");
+
+// isValid checks the decoded values have the shape the route's query orders by,
+// so a tampered cursor is a 400 rather than a failed query
+const decodeCursor = (cursor, isValid) => {
+  try {
+    const values = JSON.parse(
+        Buffer.from(String(cursor), "base64url").toString(),
+    );
+    if (Array.isArray(values) && isValid(values)) return values;
+  } catch (error) {
+    // Fall through to the error below
   }
-  
-  // NEW: Validate game completion time
-  const gameType = session.gameType;
-  const validation = GAME_VALIDATION[gameType];
-  
-  if (!validation) {
-    throw new functions.https.HttpsError('invalid-argument', `Unknown game type: ${gameType}`);
+  throw new functions.https.HttpsError("invalid-argument", "Invalid cursor");
+};
+
+const formatApiStanding = (creatorId, entry) => ({
+  rank: entry.rank,
+  creatorId,
+  name: entry.name,
+  photoURL: entry.photoURL || "",
+  contentUrl: entry.contentUrl || "",
+  points: entry.points || 0,
+  supporterCount: entry.supporterCount || 0,
+  reachedScoreAt: toIsoString(entry.reachedAt),
+  tied: !!entry.tied,
+});
+
+// One page of a cycle's leaderboard view. Cycles finalized before the view
+// existed only have the top standings stored on their cycleWinners doc.
+const getApiStandingsPage = async (cycleId, req) => {
+  const pageSize = getPageSize(req);
+  let standingsQuery = db.collection("cycles").doc(cycleId)
+      .collection("leaderboardView")
+      .orderBy("rank")
+      .orderBy(admin.firestore.FieldPath.documentId());
+  if (req.query.cursor) {
+    // [rank, creatorId] of the last entry on the previous page
+    const after = decodeCursor(req.query.cursor, (values) =>
+      values.length === 2 &&
+      Number.isInteger(values[0]) &&
+      isCursorDocId(values[1]));
+    standingsQuery = standingsQuery.startAfter(...after);
   }
-  
-  // Calculate actual time taken (server-side, not client-provided)
-  const startTime = session.startTime.toMillis();
-  const actualTimeTaken = Date.now() - startTime;
-  const actualSeconds = actualTimeTaken / 1000;
-  
-  // Validate time is within acceptable range
-  if (actualSeconds < validation.minSeconds) {
-    console.warn(`Suspicious fast completion: ${userId} completed ${gameType} in ${actualSeconds}s (min: ${validation.minSeconds}s)`);
+
+  const snapshot = await standingsQuery.limit(pageSize + 1).get();
+  const docs = snapshot.docs.slice(0, pageSize);
+
+  if (!docs.length && !req.query.cursor) {
+    const winnerSnap = await db.collection("cycleWinners").doc(cycleId).get();
+    const standings = winnerSnap.exists ?
+      winnerSnap.data().standings || [] :
+      [];
+    return {
+      entries: standings.slice(0, pageSize).map((entry) =>
+        formatApiStanding(entry.creatorId, {
+          ...entry,
+          points: entry.totalPoints,
+          reachedAt: entry.reachedScoreAt,
+        })),
+      nextCursor: null,
+    };
+  }
+
+  const last = docs[docs.length - 1];
+  return {
+    entries: docs.map((doc) => formatApiStanding(doc.id, doc.data())),
+    nextCursor: snapshot.size > pageSize ?
+      encodeCursor([last.data().rank, last.id]) :
+      null,
+  };
+};
+
+const getApiCycle = async (cycleId) => {
+  const [schedule, cycleSnap] = await Promise.all([
+    getCycleSchedule(),
+    db.collection("cycles").doc(cycleId).get(),
+  ]);
+  const cycleData = cycleSnap.exists ? cycleSnap.data() : {};
+  const cycle = getCycleById(schedule, cycleId);
+  return {
+    exists: cycleSnap.exists,
+    cycle: {
+      cycleId,
+      status: cycleData.voided ? "voided" : getCycleStatusFor(
+          schedule,
+          cycleId,
+          cycleData,
+      ),
+      startsAt: toIsoString(cycle ? cycle.startsAt : cycleData.startsAt),
+      endsAt: toIsoString(cycle ? cycle.endsAt : cycleData.endsAt),
+    },
+  };
+};
+
+// GET /v1/leaderboard - the current cycle's standings
+const apiGetLeaderboard = async (req) => {
+  const {cycle} = await getApiCycle(await getCurrentCycleId());
+  return {
+    maxAge: API_CACHE_SECONDS.live,
+    body: {cycle, ...(await getApiStandingsPage(cycle.cycleId, req))},
+  };
+};
+
+// GET /v1/cycles/{cycleId} - any cycle's standings; final once the cycle is
+// finalized
+const apiGetCycle = async (req, cycleId) => {
+  if (!CYCLE_ID_PATTERN.test(cycleId)) {
     throw new functions.https.HttpsError(
-      'failed-precondition',
-      `Game completed too quickly. Minimum time is ${validation.minSeconds} seconds.`
+        "invalid-argument",
+        `Invalid cycle ID: ${cycleId}`,
     );
   }
-  
-  if (actualSeconds > validation.maxSeconds) {
+
+  const {cycle, exists} = await getApiCycle(cycleId);
+  if (!exists) {
     throw new functions.https.HttpsError(
-      'deadline-exceeded',
-      `Game took too long. Maximum time is ${validation.maxSeconds} seconds.`
+        "not-found",
+        `Cycle ${cycleId} not found`,
     );
   }
-  
-  const cycleId = getCycleId();
-  
-  // Use validated points from server config, not client data
-  const pointsAwarded = validation.points;
-  
-  // Get user's pick for this cycle
-  const pickDoc = await db.collection('cycles').doc(cycleId).collection('picks').doc(userId).get();
-  
-  if (!pickDoc.exists) {
-    throw new functions.https.HttpsError('failed-precondition', 'Must pick a creator first');
+
+  const isFinal = cycle.status === "finalized" || cycle.status === "voided";
+  return {
+    maxAge: isFinal ? API_CACHE_SECONDS.final : API_CACHE_SECONDS.live,
+    body: {cycle, ...(await getApiStandingsPage(cycleId, req))},
+  };
+};
+
+// GET /v1/winners - past cycle winners, newest first
+const apiGetWinners = async (req) => {
+  const pageSize = getPageSize(req);
+  let winnersQuery = db.collection("cycleWinners").orderBy(
+      admin.firestore.FieldPath.documentId(),
+      "desc",
+  );
+  if (req.query.cursor) {
+    // [cycleId] of the last winner on the previous page
+    const after = decodeCursor(req.query.cursor, (values) =>
+      values.length === 1 && isCursorDocId(values[0]));
+    winnersQuery = winnersQuery.startAfter(...after);
   }
-  
-  const pick = pickDoc.data();
-  const creatorId = pick.creatorId;
-  
-  // Run transaction to update points
-  await db.runTransaction(async (transaction) => {
-    const pickRef = db.collection('cycles').doc(cycleId).collection('picks').doc(userId);
-    const leaderboardRef = db.collection('cycles').doc(cycleId).collection('leaderboard').doc(creatorId);
-    const userRef = db.collection('users').doc(userId);
-    
-    // CRITICAL: All reads must happen BEFORE any writes in a Firestore transaction
-    const leaderboardDoc = await transaction.get(leaderboardRef);
-    
-    // Now do all the writes
-    // Update user's pick points
-    transaction.update(pickRef, {
-      pointsEarned: admin.firestore.FieldValue.increment(pointsAwarded)
-    });
-    
-    // Update leaderboard
-    if (!leaderboardDoc.exists) {
-      transaction.set(leaderboardRef, {
-        creatorId,
-        totalPoints: pointsAwarded,
-        supporterCount: 1,
-        supporters: [userId],
-        firstToReachCurrentScore: admin.firestore.FieldValue.serverTimestamp(),
-        lastUpdated: admin.firestore.FieldValue.serverTimestamp()
-      });
-    } else {
-      const supporters = leaderboardDoc.data().supporters || [];
-      const updates = {
-        totalPoints: admin.firestore.FieldValue.increment(pointsAwarded),
-        lastUpdated: admin.firestore.FieldValue.serverTimestamp()
-      };
-      
-      if (!supporters.includes(userId)) {
-        updates.supporters = admin.firestore.FieldValue.arrayUnion(userId);
-        updates.supporterCount = admin.firestore.FieldValue.increment(1);
-      }
-      
-      transaction.update(leaderboardRef, updates);
-    }
-    
-    // Update user stats
-    transaction.update(userRef, {
-      totalGamesPlayed: admin.firestore.FieldValue.increment(1),
-      totalPointsEarned: admin.firestore.FieldValue.increment(pointsAwarded)
-    });
-  });
-  
-  // Mark session as used
-  await sessionDoc.ref.update({ used: true });
-  
-  // Record result
-  await db.collection('gameResults').add({
-    userId,
-    sessionId,
-    cycleId,
-    gameType: session.gameType,
-    pointsAwarded,
-    timeTaken,
-    completedAt: admin.firestore.FieldValue.serverTimestamp(),
-    validated: true,
-    tippedToCreator: creatorId
-  });
-  
-  return { success: true, pointsAwarded, creatorId };
-});
 
-// Helper function to calculate winner for a cycle
-async function calculateWinnerForCycle(cycleId) {
-  // Get all leaderboard entries for the cycle
-  const leaderboardSnapshot = await db.collection('cycles')
-    .doc(cycleId)
-    .collection('leaderboard')
-    .orderBy('totalPoints', 'desc')
-    .orderBy('firstToReachCurrentScore', 'asc')
-    .limit(1)
-    .get();
-  
-  if (leaderboardSnapshot.empty) {
-    console.log('No entries for cycle:', cycleId);
-    return { success: false, message: 'No entries for this cycle' };
-  }
-  
-  const winnerDoc = leaderboardSnapshot.docs[0];
-  const winnerData = winnerDoc.data();
-  const winnerId = winnerData.creatorId;
-  
-  // Get winner's user profile
-  const winnerProfile = await db.collection('users').doc(winnerId).get();
-  const profile = winnerProfile.data();
-  
-  // Record winner
-  await db.collection('cycleWinners').doc(cycleId).set({
-    winnerId,
-    winnerName: profile.displayName || 'Unknown',
-    winnerPhotoURL: profile.photoURL || '',
-    promotionalURL: profile.promotionalURL || '',
-    finalScore: winnerData.totalPoints,
-    supporterCount: winnerData.supporterCount,
-    firstToReachScore: winnerData.firstToReachCurrentScore,
-    announcedAt: admin.firestore.FieldValue.serverTimestamp(),
-    cycleStartTime: admin.firestore.Timestamp.fromDate(new Date(cycleId.replace('-18:00', 'T18:00:00-06:00'))),
-    cycleEndTime: admin.firestore.FieldValue.serverTimestamp()
-  });
-  
-  console.log('Winner calculated for cycle:', cycleId, 'Winner:', winnerId);
-  return { success: true, cycleId, winnerId, winnerName: profile.displayName };
-}
+  const snapshot = await winnersQuery.limit(pageSize + 1).get();
+  const docs = snapshot.docs.slice(0, pageSize);
 
-// Function 3: Calculate Cycle Winner (run at 6pm CST daily)
-exports.calculateCycleWinner = functions.pubsub.schedule('0 18 * * *')
-  .timeZone('America/Chicago')
-  .onRun(async (context) => {
-    // Get the cycle that is ending RIGHT NOW (current cycle ID at 6pm)
-    const currentCycleId = getCycleId(0);
-    await calculateWinnerForCycle(currentCycleId);
-    return null;
-  });
+  return {
+    maxAge: API_CACHE_SECONDS.winners,
+    body: {
+      winners: docs.map((doc) => {
+        const winner = doc.data();
+        return {
+          cycleId: doc.id,
+          creatorId: winner.winnerId,
+          name: winner.winnerName,
+          photoURL: winner.winnerPhotoURL || "",
+          finalScore: winner.finalScore || 0,
+          supporterCount: winner.supporterCount || 0,
+          tieBrokenByTime: !!winner.tieBrokenByTime,
+          sharedFirstPlace: !!winner.sharedFirstPlace,
+          cycleStartTime: toIsoString(winner.cycleStartTime),
+          cycleEndTime: toIsoString(winner.cycleEndTime),
+        };
+      }),
+      nextCursor: snapshot.size > pageSize ?
+        encodeCursor([docs[docs.length - 1].id]) :
+        null,
+    },
+  };
+};
 
-// Manual trigger function for admin use
-exports.manualCalculateWinner = functions.https.onCall(async (data, context) => {
-  // Optional: Add admin check here
-  const cycleId = data.cycleId || getCycleId(0);
-  return await calculateWinnerForCycle(cycleId);
-});
+// GET /v1/creators/{creatorId} - a creator's public profile and Hall of Fame
+// stats
+const apiGetCreator = async (req, creatorId) => {
+  const [profileSnap, statsSnap] = await Promise.all([
+    db.collection("users").doc(creatorId).get(),
+    db.collection("creatorStats").doc(creatorId).get(),
+  ]);
+  const profile = profileSnap.exists ? profileSnap.data() : null;
+  if (!isCreatorProfile(profile)) {
+    throw new functions.https.HttpsError(
+        "not-found",
+        `Creator ${creatorId} not found`,
+    );
+  }
 
-// Manual trigger for pity points (admin use)
-exports.manualAwardPityPoints = functions.https.onCall(async (data, context) => {
-  const cycleId = data.cycleId || getCycleId(0);
-  
-  // Get winner data
-  const winnerSnap = await db.collection('cycleWinners').doc(cycleId).get();
-  if (!winnerSnap.exists) {
-    throw new functions.https.HttpsError('not-found', 'Winner not found for this cycle');
-  }
-  
-  const winnerData = winnerSnap.data();
-  const winnerId = winnerData.winnerId;
-  
-  // Get all picks for this cycle where user didn't pick the winner
-  const picksSnapshot = await db.collection('cycles')
-    .doc(cycleId)
-    .collection('picks')
-    .where('creatorId', '!=', winnerId)
-    .get();
-  
-  const batch = db.batch();
-  let count = 0;
-  
-  picksSnapshot.forEach((doc) => {
-    const userId = doc.id;
-    const pickData = doc.data();
-    
-    const pityPointRef = db.collection('cycles')
-      .doc(cycleId)
-      .collection('pityPointsEligible')
-      .doc(userId);
-    
-    batch.set(pityPointRef, {
-      userId,
-      eligibleForPityPoint: true,
-      clickedWinnerLink: false,
-      winnerId,
-      theirCreatorId: pickData.creatorId
-    });
-    count++;
-  });
-  
-  await batch.commit();
-  
+  const creatorProfile = profile.creatorProfile || {};
+  const stats = statsSnap.exists ? statsSnap.data() : {};
   return {
-    success: true,
-    cycleId,
-    eligibleUsers: count,
-    message: `Pity point eligibility set for ${count} users`
+    maxAge: API_CACHE_SECONDS.creator,
+    body: {
+      creatorId,
+      name: profile.displayName || "Unknown",
+      photoURL: profile.photoURL || "",
+      platform: creatorProfile.platform || "",
+      contentType: creatorProfile.contentType || "",
+      bio: creatorProfile.bio || "",
+      channelUrl: creatorProfile.channelUrl || "",
+      promotionalUrl: creatorProfile.promotionalUrl ||
+        profile.promotionalURL ||
+        "",
+      stats: {
+        wins: stats.wins || 0,
+        currentWinStreak: stats.currentWinStreak || 0,
+        longestWinStreak: stats.longestWinStreak || 0,
+        lastWinCycleId: stats.lastWinCycleId || null,
+      },
+    },
   };
-});
+};
 
-// Function 4: Award Pity Points (run after winner calculation)
-exports.awardPityPoints = functions.firestore
-  .document('cycleWinners/{cycleId}')
-  .onCreate(async (snap, context) => {
-    const cycleId = context.params.cycleId;
-    const winnerData = snap.data();
-    const winnerId = winnerData.winnerId;
-    
-    // Get all picks for this cycle
-    const picksSnapshot = await db.collection('cycles')
-      .doc(cycleId)
-      .collection('picks')
-      .where('creatorId', '!=', winnerId)
-      .get();
-    
-    const batch = db.batch();
-    
-    picksSnapshot.forEach((doc) => {
-      const userId = doc.id;
-      const pickData = doc.data();
-      
-      const pityPointRef = db.collection('cycles')
-        .doc(cycleId)
-        .collection('pityPointsEligible')
-        .doc(userId);
-      
-      batch.set(pityPointRef, {
-        userId,
-        eligibleForPityPoint: true,
-        clickedWinnerLink: false,
-        winnerId,
-        theirCreatorId: pickData.creatorId
-      });
-    });
-    
-    await batch.commit();
-    console.log('Pity point eligibility tracked for cycle:', cycleId);
-  });
+const decodeRouteParam = (param) => {
+  try {
+    return decodeURIComponent(param);
+  } catch (error) {
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        `Invalid path segment: ${param}`,
+    );
+  }
+};
 
-// Function 5: Apply Pity Points to Next Cycle
-exports.applyPityPoints = functions.https.onCall(async (data, context) => {
-  if (!context.auth) {
-    throw new functions.https.HttpsError('unauthenticated', 'Must be signed in');
+const API_ROUTES = [
+  [/^\/leaderboard$/, apiGetLeaderboard],
+  [/^\/cycles\/([^/]+)$/, apiGetCycle],
+  [/^\/winners$/, apiGetWinners],
+  [/^\/creators\/([^/]+)$/, apiGetCreator],
+];
+
+exports.api = functions.https.onRequest(async (req, res) => {
+  // Community sites call this straight from the browser
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Access-Control-Allow-Headers", "X-API-Key");
+  if (req.method === "OPTIONS") {
+    res.set("Access-Control-Allow-Methods", "GET");
+    res.status(204).send("");
+    return;
   }
-  
-  const { previousCycleId, winnerId } = data;
-  const userId = context.auth.uid;
-  
-  // Verify pity point exists
-  const pityPointDoc = await db.collection('cycles')
-    .doc(previousCycleId)
-    .collection('pityPoints')
-    .doc(userId)
-    .get();
-  
-  if (!pityPointDoc.exists) {
-    throw new functions.https.HttpsError('not-found', 'No pity point found');
-  }
-  
-  const pityPoint = pityPointDoc.data();
-  
-  if (pityPoint.appliedToNextCycle) {
-    throw new functions.https.HttpsError('already-exists', 'Pity point already applied');
-  }
-  
-  const currentCycleId = getCycleId();
-  
-  // Get user's current pick
-  const currentPickDoc = await db.collection('cycles')
-    .doc(currentCycleId)
-    .collection('picks')
-    .doc(userId)
-    .get();
-  
-  if (!currentPickDoc.exists) {
-    throw new functions.https.HttpsError('failed-precondition', 'Must pick a creator in current cycle first');
-  }
-  
-  const currentPick = currentPickDoc.data();
-  const currentCreatorId = currentPick.creatorId;
-  
-  // Apply pity point
-  await db.runTransaction(async (transaction) => {
-    const leaderboardRef = db.collection('cycles')
-      .doc(currentCycleId)
-      .collection('leaderboard')
-      .doc(currentCreatorId);
-    
-    const bonusRef = db.collection('cycles')
-      .doc(currentCycleId)
-      .collection('startingBonuses')
-      .doc(currentCreatorId);
-    
-    const pityRef = pityPointDoc.ref;
-    
-    // Update leaderboard
-    transaction.update(leaderboardRef, {
-      totalPoints: admin.firestore.FieldValue.increment(1)
-    });
-    
-    // Record bonus
-    const bonusDoc = await transaction.get(bonusRef);
-    if (!bonusDoc.exists) {
-      transaction.set(bonusRef, {
-        creatorId: currentCreatorId,
-        pityPointsReceived: 1,
-        fromSupporters: [userId]
-      });
-    } else {
-      transaction.update(bonusRef, {
-        pityPointsReceived: admin.firestore.FieldValue.increment(1),
-        fromSupporters: admin.firestore.FieldValue.arrayUnion(userId)
+
+  try {
+    if (req.method !== "GET") {
+      res.set("Allow", "GET");
+      res.status(405).json({
+        error: {code: "method-not-allowed", message: "Only GET is supported"},
       });
+      return;
     }
-    
-    // Mark pity point as applied
-    transaction.update(pityRef, {
-      appliedToNextCycle: true,
-      clickedWinnerLink: true,
-      clickedAt: admin.firestore.FieldValue.serverTimestamp()
-    });
-  });
-  
-  return { success: true, pointsApplied: 1, toCreator: currentCreatorId };
-});
 
-// Function 6.5: Click Winner Link (with pity point)
-exports.clickWinnerLink = functions.https.onCall(async (data, context) => {
-  if (!context.auth) {
-    throw new functions.https.HttpsError('unauthenticated', 'Must be signed in');
-  }
-  
-  const { cycleId, winnerUrl } = data;
-  const userId = context.auth.uid;
-  
-  // Check if user is eligible for pity point
-  const eligibilityRef = db.collection('cycles')
-    .doc(cycleId)
-    .collection('pityPointsEligible')
-    .doc(userId);
-  
-  const eligibilityDoc = await eligibilityRef.get();
-  
-  if (!eligibilityDoc.exists) {
-    // User is not eligible (maybe they picked the winner)
-    return { success: true, pityPointApplied: false, message: 'Not eligible for pity point' };
-  }
-  
-  const eligibilityData = eligibilityDoc.data();
-  
-  if (!eligibilityData.eligibleForPityPoint) {
-    return { success: true, pityPointApplied: false, message: 'Not eligible for pity point' };
-  }
-  
-  if (eligibilityData.clickedWinnerLink) {
-    return { success: true, pityPointApplied: false, message: 'Already claimed pity point' };
-  }
-  
-  // Get user's current pick to apply the pity point
-  const userPickRef = db.collection('cycles')
-    .doc(cycleId)
-    .collection('picks')
-    .doc(userId);
-  
-  const userPickDoc = await userPickRef.get();
-  
-  if (!userPickDoc.exists) {
-    return { success: true, pityPointApplied: false, message: 'No creator pick found' };
-  }
-  
-  const creatorId = userPickDoc.data().creatorId;
-  
-  // Apply pity point to the leaderboard
-  await db.runTransaction(async (transaction) => {
-    const leaderboardRef = db.collection('cycles')
-      .doc(cycleId)
-      .collection('leaderboard')
-      .doc(creatorId);
-    
-    // Update leaderboard
-    transaction.update(leaderboardRef, {
-      totalPoints: admin.firestore.FieldValue.increment(1)
-    });
-    
-    // Update user's pick points
-    transaction.update(userPickRef, {
-      pointsEarned: admin.firestore.FieldValue.increment(1)
-    });
-    
-    // Mark as clicked
-    transaction.update(eligibilityRef, {
-      clickedWinnerLink: true,
-      clickedAt: admin.firestore.FieldValue.serverTimestamp()
-    });
-  });
-  
-  return { success: true, pityPointApplied: true, pointsAwarded: 1 };
-});
+    // Through Hosting the path keeps its /api prefix; called directly it
+    // doesn't
+    const path = req.path.replace(/^\/api(?=\/)/, "");
+    const versionPrefix = `/${API_VERSION}`;
+    const route = path.startsWith(`${versionPrefix}/`) ?
+      path.slice(versionPrefix.length) :
+      null;
 
-// Function 7: Track Referral Click
-exports.trackReferralClick = functions.https.onCall(async (data, context) => {
-  const { creatorId } = data;
-  
-  if (!creatorId) {
-    throw new functions.https.HttpsError('invalid-argument', 'Creator ID required');
-  }
-  
-  // Rate limit referral clicks (even for anonymous users)
-  // Use IP address or user ID for tracking
-  const identifier = context.auth ? context.auth.uid : context.rawRequest.ip;
-  await checkRateLimit(identifier, `referralClick_${creatorId}`, 10, 60);
-  
-  try {
-    // Increment referral click count in creator's profile
-    await db.collection('users').doc(creatorId).update({
-      'creatorProfile.referralClicks': admin.firestore.FieldValue.increment(1)
-    });
-    
-    // Log the referral event
-    await db.collection('referralClicks').add({
-      creatorId,
-      clickedBy: context.auth ? context.auth.uid : 'anonymous',
-      timestamp: admin.firestore.FieldValue.serverTimestamp()
-    });
-    
-    return { success: true };
+    if (route === "/openapi.json") {
+      res.set("Cache-Control", `public, max-age=${API_CACHE_SECONDS.final}`);
+      res.json(openApiSpec);
+      return;
+    }
+
+    const matched = route && API_ROUTES
+        .map(([pattern, handler]) => [pattern.exec(route), handler])
+        .find(([match]) => match);
+    if (!matched) {
+      throw new functions.https.HttpsError(
+          "not-found",
+          `Unknown route: ${req.path}`,
+      );
+    }
+
+    await authenticateApiKey(req);
+
+    const [match, handler] = matched;
+    const {
+      body,
+      maxAge,
+    } = await handler(req, ...match.slice(1).map(decodeRouteParam));
+    // private so a shared cache can't hand responses to callers without a key.
+    // Express adds an ETag, so revalidating clients get a 304 when nothing
+    // changed.
+    res.set("Cache-Control", `private, max-age=${maxAge}`);
+    res.json(body);
   } catch (error) {
-    console.error('Error tracking referral:', error);
-    throw new functions.https.HttpsError('internal', 'Failed to track referral');
+    if (error instanceof functions.https.HttpsError) {
+      const status = API_ERROR_STATUS[error.code] || 400;
+      if (status === 429) res.set("Retry-After", "60");
+      res.status(status).json({
+        error: {code: error.code, message: error.message},
+      });
+      return;
+    }
+    console.error("API error:", error);
+    res.status(500).json({
+      error: {code: "internal", message: "Internal error"},
+    });
   }
 });
 
 // Function 8: Get Twitch Channel Data (Server-side OAuth)
-exports.getTwitchChannelData = functions.https.onCall(async (data, context) => {
-  const { channelUrl } = data;
-  
-  if (!channelUrl) {
-    throw new functions.https.HttpsError('invalid-argument', 'Channel URL required');
-  }
-  
-  // Rate limit: 5 Twitch lookups per 10 minutes (even anonymous users can't spam)
-  const identifier = context.auth ? context.auth.uid : context.rawRequest.ip;
-  await checkRateLimit(identifier, 'getTwitchChannelData', 5, 10);
-  
+/**
+ * Look up a Twitch channel's public profile - also used to check verification
+ * codes.
+ * @param {string} channelUrl Twitch channel URL.
+ * @return {Promise<Object>} The channel's public profile.
+ */
+async function fetchTwitchChannel(channelUrl) {
   try {
     // Get Twitch credentials from environment variables
     const clientId = process.env.TWITCH_CLIENT_ID;
     const clientSecret = process.env.TWITCH_CLIENT_SECRET;
-    
+
     if (!clientId || !clientSecret) {
-      console.error('Twitch API credentials not configured');
-      throw new functions.https.HttpsError('failed-precondition', 'Twitch API not configured');
+      console.error("Twitch API credentials not configured");
+      throw new functions.https.HttpsError(
+          "failed-precondition",
+          "Twitch API not configured",
+      );
     }
 
     // Extract username from Twitch URL
-    const usernameMatch = channelUrl.match(/twitch\.tv\/([^\/\?]+)/i);
+    const usernameMatch = channelUrl.match(/twitch\.tv\/([^/?]+)/i);
     if (!usernameMatch) {
-      throw new functions.https.HttpsError('invalid-argument', 'Invalid Twitch URL format');
+      throw new functions.https.HttpsError(
+          "invalid-argument",
+          "Invalid Twitch URL format",
+      );
     }
     const username = usernameMatch[1];
 
     // Get OAuth token
-    const tokenResponse = await fetch('https://id.twitch.tv/oauth2/token', {
-      method: 'POST',
+    const tokenResponse = await fetch("https://id.twitch.tv/oauth2/token", {
+      method: "POST",
       headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
+        "Content-Type": "application/x-www-form-urlencoded",
       },
-      body: `client_id=${clientId}&client_secret=${clientSecret}&grant_type=client_credentials`
+      body: `client_id=${clientId}&client_secret=${clientSecret}` +
+        "&grant_type=client_credentials",
     });
 
     if (!tokenResponse.ok) {
-      throw new functions.https.HttpsError('internal', 'Failed to get Twitch OAuth token');
+      throw new functions.https.HttpsError(
+          "internal",
+          "Failed to get Twitch OAuth token",
+      );
     }
 
     const tokenData = await tokenResponse.json();
@@ -642,74 +3855,101 @@ exports.getTwitchChannelData = functions.https.onCall(async (data, context) => {
     // Get user data
     const userResponse = await fetch(`https://api.twitch.tv/helix/users?login=${username}`, {
       headers: {
-        'Client-ID': clientId,
-        'Authorization': `Bearer ${accessToken}`
-      }
+        "Client-ID": clientId,
+        "Authorization": `Bearer ${accessToken}`,
+      },
     });
 
     if (!userResponse.ok) {
-      throw new functions.https.HttpsError('internal', 'Failed to fetch Twitch user data');
+      throw new functions.https.HttpsError(
+          "internal",
+          "Failed to fetch Twitch user data",
+      );
     }
 
     const userData = await userResponse.json();
 
     if (!userData.data || userData.data.length === 0) {
-      throw new functions.https.HttpsError('not-found', 'Twitch channel not found');
+      throw new functions.https.HttpsError(
+          "not-found",
+          "Twitch channel not found",
+      );
     }
 
     const user = userData.data[0];
-    
+
     return {
       success: true,
       displayName: user.display_name,
       photoURL: user.profile_image_url,
-      description: user.description || ''
+      description: user.description || "",
+      channelId: user.id,
     };
   } catch (error) {
-    console.error('Error fetching Twitch data:', error);
+    console.error("Error fetching Twitch data:", error);
     if (error instanceof functions.https.HttpsError) {
       throw error;
     }
-    throw new functions.https.HttpsError('internal', 'Failed to fetch Twitch channel data');
+    throw new functions.https.HttpsError(
+        "internal",
+        "Failed to fetch Twitch channel data",
+    );
   }
-});
+}
+
+exports.getTwitchChannelData = functions.https.onCall(async (data, context) => {
+  const {channelUrl} = requireData(data);
 
-// Function 9: Get YouTube Channel Data (Server-side API)
-exports.getYouTubeChannelData = functions.https.onCall(async (data, context) => {
-  const { channelUrl } = data;
-  
   if (!channelUrl) {
-    throw new functions.https.HttpsError('invalid-argument', 'Channel URL required');
+    throw new functions.https.HttpsError(
+        "invalid-argument",
+        "Channel URL required",
+    );
   }
-  
-  // Rate limit: 5 YouTube lookups per 10 minutes
+
+  // Rate limit: 5 Twitch lookups per 10 minutes (even anonymous users can't
+  // spam)
   const identifier = context.auth ? context.auth.uid : context.rawRequest.ip;
-  await checkRateLimit(identifier, 'getYouTubeChannelData', 5, 10);
-  
+  await checkRateLimit(identifier, "getTwitchChannelData", 5, 10);
+
+  return fetchTwitchChannel(channelUrl);
+});
+
+// Function 9: Get YouTube Channel Data (Server-side API)
+/**
+ * Look up a YouTube channel's public profile - also used to check verification
+ * codes.
+ * @param {string} channelUrl YouTube channel URL.
+ * @return {Promise<Object>} The channel's public profile.
+ */
+async function fetchYouTubeChannel(channelUrl) {
   try {
     // Get YouTube API key from environment variables
     const apiKey = process.env.YOUTUBE_API_KEY;
-    
+
     if (!apiKey) {
-      console.error('YouTube API key not configured');
-      throw new functions.https.HttpsError('failed-precondition', 'YouTube API not configured');
+      console.error("YouTube API key not configured");
+      throw new functions.https.HttpsError(
+          "failed-precondition",
+          "YouTube API not configured",
+      );
     }
 
     // Extract channel ID or username from URL
     let channelId = null;
     let username = null;
 
-    const handleMatch = channelUrl.match(/youtube\.com\/@([^\/\?]+)/i);
+    const handleMatch = channelUrl.match(/youtube\.com\/@([^/?]+)/i);
     if (handleMatch) {
       username = handleMatch[1];
     }
 
-    const channelMatch = channelUrl.match(/youtube\.com\/channel\/([^\/\?]+)/i);
+    const channelMatch = channelUrl.match(/youtube\.com\/channel\/([^/?]+)/i);
     if (channelMatch) {
       channelId = channelMatch[1];
     }
 
-    const customMatch = channelUrl.match(/youtube\.com\/c\/([^\/\?]+)/i);
+    const customMatch = channelUrl.match(/youtube\.com\/c\/([^/?]+)/i);
     if (customMatch) {
       username = customMatch[1];
     }
@@ -720,137 +3960,305 @@ exports.getYouTubeChannelData = functions.https.onCall(async (data, context) =>
     } else if (username) {
       apiUrl = `https://www.googleapis.com/youtube/v3/channels?part=snippet,statistics&forHandle=${username}&key=${apiKey}`;
     } else {
-      throw new functions.https.HttpsError('invalid-argument', 'Invalid YouTube URL format');
+      throw new functions.https.HttpsError(
+          "invalid-argument",
+          "Invalid YouTube URL format",
+      );
     }
 
     const response = await fetch(apiUrl);
-    
+
     if (!response.ok) {
-      throw new functions.https.HttpsError('internal', 'Failed to fetch YouTube data');
+      throw new functions.https.HttpsError(
+          "internal",
+          "Failed to fetch YouTube data",
+      );
     }
 
     const data = await response.json();
 
     if (!data.items || data.items.length === 0) {
-      throw new functions.https.HttpsError('not-found', 'YouTube channel not found');
+      throw new functions.https.HttpsError(
+          "not-found",
+          "YouTube channel not found",
+      );
     }
 
     const channel = data.items[0];
-    
+
     return {
       success: true,
       displayName: channel.snippet.title,
-      photoURL: channel.snippet.thumbnails.medium?.url || channel.snippet.thumbnails.default?.url,
-      description: channel.snippet.description || '',
-      subscriberCount: channel.statistics.subscriberCount || '0',
-      channelId: channel.id
+      photoURL: channel.snippet.thumbnails.medium?.url ||
+        channel.snippet.thumbnails.default?.url,
+      description: channel.snippet.description || "",
+      subscriberCount: channel.statistics.subscriberCount || "0",
+      channelId: channel.id,
     };
   } catch (error) {
-    console.error('Error fetching YouTube data:', error);
+    console.error("Error fetching YouTube data:", error);
     if (error instanceof functions.https.HttpsError) {
       throw error;
     }
-    throw new functions.https.HttpsError('internal', 'Failed to fetch YouTube channel data');
+    throw new functions.https.HttpsError(
+        "internal",
+        "Failed to fetch YouTube channel data",
+    );
   }
-});
+}
+
+exports.getYouTubeChannelData = functions.https.onCall(
+    async (data, context) => {
+      const {channelUrl} = requireData(data);
+
+      if (!channelUrl) {
+        throw new functions.https.HttpsError(
+            "invalid-argument",
+            "Channel URL required",
+        );
+      }
+
+      // Rate limit: 5 YouTube lookups per 10 minutes
+      const identifier =
+        context.auth ? context.auth.uid : context.rawRequest.ip;
+      await checkRateLimit(identifier, "getYouTubeChannelData", 5, 10);
+
+      return fetchYouTubeChannel(channelUrl);
+    });
+
+// Function 9.5: Channel ownership verification (see
+// src/shared/verification.js). Codes are
+// kept in channelVerifications/{creatorId} until confirmed or expired.
+exports.startChannelVerification = functions.https.onCall(
+    async (data, context) => {
+      const creatorId = await requireCreator(context);
+
+      const [userSnap, policy] = await Promise.all([
+        db.collection("users").doc(creatorId).get(),
+        getVerificationPolicy(),
+      ]);
+      const profile = userSnap.data();
+      const channelUrl = profile.creatorProfile?.channelUrl;
+      const platform = getChannelPlatform(channelUrl);
+      if (!platform) {
+        throw new functions.https.HttpsError(
+            "failed-precondition",
+            "Add a YouTube or Twitch channel URL to your profile first",
+        );
+      }
+      if (isChannelVerified(profile)) {
+        throw new functions.https.HttpsError(
+            "already-exists",
+            "Your channel is already verified",
+        );
+      }
+
+      // Reuse a pending code for the same channel, so a code already pasted
+      // keeps working
+      const pendingRef = db.collection("channelVerifications").doc(creatorId);
+      const pendingSnap = await pendingRef.get();
+      const pending = pendingSnap.exists ? pendingSnap.data() : null;
+      if (pending && pending.channelUrl === channelUrl &&
+          pending.expiresAt.toMillis() > Date.now()) {
+        return {
+          code: pending.code,
+          platform,
+          channelUrl,
+          expiresAt: pending.expiresAt.toMillis(),
+        };
+      }
+
+      await checkRateLimit(creatorId, "startChannelVerification", 5, 60);
+
+      const code = VERIFICATION_CODE_PREFIX +
+        crypto.randomBytes(4).toString("hex");
+      const expiresAt =
+        admin.firestore.Timestamp.fromMillis(getVerificationCodeExpiry(policy));
+      await pendingRef.set({
+        creatorId,
+        code,
+        channelUrl,
+        platform,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        expiresAt,
+      });
+
+      return {code, platform, channelUrl, expiresAt: expiresAt.toMillis()};
+    });
+
+exports.confirmChannelVerification = functions.https.onCall(
+    async (data, context) => {
+      const creatorId = await requireCreator(context);
+
+      // Each check is a YouTube or Twitch API call
+      await checkRateLimit(creatorId, "confirmChannelVerification", 10, 60);
+
+      const userRef = db.collection("users").doc(creatorId);
+      const pendingRef = db.collection("channelVerifications").doc(creatorId);
+      const [userSnap, pendingSnap] = await Promise.all([
+        userRef.get(),
+        pendingRef.get(),
+      ]);
+
+      const pending = pendingSnap.exists ? pendingSnap.data() : null;
+      if (!pending || pending.expiresAt.toMillis() < Date.now()) {
+        throw new functions.https.HttpsError(
+            "failed-precondition",
+            "No verification code pending - get a new code",
+        );
+      }
+      if (pending.channelUrl !== userSnap.data().creatorProfile?.channelUrl) {
+        throw new functions.https.HttpsError(
+            "failed-precondition",
+            "Your channel URL changed - get a new code for the new channel",
+        );
+      }
+
+      const channel = pending.platform === "youtube" ?
+        await fetchYouTubeChannel(pending.channelUrl) :
+        await fetchTwitchChannel(pending.channelUrl);
+
+      if (!channel.description.toLowerCase().includes(pending.code)) {
+        const where = pending.platform === "youtube" ?
+          "channel description" :
+          "Twitch bio";
+        throw new functions.https.HttpsError(
+            "not-found",
+            `Code not found in your ${where} yet - ` +
+            "changes can take a few minutes to show up",
+        );
+      }
+
+      const channelVerification = {
+        channelUrl: pending.channelUrl,
+        platform: pending.platform,
+        channelId: channel.channelId || null,
+        channelName: channel.displayName || null,
+        verifiedAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
+      await userRef.update({channelVerification});
+      await pendingRef.delete();
+
+      console.log(
+          "Channel verified:",
+          creatorId,
+          pending.platform,
+          pending.channelUrl,
+      );
+      return {
+        success: true,
+        platform: pending.platform,
+        channelName: channelVerification.channelName,
+      };
+    });
 
 // Function 6: Clean Up Old Sessions (run hourly)
-exports.cleanupExpiredSessions = functions.pubsub.schedule('0 * * * *')
-  .onRun(async (context) => {
-    const now = admin.firestore.Timestamp.now();
-    
-    const expiredSessions = await db.collection('gameSessions')
-      .where('expiresAt', '<', now)
-      .where('used', '==', false)
-      .get();
-    
-    const batch = db.batch();
-    expiredSessions.forEach((doc) => {
-      batch.delete(doc.ref);
+exports.cleanupExpiredSessions = functions.pubsub.schedule("0 * * * *")
+    .onRun(async (context) => {
+      const now = admin.firestore.Timestamp.now();
+
+      const expiredSessions = await db.collection("gameSessions")
+          .where("expiresAt", "<", now)
+          .where("used", "==", false)
+          .get();
+
+      const batch = db.batch();
+      expiredSessions.forEach((doc) => {
+        batch.delete(doc.ref);
+      });
+
+      await batch.commit();
+      console.log("Cleaned up", expiredSessions.size, "expired sessions");
+      return null;
     });
-    
-    await batch.commit();
-    console.log('Cleaned up', expiredSessions.size, 'expired sessions');
-    return null;
-  });
 
 // Function 7: Send Winner Notifications
 exports.sendWinnerNotifications = functions.firestore
-  .document('cycleWinners/{cycleId}')
-  .onCreate(async (snap, context) => {
-    const cycleId = context.params.cycleId;
-    const winnerData = snap.data();
-    const winnerId = winnerData.winnerId;
-    const winnerName = winnerData.winnerName;
-    const finalScore = winnerData.finalScore;
-
-    try {
+    .document("cycleWinners/{cycleId}")
+    .onCreate(async (snap, context) => {
+      const cycleId = context.params.cycleId;
+      const winnerData = snap.data();
+      const winnerId = winnerData.winnerId;
+      const winnerName = winnerData.winnerName;
+      const finalScore = winnerData.finalScore;
+
+      try {
       // Get all users who participated in this cycle
-      const picksSnapshot = await db.collection('cycles')
-        .doc(cycleId)
-        .collection('picks')
-        .get();
+        const picksSnapshot = await db.collection("cycles")
+            .doc(cycleId)
+            .collection("picks")
+            .get();
 
-      const notifications = [];
+        const notifications = [];
 
-      for (const pickDoc of picksSnapshot.docs) {
-        const userId = pickDoc.id;
-        const pickData = pickDoc.data();
-        const userPickedWinner = pickData.creatorId === winnerId;
+        for (const pickDoc of picksSnapshot.docs) {
+          const userId = pickDoc.id;
+          const pickData = pickDoc.data();
+          const userPickedWinner = pickData.creatorId === winnerId;
 
-        // Get user's FCM token
-        const userDoc = await db.collection('users').doc(userId).get();
-        if (!userDoc.exists || !userDoc.data().fcmToken) {
-          continue; // Skip users without FCM token
-        }
+          // Get user's FCM token
+          const userDoc = await db.collection("users").doc(userId).get();
+          if (!userDoc.exists || !userDoc.data().fcmToken) {
+            continue; // Skip users without FCM token
+          }
 
-        const fcmToken = userDoc.data().fcmToken;
+          const fcmToken = userDoc.data().fcmToken;
 
-        // Customize message based on whether they picked the winner
-        let title, body;
-        if (userPickedWinner) {
-          title = '🎉 You Picked the Winner!';
-          body = `${winnerName} won with ${finalScore} points! Great choice!`;
-        } else {
-          title = '🏆 Daily Winner Announced!';
-          body = `${winnerName} won with ${finalScore} points. Claim your pity point!`;
-        }
+          // Customize message based on whether they picked the winner
+          let title; let body;
+          if (userPickedWinner) {
+            title = "🎉 You Picked the Winner!";
+            body = `${winnerName} won with ${finalScore} points! Great choice!`;
+          } else {
+            title = "🏆 Daily Winner Announced!";
+            body = `${winnerName} won with ${finalScore} points. ` +
+              "Claim your pity point!";
+          }
 
-        // Send notification
-        const message = {
-          notification: {
-            title,
-            body,
-          },
-          data: {
-            type: 'winner_announced',
-            cycleId,
-            winnerId,
-            userPickedWinner: userPickedWinner.toString()
-          },
-          token: fcmToken
-        };
+          // Send notification
+          const message = {
+            notification: {
+              title,
+              body,
+            },
+            data: {
+              type: "winner_announced",
+              cycleId,
+              winnerId,
+              userPickedWinner: userPickedWinner.toString(),
+            },
+            token: fcmToken,
+          };
 
-        notifications.push(
-          admin.messaging().send(message).catch(error => {
-            console.error('Error sending notification to', userId, ':', error);
-            // If token is invalid, remove it
-            if (error.code === 'messaging/invalid-registration-token' ||
-                error.code === 'messaging/registration-token-not-registered') {
-              return db.collection('users').doc(userId).update({
-                fcmToken: admin.firestore.FieldValue.delete()
-              });
-            }
-          })
+          notifications.push(
+              admin.messaging().send(message).catch((error) => {
+                console.error(
+                    "Error sending notification to",
+                    userId,
+                    ":",
+                    error,
+                );
+                // If token is invalid, remove it
+                if (error.code === "messaging/invalid-registration-token" ||
+                error.code === "messaging/registration-token-not-registered") {
+                  return db.collection("users").doc(userId).update({
+                    fcmToken: admin.firestore.FieldValue.delete(),
+                  });
+                }
+              }),
+          );
+        }
+
+        await Promise.all(notifications);
+        console.log(
+            `Sent ${notifications.length} winner notifications ` +
+            `for cycle ${cycleId}`,
         );
-      }
 
-      await Promise.all(notifications);
-      console.log(`Sent ${notifications.length} winner notifications for cycle ${cycleId}`);
-      
-      return null;
-    } catch (error) {
-      console.error('Error sending winner notifications:', error);
-      return null;
-    }
-  });
+
+        return null;
+      } catch (error) {
+        console.error("Error sending winner notifications:", error);
+        return null;
+      }
+    });
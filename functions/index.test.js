@@ -0,0 +1,537 @@
+const assert = require("assert");
+const {describe, it, before, after} = require("node:test");
+const admin = require("firebase-admin");
+const functionsTest = require("firebase-functions-test")();
+const {normalizeSchedule, getCycle} = require("./shared/cycles");
+
+const {FieldValue, FieldPath, Timestamp} = admin.firestore;
+
+// Resolve one written value against what the field held before, applying
+// increment, serverTimestamp, arrayUnion and delete the way Firestore does
+const resolveValue = (previous, value) => {
+  switch (value && value.constructor.name) {
+    case "NumericIncrementTransform":
+      return (previous || 0) + value.operand;
+    case "ServerTimestampTransform":
+      return Timestamp.now();
+    case "ArrayUnionTransform":
+      return [...new Set([...(previous || []), ...value.elements])];
+    case "DeleteTransform":
+      return undefined;
+    case "Object":
+      return mergeFields(previous || {}, value);
+    default:
+      return value;
+  }
+};
+
+const mergeFields = (previous, updates) => {
+  const next = {...previous};
+  Object.entries(updates).forEach(([field, value]) => {
+    const resolved = resolveValue(next[field], value);
+    if (resolved === undefined) {
+      delete next[field];
+    } else {
+      next[field] = resolved;
+    }
+  });
+  return next;
+};
+
+// In-memory Firestore with the document, transaction and batch calls the
+// triggers under test make. Documents are kept by path.
+const createFirestore = () => {
+  const docs = new Map();
+  let autoId = 0;
+
+  const docRef = (path) => ({
+    id: path.split("/").pop(),
+    path,
+    collection: (name) => collectionRef(`${path}/${name}`),
+    get: async () => ({
+      id: path.split("/").pop(),
+      exists: docs.has(path),
+      ref: docRef(path),
+      data: () => docs.get(path),
+    }),
+    set: async (data, {merge = false} = {}) => {
+      docs.set(path, mergeFields(merge ? docs.get(path) || {} : {}, data));
+    },
+    update: async (data) => {
+      if (!docs.has(path)) {
+        throw new Error(`No document to update: ${path}`);
+      }
+      docs.set(path, mergeFields(docs.get(path), data));
+    },
+  });
+
+  const matches = (data, [field, op, value]) => {
+    switch (op) {
+      case "==":
+        return data[field] === value;
+      case "!=":
+        return field in data && data[field] !== value;
+      default:
+        throw new Error(`Unsupported query operator: ${op}`);
+    }
+  };
+
+  const sortValue = (snap, field) =>
+    field instanceof FieldPath ? snap.id : snap.data()[field];
+
+  // How a document sorts against the given values of the query's orderBy
+  // fields
+  const compareTo = (snap, orders, values) => {
+    for (let i = 0; i < values.length; i++) {
+      const [field, direction] = orders[i];
+      const value = sortValue(snap, field);
+      if (value !== values[i]) {
+        const order = value < values[i] ? -1 : 1;
+        return direction === "desc" ? -order : order;
+      }
+    }
+    return 0;
+  };
+
+  const query = (path, options = {}) => {
+    const {filters = [], orders = [], after = null, max = Infinity} = options;
+    const refine = (changes) => query(path, {...options, ...changes});
+    return {
+      where: (...filter) => refine({filters: [...filters, filter]}),
+      orderBy: (field, direction = "asc") =>
+        refine({orders: [...orders, [field, direction]]}),
+      startAfter: (...values) => {
+        // Firestore only takes a document ID string for a documentId() order
+        const isValid = values.length <= orders.length &&
+          values.every((value, i) => !(orders[i][0] instanceof FieldPath) ||
+            (typeof value === "string" && value && !value.includes("/")));
+        if (!isValid) {
+          throw new Error("Invalid query cursor");
+        }
+        return refine({after: values});
+      },
+      limit: (count) => refine({max: count}),
+      get: async () => {
+        const matching = await Promise.all([...docs.keys()]
+            .filter((docPath) => docPath.startsWith(`${path}/`) &&
+              !docPath.slice(path.length + 1).includes("/") &&
+              filters.every((filter) => matches(docs.get(docPath), filter)))
+            .map((docPath) => docRef(docPath).get()));
+        const found = matching
+            .sort((a, b) => compareTo(a, orders,
+                orders.map(([field]) => sortValue(b, field))))
+            .filter((snap) => !after || compareTo(snap, orders, after) > 0)
+            .slice(0, max);
+        return {
+          docs: found,
+          size: found.length,
+          empty: !found.length,
+          forEach: (callback) => found.forEach(callback),
+        };
+      },
+    };
+  };
+
+  const collectionRef = (path) => ({
+    ...query(path),
+    doc: (id = `auto${++autoId}`) => docRef(`${path}/${id}`),
+  });
+
+  const writer = () => {
+    const writes = [];
+    return {
+      set: (ref, data, options) => writes.push(() => ref.set(data, options)),
+      update: (ref, data) => writes.push(() => ref.update(data)),
+      commit: async () => {
+        if (writes.length > 500) {
+          throw new Error("Maximum 500 writes allowed per request");
+        }
+        for (const write of writes) {
+          await write();
+        }
+      },
+    };
+  };
+
+  return {
+    collection: collectionRef,
+    doc: docRef,
+    batch: writer,
+    runTransaction: async (updateFunction) => {
+      const transaction = {...writer(), get: (ref) => ref.get()};
+      const result = await updateFunction(transaction);
+      await transaction.commit();
+      return result;
+    },
+    // Test helpers
+    seed: (path, data) => docs.set(path, data),
+    read: (path) => docs.get(path),
+    list: (collectionPath) => [...docs.entries()]
+        .filter(([path]) => path.startsWith(`${collectionPath}/`) &&
+          !path.slice(collectionPath.length + 1).includes("/"))
+        .map(([, data]) => data),
+  };
+};
+
+const db = createFirestore();
+let myFunctions;
+
+before(() => {
+  const firestore = () => db;
+  Object.assign(firestore, {FieldValue, FieldPath, Timestamp});
+  Object.defineProperty(admin, "firestore", {
+    value: firestore,
+    configurable: true,
+  });
+  myFunctions = require("./index");
+});
+
+after(() => {
+  delete admin.firestore;
+  functionsTest.cleanup();
+});
+
+// Call an HTTP function the way the hosting rewrite does
+const request = (handler, {path, query = {}, headers = {}}) =>
+  new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      set(name, value) {
+        this.headers[name] = value;
+        return this;
+      },
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      send(body) {
+        resolve({...this, body});
+      },
+      json(body) {
+        resolve({...this, body});
+      },
+      redirect(code, location) {
+        resolve({...this, statusCode: code, location});
+      },
+    };
+    const req = {method: "GET", path, query, get: (name) => headers[name]};
+    Promise.resolve(handler(req, res)).catch(reject);
+  });
+
+describe("winnerRedirect", () => {
+  const cycleId = "winner-cycle";
+
+  before(() => {
+    db.seed(`cycleWinners/${cycleId}`, {
+      winnerId: "winner",
+      promotionalURL: "https://example.com/winner",
+    });
+    db.seed("winnerVisits/visit1", {userId: "player", cycleId});
+  });
+
+  it("records a player's visit and counts them once", async () => {
+    const res = await request(myFunctions.winnerRedirect, {
+      path: `/go/${cycleId}`,
+      query: {v: "visit1"},
+      headers: {referer: "https://twitch.tv/"},
+    });
+
+    assert.strictEqual(res.statusCode, 302);
+    assert.strictEqual(res.location, "https://example.com/winner");
+    assert.ok(db.read("winnerVisits/visit1").visitedAt);
+    assert.strictEqual(
+        db.read(`cycles/${cycleId}/winnerVisitors/player`).visitId,
+        "visit1",
+    );
+    const stats = db.read(`creatorStats/winner/visits/${cycleId}`);
+    assert.strictEqual(stats.visits, 1);
+    assert.strictEqual(stats.uniqueVisitors, 1);
+  });
+
+  it("counts visits without an ID, but not as unique visitors", async () => {
+    await request(myFunctions.winnerRedirect, {path: `/go/${cycleId}`});
+    // A used visit ID is only counted once
+    await request(myFunctions.winnerRedirect, {
+      path: `/go/${cycleId}`,
+      query: {v: "visit1"},
+    });
+
+    const stats = db.read(`creatorStats/winner/visits/${cycleId}`);
+    assert.strictEqual(stats.visits, 3);
+    assert.strictEqual(stats.uniqueVisitors, 1);
+    assert.strictEqual(
+        db.list("winnerVisits").filter((visit) => !visit.userId).length,
+        2,
+    );
+  });
+
+  it("ignores a visit ID issued for another cycle", async () => {
+    db.seed("winnerVisits/elsewhere", {userId: "other", cycleId: "older"});
+    await request(myFunctions.winnerRedirect, {
+      path: `/go/${cycleId}`,
+      query: {v: "elsewhere"},
+    });
+
+    assert.strictEqual(db.read("winnerVisits/elsewhere").visitedAt, undefined);
+    assert.strictEqual(
+        db.read(`cycles/${cycleId}/winnerVisitors/other`),
+        undefined,
+    );
+    const stats = db.read(`creatorStats/winner/visits/${cycleId}`);
+    assert.strictEqual(stats.visits, 4);
+    assert.strictEqual(stats.uniqueVisitors, 1);
+  });
+});
+
+describe("updateSupporterRankings", () => {
+  const schedule = normalizeSchedule({});
+  const cycle = getCycle(schedule);
+  const {cycleId} = cycle;
+  let resultCount = 0;
+
+  // Save a game result and run the trigger on it, as Firestore would
+  const submitResult = async (result) => {
+    resultCount++;
+    const resultRef = db.collection("gameResults").doc(`result${resultCount}`);
+    await resultRef.set({
+      cycleId,
+      gameType: "colorMatch",
+      completedAt: Timestamp.now(),
+      ...result,
+    });
+    const snap = await resultRef.get();
+    await functionsTest.wrap(myFunctions.updateSupporterRankings)(snap, {
+      params: {resultId: snap.id},
+    });
+    return snap;
+  };
+
+  it("adds up a player's points per cycle and all-time", async () => {
+    db.seed("users/fan", {displayName: "Fan", photoURL: "fan.png"});
+    const result = {userId: "fan", tippedToCreator: "ranked"};
+    await submitResult({...result, pointsAwarded: 5});
+    await submitResult({...result, pointsAwarded: 3});
+
+    [
+      `cycles/${cycleId}/leaderboard/ranked/supporters/fan`,
+      "creatorSupporters/ranked/supporters/fan",
+    ].forEach((path) => {
+      const supporter = db.read(path);
+      assert.strictEqual(supporter.points, 8, path);
+      assert.strictEqual(supporter.displayName, "Fan", path);
+      assert.strictEqual(supporter.photoURL, "fan.png", path);
+    });
+  });
+
+  it("counts each result once", async () => {
+    const snap = await submitResult({
+      userId: "fan",
+      tippedToCreator: "once",
+      pointsAwarded: 4,
+    });
+    await functionsTest.wrap(myFunctions.updateSupporterRankings)(snap, {
+      params: {resultId: snap.id},
+    });
+
+    assert.strictEqual(
+        db.read("creatorSupporters/once/supporters/fan").points,
+        4,
+    );
+  });
+
+  it("keeps the creator's analytics day and cycle counters", async () => {
+    const previous = getCycle(schedule, cycle.startsAt - 1);
+    // 12:00 on 2025-11-13 in the schedule's America/Chicago timezone
+    const completedAt = Timestamp.fromMillis(Date.UTC(2025, 10, 13, 18));
+    db.seed("creatorSupporters/analyzed/supporters/regular", {points: 9});
+    db.seed("creatorSupporters/analyzed/supporters/lapsed", {points: 2});
+    const previousEntry = `cycles/${previous.cycleId}/leaderboard/analyzed`;
+    db.seed(`${previousEntry}/supporters/regular`, {points: 9});
+
+    const result = {tippedToCreator: "analyzed", completedAt};
+    await submitResult({...result, userId: "newbie", pointsAwarded: 5});
+    await submitResult({...result, userId: "newbie", pointsAwarded: 5});
+    await submitResult({...result, userId: "regular", pointsAwarded: 3});
+    await submitResult({
+      ...result,
+      userId: "lapsed",
+      pointsAwarded: 2,
+      gameType: "memory",
+    });
+
+    const day = db.read("creatorAnalytics/analyzed/days/2025-11-13");
+    assert.strictEqual(day.points, 15);
+    assert.strictEqual(day.games, 4);
+    assert.strictEqual(day.newSupporters, 1);
+    assert.deepStrictEqual(day.byGame, {
+      colorMatch: {games: 3, points: 13},
+      memory: {games: 1, points: 2},
+    });
+    assert.deepStrictEqual(day.byHour, {12: {games: 4, points: 15}});
+
+    const cycleStats = db.read(`creatorAnalytics/analyzed/cycles/${cycleId}`);
+    assert.strictEqual(cycleStats.points, 15);
+    assert.strictEqual(cycleStats.games, 4);
+    assert.strictEqual(cycleStats.supporters, 3);
+    assert.strictEqual(cycleStats.newSupporters, 1);
+    assert.strictEqual(cycleStats.returningSupporters, 1);
+  });
+
+  it("credits the invite funnel for players who used the invite", async () => {
+    db.seed("users/invited", {referredBy: {creatorId: "inviter"}});
+    db.seed("users/walkIn", {});
+    const result = {tippedToCreator: "inviter", pointsAwarded: 4};
+    await submitResult({...result, userId: "invited"});
+    await submitResult({...result, userId: "invited"});
+    await submitResult({...result, userId: "walkIn"});
+
+    const stats = db.read("referralStats/inviter");
+    assert.strictEqual(stats.supporters, 1);
+    assert.strictEqual(stats.pointsGenerated, 8);
+  });
+
+  it("skips results without points or a creator", async () => {
+    await submitResult({userId: "fan", tippedToCreator: "none"});
+    await submitResult({userId: "fan", pointsAwarded: 5});
+
+    assert.strictEqual(
+        db.read("creatorSupporters/none/supporters/fan"),
+        undefined,
+    );
+  });
+});
+
+describe("pity points", () => {
+  const schedule = normalizeSchedule({});
+  const current = getCycle(schedule);
+  const previous = getCycle(schedule, current.startsAt - 1);
+  // Two cycles ago, so the cycle after it has closed too
+  const lost = getCycle(schedule, previous.startsAt - 1);
+
+  it("makes every player who picked a losing creator eligible", async () => {
+    for (let i = 0; i < 501; i++) {
+      db.seed(`cycles/${lost.cycleId}/picks/picker${i}`, {creatorId: "loser"});
+    }
+    db.seed(`cycles/${lost.cycleId}/picks/backer`, {creatorId: "champ"});
+    db.seed(`cycleWinners/${lost.cycleId}`, {winnerId: "champ"});
+
+    const snap = await db.doc(`cycleWinners/${lost.cycleId}`).get();
+    await functionsTest.wrap(myFunctions.awardPityPoints)(snap, {
+      params: {cycleId: lost.cycleId},
+    });
+
+    const eligible = db.list(`cycles/${lost.cycleId}/pityPointsEligible`);
+    assert.strictEqual(eligible.length, 501);
+    assert.ok(eligible.every((record) =>
+      record.status === "eligible" && record.theirCreatorId === "loser"));
+  });
+
+  it("credits a late claim to the player's pick this cycle", async () => {
+    db.seed("users/picker0", {});
+    db.seed(`cycles/${current.cycleId}/picks/picker0`, {creatorId: "favorite"});
+    const visitorPath = `cycles/${lost.cycleId}/winnerVisitors/picker0`;
+    await db.doc(visitorPath).set({userId: "picker0"});
+
+    await functionsTest.wrap(myFunctions.claimPityOnWinnerVisit)(
+        await db.doc(visitorPath).get(),
+        {params: {cycleId: lost.cycleId, userId: "picker0"}},
+    );
+
+    const record =
+      db.read(`cycles/${lost.cycleId}/pityPointsEligible/picker0`);
+    assert.strictEqual(record.status, "claimed");
+    assert.strictEqual(record.creditedCycleId, current.cycleId);
+    assert.strictEqual(record.creditedCreatorId, "favorite");
+    const entry = db.read(`cycles/${current.cycleId}/leaderboard/favorite`);
+    assert.strictEqual(entry.totalPoints, 1);
+  });
+});
+
+describe("callables", () => {
+  it("reject a call without data as invalid-argument", async () => {
+    const callables = [
+      "startGameSession",
+      "submitGameResult",
+      "claimQuestReward",
+      "pickCreator",
+      "claimPityPoint",
+      "startWinnerVisit",
+      "trackReferralClick",
+      "getTwitchChannelData",
+      "getYouTubeChannelData",
+    ];
+    for (const name of callables) {
+      await assert.rejects(
+          functionsTest.wrap(myFunctions[name])(null, {auth: {uid: "player"}}),
+          {code: "invalid-argument", message: "Missing request data"},
+          name,
+      );
+    }
+  });
+});
+
+describe("api", () => {
+  const apiKey = "sg_test";
+  const hashedKey = require("crypto").createHash("sha256")
+      .update(apiKey).digest("hex");
+
+  before(() => {
+    db.seed(`apiKeys/${hashedKey}`, {name: "Test", rateLimitPerMinute: 100});
+    ["2025-11-01", "2025-11-02", "2025-11-03"].forEach((cycleId) =>
+      db.seed(`cycleWinners/${cycleId}`, {winnerId: `winner-${cycleId}`}));
+  });
+
+  const getWinners = (query) => request(myFunctions.api, {
+    path: "/api/v1/winners",
+    query,
+    headers: {"X-API-Key": apiKey},
+  });
+  const toCursor = (values) =>
+    Buffer.from(JSON.stringify(values)).toString("base64url");
+
+  it("pages through winners with the returned cursor", async () => {
+    const cycleIds = [];
+    let cursor;
+    do {
+      const res = await getWinners({limit: "2", ...(cursor && {cursor})});
+      assert.strictEqual(res.statusCode, 200);
+      cycleIds.push(...res.body.winners.map((winner) => winner.cycleId));
+      cursor = res.body.nextCursor;
+    } while (cursor);
+
+    assert.strictEqual(cycleIds.length, db.list("cycleWinners").length);
+    assert.deepStrictEqual(cycleIds, [...cycleIds].sort().reverse());
+    assert.deepStrictEqual(
+        cycleIds.filter((cycleId) => cycleId.startsWith("2025-11-")),
+        ["2025-11-03", "2025-11-02", "2025-11-01"],
+    );
+  });
+
+  it("rejects a cursor with the wrong shape as a bad request", async () => {
+    const cursors = [
+      "not base64 json",
+      toCursor({id: "2025-11-02"}),
+      toCursor([123]),
+      toCursor(["2025-11-02", "extra"]),
+      toCursor(["a/b"]),
+    ];
+    for (const cursor of cursors) {
+      const res = await getWinners({cursor});
+      assert.strictEqual(res.statusCode, 400, cursor);
+      assert.strictEqual(res.body.error.message, "Invalid cursor");
+    }
+  });
+
+  it("checks leaderboard cursors are a rank and a creator", async () => {
+    for (const cursor of [toCursor(["1", "creator"]), toCursor([1, 2])]) {
+      const res = await request(myFunctions.api, {
+        path: "/api/v1/leaderboard",
+        query: {cursor},
+        headers: {"X-API-Key": apiKey},
+      });
+      assert.strictEqual(res.statusCode, 400, cursor);
+      assert.strictEqual(res.body.error.message, "Invalid cursor");
+    }
+  });
+});
@@ -0,0 +1,40 @@
+const admin = require("firebase-admin");
+const serviceAccount = require("./serviceAccountKey.json");
+
+admin.initializeApp({
+  credential: admin.credential.cert(serviceAccount),
+});
+
+/**
+ * Grant or revoke the admin custom claim used by the admin console and admin
+ * callables.
+ * Usage: node set-admin.js <email> [--remove]
+ * The user has to sign out and back in (or wait for their token to refresh) to
+ * pick it up.
+ */
+async function setAdmin() {
+  const email = process.argv[2];
+  const remove = process.argv.includes("--remove");
+
+  if (!email) {
+    console.log("Usage: node set-admin.js <email> [--remove]");
+    return;
+  }
+
+  const user = await admin.auth().getUserByEmail(email);
+  const claims = {...(user.customClaims || {})};
+
+  if (remove) {
+    delete claims.admin;
+  } else {
+    claims.admin = true;
+  }
+
+  await admin.auth().setCustomUserClaims(user.uid, claims);
+  const action = remove ? "❌ Removed" : "✅ Granted";
+  console.log(`${action} admin for ${email} (${user.uid})`);
+}
+
+setAdmin()
+    .catch((error) => console.error("Error:", error.message))
+    .then(() => process.exit());
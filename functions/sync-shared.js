@@ -0,0 +1,66 @@
+/**
+ * Copy ../src/shared into ./shared as CommonJS for Cloud Functions.
+ *
+ * The shared modules are ES modules so the client bundle can tree-shake and
+ * name-check them. Cloud Functions load them with require(), so each file is
+ * rewritten on the way over. Only the forms the shared modules use are
+ * supported - anything else fails the sync instead of shipping a broken copy:
+ *   import { a, b } from "./x";   ->  const { a, b } = require("./x");
+ *   import * as x from "./x";     ->  const x = require("./x");
+ *   export { a, b };              ->  module.exports = { a, b };
+ * Tests (*.test.js) are not copied.
+ */
+const fs = require("fs");
+const path = require("path");
+
+const SOURCE = path.join(__dirname, "..", "src", "shared");
+const TARGET = path.join(__dirname, "shared");
+
+const NAMED_IMPORT = /^import (\{[^}]*\}) from (["'][^"']+["']);$/gm;
+const NAMESPACE_IMPORT = /^import \* as (\w+) from (["'][^"']+["']);$/gm;
+const EXPORT_LIST = /^export (\{[^}]*\});$/gm;
+
+/**
+ * Rewrite one ES module as CommonJS.
+ * @param {string} source The module source.
+ * @param {string} file The module path, for error messages.
+ * @return {string} The CommonJS source.
+ */
+function toCommonJs(source, file) {
+  const converted = source
+      .replace(NAMED_IMPORT, "const $1 = require($2);")
+      .replace(NAMESPACE_IMPORT, "const $1 = require($2);")
+      .replace(EXPORT_LIST, "module.exports = $1;");
+
+  const leftover = converted.match(/^\s*(import|export)\b.*$/m);
+  if (leftover) {
+    throw new Error(`${file}: unsupported module syntax "${leftover[0]}"`);
+  }
+  return converted;
+}
+
+/**
+ * Convert every module under one directory, recursively.
+ * @param {string} from The source directory.
+ * @param {string} to The target directory.
+ */
+function syncDirectory(from, to) {
+  fs.mkdirSync(to, {recursive: true});
+  fs.readdirSync(from, {withFileTypes: true}).forEach((entry) => {
+    const sourcePath = path.join(from, entry.name);
+    const targetPath = path.join(to, entry.name);
+    if (entry.isDirectory()) {
+      syncDirectory(sourcePath, targetPath);
+    } else if (entry.name.endsWith(".js") && !entry.name.endsWith(".test.js")) {
+      const source = fs.readFileSync(sourcePath, "utf8");
+      fs.writeFileSync(targetPath, toCommonJs(source, sourcePath));
+    }
+  });
+}
+
+if (require.main === module) {
+  fs.rmSync(TARGET, {recursive: true, force: true});
+  syncDirectory(SOURCE, TARGET);
+}
+
+module.exports = {toCommonJs};
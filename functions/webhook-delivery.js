@@ -0,0 +1,232 @@
+/**
+ * Sending creator webhooks: signing, and POSTing only to public addresses.
+ *
+ * Webhook URLs are checked when they're registered, but a hostname can
+ * resolve somewhere else by the time a delivery goes out. So every delivery
+ * resolves the host itself and refuses to connect to private, loopback,
+ * link-local (which includes the metadata server) or reserved addresses -
+ * including IPv4 hidden in IPv6 forms such as ::ffff:127.0.0.1. The
+ * addresses checked are the ones the socket connects to, and redirects are
+ * never followed, so neither DNS rebinding nor a 3xx can steer a delivery
+ * into our own network.
+ */
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+
+// [network, prefix length] of IPv4 ranges that aren't publicly routable
+const BLOCKED_IPV4_RANGES = [
+  ["0.0.0.0", 8], // "This" network
+  ["10.0.0.0", 8], // Private
+  ["100.64.0.0", 10], // Carrier-grade NAT
+  ["127.0.0.0", 8], // Loopback
+  ["169.254.0.0", 16], // Link-local, including 169.254.169.254 metadata
+  ["172.16.0.0", 12], // Private
+  ["192.0.0.0", 24], // IETF protocol assignments
+  ["192.0.2.0", 24], // Documentation
+  ["192.168.0.0", 16], // Private
+  ["198.18.0.0", 15], // Benchmarking
+  ["198.51.100.0", 24], // Documentation
+  ["203.0.113.0", 24], // Documentation
+  ["224.0.0.0", 4], // Multicast
+  ["240.0.0.0", 4], // Reserved, including 255.255.255.255
+];
+
+/**
+ * An IPv4 address as an unsigned 32-bit number.
+ * @param {string} address Dotted-quad IPv4 address.
+ * @return {number} The address as a number.
+ */
+function ipv4ToNumber(address) {
+  return address.split(".")
+      .reduce((value, octet) => value * 256 + Number(octet), 0);
+}
+
+/**
+ * Whether an IPv4 address is publicly routable.
+ * @param {string} address Dotted-quad IPv4 address.
+ * @return {boolean} False for private and reserved ranges.
+ */
+function isPublicIpv4(address) {
+  const value = ipv4ToNumber(address);
+  return !BLOCKED_IPV4_RANGES.some(([network, prefix]) => {
+    const size = 2 ** (32 - prefix);
+    const start = ipv4ToNumber(network);
+    return value >= start && value < start + size;
+  });
+}
+
+/**
+ * The eight 16-bit groups of an IPv6 address.
+ * @param {string} address IPv6 address, optionally with an IPv4 tail.
+ * @return {number[]} The groups, expanded.
+ */
+function ipv6Groups(address) {
+  let text = address;
+  const ipv4Tail = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (ipv4Tail) {
+    const value = ipv4ToNumber(ipv4Tail[1]);
+    const high = Math.floor(value / 65536).toString(16);
+    const low = (value % 65536).toString(16);
+    text = text.slice(0, -ipv4Tail[1].length) + `${high}:${low}`;
+  }
+
+  const [head, tail] = text.split("::");
+  const toGroups = (part) => (part ? part.split(":") : [])
+      .map((group) => parseInt(group, 16));
+  const headGroups = toGroups(head);
+  const tailGroups = toGroups(tail);
+  const missing = 8 - headGroups.length - tailGroups.length;
+  return [...headGroups, ...new Array(missing).fill(0), ...tailGroups];
+}
+
+/**
+ * The IPv4 address in the low 32 bits of IPv6 groups.
+ * @param {number[]} groups Expanded IPv6 groups.
+ * @param {number} index Index of the group holding the high 16 bits.
+ * @return {string} Dotted-quad IPv4 address.
+ */
+function embeddedIpv4(groups, index) {
+  return [
+    groups[index] >> 8, groups[index] & 0xff,
+    groups[index + 1] >> 8, groups[index + 1] & 0xff,
+  ].join(".");
+}
+
+/**
+ * Whether an IPv6 address is publicly routable. Forms that carry an IPv4
+ * address (mapped, compatible, NAT64, 6to4) are judged by that address.
+ * @param {string} address IPv6 address.
+ * @return {boolean} False for loopback, private, link-local and reserved.
+ */
+function isPublicIpv6(address) {
+  const groups = ipv6Groups(address.split("%")[0].toLowerCase());
+  const leadingZeros = groups.findIndex((group) => group !== 0);
+
+  if (leadingZeros === -1) return false; // ::
+  if (leadingZeros === 5 && groups[5] === 0xffff) {
+    return isPublicIpv4(embeddedIpv4(groups, 6)); // ::ffff:a.b.c.d
+  }
+  if (leadingZeros >= 6) {
+    // ::1, and the deprecated IPv4-compatible ::a.b.c.d
+    return groups[6] !== 0 && isPublicIpv4(embeddedIpv4(groups, 6));
+  }
+  if (groups[0] === 0x64 && groups[1] === 0xff9b) {
+    return isPublicIpv4(embeddedIpv4(groups, 6)); // NAT64
+  }
+  if (groups[0] === 0x2002) {
+    return isPublicIpv4(embeddedIpv4(groups, 1)); // 6to4
+  }
+  if (groups[0] === 0x2001 && (groups[1] === 0 || groups[1] === 0xdb8)) {
+    return false; // Teredo, documentation
+  }
+  return (groups[0] & 0xfe00) !== 0xfc00 && // Unique local
+    (groups[0] & 0xffc0) !== 0xfe80 && // Link-local
+    (groups[0] & 0xffc0) !== 0xfec0 && // Site-local
+    (groups[0] & 0xff00) !== 0xff00; // Multicast
+}
+
+/**
+ * Whether an IP address is publicly routable.
+ * @param {string} address IPv4 or IPv6 address.
+ * @return {boolean} False for anything that isn't a public IP address.
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address.split("%")[0]);
+  if (family === 4) return isPublicIpv4(address);
+  if (family === 6) return isPublicIpv6(address);
+  return false;
+}
+
+/**
+ * A dns.lookup that fails when the host resolves to any non-public address.
+ * Used as the socket's lookup, so the checked address is the one connected.
+ * @param {string} hostname Host to resolve.
+ * @param {object} options dns.lookup options.
+ * @param {function} callback dns.lookup callback.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, {...options, all: true}, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+    const blocked = addresses.find((entry) => !isPublicAddress(entry.address));
+    if (blocked || !addresses.length) {
+      const address = blocked ? blocked.address : "nothing";
+      callback(new Error(`${hostname} resolves to ${address}, ` +
+        "which is not a public address"));
+      return;
+    }
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
+
+/**
+ * Hex HMAC-SHA256 of "<timestamp>.<body>", as sent in X-SubGames-Signature.
+ * @param {string} secret The webhook's secret.
+ * @param {number} timestamp Unix seconds the delivery was signed at.
+ * @param {string} body The request body.
+ * @return {string} The signature.
+ */
+function signWebhookBody(secret, timestamp, body) {
+  return crypto
+      .createHmac("sha256", secret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+}
+
+/**
+ * POST a webhook body and resolve with the response status. Redirects are
+ * returned as they are, never followed.
+ * @param {string} url The webhook URL.
+ * @param {object} request The request.
+ * @param {object} request.headers Request headers.
+ * @param {string} request.body Request body.
+ * @param {number} request.timeoutMs Give up after this long.
+ * @param {boolean} request.allowPrivate Skip the address checks (emulator).
+ * @return {Promise<number>} The HTTP status of the response.
+ */
+function postWebhook(url, {headers, body, timeoutMs, allowPrivate = false}) {
+  return new Promise((resolve, reject) => {
+    const parsed = new URL(url);
+    const host = parsed.hostname.replace(/^\[|\]$/g, "");
+    // IP literals never reach the lookup, so check them here
+    if (!allowPrivate && net.isIP(host) && !isPublicAddress(host)) {
+      reject(new Error(`${host} is not a public address`));
+      return;
+    }
+
+    const client = parsed.protocol === "http:" ? http : https;
+    const request = client.request(parsed, {
+      method: "POST",
+      headers: {...headers, "Content-Length": Buffer.byteLength(body)},
+      lookup: allowPrivate ? undefined : publicLookup,
+    }, (response) => {
+      clearTimeout(timer);
+      response.resume();
+      resolve(response.statusCode);
+    });
+
+    const timer = setTimeout(() => {
+      request.destroy(new Error(`No response within ${timeoutMs / 1000}s`));
+    }, timeoutMs);
+    request.on("error", (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    request.end(body);
+  });
+}
+
+module.exports = {
+  isPublicAddress,
+  signWebhookBody,
+  postWebhook,
+};
@@ -0,0 +1,127 @@
+const assert = require("assert");
+const http = require("http");
+const {describe, it, before, after} = require("node:test");
+const {
+  isPublicAddress,
+  signWebhookBody,
+  postWebhook,
+} = require("./webhook-delivery");
+const {verifySignature} = require("./webhook-receiver");
+
+describe("isPublicAddress", () => {
+  it("accepts public addresses", () => {
+    ["8.8.8.8", "1.1.1.1", "2606:4700:4700::1111", "::ffff:8.8.8.8"]
+        .forEach((address) => assert.strictEqual(
+            isPublicAddress(address), true, address));
+  });
+
+  it("rejects private, loopback, link-local and reserved IPv4", () => {
+    [
+      "127.0.0.1", "10.1.2.3", "172.16.0.1", "172.31.255.255",
+      "192.168.1.1", "169.254.169.254", "100.64.0.1", "0.0.0.0",
+      "224.0.0.1", "255.255.255.255",
+    ].forEach((address) => assert.strictEqual(
+        isPublicAddress(address), false, address));
+  });
+
+  it("rejects IPv6 loopback, private and link-local", () => {
+    ["::1", "::", "fd00::1", "fc00::1", "fe80::1", "fe80::1%eth0", "ff02::1"]
+        .forEach((address) => assert.strictEqual(
+            isPublicAddress(address), false, address));
+  });
+
+  it("judges IPv4 inside IPv6 by the IPv4 address", () => {
+    [
+      "::ffff:127.0.0.1", "::ffff:7f00:1", "::ffff:169.254.169.254",
+      "64:ff9b::a9fe:a9fe", "2002:7f00:1::", "::127.0.0.1",
+    ].forEach((address) => assert.strictEqual(
+        isPublicAddress(address), false, address));
+  });
+
+  it("rejects anything that isn't an IP address", () => {
+    assert.strictEqual(isPublicAddress("localhost"), false);
+    assert.strictEqual(isPublicAddress("2130706433"), false);
+  });
+});
+
+describe("webhook signatures", () => {
+  const now = 1700000000 * 1000;
+  const body = JSON.stringify({event: "test"});
+  const header = (secret, timestamp) =>
+    `t=${timestamp},v1=${signWebhookBody(secret, timestamp, body)}`;
+
+  it("signs <timestamp>.<body> with HMAC-SHA256", () => {
+    assert.strictEqual(
+        signWebhookBody("secret", 1700000000, "{}"),
+        "b8569b78799ff9e3cbff0fc2d63a33a2b57f3282abd07c37ae5e8e7d79a5f163",
+    );
+  });
+
+  it("accepts a fresh signature from the same secret", () => {
+    assert.strictEqual(
+        verifySignature("secret", header("secret", now / 1000), body, now),
+        null);
+  });
+
+  it("rejects another secret, an old signature or no signature", () => {
+    assert.strictEqual(
+        verifySignature("secret", header("other", now / 1000), body, now),
+        "signature mismatch");
+    assert.strictEqual(
+        verifySignature(
+            "secret", header("secret", now / 1000 - 600), body, now),
+        "signature too old");
+    assert.strictEqual(
+        verifySignature("secret", undefined, body, now),
+        "missing signature");
+  });
+});
+
+describe("postWebhook", () => {
+  let server;
+  let port;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      if (req.url === "/redirect") {
+        res.writeHead(302, {Location: "http://169.254.169.254/"}).end();
+        return;
+      }
+      req.resume();
+      req.on("end", () => res.writeHead(204).end());
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    port = server.address().port;
+  });
+
+  after(() => server.close());
+
+  const post = (url, allowPrivate) => postWebhook(url, {
+    headers: {"Content-Type": "application/json"},
+    body: "{}",
+    timeoutMs: 2000,
+    allowPrivate,
+  });
+
+  it("refuses private IP literals, however they're written", async () => {
+    for (const url of [
+      `http://127.0.0.1:${port}/`,
+      `http://2130706433:${port}/`,
+      `http://[::ffff:127.0.0.1]:${port}/`,
+      "https://169.254.169.254/",
+    ]) {
+      await assert.rejects(post(url, false), /not a public address/, url);
+    }
+  });
+
+  it("refuses hostnames that resolve to private addresses", async () => {
+    await assert.rejects(
+        post(`http://localhost:${port}/`, false), /not a public address/);
+  });
+
+  it("returns redirects without following them", async () => {
+    assert.strictEqual(await post(`http://127.0.0.1:${port}/`, true), 204);
+    assert.strictEqual(
+        await post(`http://127.0.0.1:${port}/redirect`, true), 302);
+  });
+});
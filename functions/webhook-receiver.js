@@ -0,0 +1,81 @@
+/**
+ * Local receiver for testing creator webhooks. Checks each delivery's
+ * signature and prints it.
+ * Usage: node webhook-receiver.js <webhook secret> [port]
+ * Register http://localhost:<port>/ as a webhook while running the Functions
+ * emulator (deployed functions only deliver to public https URLs) and press
+ * "Send test" in settings.
+ */
+const crypto = require("crypto");
+const http = require("http");
+const {signWebhookBody} = require("./webhook-delivery");
+
+// Deliveries signed longer ago than this are rejected, so a captured request
+// can't be replayed
+const MAX_AGE_SECONDS = 5 * 60;
+
+/**
+ * Check an X-SubGames-Signature header against the body.
+ * @param {string} secret The webhook's secret.
+ * @param {string} header The X-SubGames-Signature header.
+ * @param {string} body The raw request body.
+ * @param {number} now Current time in ms, for tests.
+ * @return {?string} Why the signature is invalid, or null if it's valid.
+ */
+function verifySignature(secret, header, body, now = Date.now()) {
+  const parts = Object.fromEntries((header || "").split(",")
+      .map((part) => part.split("=")));
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1) return "missing signature";
+  if (Math.abs(now / 1000 - timestamp) > MAX_AGE_SECONDS) {
+    return "signature too old";
+  }
+
+  const expected = signWebhookBody(secret, timestamp, body);
+  const received = Buffer.from(parts.v1, "hex");
+  const valid = received.length === expected.length / 2 &&
+    crypto.timingSafeEqual(received, Buffer.from(expected, "hex"));
+  return valid ? null : "signature mismatch";
+}
+
+/**
+ * Listen for deliveries and print the ones with a valid signature.
+ */
+function startReceiver() {
+  const secret = process.argv[2];
+  const port = Number(process.argv[3]) || 8787;
+
+  if (!secret) {
+    console.log("Usage: node webhook-receiver.js <webhook secret> [port]");
+    return;
+  }
+
+  http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      const delivery = req.headers["x-subgames-delivery"];
+      const error = verifySignature(
+          secret, req.headers["x-subgames-signature"], body);
+      if (error) {
+        console.log(`❌ Rejected ${delivery || "request"}: ${error}`);
+        res.writeHead(401).end();
+        return;
+      }
+
+      console.log(`✅ ${req.headers["x-subgames-event"]} (${delivery})`);
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+      res.writeHead(200).end();
+    });
+  }).listen(port, () => {
+    console.log(`Listening for webhooks on http://localhost:${port}/`);
+  });
+}
+
+if (require.main === module) {
+  startReceiver();
+}
+
+module.exports = {verifySignature};
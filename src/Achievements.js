@@ -0,0 +1,71 @@
+import React, { useState, useEffect } from 'react';
+import { doc, onSnapshot } from 'firebase/firestore';
+import { db } from './firebaseConfig';
+import { ACHIEVEMENTS } from './shared/achievements';
+
+// A user's earned achievements from userAchievements/{userId}, as { [achievementId]: earnedAt }.
+// Awarded by Cloud Functions only.
+export const useEarnedAchievements = (userId) => {
+  const [earned, setEarned] = useState({});
+
+  useEffect(() => {
+    setEarned({});
+    if (!userId) return;
+
+    const unsubscribe = onSnapshot(
+      doc(db, 'userAchievements', userId),
+      (snap) => setEarned(snap.exists() ? snap.data().achievements || {} : {}),
+      (error) => console.error('Error loading achievements:', error)
+    );
+
+    return () => unsubscribe();
+  }, [userId]);
+
+  return earned;
+};
+
+// Earned achievements in definition order, for compact badge rows
+export const getEarnedList = (earned) => Object.values(ACHIEVEMENTS).filter(achievement => earned[achievement.id]);
+
+const AchievementGroup = ({ title, achievements, earned }) => (
+  <div className="profile-section">
+    <h2>{title}</h2>
+    <div className="achievement-grid">
+      {achievements.map(achievement => {
+        const earnedAt = earned[achievement.id];
+        return (
+          <div key={achievement.id} className={`achievement-card ${earnedAt ? 'earned' : 'locked'}`}>
+            <span className="achievement-icon">{earnedAt ? achievement.icon : '🔒'}</span>
+            <strong>{achievement.name}</strong>
+            <span>{achievement.description}</span>
+            {earnedAt?.toDate && (
+              <span className="achievement-date">Earned {earnedAt.toDate().toLocaleDateString()}</span>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  </div>
+);
+
+// The badges tab: every achievement, earned or still locked. Creator achievements
+// are only listed for creators.
+function Achievements({ userId, isCreator }) {
+  const earned = useEarnedAchievements(userId);
+  const playerAchievements = Object.values(ACHIEVEMENTS).filter(achievement => achievement.audience === 'player');
+  const creatorAchievements = Object.values(ACHIEVEMENTS).filter(achievement => achievement.audience === 'creator');
+  const earnedCount = getEarnedList(earned).length;
+  const total = playerAchievements.length + (isCreator ? creatorAchievements.length : 0);
+
+  return (
+    <>
+      <p className="section-description achievement-summary">
+        {earnedCount} of {total} badges earned
+      </p>
+      <AchievementGroup title="Player Badges" achievements={playerAchievements} earned={earned} />
+      {isCreator && <AchievementGroup title="Creator Badges" achievements={creatorAchievements} earned={earned} />}
+    </>
+  );
+}
+
+export default Achievements;
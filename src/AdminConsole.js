@@ -0,0 +1,253 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { collection, query, orderBy, limit, getDocs } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from './firebaseConfig';
+
+const STATUS_STYLES = {
+  open: 'bg-green-500/20 text-green-300 border-green-400/40',
+  closing: 'bg-orange-500/20 text-orange-300 border-orange-400/40',
+  closed: 'bg-yellow-500/20 text-yellow-300 border-yellow-400/40',
+  finalized: 'bg-blue-500/20 text-blue-300 border-blue-400/40',
+  voided: 'bg-red-500/20 text-red-300 border-red-400/40',
+};
+
+const formatTime = (ms) => (ms ? new Date(ms).toLocaleString() : '—');
+
+// Cycle operations for accounts with the `admin` custom claim.
+// Every action goes through an admin-only Cloud Function, which also writes the audit log.
+function AdminConsole() {
+  const [cycles, setCycles] = useState([]);
+  const [auditLog, setAuditLog] = useState([]);
+  const [preview, setPreview] = useState(null); // { cycleId, standings }
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState('');
+
+  const loadCycles = useCallback(async () => {
+    const adminListCycles = httpsCallable(functions, 'adminListCycles');
+    const result = await adminListCycles({ limit: 14 });
+    setCycles(result.data.cycles);
+  }, []);
+
+  const loadAuditLog = useCallback(async () => {
+    const logQuery = query(collection(db, 'adminAuditLog'), orderBy('createdAt', 'desc'), limit(25));
+    const snapshot = await getDocs(logQuery);
+    setAuditLog(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+  }, []);
+
+  const refresh = useCallback(async () => {
+    try {
+      await Promise.all([loadCycles(), loadAuditLog()]);
+    } catch (error) {
+      console.error('Error loading admin data:', error);
+      setStatus(`Error: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [loadCycles, loadAuditLog]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Run an admin callable, then reload the cycle list and audit log
+  const runAction = async (name, payload, describe) => {
+    setBusy(true);
+    setStatus('');
+    try {
+      const callable = httpsCallable(functions, name);
+      const result = await callable(payload);
+      setStatus(describe(result.data));
+      await refresh();
+    } catch (error) {
+      console.error(`Error running ${name}:`, error);
+      setStatus(`Error: ${error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePreview = async (cycleId) => {
+    setBusy(true);
+    setStatus('');
+    try {
+      const adminPreviewWinner = httpsCallable(functions, 'adminPreviewWinner');
+      const result = await adminPreviewWinner({ cycleId });
+      setPreview(result.data);
+    } catch (error) {
+      console.error('Error previewing winner:', error);
+      setStatus(`Error: ${error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Finalizing is a no-op once a cycle is finalized, so re-running forces a recompute
+  const handleCalculateWinner = (cycleId, force) => {
+    if (force && !window.confirm(`Recompute the result for ${cycleId}? The winner may change.`)) return;
+    runAction(
+      'manualCalculateWinner',
+      { cycleId, force },
+      (data) => (data.success ? `Winner for ${cycleId}: ${data.winnerName}` : `${cycleId}: ${data.message}`)
+    );
+  };
+
+  const handleAwardPity = (cycleId) => runAction(
+    'manualAwardPityPoints',
+    { cycleId },
+    (data) => `${cycleId}: ${data.message}`
+  );
+
+  const handleRebuildLeaderboard = (cycleId) => runAction(
+    'adminRebuildLeaderboardView',
+    { cycleId },
+    (data) => `Rebuilt leaderboard for ${cycleId} (${data.entries} entries)`
+  );
+
+  const handleVoid = (cycleId) => {
+    const reason = window.prompt(`Void cycle ${cycleId}? This removes its winner and pity points.\n\nReason:`);
+    if (!reason || !reason.trim()) return;
+    runAction('adminVoidCycle', { cycleId, reason }, () => `Cycle ${cycleId} voided`);
+  };
+
+  if (loading) {
+    return <div className="text-center text-white/70 p-6">Loading admin console...</div>;
+  }
+
+  return (
+    <div className="p-2 md:p-4 space-y-4 md:space-y-6">
+      <div className="text-center">
+        <h2 className="text-xl md:text-3xl font-extrabold text-white pb-2">Admin Console</h2>
+        <p className="text-white/60 text-xs md:text-sm">Every action here is recorded in the audit log.</p>
+      </div>
+
+      {status && (
+        <div className="p-3 rounded-lg bg-white/10 border border-white/20 text-white text-sm">{status}</div>
+      )}
+
+      {/* Cycles */}
+      <div className="bg-white/10 backdrop-blur-md rounded-xl shadow-2xl p-3 md:p-6 border border-white/20">
+        <h3 className="text-lg md:text-xl font-bold text-white mb-3">Cycles</h3>
+        <ul className="space-y-2 md:space-y-3">
+          {cycles.map(cycle => (
+            <li key={cycle.cycleId} className="p-2 md:p-4 bg-white/10 rounded-lg border border-white/20">
+              <div className="flex items-center justify-between gap-2">
+                <div className="min-w-0">
+                  <p className="text-white font-semibold truncate">{cycle.cycleId}</p>
+                  <p className="text-white/50 text-xs">{formatTime(cycle.startsAt)} → {formatTime(cycle.endsAt)}</p>
+                </div>
+                <span className={`px-2 py-0.5 rounded-full text-xs font-medium border ${STATUS_STYLES[cycle.status]}`}>
+                  {cycle.status}
+                </span>
+              </div>
+
+              {cycle.winnerName && (
+                <p className="text-yellow-300 text-sm mt-1">🏆 {cycle.winnerName} ({cycle.finalScore} Points)</p>
+              )}
+              {cycle.voidReason && (
+                <p className="text-red-300 text-sm mt-1">Voided: {cycle.voidReason}</p>
+              )}
+
+              {cycle.status === 'open' && (
+                <div className="flex flex-wrap gap-2 mt-2">
+                  <button
+                    onClick={() => handleRebuildLeaderboard(cycle.cycleId)}
+                    disabled={busy}
+                    className="px-3 py-1 text-xs rounded-full bg-white/20 text-white hover:bg-white/30 disabled:opacity-50 transition-all"
+                  >
+                    Rebuild Leaderboard
+                  </button>
+                </div>
+              )}
+
+              {cycle.status !== 'open' && (
+                <div className="flex flex-wrap gap-2 mt-2">
+                  <button
+                    onClick={() => handlePreview(cycle.cycleId)}
+                    disabled={busy}
+                    className="px-3 py-1 text-xs rounded-full bg-white/20 text-white hover:bg-white/30 disabled:opacity-50 transition-all"
+                  >
+                    Preview Winner
+                  </button>
+                  {(cycle.status === 'closed' || cycle.status === 'finalized') && (
+                    <>
+                      <button
+                        onClick={() => handleCalculateWinner(cycle.cycleId, cycle.status === 'finalized')}
+                        disabled={busy}
+                        className="px-3 py-1 text-xs rounded-full bg-blue-600 text-white hover:bg-blue-500 disabled:opacity-50 transition-all"
+                      >
+                        {cycle.status === 'finalized' ? 'Re-run Winner' : 'Calculate Winner'}
+                      </button>
+                      {cycle.winnerId && (
+                        <button
+                          onClick={() => handleAwardPity(cycle.cycleId)}
+                          disabled={busy}
+                          className="px-3 py-1 text-xs rounded-full bg-purple-600 text-white hover:bg-purple-500 disabled:opacity-50 transition-all"
+                        >
+                          Re-run Pity Points
+                        </button>
+                      )}
+                      <button
+                        onClick={() => handleVoid(cycle.cycleId)}
+                        disabled={busy}
+                        className="px-3 py-1 text-xs rounded-full bg-red-600 text-white hover:bg-red-500 disabled:opacity-50 transition-all"
+                      >
+                        Void Cycle
+                      </button>
+                    </>
+                  )}
+                </div>
+              )}
+
+              {preview?.cycleId === cycle.cycleId && (
+                <div className="mt-3 p-2 rounded-lg bg-black/20">
+                  {preview.standings.length === 0 ? (
+                    <p className="text-white/60 text-sm">No leaderboard entries for this cycle.</p>
+                  ) : (
+                    <ol className="space-y-1">
+                      {preview.standings.map(entry => (
+                        <li key={entry.creatorId} className="flex justify-between text-sm text-white">
+                          <span className="truncate">
+                            {entry.rank}. {entry.creatorName}
+                            {entry.tied && <span className="text-orange-300 text-xs"> (tie)</span>}
+                            {!entry.verified && <span className="text-white/50 text-xs"> (unverified)</span>}
+                          </span>
+                          <span className="text-white/70 flex-shrink-0 ml-2">
+                            {entry.totalPoints} pts · {entry.supporterCount || 0} supporters
+                          </span>
+                        </li>
+                      ))}
+                    </ol>
+                  )}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      {/* Audit log */}
+      <div className="bg-white/10 backdrop-blur-md rounded-xl shadow-2xl p-3 md:p-6 border border-white/20">
+        <h3 className="text-lg md:text-xl font-bold text-white mb-3">Audit Log</h3>
+        {auditLog.length === 0 ? (
+          <p className="text-white/60 text-sm">No admin actions yet.</p>
+        ) : (
+          <ul className="space-y-2">
+            {auditLog.map(entry => (
+              <li key={entry.id} className="text-sm text-white/80 border-b border-white/10 pb-2">
+                <span className="font-semibold text-white">{entry.action}</span>
+                {entry.cycleId && <span> · {entry.cycleId}</span>}
+                <span className="text-white/50"> · {entry.adminEmail || entry.adminUid}</span>
+                <span className="block text-xs text-white/40">
+                  {entry.createdAt ? entry.createdAt.toDate().toLocaleString() : 'just now'}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AdminConsole;
@@ -1,17 +1,25 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { onAuthStateChanged } from 'firebase/auth';
-import { doc, setDoc, onSnapshot, collection, updateDoc, increment, getDoc, getDocs } from 'firebase/firestore';
+import { doc, setDoc, onSnapshot, collection, query, where, orderBy, limit, getDoc, getDocs, getCountFromServer } from 'firebase/firestore';
 import { httpsCallable } from 'firebase/functions';
 import { auth, db, functions, firebaseConfig } from './firebaseConfig';
 import { AuthProvider, useAuth } from './AuthContext';
 import WelcomePage from './WelcomePage';
 import CreatorProfile from './CreatorProfile';
 import CreatorOnboarding from './CreatorOnboarding';
-import BlockBlast from './games/BlockBlast';
-import ColorMatch from './games/ColorMatch';
-import MemoryFlip from './games/MemoryFlip';
-import PatternPro from './games/PatternPro';
-import WhackAMole from './games/WhackAMole';
+import AdminConsole from './AdminConsole';
+import HallOfFame from './HallOfFame';
+import SeasonLeaderboard from './SeasonLeaderboard';
+import { useEarnedAchievements, getEarnedList } from './Achievements';
+import DailyQuests from './DailyQuests';
+import { GAME_LIBRARY, getGameEntry } from './games';
+import { DIFFICULTY_IDS, DIFFICULTY_LABELS, DEFAULT_DIFFICULTY, getDifficulty, getPoints } from './shared/gameRegistry';
+import { getCycle, getPreviousCycle } from './shared/cycles';
+import { isChannelVerified } from './shared/verification';
+import { isPityClaimed, isPityExpired } from './shared/pity';
+import { loadCycleSchedule } from './cycleSchedule';
+import { syncServerClock, serverNow } from './serverClock';
+import CycleCountdown, { FINAL_HOUR_MS } from './CycleCountdown';
 
 // --- CONFIGURATION SETUP ---
 // NOTE: Global variables (__app_id, etc.) are used here for compatibility 
@@ -41,16 +49,6 @@ const appId = getAppId(); // Kept for potential future use
 
 // --- UTILITY FUNCTIONS ---
 
-// Cycle Management Utilities
-const getCurrentCycleId = () => {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const day = String(now.getDate()).padStart(2, '0');
-  
-  return `${year}-${month}-${day}-18:00`;
-};
-
 // Helper functions for cycle-based structure
 const getUserDocRef = (db, userId) => {
   return doc(db, 'users', userId);
@@ -60,34 +58,50 @@ const getCyclePickRef = (db, cycleId, userId) => {
   return doc(db, 'cycles', cycleId, 'picks', userId);
 };
 
-const getCycleLeaderboardRef = (db, cycleId, creatorId) => {
-  return doc(db, 'cycles', cycleId, 'leaderboard', creatorId);
-};
+// Leaderboard entries shown per page
+const LEADERBOARD_PAGE_SIZE = 25;
+
+// In the final hour, a lead this small (or smaller) counts as a close race
+const CLOSE_RACE_POINTS = 10;
+
+// setTimeout can't wait longer than this - longer waits are re-armed on the next rollover
+const MAX_TIMEOUT_MS = 2147483647;
 
 // --- MAIN REACT COMPONENT ---
 
 const MainApp = () => {
-  const { userProfile } = useAuth();
+  const { userProfile, isAdmin } = useAuth();
   const [user, setUser] = useState(null);
   const [isAuthReady, setIsAuthReady] = useState(false);
-  const [view, setView] = useState('minigame'); // 'minigame', 'leaderboard', 'creatorhub', 'creatorprofile'
-  const [selectedGame, setSelectedGame] = useState(null); // null for library, 'reaction' or 'blockblast' for playing
+  const [view, setView] = useState('minigame'); // 'minigame', 'leaderboard', 'creatorhub', 'creatorprofile', 'admin'
+  const [selectedGame, setSelectedGame] = useState(null); // null for library, or a game registry id such as 'blockBlast'
+  const [gameDifficulties, setGameDifficulties] = useState({}); // Difficulty picked on each library card, by game id
   const [playerPoints, setPlayerPoints] = useState(0); // Points earned this cycle
   const [optimisticPoints, setOptimisticPoints] = useState(0); // Immediate UI update
   const [showPointsAnimation, setShowPointsAnimation] = useState(null); // Show +X animation
   const [creators, setCreators] = useState([]); // Leaderboard data
+  const [leaderboardLimit, setLeaderboardLimit] = useState(LEADERBOARD_PAGE_SIZE); // Entries subscribed to
+  const [hasMoreCreators, setHasMoreCreators] = useState(false);
+  const [leaderboardTab, setLeaderboardTab] = useState('current'); // 'current', 'season' or 'hallOfFame'
   const [selectedCreator, setSelectedCreator] = useState(null); // User's daily pick
   const [selectedCreatorProfile, setSelectedCreatorProfile] = useState(null); // Selected creator's full profile
-  const [currentCycleId] = useState(getCurrentCycleId());
-  const [reactionTestState, setReactionTestState] = useState('initial'); // 'initial', 'wait', 'go', 'result'
-  const [reactionTime, setReactionTime] = useState(null);
-  const [gameSessionId, setGameSessionId] = useState(null); // Store session ID
-  const [gameStartTime, setGameStartTime] = useState(null); // Store start time
+  const [supporterRank, setSupporterRank] = useState(null); // User's rank among the selected creator's supporters this cycle
+  const [cycleSchedule, setCycleSchedule] = useState(null); // config/cycleSchedule, see src/shared/cycles.js
+  const [currentCycle, setCurrentCycle] = useState(null); // { cycleId, startsAt, endsAt } on the server clock
+  const currentCycleId = currentCycle?.cycleId || null;
+  // The cycle that ended most recently - its winner is the one on show
+  const completedCycleId = useMemo(
+    () => (cycleSchedule && currentCycle ? getPreviousCycle(cycleSchedule, currentCycle.startsAt).cycleId : null),
+    [cycleSchedule, currentCycle]
+  );
+  const [isFinalHour, setIsFinalHour] = useState(false);
+  const [revealCycleId, setRevealCycleId] = useState(null); // Cycle that ended while the app was open
   const [profile, setProfile] = useState({ name: '', contentUrl: '' });
   const [profileStatus, setProfileStatus] = useState('');
   const [loading, setLoading] = useState(true);
   const [cycleWinner, setCycleWinner] = useState(null); // Yesterday's winner
-  const [hasPityPoint, setHasPityPoint] = useState(false); // User has pity point
+  const [pityRecord, setPityRecord] = useState(null); // cycles/{completedCycleId}/pityPointsEligible/{uid}
+  const [claimingPity, setClaimingPity] = useState(false);
   const [showCreatorOnboarding, setShowCreatorOnboarding] = useState(false); // Show onboarding modal
 
   // 1. AUTHENTICATION EFFECT
@@ -144,10 +158,41 @@ const MainApp = () => {
     }
   }, [userProfile]);
 
+  // Load the cycle schedule and sync with the server clock - cycle IDs depend on both
+  useEffect(() => {
+    Promise.all([loadCycleSchedule(), syncServerClock()]).then(([schedule]) => {
+      setCycleSchedule(schedule);
+      setCurrentCycle(getCycle(schedule, serverNow()));
+    });
+  }, []);
+
+  // Roll over to the next cycle when this one ends, and switch on final hour mode before that.
+  // Everything keyed on currentCycleId (pick, leaderboard, winner) re-subscribes on rollover.
+  useEffect(() => {
+    if (!cycleSchedule || !currentCycle) return;
+
+    const msUntilEnd = currentCycle.endsAt - serverNow();
+    const msUntilFinalHour = msUntilEnd - FINAL_HOUR_MS;
+    setIsFinalHour(msUntilFinalHour <= 0);
+
+    const timers = [];
+    if (msUntilFinalHour > 0 && msUntilFinalHour <= MAX_TIMEOUT_MS) {
+      timers.push(setTimeout(() => setIsFinalHour(true), msUntilFinalHour));
+    }
+    if (msUntilEnd <= MAX_TIMEOUT_MS) {
+      timers.push(setTimeout(() => {
+        setRevealCycleId(currentCycle.cycleId);
+        setCurrentCycle(getCycle(cycleSchedule, Math.max(serverNow(), currentCycle.endsAt)));
+      }, Math.max(0, msUntilEnd)));
+    }
+
+    return () => timers.forEach(clearTimeout);
+  }, [cycleSchedule, currentCycle]);
+
   // 2. CYCLE PICK DATA LISTENER (User's current pick and points earned this cycle)
   useEffect(() => {
     // Skip if not authenticated
-    if (!user || !isAuthReady) {
+    if (!user || !isAuthReady || !currentCycleId) {
       setPlayerPoints(0);
       setSelectedCreator(null);
       return;
@@ -197,40 +242,61 @@ const MainApp = () => {
     fetchCreatorProfile();
   }, [selectedCreator]);
 
-  // 3. CREATOR/LEADERBOARD DATA LISTENER (Cycle-based)
+  // The user's rank among their creator's supporters this cycle - recounted whenever
+  // their supporter entry changes (Cloud Functions update it after each win)
   useEffect(() => {
-    if (!db || !isAuthReady) return; // Wait until auth is ready
+    if (!user || !selectedCreator || !currentCycleId) {
+      setSupporterRank(null);
+      return;
+    }
 
-    const leaderboardRef = collection(db, 'cycles', currentCycleId, 'leaderboard');
+    const supportersRef = collection(db, 'cycles', currentCycleId, 'leaderboard', selectedCreator, 'supporters');
 
-    const unsubscribe = onSnapshot(leaderboardRef, async (snapshot) => {
-      const creatorList = [];
-      
-      for (const docSnap of snapshot.docs) {
-        const leaderboardData = docSnap.data();
-        
-        // Fetch creator profile from users collection
-        const userRef = getUserDocRef(db, docSnap.id);
-        const userSnap = await getDoc(userRef);
-        
-        const userData = userSnap.data();
-        const isCreator = userData?.accountType === 'creator' || userData?.isCreator === true;
-        
-        if (userSnap.exists() && isCreator) {
-          creatorList.push({
-            id: docSnap.id,
-            name: userData.displayName,
-            contentUrl: userData.promotionalURL || userData.creatorProfile?.promotionalUrl || '',
-            points: leaderboardData.totalPoints || 0,
-            supporterCount: leaderboardData.supporterCount || 0,
-            photoURL: userData.photoURL || ''
-          });
-        }
+    const unsubscribe = onSnapshot(doc(supportersRef, user.uid), async (supporterSnap) => {
+      if (!supporterSnap.exists()) {
+        setSupporterRank(null);
+        return;
+      }
+
+      try {
+        const ahead = await getCountFromServer(query(supportersRef, where('points', '>', supporterSnap.data().points)));
+        setSupporterRank(ahead.data().count + 1);
+      } catch (error) {
+        console.error('Error loading supporter rank:', error);
       }
+    });
 
-      // Sort by points (highest first)
-      creatorList.sort((a, b) => b.points - a.points);
+    return unsubscribe;
+  }, [user, selectedCreator, currentCycleId]);
 
+  // 3. CREATOR/LEADERBOARD DATA LISTENER (Cycle-based)
+  useEffect(() => {
+    if (!db || !isAuthReady || !currentCycleId) return; // Wait until auth and the cycle schedule are ready
+
+    // leaderboardView is kept by Cloud Functions with each creator's profile and rank
+    // merged in, so one ordered query is enough - no per-creator profile fetches
+    const leaderboardQuery = query(
+      collection(db, 'cycles', currentCycleId, 'leaderboardView'),
+      orderBy('rank'),
+      limit(leaderboardLimit)
+    );
+
+    const unsubscribe = onSnapshot(leaderboardQuery, (snapshot) => {
+      const creatorList = snapshot.docs.map(docSnap => {
+        const entry = docSnap.data();
+        return {
+          id: docSnap.id,
+          rank: entry.rank,
+          name: entry.name,
+          contentUrl: entry.contentUrl || '',
+          points: entry.points || 0,
+          supporterCount: entry.supporterCount || 0,
+          photoURL: entry.photoURL || '',
+          verified: entry.verified === true
+        };
+      });
+
+      setHasMoreCreators(snapshot.size === leaderboardLimit);
       setCreators(creatorList);
 
       // Pre-fill profile if user is already a creator
@@ -245,54 +311,48 @@ const MainApp = () => {
     });
 
     return unsubscribe;
-  }, [isAuthReady, currentCycleId, user, userProfile]); // Added dependencies
+  }, [isAuthReady, currentCycleId, user, userProfile, leaderboardLimit]); // Added dependencies
 
-  // 4. LOAD YESTERDAY'S WINNER AND CHECK PITY POINTS
+  // 4. LAST CYCLE'S WINNER
+  // Listened to rather than read once: after a rollover the winner appears a few
+  // minutes later, once Cloud Functions finalize the cycle
   useEffect(() => {
-    const loadWinnerAndPityPoints = async () => {
-      if (!db || !isAuthReady) return;
+    if (!db || !isAuthReady || !completedCycleId) return;
 
-      try {
-        // Get the most recent completed cycle (today's if after 6pm, yesterday's if before 6pm)
-        const now = new Date();
-        const currentHour = now.getHours();
-        
-        // If it's before 6pm, show yesterday's winner. If after 6pm, show today's winner.
-        const daysAgo = currentHour < 18 ? 1 : 0;
-        const cycleDate = new Date();
-        cycleDate.setDate(cycleDate.getDate() - daysAgo);
-        
-        const year = cycleDate.getFullYear();
-        const month = String(cycleDate.getMonth() + 1).padStart(2, '0');
-        const day = String(cycleDate.getDate()).padStart(2, '0');
-        const completedCycleId = `${year}-${month}-${day}-18:00`;
-
-        // Load the completed cycle's winner
-        const winnerRef = doc(db, 'cycleWinners', completedCycleId);
-        const winnerSnap = await getDoc(winnerRef);
-        
-        if (winnerSnap.exists()) {
-          setCycleWinner(winnerSnap.data());
-        }
+    setCycleWinner(null);
+    const winnerRef = doc(db, 'cycleWinners', completedCycleId);
+    const unsubscribe = onSnapshot(winnerRef, (winnerSnap) => {
+      setCycleWinner(winnerSnap.exists() ? winnerSnap.data() : null);
+    }, (error) => {
+      console.error('Error loading winner:', error);
+    });
 
-        // Check if user is eligible for a pity point from the completed cycle
-        if (user) {
-          const eligibilityRef = doc(db, 'cycles', completedCycleId, 'pityPointsEligible', user.uid);
-          const eligibilitySnap = await getDoc(eligibilityRef);
-          
-          if (eligibilitySnap.exists() && eligibilitySnap.data().eligibleForPityPoint && !eligibilitySnap.data().clickedWinnerLink) {
-            setHasPityPoint(true);
-          } else {
-            setHasPityPoint(false);
-          }
-        }
-      } catch (error) {
-        console.error('Error loading winner and pity points:', error);
-      }
-    };
+    return unsubscribe;
+  }, [isAuthReady, completedCycleId]);
 
-    loadWinnerAndPityPoints();
-  }, [isAuthReady, user, currentCycleId]);
+  // Follow the user's pity point for the completed cycle - eligibility is set by Cloud
+  // Functions when the winner is announced, and the record shows where a claim was credited
+  useEffect(() => {
+    if (!db || !user || !completedCycleId || !cycleWinner) {
+      setPityRecord(null);
+      return;
+    }
+
+    const unsubscribe = onSnapshot(
+      doc(db, 'cycles', completedCycleId, 'pityPointsEligible', user.uid),
+      (snap) => setPityRecord(snap.exists() ? snap.data() : null),
+      (error) => console.error('Error loading pity points:', error)
+    );
+
+    return unsubscribe;
+  }, [user, completedCycleId, cycleWinner]);
+
+  const pityClaimed = !!pityRecord && isPityClaimed(pityRecord);
+  const hasPityPoint = !!pityRecord?.eligibleForPityPoint && !pityClaimed && !isPityExpired(pityRecord, serverNow());
+  // The visit trigger leaves claimError when it couldn't claim, so the visit is already recorded
+  const pityVisited = !!pityRecord?.claimError;
+  // Records from before pity rules existed were worth 1 point
+  const pityPoints = pityRecord?.pointsAwarded ?? pityRecord?.points ?? 1;
 
   // Helper function for optimistic updates and animations
   const showPointsEarned = useCallback((points) => {
@@ -304,206 +364,10 @@ const MainApp = () => {
     setTimeout(() => setShowPointsAnimation(null), 3000);
   }, []);
 
-  // --- MINIGAME LOGIC (Reaction Test) ---
-
-  // Reset reaction test when leaving the game
-  useEffect(() => {
-    if (selectedGame !== 'reaction') {
-      setReactionTestState('initial');
-      setReactionTime(null);
-      setGameSessionId(null);
-      setGameStartTime(null);
-    }
-  }, [selectedGame]);
-
-  const startReactionTest = useCallback(() => {
-    if (!user || !selectedCreator) {
-      setProfileStatus('Please pick a creator first before playing!');
-      return;
-    }
-    
-    // Start the visual game immediately - no delay
-    setReactionTestState('wait');
-    setReactionTime(null);
-    const delay = Math.random() * 3000 + 2000; // 2 to 5 seconds
-    setTimeout(() => {
-      setReactionTestState('go');
-      // Start tracking time from this moment
-      setGameStartTime(Date.now());
-    }, delay);
-    
-    // Create session in the background (don't await)
-    const startGameSession = httpsCallable(functions, 'startGameSession');
-    startGameSession({
-      gameType: 'reaction',
-      difficulty: 'standard'
-    }).then(result => {
-      const sessionId = result.data.sessionId;
-      // Store session ID in state
-      setGameSessionId(sessionId);
-    }).catch(error => {
-      console.error('Error starting game session:', error.message);
-      // Don't show error to user - they're already playing
-    });
-  }, [user, selectedCreator]);
-
-  const handleReactionClick = useCallback(async () => {
-    if (view !== 'minigame') return;
-    if (reactionTestState === 'wait') {
-      // Too early click
-      setReactionTestState('result');
-      setReactionTime('Too Early!');
-      return;
-    }
-
-    if (reactionTestState === 'go') {
-      // Successful click!
-      const timeElapsed = Date.now() - gameStartTime;
-      setReactionTime(`${timeElapsed} ms`);
-      setReactionTestState('result');
-
-      if (timeElapsed < 500) {
-        if (!user || !gameSessionId) {
-          setProfileStatus('Error: Game session not started properly');
-          return;
-        }
-
-        // Check if creator is selected
-        if (!selectedCreator) {
-          setProfileStatus('🎉 Nice! Pick a creator to start earning points for wins like this!');
-          return;
-        }
-
-        // Show points immediately (optimistic update)
-        showPointsEarned(1);
-
-        try {
-          // Call Cloud Function to validate and record the result
-          const submitGameResult = httpsCallable(functions, 'submitGameResult');
-          const result = await submitGameResult({
-            sessionId: gameSessionId,
-            timeTaken: timeElapsed
-          });
-          
-          if (result.data.success) {
-            setProfileStatus(`Success! +${result.data.pointsAwarded} points for ${creators.find(c => c.id === result.data.creatorId)?.name || 'creator'}!`);
-          } else if (!result.data.success) {
-            setProfileStatus('Error: Failed to submit game result');
-            // Rollback optimistic update on error
-            setOptimisticPoints(prev => prev - 1);
-          }
-        } catch (error) {
-          console.error('Error submitting game result:', error.message);
-          setProfileStatus(`Error submitting result: ${error.message}`);
-          // Rollback optimistic update on error
-          setOptimisticPoints(prev => prev - 1);
-        }
-      }
-      return;
-    }
-
-    if (reactionTestState === 'initial' || reactionTestState === 'result') {
-      startReactionTest();
-    }
-  }, [reactionTestState, user, view, startReactionTest, selectedCreator, gameSessionId, gameStartTime, creators, showPointsEarned]);
-
-
-  // Handle Block Blast game win
-  const handleBlockBlastWin = useCallback(async (sessionId) => {
-    if (!user) {
-      console.log('Cannot award points - user not logged in');
-      return;
-    }
-
-    if (!selectedCreator) {
-      alert('🎉 Great job! Pick a creator from the Creator Hub to start earning points!');
-      return;
-    }
-
-    if (!sessionId) {
-      console.error('No session ID provided');
-      return;
-    }
-
-    // Show points immediately (optimistic update)
-    showPointsEarned(5);
-
-    try {
-      console.log('🎮 Block Blast Win! Submitting result...');
-
-      // Submit the game result
-      const submitGameResult = httpsCallable(functions, 'submitGameResult');
-      const result = await submitGameResult({
-        sessionId,
-        timeTaken: 0
-      });
-
-      console.log('Result submitted:', result.data);
-
-      if (result.data.success) {
-        setProfileStatus(`Success! +5 points for ${creators.find(c => c.id === selectedCreator)?.name || 'creator'}!`);
-      } else {
-        setProfileStatus('Error: Failed to submit game result');
-        // Rollback optimistic update on error
-        setOptimisticPoints(prev => prev - 5);
-      }
-    } catch (error) {
-      console.error('Error submitting Block Blast result:', error);
-      setProfileStatus(`Error: ${error.message}`);
-      // Rollback optimistic update on error
-      setOptimisticPoints(prev => prev - 5);
-    }
-  }, [user, selectedCreator, creators, showPointsEarned]);
-
-  // Handle Color Match game win
-  const handleColorMatchWin = useCallback(async (sessionId) => {
-    if (!user) {
-      console.log('Cannot award points - user not logged in');
-      return;
-    }
-
-    if (!selectedCreator) {
-      alert('🎉 Amazing! Pick a creator from the Creator Hub to start earning points!');
-      return;
-    }
-
-    if (!sessionId) {
-      console.error('No session ID provided');
-      return;
-    }
-
-    // Show points immediately (optimistic update)
-    showPointsEarned(8);
-
-    try {
-      console.log('🎨 Color Match Win! Submitting result...');
-
-      // Submit the game result
-      const submitGameResult = httpsCallable(functions, 'submitGameResult');
-      const result = await submitGameResult({
-        sessionId,
-        timeTaken: 0
-      });
-
-      console.log('Result submitted:', result.data);
-
-      if (result.data.success) {
-        setProfileStatus(`Success! +8 points for ${creators.find(c => c.id === selectedCreator)?.name || 'creator'}!`);
-      } else {
-        setProfileStatus('Error: Failed to submit game result');
-        // Rollback optimistic update on error
-        setOptimisticPoints(prev => prev - 8);
-      }
-    } catch (error) {
-      console.error('Error submitting Color Match result:', error);
-      setProfileStatus(`Error: ${error.message}`);
-      // Rollback optimistic update on error
-      setOptimisticPoints(prev => prev - 8);
-    }
-  }, [user, selectedCreator, creators, showPointsEarned]);
+  // --- MINIGAME LOGIC ---
 
   // Handle game start - create session
-  const handleGameStart = useCallback(async (gameType) => {
+  const handleGameStart = useCallback(async (gameType, difficulty = DEFAULT_DIFFICULTY) => {
     if (!user) {
       console.log('Cannot start game - user not logged in');
       return null;
@@ -518,73 +382,28 @@ const MainApp = () => {
       const startGameSession = httpsCallable(functions, 'startGameSession');
       const sessionResult = await startGameSession({
         gameType,
-        difficulty: 'standard'
+        difficulty
       });
       console.log('Session created:', sessionResult.data.sessionId);
-      return sessionResult.data.sessionId;
+      return sessionResult.data; // { sessionId, seed }
     } catch (error) {
       console.error('Error creating game session:', error);
       return null;
     }
   }, [user, selectedCreator]);
 
-  // Handle Memory Flip game win
-  const handleMemoryFlipWin = useCallback(async (sessionId) => {
-    if (!user) {
-      console.log('Cannot award points - user not logged in');
-      return;
-    }
+  // Handle any game win - points and messages come from the game registry
+  const handleGameWin = useCallback(async (gameType, difficulty, sessionId, moveLog, timeTaken = 0) => {
+    const game = getGameEntry(gameType);
+    const points = getPoints(gameType, difficulty);
 
-    if (!selectedCreator) {
-      alert('🎉 Excellent memory! Pick a creator from the Creator Hub to start earning points!');
-      return;
-    }
-
-    if (!sessionId) {
-      console.error('No session ID provided');
-      return;
-    }
-
-    // Show points immediately (optimistic update)
-    showPointsEarned(6);
-
-    try {
-      console.log('🃏 Memory Flip Win! Submitting result...');
-
-      // Submit the game result
-      const submitGameResult = httpsCallable(functions, 'submitGameResult');
-      const result = await submitGameResult({
-        sessionId,
-        timeTaken: 0
-      });
-
-      console.log('Result submitted:', result.data);
-
-      if (result.data.success) {
-        setProfileStatus(`Success! +6 points for ${creators.find(c => c.id === selectedCreator)?.name || 'creator'}!`);
-      } else {
-        setProfileStatus('Error: Failed to submit game result');
-        // Rollback optimistic update on error
-        setOptimisticPoints(prev => prev - 6);
-      }
-    } catch (error) {
-      console.error('Error submitting Memory Flip result:', error);
-      setProfileStatus(`Error: ${error.message}`);
-      // Rollback optimistic update on error
-      setOptimisticPoints(prev => prev - 6);
-    }
-  }, [user, selectedCreator, creators, showPointsEarned]);
-
-  // Handle Pattern Pro game win
-  // Handle Pattern Pro game win
-  const handlePatternProWin = useCallback(async (sessionId) => {
     if (!user) {
       console.log('Cannot award points - user not logged in');
       return;
     }
 
     if (!selectedCreator) {
-      alert('🎉 Pattern master! Pick a creator from the Creator Hub to start earning points!');
+      alert(`🎉 ${game.cheer} Pick a creator from the Creator Hub to start earning points!`);
       return;
     }
 
@@ -594,113 +413,42 @@ const MainApp = () => {
     }
 
     // Show points immediately (optimistic update)
-    showPointsEarned(10);
+    showPointsEarned(points);
 
     try {
-      console.log('🧩 Pattern Pro Win! Submitting result...');
+      console.log(`${game.icon} ${game.name} Win! Submitting result...`);
 
-      // Submit the game result
+      // Submit the game result - the server replays the move log before awarding points
       const submitGameResult = httpsCallable(functions, 'submitGameResult');
       const result = await submitGameResult({
         sessionId,
-        timeTaken: 0
+        timeTaken,
+        moveLog
       });
 
       console.log('Result submitted:', result.data);
 
       if (result.data.success) {
-        setProfileStatus(`Success! +10 points for ${creators.find(c => c.id === selectedCreator)?.name || 'creator'}!`);
+        setProfileStatus(`Success! +${result.data.pointsAwarded} points for ${creators.find(c => c.id === result.data.creatorId)?.name || 'creator'}!`);
       } else {
         setProfileStatus('Error: Failed to submit game result');
         // Rollback optimistic update on error
-        setOptimisticPoints(prev => prev - 10);
+        setOptimisticPoints(prev => prev - points);
       }
     } catch (error) {
-      console.error('Error submitting Pattern Pro result:', error);
+      console.error(`Error submitting ${game.name} result:`, error);
       setProfileStatus(`Error: ${error.message}`);
       // Rollback optimistic update on error
-      setOptimisticPoints(prev => prev - 10);
-    }
-  }, [user, selectedCreator, creators, showPointsEarned]);
-
-  // Handle Whack-a-Mole game win
-  const handleWhackAMoleWin = useCallback(async (sessionId) => {
-    if (!user) {
-      console.log('Cannot award points - user not logged in');
-      return;
-    }
-
-    if (!selectedCreator) {
-      alert('🎉 Quick reflexes! Pick a creator from the Creator Hub to start earning points!');
-      return;
-    }
-
-    if (!sessionId) {
-      console.error('No session ID provided');
-      return;
-    }
-
-    // Show points immediately (optimistic update)
-    showPointsEarned(3);
-
-    try {
-      console.log('🎪 Whack-a-Mole Win! Submitting result...');
-
-      // Submit the game result
-      const submitGameResult = httpsCallable(functions, 'submitGameResult');
-      const result = await submitGameResult({
-        sessionId,
-        timeTaken: 0
-      });
-
-      console.log('Result submitted:', result.data);
-
-      if (result.data.success) {
-        setProfileStatus(`Success! +3 points for ${creators.find(c => c.id === selectedCreator)?.name || 'creator'}!`);
-      } else {
-        setProfileStatus('Error: Failed to submit game result');
-        // Rollback optimistic update on error
-        setOptimisticPoints(prev => prev - 3);
-      }
-    } catch (error) {
-      console.error('Error submitting Whack-a-Mole result:', error);
-      setProfileStatus(`Error: ${error.message}`);
-      // Rollback optimistic update on error
-      setOptimisticPoints(prev => prev - 3);
+      setOptimisticPoints(prev => prev - points);
     }
   }, [user, selectedCreator, creators, showPointsEarned]);
 
   const miniGameContent = useMemo(() => {
     // If a game is selected, show the game
-    if (selectedGame === 'blockblast') {
-      return (
-        <div className="space-y-4">
-          <button
-            onClick={() => setSelectedGame(null)}
-            className="flex items-center gap-2 px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition-colors"
-          >
-            ← Back to Games
-          </button>
-          <BlockBlast onGameWin={handleBlockBlastWin} onGameStart={handleGameStart} />
-        </div>
-      );
-    }
-
-    if (selectedGame === 'colormatch') {
-      return (
-        <div className="space-y-4">
-          <button
-            onClick={() => setSelectedGame(null)}
-            className="flex items-center gap-2 px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition-colors"
-          >
-            ← Back to Games
-          </button>
-          <ColorMatch onGameWin={handleColorMatchWin} onGameStart={handleGameStart} />
-        </div>
-      );
-    }
-
-    if (selectedGame === 'memoryflip') {
+    const activeGame = selectedGame && getGameEntry(selectedGame);
+    if (activeGame) {
+      const GameComponent = activeGame.component;
+      const difficulty = gameDifficulties[activeGame.id] || DEFAULT_DIFFICULTY;
       return (
         <div className="space-y-4">
           <button
@@ -709,146 +457,16 @@ const MainApp = () => {
           >
             ← Back to Games
           </button>
-          <MemoryFlip onGameWin={handleMemoryFlipWin} onGameStart={handleGameStart} />
-        </div>
-      );
-    }
-
-    if (selectedGame === 'patternpro') {
-      return (
-        <div className="space-y-4">
-          <button
-            onClick={() => setSelectedGame(null)}
-            className="flex items-center gap-2 px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition-colors"
-          >
-            ← Back to Games
-          </button>
-          <PatternPro onGameWin={handlePatternProWin} onGameStart={handleGameStart} />
-        </div>
-      );
-    }
-
-    if (selectedGame === 'whackamole') {
-      return (
-        <div className="space-y-4">
-          <button
-            onClick={() => setSelectedGame(null)}
-            className="flex items-center gap-2 px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition-colors"
-          >
-            ← Back to Games
-          </button>
-          <WhackAMole onGameWin={handleWhackAMoleWin} onGameStart={handleGameStart} />
-        </div>
-      );
-    }
-
-    if (selectedGame === 'reaction') {
-      const timeValue = reactionTime && reactionTime !== 'Too Early!' ? parseInt(reactionTime) : Infinity;
-      const isWin = timeValue < 500;
-
-      let message;
-      let boxClass = 'cursor-pointer w-full h-80 flex items-center justify-center rounded-2xl shadow-xl transition-all duration-300 text-3xl font-bold';
-
-      switch (reactionTestState) {
-        case 'initial':
-          boxClass += ' bg-gradient-to-br from-purple-600 to-purple-700 hover:from-purple-500 hover:to-purple-600 text-white';
-          message = 'Click to Start Reaction Test';
-          break;
-        case 'wait':
-          boxClass += ' bg-red-500 text-white';
-          message = 'Wait for Green...';
-          break;
-        case 'go':
-          boxClass += ' bg-green-500 text-white shadow-2xl shadow-green-400';
-          message = 'CLICK NOW!';
-          break;
-        case 'result':
-          boxClass += ' bg-gray-800 text-gray-100 border-2 border-gray-700';
-          message = (
-            <div className="text-center p-4">
-              <p className="text-5xl mb-4">{reactionTime}</p>
-              {reactionTime === 'Too Early!' && <p className="text-red-400">You lost this round: Too Early!</p>}
-              {isWin && <p className="text-yellow-400">Success! You earned 1 Sub Point!</p>}
-              {!isWin && reactionTime !== 'Too Early!' && reactionTime !== null && <p className="text-orange-400">Too slow. Try again!</p>}
-              <button
-                onClick={startReactionTest}
-                className="mt-6 px-6 py-2 bg-gradient-to-r from-purple-600 to-purple-700 text-white rounded-full hover:from-purple-500 hover:to-purple-600 transition-all shadow-md"
-              >
-                Play Again
-              </button>
-            </div>
-          );
-          break;
-        default:
-          message = 'Error';
-      }
-
-      return (
-        <div className="space-y-4">
-          <button
-            onClick={() => setSelectedGame(null)}
-            className="flex items-center gap-2 px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition-colors"
-          >
-            ← Back to Games
-          </button>
-          <div id="reaction-box" className={boxClass} onClick={handleReactionClick}>
-            {message}
-          </div>
+          <GameComponent
+            difficulty={difficulty}
+            onGameWin={(sessionId, moveLog, timeTaken) => handleGameWin(activeGame.id, difficulty, sessionId, moveLog, timeTaken)}
+            onGameStart={(gameType) => handleGameStart(gameType, difficulty)}
+          />
         </div>
       );
     }
 
     // Game Library View (default)
-    const games = [
-      {
-        id: 'reaction',
-        name: 'Reaction Test',
-        icon: '🎯',
-        description: 'Test your reflexes! Click as fast as you can when the screen turns green.',
-        color: 'from-purple-600 to-purple-700',
-        points: '1 point',
-      },
-      {
-        id: 'whackamole',
-        name: 'Whack-a-Mole',
-        icon: '🎪',
-        description: 'Tap the critters before they hide! Hit 30 in 30 seconds to win.',
-        color: 'from-orange-500 to-red-600',
-        points: '3 points',
-      },
-      {
-        id: 'blockblast',
-        name: 'Block Blast',
-        icon: '🧩',
-        description: 'Clear lines by placing blocks strategically. Reach 100 points to win!',
-        color: 'from-yellow-500 to-yellow-600',
-        points: '5 points',
-      },
-      {
-        id: 'memoryflip',
-        name: 'Memory Flip',
-        icon: '🃏',
-        description: 'Match all the pairs! Find 8 matching card pairs to win.',
-        color: 'from-purple-500 to-pink-600',
-        points: '6 points',
-      },
-      {
-        id: 'colormatch',
-        name: 'Color Match',
-        icon: '🎨',
-        description: 'Simon says! Repeat the color sequence. Reach level 8 to win!',
-        color: 'from-blue-500 to-blue-600',
-        points: '8 points',
-      },
-      {
-        id: 'patternpro',
-        name: 'Pattern Pro',
-        icon: '🧠',
-        description: 'Master the patterns! Solve 10 challenging pattern puzzles to win.',
-        color: 'from-cyan-500 to-blue-600',
-        points: '10 points',
-      },
-    ];
 
     return (
       <div className="space-y-6">
@@ -867,13 +485,23 @@ const MainApp = () => {
           </div>
         )}
 
+        <DailyQuests
+          userId={user?.uid}
+          cycleId={currentCycleId}
+          hasPick={!!selectedCreator}
+          onClaimed={showPointsEarned}
+        />
+
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4 md:gap-6">
-          {games.map((game) => {
+          {GAME_LIBRARY.map((game) => {
+            const difficulty = gameDifficulties[game.id] || DEFAULT_DIFFICULTY;
+            const points = getPoints(game.id, difficulty);
+
             return (
-              <button
+              <div
                 key={game.id}
                 onClick={() => setSelectedGame(game.id)}
-                className="group relative bg-white/10 backdrop-blur-sm rounded-2xl overflow-hidden hover:scale-105 hover:shadow-2xl hover:border-white/40 transition-all duration-300 shadow-xl border-2 border-white/20"
+                className="group relative cursor-pointer bg-white/10 backdrop-blur-sm rounded-2xl overflow-hidden hover:scale-105 hover:shadow-2xl hover:border-white/40 transition-all duration-300 shadow-xl border-2 border-white/20"
               >
                 <div className={`absolute inset-0 bg-gradient-to-br ${game.color} opacity-10 group-hover:opacity-20 transition-opacity`}></div>
                 
@@ -885,30 +513,51 @@ const MainApp = () => {
                   </h3>
                   
                   <p className="text-gray-200 mb-4 text-sm md:text-base">
-                    {game.description}
+                    {game.description(getDifficulty(game.id, difficulty).params)}
                   </p>
+
+                  {/* Difficulty picker - harder tiers pay out more */}
+                  <div className="flex gap-2 mb-4">
+                    {DIFFICULTY_IDS.map((level) => (
+                      <button
+                        key={level}
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setGameDifficulties(prev => ({ ...prev, [game.id]: level }));
+                        }}
+                        className={`px-3 py-1 rounded-full text-xs md:text-sm font-semibold transition-colors ${
+                          level === difficulty
+                            ? `bg-gradient-to-r ${game.color} text-white`
+                            : 'bg-white/10 text-gray-300 hover:bg-white/20'
+                        }`}
+                      >
+                        {DIFFICULTY_LABELS[level]}
+                      </button>
+                    ))}
+                  </div>
                   
                   <div className="flex items-center justify-between">
                     <span className={`px-3 py-1 rounded-full bg-gradient-to-r ${game.color} text-white text-sm font-semibold`}>
-                      Earn {game.points}
+                      Earn {points} {points === 1 ? 'point' : 'points'}
                     </span>
                     <span className="text-white font-semibold group-hover:translate-x-2 transition-transform">
                       Play Now →
                     </span>
                   </div>
                 </div>
-              </button>
+              </div>
             );
           })}
         </div>
       </div>
     );
-  }, [selectedGame, reactionTestState, reactionTime, startReactionTest, handleReactionClick, handleBlockBlastWin, handleColorMatchWin, handleMemoryFlipWin, handlePatternProWin, handleWhackAMoleWin, handleGameStart, selectedCreator, userProfile]);
+  }, [selectedGame, gameDifficulties, handleGameWin, handleGameStart, selectedCreator, userProfile, user, currentCycleId, showPointsEarned]);
 
   // --- CREATOR HUB LOGIC ---
 
   const [selectedCreatorForModal, setSelectedCreatorForModal] = useState(null);
   const [allCreators, setAllCreators] = useState([]);
+  const modalCreatorBadges = getEarnedList(useEarnedAchievements(selectedCreatorForModal?.id));
 
   // Fetch all creators for Creator Hub
   useEffect(() => {
@@ -930,6 +579,7 @@ const MainApp = () => {
               promotionalUrl: data.creatorProfile?.promotionalUrl || '',
               platform: data.creatorProfile?.platform || 'Other',
               contentType: data.creatorProfile?.contentType || 'Other',
+              verified: isChannelVerified(data),
             });
           }
         });
@@ -945,32 +595,68 @@ const MainApp = () => {
     }
   }, [view]);
 
+  // "Play for me" links (/?support={creatorId}, e.g. the QR code on a stream overlay)
+  // open that creator in the Creator Hub
+  const [linkedCreatorId, setLinkedCreatorId] = useState(() => new URLSearchParams(window.location.search).get('support'));
+
+  useEffect(() => {
+    if (linkedCreatorId) setView('creatorhub');
+  }, [linkedCreatorId]);
+
+  useEffect(() => {
+    if (!linkedCreatorId || allCreators.length === 0) return;
+    const creator = allCreators.find(c => c.id === linkedCreatorId);
+    if (creator) setSelectedCreatorForModal(creator);
+    setLinkedCreatorId(null);
+    window.history.replaceState(null, '', window.location.pathname);
+  }, [linkedCreatorId, allCreators]);
+
+  // Players who signed up through a creator's invite link are offered that creator as
+  // their pick - once, and only while they haven't picked anyone
+  const referrerId = userProfile?.referredBy?.creatorId;
+
+  useEffect(() => {
+    if (!user || !referrerId || selectedCreator) return;
+    const offeredKey = `referralOffered_${user.uid}`;
+    if (localStorage.getItem(offeredKey)) return;
+    localStorage.setItem(offeredKey, 'true');
+    setLinkedCreatorId(referrerId);
+  }, [user, referrerId, selectedCreator]);
+
   const handleSupportCreator = async (creatorId) => {
     if (!user) {
       alert('Please sign in to support a creator');
       return;
     }
 
-    // Prevent switching if already supporting a creator
-    if (selectedCreator && selectedCreator !== creatorId) {
-      alert('You are already supporting a creator for this cycle. Your choice is locked until the next cycle.');
+    if (!currentCycleId) {
+      alert('Still loading the current cycle. Please try again in a moment.');
+      return;
+    }
+
+    // Whether a switch is allowed (and what it costs) is up to the pick policy on the server
+    if (selectedCreator && selectedCreator !== creatorId
+      && !window.confirm('You are already supporting a creator this cycle. Switch to this creator instead?')) {
       return;
     }
 
     try {
-      const cyclePickRef = getCyclePickRef(db, currentCycleId, user.uid);
-      await setDoc(cyclePickRef, {
-        creatorId: creatorId,
-        pickedAt: Date.now()
-      });
+      const pickCreator = httpsCallable(functions, 'pickCreator');
+      const result = await pickCreator({ creatorId });
 
       setSelectedCreator(creatorId);
       setSelectedCreatorForModal(null);
-      alert('Creator supported! You can now play games and earn points for them.');
+      if (result.data.switched) {
+        alert(result.data.forfeitedPoints > 0
+          ? `Switched creators. The ${result.data.forfeitedPoints} points you earned for your previous creator were forfeited.`
+          : 'Switched creators! Points you earn now go to your new creator.');
+      } else {
+        alert('Creator supported! You can now play games and earn points for them.');
+      }
       setView('minigame'); // Redirect to games
     } catch (error) {
       console.error('Error supporting creator:', error);
-      alert('Error supporting creator. Please try again.');
+      alert(error.message || 'Error supporting creator. Please try again.');
     }
   };
 
@@ -1018,6 +704,11 @@ const MainApp = () => {
                   <span className="text-2xl">{getPlatformIcon(creator.platform)}</span>
                   <span className="text-sm text-gray-300 font-medium">{creator.platform}</span>
                 </div>
+                {creator.verified ? (
+                  <span className="text-xs font-semibold text-sky-300">✓ Verified</span>
+                ) : (
+                  <span className="text-xs text-gray-400" title="This creator hasn't verified they own their channel">Unverified</span>
+                )}
               </div>
             </button>
           ))}
@@ -1048,7 +739,13 @@ const MainApp = () => {
                 </div>
               )}
               
-              <h2 className="text-2xl font-bold text-white mb-2">{selectedCreatorForModal.name}</h2>
+              <h2 className="text-2xl font-bold text-white mb-2">
+                {selectedCreatorForModal.name}
+                {selectedCreatorForModal.verified && <span className="text-sky-300 text-lg ml-2" title="Verified channel">✓</span>}
+              </h2>
+              {!selectedCreatorForModal.verified && (
+                <p className="text-xs text-gray-300 mb-2">⚠️ This creator hasn't verified they own their channel yet</p>
+              )}
               
               <div className="flex items-center justify-center gap-2 mb-4">
                 <span className="text-3xl">{getPlatformIcon(selectedCreatorForModal.platform)}</span>
@@ -1060,6 +757,24 @@ const MainApp = () => {
                   {selectedCreatorForModal.contentType} Content
                 </div>
               )}
+
+              {referrerId === selectedCreatorForModal.id && (
+                <p className="text-sm text-yellow-200 mb-4">🎟️ You joined through {selectedCreatorForModal.name}'s invite</p>
+              )}
+
+              {modalCreatorBadges.length > 0 && (
+                <div className="flex flex-wrap justify-center gap-2">
+                  {modalCreatorBadges.map(achievement => (
+                    <span
+                      key={achievement.id}
+                      title={`${achievement.name} - ${achievement.description}`}
+                      className="text-xl bg-white/10 rounded-full w-9 h-9 flex items-center justify-center border border-white/20"
+                    >
+                      {achievement.icon}
+                    </span>
+                  ))}
+                </div>
+              )}
             </div>
 
             <div className="space-y-3">
@@ -1100,71 +815,48 @@ const MainApp = () => {
     </div>
   );
 
-  // --- LEADERBOARD LOGIC ---
-
-  const handlePickCreator = useCallback(async (creatorId) => {
-    if (!user) {
-      setProfileStatus("Please sign in to pick a creator.");
-      return;
-    }
-
-    try {
-      const pickRef = getCyclePickRef(db, currentCycleId, user.uid);
-      const pickSnap = await getDoc(pickRef);
-      
-      if (pickSnap.exists()) {
-        // Update existing pick
-        await updateDoc(pickRef, {
-          creatorId: creatorId,
-          lastSwitchedAt: Date.now(),
-          switchCount: increment(1)
-        });
-        setProfileStatus(`Successfully switched to supporting ${creators.find(c => c.id === creatorId)?.name || 'creator'}!`);
-      } else {
-        // Create new pick
-        await setDoc(pickRef, {
-          userId: user.uid,
-          creatorId: creatorId,
-          pointsEarned: 0,
-          pickedAt: Date.now(),
-          lastSwitchedAt: Date.now(),
-          switchCount: 0
-        });
-        
-        // Add user to creator's supporter list
-        const leaderboardRef = getCycleLeaderboardRef(db, currentCycleId, creatorId);
-        const leaderboardSnap = await getDoc(leaderboardRef);
-        
-        if (leaderboardSnap.exists()) {
-          const supporters = leaderboardSnap.data().supporters || [];
-          if (!supporters.includes(user.uid)) {
-            await updateDoc(leaderboardRef, {
-              supporterCount: increment(1),
-              supporters: [...supporters, user.uid]
-            });
-          }
-        }
-        
-        setProfileStatus(`Now supporting ${creators.find(c => c.id === creatorId)?.name || 'creator'}! Start playing to earn points for them.`);
-      }
-      
-      setSelectedCreator(creatorId);
-    } catch (error) {
-      console.error('Error picking creator:', error);
-      setProfileStatus(`Error: ${error.message}`);
-    }
-  }, [user, creators, currentCycleId]);
-
   const leaderboardContent = (
     <div className="p-2 md:p-4 space-y-4 md:space-y-6">
       <div className="text-center">
-        <h2 className="text-xl md:text-3xl font-extrabold text-white pb-2">Creator Leaderboard</h2>
+        <h2 className="text-xl md:text-3xl font-extrabold text-white pb-2">
+          {{ current: 'Creator Leaderboard', season: 'Season Standings', hallOfFame: 'Hall of Fame' }[leaderboardTab]}
+        </h2>
+        <div className="inline-flex bg-white/10 rounded-full p-1 border border-white/20">
+          {[['current', 'This Cycle'], ['season', '🗓️ Season'], ['hallOfFame', '🏛️ Hall of Fame']].map(([tab, label]) => (
+            <button
+              key={tab}
+              onClick={() => setLeaderboardTab(tab)}
+              className={`px-3 md:px-4 py-1 rounded-full text-xs md:text-sm font-semibold transition-all ${
+                leaderboardTab === tab ? 'bg-white text-[#2A4475]' : 'text-white/70 hover:text-white'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
       </div>
 
-      {creators.length === 0 ? (
+      {leaderboardTab === 'hallOfFame' ? (
+        <HallOfFame />
+      ) : leaderboardTab === 'season' ? (
+        <SeasonLeaderboard currentCycleId={currentCycleId} schedule={cycleSchedule} />
+      ) : creators.length === 0 ? (
         <p className="text-white/60 text-sm md:text-base">No creators registered yet. Be the first!</p>
       ) : (
         <div className="bg-white/10 backdrop-blur-md rounded-xl shadow-2xl p-3 md:p-6 border border-white/20">
+          {isFinalHour && (
+            <div className="mb-3 md:mb-4 p-2 md:p-3 rounded-lg bg-red-500/20 border border-red-400/50 text-center">
+              <p className="text-sm md:text-base font-bold text-red-200">🔥 Final hour - every point counts!</p>
+              {creators.length > 1 && creators[0].points - creators[1].points <= CLOSE_RACE_POINTS && (
+                <p className="text-xs md:text-sm text-red-100/90 mt-1">
+                  {creators[0].points === creators[1].points
+                    ? `${creators[0].name} and ${creators[1].name} are tied!`
+                    : `${creators[0].name} leads ${creators[1].name} by just ${creators[0].points - creators[1].points} point${creators[0].points - creators[1].points !== 1 ? 's' : ''}!`}
+                </p>
+              )}
+            </div>
+          )}
+
           <div className="border-2 border-yellow-400/50 bg-yellow-500/10 backdrop-blur-sm p-3 md:p-4 rounded-lg flex items-center shadow-md">
             {creators[0].photoURL && (
               <img 
@@ -1180,10 +872,13 @@ const MainApp = () => {
           </div>
 
           <ul className="mt-4 md:mt-8 space-y-2 md:space-y-3">
-            {creators.map((creator, index) => (
+            {creators.map((creator) => (
               <li
                 key={creator.id}
-                className="flex items-center justify-between p-2 md:p-4 bg-white/10 backdrop-blur-sm hover:bg-white/15 rounded-lg shadow-sm transition-all border border-white/20"
+                className={`flex items-center justify-between p-2 md:p-4 bg-white/10 backdrop-blur-sm hover:bg-white/15 rounded-lg shadow-sm transition-all border ${
+                  // In the final hour, highlight everyone still within reach of first place
+                  isFinalHour && creators[0].points - creator.points <= CLOSE_RACE_POINTS ? 'border-red-400/70' : 'border-white/20'
+                }`}
               >
                 <div className="flex items-center flex-1 min-w-0">
                   {/* Profile Picture */}
@@ -1208,7 +903,8 @@ const MainApp = () => {
                   {/* Creator Info */}
                   <div className="flex-1 min-w-0">
                     <p className="text-sm md:text-lg font-medium text-white truncate">
-                      {index + 1}. {creator.name}
+                      {creator.rank}. {creator.name}
+                      {creator.verified && <span className="text-sky-300 ml-1" title="Verified channel">✓</span>}
                     </p>
                     <a href={creator.contentUrl} target="_blank" rel="noopener noreferrer" className="text-xs md:text-sm text-white/70 hover:text-white hover:underline truncate block">
                       {creator.contentUrl}
@@ -1226,6 +922,15 @@ const MainApp = () => {
               </li>
             ))}
           </ul>
+
+          {hasMoreCreators && (
+            <button
+              onClick={() => setLeaderboardLimit(prev => prev + LEADERBOARD_PAGE_SIZE)}
+              className="mt-4 w-full py-2 text-sm md:text-base font-semibold text-white bg-white/10 hover:bg-white/20 rounded-lg border border-white/20 transition-all"
+            >
+              Show More
+            </button>
+          )}
         </div>
       )}
     </div>
@@ -1247,46 +952,52 @@ const MainApp = () => {
         return creatorHubContent;
       case 'creatorprofile':
         return <CreatorProfile />;
+      case 'admin':
+        return isAdmin ? <AdminConsole /> : <div>Select a view.</div>;
       default:
         return <div>Select a view.</div>;
     }
   };
 
-  const handleClickWinnerLink = async () => {
+  // Winner links go through the /go/ redirect, which records the visit and - for players
+  // with a pity point - claims it. The tab is opened right away so it isn't blocked as a
+  // popup, then pointed at the redirect once there's a visit ID.
+  const handleVisitWinner = async () => {
     if (!cycleWinner || !cycleWinner.promotionalURL) return;
 
+    const tab = window.open('', '_blank');
+    let url = `/go/${encodeURIComponent(completedCycleId)}`;
     try {
-      // Get the completed cycle (same logic as loadWinnerAndPityPoints)
-      const now = new Date();
-      const currentHour = now.getHours();
-      const daysAgo = currentHour < 18 ? 1 : 0;
-      const cycleDate = new Date();
-      cycleDate.setDate(cycleDate.getDate() - daysAgo);
-      
-      const year = cycleDate.getFullYear();
-      const month = String(cycleDate.getMonth() + 1).padStart(2, '0');
-      const day = String(cycleDate.getDate()).padStart(2, '0');
-      const completedCycleId = `${year}-${month}-${day}-18:00`;
-
-      // Call cloud function to track click and apply pity point
-      const clickWinnerLink = httpsCallable(functions, 'clickWinnerLink');
-      const result = await clickWinnerLink({
-        cycleId: completedCycleId,
-        winnerUrl: cycleWinner.promotionalURL
-      });
+      if (user) {
+        const startWinnerVisit = httpsCallable(functions, 'startWinnerVisit');
+        const result = await startWinnerVisit({ cycleId: completedCycleId });
+        url = result.data.url;
+      }
+    } catch (error) {
+      console.error('Error starting winner visit:', error);
+    }
 
-      console.log('clickWinnerLink result:', result.data);
+    if (tab) {
+      tab.location.href = url;
+    } else {
+      window.location.href = url;
+    }
+  };
 
-      if (result.data.pityPointApplied) {
-        alert(`Pity point applied! +${result.data.pointsAwarded} point added to your chosen creator!`);
-        setHasPityPoint(false);
+  // Retry a pity claim that failed when the visit was recorded (e.g. no pick yet)
+  const handleClaimPityPoint = async () => {
+    try {
+      setClaimingPity(true);
+      const claimPityPoint = httpsCallable(functions, 'claimPityPoint');
+      const result = await claimPityPoint({ cycleId: completedCycleId });
+      if (result.data.creditedCycleId === currentCycleId) {
+        showPointsEarned(result.data.pointsAwarded);
       }
-
-      // Open the winner's URL
-      window.open(cycleWinner.promotionalURL, '_blank');
     } catch (error) {
-      console.error('Error clicking winner link:', error);
-      alert('Error processing click. Please try again.');
+      console.error('Error claiming pity point:', error);
+      alert(error.message);
+    } finally {
+      setClaimingPity(false);
     }
   };
 
@@ -1300,6 +1011,7 @@ const MainApp = () => {
             <span className="bg-gradient-to-r from-white to-gray-200 bg-clip-text text-transparent" style={{letterSpacing: '-0.02em'}}>SubGames</span>
           </h1>
           <div className="flex items-center space-x-2 md:space-x-4">
+            {currentCycle && <CycleCountdown endsAt={currentCycle.endsAt} />}
             <div className="relative flex items-center gap-2">
               {/* Points Animation - on the left */}
               {showPointsAnimation && (
@@ -1320,6 +1032,9 @@ const MainApp = () => {
             {selectedCreator && (
               <span className="text-xs md:text-sm text-white bg-white/20 backdrop-blur-sm px-2 py-1 md:p-2 rounded-lg truncate max-w-[100px] md:max-w-none">
                 <span className="hidden md:inline">Supporting: </span>{selectedCreatorProfile?.displayName || 'Creator'}
+                {supporterRank && (
+                  <span className="ml-1 font-bold text-yellow-300" title="Your rank among this creator's supporters this cycle">#{supporterRank}</span>
+                )}
               </span>
             )}
           </div>
@@ -1328,6 +1043,16 @@ const MainApp = () => {
 
       {/* Main Content Area */}
       <main className="flex-1 max-w-4xl mx-auto w-full p-2 md:p-4">
+        {/* Closing phase - the cycle just ended and Cloud Functions are tallying it */}
+        {revealCycleId && revealCycleId === completedCycleId && !cycleWinner && (
+          <div className="bg-white/10 backdrop-blur-sm border border-white/20 text-white p-3 md:p-4 rounded-xl shadow-xl mb-4 md:mb-6 text-center">
+            <p className="font-extrabold text-base md:text-lg mb-1">⏳ The cycle has ended!</p>
+            <p className="text-xs md:text-sm text-white/70">
+              Tallying the final results - the winner will be revealed in a few minutes.
+            </p>
+          </div>
+        )}
+
         {/* Winner Announcement */}
         {cycleWinner && cycleWinner.promotionalURL && (
           <div className="bg-gradient-to-r from-yellow-500 to-yellow-600 text-white p-3 md:p-4 rounded-xl shadow-xl mb-4 md:mb-6">
@@ -1340,25 +1065,58 @@ const MainApp = () => {
               </p>
             </div>
             
-            {hasPityPoint && selectedCreator ? (
+            {pityClaimed ? (
               <div className="text-center">
                 <p className="text-sm md:text-base font-semibold mb-2">
-                  🎁 Visit this creator to earn a bonus point for your favorite creator!
+                  🎁 +{pityPoints} pity point{pityPoints !== 1 ? 's' : ''}
+                  {pityRecord.creditedCycleId || pityRecord.clickedWinnerLink
+                    ? ` credited to ${pityRecord.creditedCreatorName || 'your pick'}${pityRecord.creditedCycleId === currentCycleId ? ' this cycle' : ''}`
+                    : ' added to your total points'}!
                 </p>
                 <button
-                  onClick={handleClickWinnerLink}
+                  onClick={handleVisitWinner}
                   className="bg-white text-yellow-600 px-4 py-2 md:px-6 md:py-3 rounded-lg font-bold hover:bg-gray-100 transition-colors text-sm md:text-base"
                 >
-                  Visit Winner's Channel & Claim Bonus Point
+                  Visit Winner's Channel
                 </button>
               </div>
+            ) : hasPityPoint && selectedCreator ? (
+              <div className="text-center">
+                <p className="text-sm md:text-base font-semibold mb-2">
+                  🎁 Visit this creator to earn {pityPoints} bonus point{pityPoints !== 1 ? 's' : ''} for your favorite creator!
+                  {pityRecord.expiresAt && (
+                    <span className="block text-xs font-normal opacity-90">
+                      Expires {pityRecord.expiresAt.toDate().toLocaleString()}
+                    </span>
+                  )}
+                </p>
+                {pityRecord.claimError && (
+                  <p className="text-xs md:text-sm mb-2 opacity-90">{pityRecord.claimError}</p>
+                )}
+                {pityVisited ? (
+                  <button
+                    onClick={handleClaimPityPoint}
+                    disabled={claimingPity}
+                    className="bg-white text-yellow-600 px-4 py-2 md:px-6 md:py-3 rounded-lg font-bold hover:bg-gray-100 transition-colors text-sm md:text-base disabled:opacity-60"
+                  >
+                    {claimingPity ? 'Claiming...' : 'Claim Bonus Point'}
+                  </button>
+                ) : (
+                  <button
+                    onClick={handleVisitWinner}
+                    className="bg-white text-yellow-600 px-4 py-2 md:px-6 md:py-3 rounded-lg font-bold hover:bg-gray-100 transition-colors text-sm md:text-base"
+                  >
+                    Visit Winner's Channel & Claim Bonus Point
+                  </button>
+                )}
+              </div>
             ) : selectedCreator === cycleWinner.winnerId ? (
               <div className="text-center">
                 <p className="text-sm md:text-base font-semibold mb-2">
                   🎉 You picked the winner! Check out their content!
                 </p>
                 <button
-                  onClick={() => window.open(cycleWinner.promotionalURL, '_blank')}
+                  onClick={handleVisitWinner}
                   className="bg-white text-yellow-600 px-4 py-2 md:px-6 md:py-3 rounded-lg font-bold hover:bg-gray-100 transition-colors text-sm md:text-base"
                 >
                   Visit Winner's Channel
@@ -1370,7 +1128,7 @@ const MainApp = () => {
                   {hasPityPoint ? 'Pick a creator first to claim your bonus point!' : 'Support the winner!'}
                 </p>
                 <button
-                  onClick={() => window.open(cycleWinner.promotionalURL, '_blank')}
+                  onClick={handleVisitWinner}
                   className="mt-2 bg-white text-yellow-600 px-4 py-2 md:px-6 md:py-3 rounded-lg font-bold hover:bg-gray-100 transition-colors text-sm md:text-base"
                 >
                   Visit Winner's Channel
@@ -1393,9 +1151,43 @@ const MainApp = () => {
           <NavItem view="leaderboard" currentView={view} setView={setView} icon="🏆" label="Leaderboard" />
           <NavItem view="creatorhub" currentView={view} setView={setView} icon="🧑‍💻" label="Creators" />
           <NavItem view="creatorprofile" currentView={view} setView={setView} icon="⭐" label="My Profile" />
+          {isAdmin && (
+            <NavItem view="admin" currentView={view} setView={setView} icon="🛠️" label="Admin" />
+          )}
         </div>
       </footer>
 
+      {/* Winner Reveal - for a cycle that ended while the app was open */}
+      {revealCycleId && revealCycleId === completedCycleId && cycleWinner && (
+        <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center z-50 p-4" onClick={() => setRevealCycleId(null)}>
+          <div className="bg-gradient-to-br from-yellow-500 to-yellow-600 rounded-2xl p-6 max-w-md w-full shadow-2xl text-center text-white" onClick={(e) => e.stopPropagation()}>
+            <p className="text-sm uppercase tracking-wide opacity-90 mb-2">The results are in!</p>
+            {cycleWinner.winnerPhotoURL ? (
+              <img
+                src={cycleWinner.winnerPhotoURL}
+                alt={cycleWinner.winnerName}
+                className="w-24 h-24 rounded-full object-cover border-4 border-white/60 mx-auto mb-4"
+              />
+            ) : (
+              <div className="text-6xl mb-4">🏆</div>
+            )}
+            <h2 className="text-2xl md:text-3xl font-black mb-1">{cycleWinner.winnerName} wins!</h2>
+            <p className="text-sm md:text-base opacity-90 mb-1">
+              {cycleWinner.finalScore} points • {cycleWinner.supporterCount} supporters
+            </p>
+            {cycleWinner.tieBrokenByTime && (
+              <p className="text-xs opacity-80 mb-1">Won on tie-break - first to reach the final score</p>
+            )}
+            <button
+              onClick={() => setRevealCycleId(null)}
+              className="mt-4 bg-white text-yellow-600 px-6 py-2 rounded-lg font-bold hover:bg-gray-100 transition-colors"
+            >
+              Start the New Cycle
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Creator Onboarding Modal */}
       {showCreatorOnboarding && (
         <CreatorOnboarding 
@@ -7,9 +7,12 @@ import {
   signOut as firebaseSignOut,
   onAuthStateChanged 
 } from 'firebase/auth';
-import { doc, getDoc, setDoc } from 'firebase/firestore';
+import { doc, getDoc, setDoc, serverTimestamp } from 'firebase/firestore';
 import { httpsCallable } from 'firebase/functions';
 import { initializeMessaging, requestNotificationPermission } from './notificationService';
+import { getCycleId } from './shared/cycles';
+import { loadCycleSchedule } from './cycleSchedule';
+import { captureReferralCode, takeReferralCode } from './referral';
 
 const AuthContext = createContext();
 
@@ -25,18 +28,33 @@ export const AuthProvider = ({ children }) => {
   const [currentUser, setCurrentUser] = useState(null);
   const [userProfile, setUserProfile] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [isAdmin, setIsAdmin] = useState(false);
 
   // Initialize Firebase Messaging
   useEffect(() => {
     initializeMessaging(app);
   }, []);
 
+  // Keep an invite code (?ref=) until the visitor signs up
+  useEffect(() => {
+    captureReferralCode();
+  }, []);
+
   useEffect(() => {
     const unsubscribe = onAuthStateChanged(auth, async (user) => {
       console.log('=== AUTH STATE CHANGED ===', user?.uid);
       setCurrentUser(user);
       
       if (user && !user.isAnonymous) {
+        // Admins are marked with an `admin` custom claim (see functions/set-admin.js)
+        try {
+          const tokenResult = await user.getIdTokenResult();
+          setIsAdmin(tokenResult.claims.admin === true);
+        } catch (error) {
+          console.error('Error reading auth claims:', error);
+          setIsAdmin(false);
+        }
+        
         // Fetch user profile from Firestore
         try {
           const userDoc = await getDoc(doc(db, 'users', user.uid));
@@ -73,6 +91,7 @@ export const AuthProvider = ({ children }) => {
         }
       } else {
         setUserProfile(null);
+        setIsAdmin(false);
       }
       
       setLoading(false);
@@ -211,7 +230,25 @@ export const AuthProvider = ({ children }) => {
       }
 
       await setDoc(userRef, profileData, { merge: true });
-      setUserProfile(profileData);
+
+      // New accounts that arrived through a creator's invite link are attributed to them
+      const referralCode = existingData ? null : takeReferralCode();
+      if (referralCode) {
+        try {
+          const attributeReferral = httpsCallable(functions, 'attributeReferral');
+          const result = await attributeReferral({ code: referralCode });
+          profileData.referredBy = {
+            creatorId: result.data.creatorId,
+            creatorName: result.data.creatorName,
+            code: referralCode
+          };
+        } catch (error) {
+          console.error('Error applying invite code:', error);
+        }
+      }
+
+      // Keep fields only Cloud Functions write (e.g. channelVerification) in the local copy
+      setUserProfile({ ...(existingData || {}), ...profileData });
       
       console.log('User profile created/updated:', profileData);
       return profileData;
@@ -296,6 +333,15 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Reload the profile after Cloud Functions change it (e.g. channel verification)
+  const refreshUserProfile = async () => {
+    if (!currentUser) return null;
+    const userDoc = await getDoc(doc(db, 'users', currentUser.uid));
+    const profile = userDoc.exists() ? userDoc.data() : null;
+    setUserProfile(profile);
+    return profile;
+  };
+
   // Update creator profile
   const updateCreatorProfile = async (updates) => {
     if (!currentUser || (userProfile?.accountType !== 'creator' && !userProfile?.isCreator)) {
@@ -368,11 +414,7 @@ export const AuthProvider = ({ children }) => {
       await setDoc(userRef, updates, { merge: true });
 
       // Auto-register creator to current cycle's leaderboard
-      const now = new Date();
-      const year = now.getFullYear();
-      const month = String(now.getMonth() + 1).padStart(2, '0');
-      const day = String(now.getDate()).padStart(2, '0');
-      const currentCycleId = `${year}-${month}-${day}-18:00`;
+      const currentCycleId = getCycleId(await loadCycleSchedule());
 
       const leaderboardRef = doc(db, 'cycles', currentCycleId, 'leaderboard', currentUser.uid);
       const leaderboardSnap = await getDoc(leaderboardRef);
@@ -383,8 +425,9 @@ export const AuthProvider = ({ children }) => {
           totalPoints: 0,
           supporterCount: 0,
           supporters: [],
-          firstToReachCurrentScore: Date.now(),
-          lastUpdated: Date.now()
+          firstToReachCurrentScore: serverTimestamp(),
+          lastUpdated: serverTimestamp(),
+          createdAt: serverTimestamp()
         });
       }
 
@@ -434,9 +477,11 @@ export const AuthProvider = ({ children }) => {
     currentUser,
     userProfile,
     loading,
+    isAdmin,
     signInWithGoogle,
     signInWithApple,
     signOut,
+    refreshUserProfile,
     updateCreatorProfile,
     completeCreatorOnboarding,
     upgradeToCreator,
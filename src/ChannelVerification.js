@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { httpsCallable } from 'firebase/functions';
+import { functions } from './firebaseConfig';
+import { useAuth } from './AuthContext';
+import { getChannelPlatform, isChannelVerified } from './shared/verification';
+
+const PLACEMENT = {
+  youtube: 'YouTube channel description (YouTube Studio → Customization → Basic info)',
+  twitch: 'Twitch bio (Creator Dashboard → Settings → Channel)'
+};
+
+// Prove ownership of the channel on the creator's profile: get a code, add it to the
+// channel's description or bio, then ask the server to find it there.
+function ChannelVerification() {
+  const { userProfile, refreshUserProfile } = useAuth();
+  const [pending, setPending] = useState(null); // { code, platform, expiresAt }
+  const [working, setWorking] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const channelUrl = userProfile?.creatorProfile?.channelUrl;
+  const platform = getChannelPlatform(channelUrl);
+  const verified = isChannelVerified(userProfile);
+
+  const handleStart = async () => {
+    try {
+      setWorking(true);
+      setMessage(null);
+      const startChannelVerification = httpsCallable(functions, 'startChannelVerification');
+      const result = await startChannelVerification();
+      setPending(result.data);
+    } catch (error) {
+      console.error('Error starting channel verification:', error);
+      setMessage(error.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleConfirm = async () => {
+    try {
+      setWorking(true);
+      setMessage(null);
+      const confirmChannelVerification = httpsCallable(functions, 'confirmChannelVerification');
+      await confirmChannelVerification();
+      setPending(null);
+      await refreshUserProfile();
+    } catch (error) {
+      console.error('Error confirming channel verification:', error);
+      setMessage(error.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(pending.code);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error('Error copying verification code:', error);
+    }
+  };
+
+  return (
+    <div className="profile-section">
+      <h3>Channel Verification</h3>
+      {verified ? (
+        <p className="section-description">
+          <span className="verified-badge">✓ Verified</span> You've verified that you own {userProfile.channelVerification.channelName || channelUrl}.
+          Changing your channel URL will need a new verification.
+        </p>
+      ) : !platform ? (
+        <p className="section-description">
+          Add a YouTube or Twitch channel URL to your profile to verify it. Unverified creators are
+          flagged in the Creator Hub and may not be able to win cycles.
+        </p>
+      ) : pending ? (
+        <>
+          <p className="section-description">
+            Add this code anywhere in your {PLACEMENT[pending.platform]}, save, then check. You can
+            remove it once you're verified. The code expires {new Date(pending.expiresAt).toLocaleString()}.
+          </p>
+          <div className="overlay-url">
+            <input type="text" value={pending.code} readOnly className="input-field" onFocus={(e) => e.target.select()} />
+            <button onClick={handleCopy} className="btn-edit">{copied ? 'Copied!' : 'Copy'}</button>
+          </div>
+          <button onClick={handleConfirm} className="btn-save-settings" disabled={working}>
+            {working ? 'Checking...' : 'Check My Channel'}
+          </button>
+        </>
+      ) : (
+        <>
+          <p className="section-description">
+            Prove that {channelUrl} is yours to get a verified badge. Unverified creators are flagged
+            in the Creator Hub and may not be able to win cycles.
+          </p>
+          <button onClick={handleStart} className="btn-save-settings" disabled={working}>
+            {working ? 'Getting code...' : 'Verify My Channel'}
+          </button>
+        </>
+      )}
+      {message && <p className="verification-error">{message}</p>}
+    </div>
+  );
+}
+
+export default ChannelVerification;
@@ -0,0 +1,285 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { collection, doc, getDoc, getDocs, query, orderBy, limit, documentId } from 'firebase/firestore';
+import { db } from './firebaseConfig';
+import { loadCycleSchedule } from './cycleSchedule';
+import { getCycle, getCycleById } from './shared/cycles';
+import { getCycleSlots } from './shared/analytics';
+import { getGame } from './shared/gameRegistry';
+import { downloadCsv } from './csv';
+import ReferralFunnel from './ReferralFunnel';
+import WinnerVisits from './WinnerVisits';
+
+const RECENT_DAYS = 30;
+const RECENT_CYCLES = 10;
+const HOURS = Array.from({ length: 24 }, (_, hour) => String(hour).padStart(2, '0'));
+
+const getGameName = (gameType) => getGame(gameType)?.name || gameType;
+
+// Hour by hour through a cycle: points won, the running total, and the creator's rank at
+// the end of each hour (snapshot hourly by Cloud Functions)
+const buildTimeline = (cycle, timezone, daysById) => {
+  let total = 0;
+  return getCycleSlots(cycle, timezone).map(({ day, hour }) => {
+    const slot = daysById[day]?.byHour?.[hour] || {};
+    total += slot.points || 0;
+    const rank = slot.cycleId === cycle.cycleId ? slot.rank : null;
+    return { day, hour, points: slot.points || 0, games: slot.games || 0, total, rank };
+  });
+};
+
+// Analytics for creators, built from the daily and per-cycle aggregates Cloud Functions
+// keep in creatorAnalytics/{creatorId} (see shared/analytics.js)
+function CreatorDashboard({ creatorId }) {
+  const [schedule, setSchedule] = useState(null);
+  const [days, setDays] = useState([]);
+  const [cycles, setCycles] = useState([]);
+  const [selectedCycleId, setSelectedCycleId] = useState(null);
+  const [cycleDays, setCycleDays] = useState({});
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadCycleSchedule().then(setSchedule);
+  }, []);
+
+  useEffect(() => {
+    if (!creatorId) return;
+
+    const loadAggregates = async () => {
+      try {
+        const analyticsRef = doc(db, 'creatorAnalytics', creatorId);
+        const [daysSnap, cyclesSnap] = await Promise.all([
+          getDocs(query(collection(analyticsRef, 'days'), orderBy(documentId(), 'desc'), limit(RECENT_DAYS))),
+          getDocs(query(collection(analyticsRef, 'cycles'), orderBy(documentId(), 'desc'), limit(RECENT_CYCLES)))
+        ]);
+        setDays(daysSnap.docs.map(docSnap => ({ day: docSnap.id, ...docSnap.data() })));
+        setCycles(cyclesSnap.docs.map(docSnap => ({ cycleId: docSnap.id, ...docSnap.data() })));
+      } catch (error) {
+        console.error('Error loading analytics:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadAggregates();
+  }, [creatorId]);
+
+  const currentCycleId = schedule ? getCycle(schedule).cycleId : null;
+  const cycleId = selectedCycleId || currentCycleId;
+  const cycle = useMemo(() => (schedule && cycleId ? getCycleById(schedule, cycleId) : null), [schedule, cycleId]);
+
+  // The day docs a cycle spans, for its timeline
+  useEffect(() => {
+    if (!creatorId || !cycle) return;
+
+    const loadCycleDays = async () => {
+      const dayIds = [...new Set(getCycleSlots(cycle, schedule.timezone).map(slot => slot.day))];
+      try {
+        const snaps = await Promise.all(dayIds.map(day => getDoc(doc(db, 'creatorAnalytics', creatorId, 'days', day))));
+        setCycleDays(Object.fromEntries(snaps.filter(snap => snap.exists()).map(snap => [snap.id, snap.data()])));
+      } catch (error) {
+        console.error('Error loading cycle timeline:', error);
+      }
+    };
+
+    loadCycleDays();
+  }, [creatorId, cycle, schedule]);
+
+  const timeline = useMemo(
+    () => (cycle ? buildTimeline(cycle, schedule.timezone, cycleDays) : []),
+    [cycle, schedule, cycleDays]
+  );
+
+  // Games and hours summed over the recent days
+  const { gameTotals, hourTotals } = useMemo(() => {
+    const games = {};
+    const hours = Object.fromEntries(HOURS.map(hour => [hour, 0]));
+    days.forEach(day => {
+      Object.entries(day.byGame || {}).forEach(([gameType, stats]) => {
+        games[gameType] = games[gameType] || { games: 0, points: 0 };
+        games[gameType].games += stats.games || 0;
+        games[gameType].points += stats.points || 0;
+      });
+      Object.entries(day.byHour || {}).forEach(([hour, stats]) => {
+        hours[hour] = (hours[hour] || 0) + (stats.games || 0);
+      });
+    });
+    return {
+      gameTotals: Object.entries(games).sort((a, b) => b[1].games - a[1].games),
+      hourTotals: hours
+    };
+  }, [days]);
+
+  if (loading || !schedule) {
+    return <div className="profile-section"><p className="section-description">Loading analytics...</p></div>;
+  }
+
+  const chronologicalCycles = [...cycles].reverse();
+  const retentionRows = chronologicalCycles.map((entry, index) => {
+    const previous = chronologicalCycles[index - 1];
+    const retention = previous?.supporters ? Math.round(((entry.returningSupporters || 0) / previous.supporters) * 100) : null;
+    return { ...entry, retention };
+  }).reverse();
+
+  const totalGames = gameTotals.reduce((sum, [, stats]) => sum + stats.games, 0);
+  const peakHourGames = Math.max(0, ...Object.values(hourTotals));
+  const maxTotal = Math.max(1, ...timeline.map(slot => slot.total));
+  const cycleOptions = [...new Set([currentCycleId, ...cycles.map(entry => entry.cycleId)])];
+
+  const exportDays = () => downloadCsv(`daily-analytics-${creatorId}.csv`, [
+    ['Day', 'Points', 'Games', 'New Supporters', ...HOURS.map(hour => `Games ${hour}:00`)],
+    ...[...days].reverse().map(day => [
+      day.day, day.points || 0, day.games || 0, day.newSupporters || 0,
+      ...HOURS.map(hour => day.byHour?.[hour]?.games || 0)
+    ])
+  ]);
+
+  const exportCycles = () => downloadCsv(`cycle-analytics-${creatorId}.csv`, [
+    ['Cycle', 'Points', 'Games', 'Supporters', 'New Supporters', 'Returning Supporters', 'Retention %'],
+    ...retentionRows.map(entry => [
+      entry.cycleId, entry.points || 0, entry.games || 0, entry.supporters || 0,
+      entry.newSupporters || 0, entry.returningSupporters || 0, entry.retention ?? ''
+    ])
+  ]);
+
+  const exportTimeline = () => downloadCsv(`timeline-${cycleId}.csv`, [
+    ['Day', 'Hour', 'Points', 'Games', 'Cycle Total', 'Rank'],
+    ...timeline.map(slot => [slot.day, `${slot.hour}:00`, slot.points, slot.games, slot.total, slot.rank ?? ''])
+  ]);
+
+  return (
+    <>
+      <div className="profile-section">
+        <div className="section-header">
+          <h2>Cycle Timeline</h2>
+          <button onClick={exportTimeline} className="btn-edit">Export CSV</button>
+        </div>
+        <select value={cycleId} onChange={(e) => setSelectedCycleId(e.target.value)} className="input-field">
+          {cycleOptions.map(id => (
+            <option key={id} value={id}>{id}{id === currentCycleId ? ' (current)' : ''}</option>
+          ))}
+        </select>
+        <p className="section-description">
+          Points your supporters won each hour ({schedule.timezone}) and your rank at the end of the hour.
+        </p>
+        <div className="analytics-bars">
+          {timeline.map(slot => (
+            <div
+              key={`${slot.day}-${slot.hour}`}
+              className="analytics-bar"
+              style={{ height: `${(slot.total / maxTotal) * 100}%` }}
+              title={`${slot.day} ${slot.hour}:00 - ${slot.total} pts${slot.rank ? `, rank #${slot.rank}` : ''}`}
+            />
+          ))}
+        </div>
+        {timeline.some(slot => slot.points || slot.rank) && (
+          <table className="history-table">
+            <thead>
+              <tr>
+                <th>Hour</th>
+                <th>Points</th>
+                <th>Cycle Total</th>
+                <th>Rank</th>
+              </tr>
+            </thead>
+            <tbody>
+              {timeline.filter(slot => slot.points || slot.rank).map(slot => (
+                <tr key={`${slot.day}-${slot.hour}`}>
+                  <td>{slot.day} {slot.hour}:00</td>
+                  <td>{slot.points}</td>
+                  <td>{slot.total}</td>
+                  <td>{slot.rank ? `#${slot.rank}` : '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="profile-section">
+        <div className="section-header">
+          <h2>Supporters by Cycle</h2>
+          <button onClick={exportCycles} className="btn-edit" disabled={cycles.length === 0}>Export CSV</button>
+        </div>
+        <p className="section-description">
+          Players who won points for you each cycle, how many were new, and how many came back
+          from the cycle before.
+        </p>
+        {retentionRows.length === 0 ? (
+          <p className="section-description">No supporter activity yet.</p>
+        ) : (
+          <table className="history-table">
+            <thead>
+              <tr>
+                <th>Cycle</th>
+                <th>Points</th>
+                <th>Supporters</th>
+                <th>New</th>
+                <th>Returning</th>
+                <th>Retention</th>
+              </tr>
+            </thead>
+            <tbody>
+              {retentionRows.map(entry => (
+                <tr key={entry.cycleId}>
+                  <td>{entry.cycleId}</td>
+                  <td>{entry.points || 0}</td>
+                  <td>{entry.supporters || 0}</td>
+                  <td>{entry.newSupporters || 0}</td>
+                  <td>{entry.returningSupporters || 0}</td>
+                  <td>{entry.retention === null ? '-' : `${entry.retention}%`}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="profile-section">
+        <div className="section-header">
+          <h2>Games and Activity</h2>
+          <button onClick={exportDays} className="btn-edit" disabled={days.length === 0}>Export CSV</button>
+        </div>
+        <p className="section-description">
+          What your supporters played and when, over the last {RECENT_DAYS} active days.
+        </p>
+        {gameTotals.length === 0 ? (
+          <p className="section-description">No games played for you yet.</p>
+        ) : (
+          <>
+            <div className="analytics-games">
+              {gameTotals.map(([gameType, stats]) => (
+                <div key={gameType} className="analytics-game">
+                  <span>{getGameName(gameType)}</span>
+                  <div className="analytics-meter">
+                    <div style={{ width: `${(stats.games / totalGames) * 100}%` }} />
+                  </div>
+                  <span>{stats.games} games · {stats.points} pts</span>
+                </div>
+              ))}
+            </div>
+            <div className="analytics-bars analytics-hours">
+              {HOURS.map(hour => (
+                <div
+                  key={hour}
+                  className={`analytics-bar ${peakHourGames && hourTotals[hour] === peakHourGames ? 'peak' : ''}`}
+                  style={{ height: `${peakHourGames ? (hourTotals[hour] / peakHourGames) * 100 : 0}%` }}
+                  title={`${hour}:00 - ${hourTotals[hour]} games`}
+                />
+              ))}
+            </div>
+            <div className="analytics-hour-labels">
+              <span>00:00</span>
+              <span>12:00</span>
+              <span>23:00</span>
+            </div>
+          </>
+        )}
+      </div>
+
+      <ReferralFunnel />
+      <WinnerVisits creatorId={creatorId} />
+    </>
+  );
+}
+
+export default CreatorDashboard;
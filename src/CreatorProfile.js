@@ -1,22 +1,29 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from './AuthContext';
 import { db, functions, auth } from './firebaseConfig';
-import { collection, query, where, orderBy, limit, getDocs, doc, getDoc, updateDoc } from 'firebase/firestore';
+import { doc, getDoc, updateDoc } from 'firebase/firestore';
 import { httpsCallable } from 'firebase/functions';
 import { signOut } from 'firebase/auth';
+import GameHistory from './GameHistory';
+import SupporterRankings from './SupporterRankings';
+import SeasonBadges from './SeasonBadges';
+import CreatorDashboard from './CreatorDashboard';
+import Achievements, { useEarnedAchievements, getEarnedList } from './Achievements';
+import StreamOverlaySettings from './StreamOverlaySettings';
+import WebhookSettings from './WebhookSettings';
+import ChannelVerification from './ChannelVerification';
+import { isChannelVerified } from './shared/verification';
 import './CreatorProfile.css';
 
 function CreatorProfile() {
   const { currentUser, userProfile, updateCreatorProfile, upgradeToCreator } = useAuth();
-  const [activeTab, setActiveTab] = useState('profile'); // 'profile' or 'settings'
+  const [activeTab, setActiveTab] = useState('profile'); // 'profile', 'history', 'badges', 'analytics' (creators) or 'settings'
   const [isEditing, setIsEditing] = useState(false);
   const [channelUrl, setChannelUrl] = useState('');
   const [promotionalUrl, setPromotionalUrl] = useState('');
   const [platform, setPlatform] = useState('');
   const [contentType, setContentType] = useState('');
   const [bio, setBio] = useState('');
-  const [gameHistory, setGameHistory] = useState([]);
-  const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   
   // Settings state
@@ -26,6 +33,7 @@ function CreatorProfile() {
   const [connectedPlatforms, setConnectedPlatforms] = useState([]);
   const [settingsSaving, setSettingsSaving] = useState(false);
   const [showEmail, setShowEmail] = useState(false);
+  const earnedAchievements = useEarnedAchievements(currentUser?.uid);
 
   useEffect(() => {
     const loadData = async () => {
@@ -43,7 +51,6 @@ function CreatorProfile() {
         setProfilePictureUrl(userProfile.photoURL || '');
       }
       
-      await loadGameHistory();
       await loadConnectedPlatforms();
     };
     
@@ -79,35 +86,6 @@ function CreatorProfile() {
     }
   };
 
-  const loadGameHistory = async () => {
-    if (!currentUser) return;
-
-    try {
-      setLoading(true);
-      // Get recent game results for this user
-      const resultsQuery = query(
-        collection(db, 'gameResults'),
-        where('userId', '==', currentUser.uid),
-        orderBy('timestamp', 'desc'),
-        limit(20)
-      );
-
-      const snapshot = await getDocs(resultsQuery);
-      const history = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data(),
-        timestamp: doc.data().timestamp?.toDate() || new Date(),
-      }));
-
-      setGameHistory(history);
-      console.log('Loaded game history:', history.length, 'games');
-    } catch (error) {
-      console.error('Error loading game history:', error);
-    } finally {
-      setLoading(false);
-    }
-  };
-
   const handleSaveProfile = async () => {
     try {
       setSaving(true);
@@ -258,6 +236,7 @@ function CreatorProfile() {
     : 0;
 
   const isCreator = userProfile?.accountType === 'creator' || userProfile?.isCreator;
+  const earnedBadges = getEarnedList(earnedAchievements);
 
   return (
     <div className="creator-profile-container">
@@ -269,6 +248,26 @@ function CreatorProfile() {
         >
           👤 Profile
         </button>
+        <button
+          className={`tab-button ${activeTab === 'history' ? 'active' : ''}`}
+          onClick={() => setActiveTab('history')}
+        >
+          📜 History
+        </button>
+        <button
+          className={`tab-button ${activeTab === 'badges' ? 'active' : ''}`}
+          onClick={() => setActiveTab('badges')}
+        >
+          🏅 Badges
+        </button>
+        {isCreator && (
+          <button
+            className={`tab-button ${activeTab === 'analytics' ? 'active' : ''}`}
+            onClick={() => setActiveTab('analytics')}
+          >
+            📈 Analytics
+          </button>
+        )}
         <button
           className={`tab-button ${activeTab === 'settings' ? 'active' : ''}`}
           onClick={() => setActiveTab('settings')}
@@ -307,6 +306,14 @@ function CreatorProfile() {
             </button>
           </div>
           <span className="creator-badge">{isCreator ? '⭐ Creator' : '🎮 Player'}</span>
+          {isCreator && isChannelVerified(userProfile) && <span className="verified-badge">✓ Verified</span>}
+          {earnedBadges.length > 0 && (
+            <button className="profile-achievements" onClick={() => setActiveTab('badges')} title="View badges">
+              {earnedBadges.map(achievement => (
+                <span key={achievement.id} title={achievement.name}>{achievement.icon}</span>
+              ))}
+            </button>
+          )}
         </div>
       </div>
 
@@ -492,51 +499,27 @@ function CreatorProfile() {
       </div>
       )}
 
-      {/* Game History */}
-      <div className="profile-section">
-        <h2>Recent Game History</h2>
-        {loading ? (
-          <div className="loading">Loading game history...</div>
-        ) : gameHistory.length === 0 ? (
-          <div className="empty-state">
-            <p>No games played yet. Go play some minigames!</p>
-          </div>
-        ) : (
-          <div className="game-history">
-            <table className="history-table">
-              <thead>
-                <tr>
-                  <th>Date</th>
-                  <th>Game</th>
-                  <th>Time</th>
-                  <th>Points</th>
-                  <th>Result</th>
-                </tr>
-              </thead>
-              <tbody>
-                {gameHistory.map((game) => (
-                  <tr key={game.id}>
-                    <td>
-                      {game.timestamp.toLocaleDateString()} {game.timestamp.toLocaleTimeString()}
-                    </td>
-                    <td>{game.gameType || 'Reaction Test'}</td>
-                    <td>{game.timeTaken}ms</td>
-                    <td>{game.pointsAwarded || 0}</td>
-                    <td>
-                      <span className={`result-badge ${game.isWin ? 'win' : 'loss'}`}>
-                        {game.isWin ? '✓ Win' : '✗ Loss'}
-                      </span>
-                    </td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
-        )}
-      </div>
+      {/* Season Badges - Only for Creators */}
+      {isCreator && <SeasonBadges creatorId={currentUser?.uid} />}
+
+      {/* Top Supporters - Only for Creators */}
+      {isCreator && <SupporterRankings creatorId={currentUser?.uid} />}
+
+      {/* Stream Overlay - Only for Creators */}
+      {isCreator && <StreamOverlaySettings />}
+
         </>
       )}
 
+      {/* History Tab Content */}
+      {activeTab === 'history' && <GameHistory />}
+
+      {/* Badges Tab Content */}
+      {activeTab === 'badges' && <Achievements userId={currentUser?.uid} isCreator={isCreator} />}
+
+      {/* Analytics Tab Content - Only for Creators */}
+      {activeTab === 'analytics' && isCreator && <CreatorDashboard creatorId={currentUser?.uid} />}
+
       {/* Settings Tab Content */}
       {activeTab === 'settings' && (
         <div className="settings-content">
@@ -611,6 +594,12 @@ function CreatorProfile() {
             </div>
           )}
 
+          {/* Channel Verification - Only for Creators */}
+          {isCreator && <ChannelVerification />}
+
+          {/* Webhooks - Only for Creators */}
+          {isCreator && <WebhookSettings />}
+
           {/* Profile Picture URL */}
           <div className="profile-section">
             <h3>Profile Picture URL (Optional)</h3>
@@ -0,0 +1,49 @@
+import React, { useState, useEffect } from 'react';
+import { serverNow } from './serverClock';
+
+// The last hour of a cycle - the header countdown and leaderboard switch to "final hour" mode
+export const FINAL_HOUR_MS = 60 * 60 * 1000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatRemaining = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const clock = `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+  return days > 0 ? `${days}d ${clock}` : clock;
+};
+
+// Time left in the current cycle, ticking every second on the server-synced clock.
+// Kept as its own component so the rest of the app doesn't re-render every tick.
+const CycleCountdown = ({ endsAt }) => {
+  const [remaining, setRemaining] = useState(() => endsAt - serverNow());
+
+  useEffect(() => {
+    setRemaining(endsAt - serverNow());
+    const interval = setInterval(() => setRemaining(endsAt - serverNow()), 1000);
+    return () => clearInterval(interval);
+  }, [endsAt]);
+
+  const isFinalHour = remaining <= FINAL_HOUR_MS;
+
+  return (
+    <div
+      className={`flex flex-col items-center px-2 md:px-3 py-1 rounded-lg border ${
+        isFinalHour
+          ? 'bg-red-500/20 border-red-400/60 text-red-200 animate-pulse'
+          : 'bg-white/10 border-white/20 text-white'
+      }`}
+      title="Time left in this cycle"
+    >
+      <span className="text-[10px] md:text-xs uppercase tracking-wide opacity-80">
+        {isFinalHour ? 'Final hour' : 'Cycle ends in'}
+      </span>
+      <span className="text-sm md:text-lg font-bold tabular-nums">{formatRemaining(remaining)}</span>
+    </div>
+  );
+};
+
+export default CycleCountdown;
@@ -0,0 +1,88 @@
+import React, { useState, useEffect } from 'react';
+import { doc, onSnapshot } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from './firebaseConfig';
+import { getCycleQuests, getQuestProgress } from './shared/quests';
+
+// This cycle's quests with the player's progress, which Cloud Functions keep in
+// userStats/{userId}/cycles/{cycleId} as results come in. Claimed bonuses go to the
+// picked creator like game points.
+const DailyQuests = ({ userId, cycleId, hasPick, onClaimed }) => {
+  const [cycleStats, setCycleStats] = useState({});
+  const [claiming, setClaiming] = useState(null); // Quest ID being claimed
+
+  useEffect(() => {
+    setCycleStats({});
+    if (!userId || !cycleId) return;
+
+    const unsubscribe = onSnapshot(
+      doc(db, 'userStats', userId, 'cycles', cycleId),
+      (snap) => setCycleStats(snap.exists() ? snap.data() : {}),
+      (error) => console.error('Error loading quest progress:', error)
+    );
+
+    return () => unsubscribe();
+  }, [userId, cycleId]);
+
+  if (!userId || !cycleId) return null;
+
+  const quests = getCycleQuests(cycleId);
+  const claimed = cycleStats.questsClaimed || [];
+
+  const handleClaim = async (quest) => {
+    try {
+      setClaiming(quest.id);
+      const claimQuestReward = httpsCallable(functions, 'claimQuestReward');
+      const result = await claimQuestReward({ questId: quest.id, cycleId });
+      onClaimed(result.data.bonusPoints);
+    } catch (error) {
+      console.error('Error claiming quest reward:', error);
+      alert(error.message);
+    } finally {
+      setClaiming(null);
+    }
+  };
+
+  return (
+    <div className="bg-white/10 backdrop-blur-sm rounded-2xl p-4 md:p-6 border-2 border-white/20 shadow-xl">
+      <h2 className="text-lg md:text-xl font-bold text-white mb-3">📋 Daily Quests</h2>
+      <div className="space-y-3">
+        {quests.map((quest) => {
+          const { current, target, complete } = getQuestProgress(quest, cycleStats);
+          const isClaimed = claimed.includes(quest.id);
+          return (
+            <div key={quest.id} className="flex items-center gap-3">
+              <div className="flex-1 min-w-0">
+                <div className="flex justify-between text-sm md:text-base text-white">
+                  <span className="font-semibold truncate">{quest.name}</span>
+                  <span className="text-white/70 flex-shrink-0 ml-2">{current}/{target}</span>
+                </div>
+                <p className="text-xs md:text-sm text-white/60">{quest.description}</p>
+                <div className="h-2 mt-1 bg-white/10 rounded-full overflow-hidden">
+                  <div
+                    className={`h-full rounded-full ${complete ? 'bg-green-400' : 'bg-yellow-400'}`}
+                    style={{ width: `${(current / target) * 100}%` }}
+                  />
+                </div>
+              </div>
+              {isClaimed ? (
+                <span className="text-xs md:text-sm font-semibold text-green-300 w-24 text-center">✓ Claimed</span>
+              ) : (
+                <button
+                  onClick={() => handleClaim(quest)}
+                  disabled={!complete || !hasPick || claiming === quest.id}
+                  title={complete && !hasPick ? 'Pick a creator to claim bonuses' : undefined}
+                  className="w-24 py-1.5 rounded-lg text-xs md:text-sm font-semibold text-white bg-gradient-to-r from-green-500 to-emerald-600 disabled:from-gray-500 disabled:to-gray-600 disabled:opacity-60 transition"
+                >
+                  {claiming === quest.id ? 'Claiming...' : `+${quest.bonusPoints} pts`}
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default DailyQuests;
@@ -0,0 +1,292 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+import { db } from './firebaseConfig';
+import { collection, query, where, orderBy, limit, startAfter, getDocs, doc, getDoc } from 'firebase/firestore';
+import { GAME_LIBRARY, getGameEntry } from './games';
+import { DIFFICULTY_LABELS } from './shared/gameRegistry';
+import './GameHistory.css';
+
+const PAGE_SIZE = 20;
+const CHART_CYCLES = 14;
+
+// Reaction Test results are timed by the reaction itself, everything else by game length
+const formatResultTime = (ms, gameType) => {
+  if (ms == null) return '—';
+  return gameType === 'reaction' ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+};
+
+// Game history for the signed-in user. Totals, streaks, per-game bests and points per
+// cycle come from userStats (kept up to date by Cloud Functions); the results list pages
+// through gameResults.
+function GameHistory() {
+  const { currentUser } = useAuth();
+  const [stats, setStats] = useState(null);
+  const [cycleStats, setCycleStats] = useState([]);
+  const [gameFilter, setGameFilter] = useState('all');
+  const [results, setResults] = useState([]);
+  const [lastResult, setLastResult] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [creatorNames, setCreatorNames] = useState({});
+
+  // Look up display names for creators we haven't seen yet
+  const loadCreatorNames = useCallback(async (creatorIds) => {
+    const missing = [...new Set(creatorIds)].filter(id => id && !(id in creatorNames));
+    if (!missing.length) return;
+
+    const snaps = await Promise.all(missing.map(id => getDoc(doc(db, 'users', id))));
+    setCreatorNames(prev => {
+      const next = { ...prev };
+      snaps.forEach((snap, index) => {
+        next[missing[index]] = snap.exists() ? snap.data().displayName || 'Unknown' : 'Unknown';
+      });
+      return next;
+    });
+  }, [creatorNames]);
+
+  const loadResults = useCallback(async (cursor = null) => {
+    const constraints = [where('userId', '==', currentUser.uid)];
+    if (gameFilter !== 'all') {
+      constraints.push(where('gameType', '==', gameFilter));
+    }
+    constraints.push(orderBy('completedAt', 'desc'));
+    if (cursor) {
+      constraints.push(startAfter(cursor));
+    }
+    constraints.push(limit(PAGE_SIZE));
+
+    const snapshot = await getDocs(query(collection(db, 'gameResults'), ...constraints));
+    const page = snapshot.docs.map(docSnap => ({
+      id: docSnap.id,
+      ...docSnap.data(),
+      completedAt: docSnap.data().completedAt?.toDate() || new Date(),
+    }));
+
+    setResults(prev => (cursor ? [...prev, ...page] : page));
+    setLastResult(snapshot.docs[snapshot.docs.length - 1] || null);
+    setHasMore(snapshot.docs.length === PAGE_SIZE);
+    return page;
+  }, [currentUser, gameFilter]);
+
+  useEffect(() => {
+    if (!currentUser) return;
+
+    const loadStats = async () => {
+      try {
+        const [statsSnap, cyclesSnap] = await Promise.all([
+          getDoc(doc(db, 'userStats', currentUser.uid)),
+          getDocs(query(
+            collection(db, 'userStats', currentUser.uid, 'cycles'),
+            orderBy('cycleId', 'desc'),
+            limit(CHART_CYCLES)
+          )),
+        ]);
+
+        const userStats = statsSnap.exists() ? statsSnap.data() : null;
+        setStats(userStats);
+        // Oldest first so the chart reads left to right
+        setCycleStats(cyclesSnap.docs.map(docSnap => docSnap.data()).reverse());
+        await loadCreatorNames(Object.keys(userStats?.creators || {}));
+      } catch (error) {
+        console.error('Error loading game stats:', error);
+      }
+    };
+
+    loadStats();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentUser]);
+
+  // Reload the first page whenever the game filter changes
+  useEffect(() => {
+    if (!currentUser) return;
+
+    const loadFirstPage = async () => {
+      try {
+        setLoading(true);
+        const page = await loadResults();
+        await loadCreatorNames(page.map(result => result.tippedToCreator));
+      } catch (error) {
+        console.error('Error loading game history:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadFirstPage();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentUser, gameFilter]);
+
+  const handleLoadMore = async () => {
+    try {
+      setLoadingMore(true);
+      const page = await loadResults(lastResult);
+      await loadCreatorNames(page.map(result => result.tippedToCreator));
+    } catch (error) {
+      console.error('Error loading more game history:', error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const maxCyclePoints = Math.max(1, ...cycleStats.map(cycle => cycle.points || 0));
+  const topCreators = Object.entries(stats?.creators || {})
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, 5);
+
+  return (
+    <div className="game-history-tab">
+      {/* Totals */}
+      <div className="stats-grid">
+        <div className="stat-card">
+          <div className="stat-icon">🎮</div>
+          <div className="stat-value">{stats?.totalGames || 0}</div>
+          <div className="stat-label">Games Won</div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-icon">⭐</div>
+          <div className="stat-value">{stats?.totalPoints || 0}</div>
+          <div className="stat-label">Points Earned</div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-icon">🔥</div>
+          <div className="stat-value">{stats?.currentStreak || 0}</div>
+          <div className="stat-label">Cycle Streak</div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-icon">🏅</div>
+          <div className="stat-value">{stats?.longestStreak || 0}</div>
+          <div className="stat-label">Longest Streak</div>
+        </div>
+      </div>
+
+      {/* Points per cycle */}
+      <div className="profile-section">
+        <h2>Points per Cycle</h2>
+        {cycleStats.length === 0 ? (
+          <div className="empty-state">
+            <p>No points earned yet. Go play some minigames!</p>
+          </div>
+        ) : (
+          <div className="cycle-chart">
+            {cycleStats.map(cycle => (
+              <div key={cycle.cycleId} className="cycle-bar-column" title={`${cycle.cycleId}: ${cycle.points} points in ${cycle.games} games`}>
+                <div className="cycle-bar-value">{cycle.points}</div>
+                <div className="cycle-bar-track">
+                  <div className="cycle-bar" style={{ height: `${((cycle.points || 0) / maxCyclePoints) * 100}%` }} />
+                </div>
+                <div className="cycle-bar-label">{cycle.cycleId.slice(5, 10)}</div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Per game */}
+      <div className="profile-section">
+        <h2>By Game</h2>
+        <div className="game-history">
+          <table className="history-table">
+            <thead>
+              <tr>
+                <th>Game</th>
+                <th>Wins</th>
+                <th>Points</th>
+                <th>Best Time</th>
+              </tr>
+            </thead>
+            <tbody>
+              {GAME_LIBRARY.map(game => {
+                const gameStats = stats?.byGame?.[game.id];
+                return (
+                  <tr key={game.id}>
+                    <td>{game.icon} {game.name}</td>
+                    <td>{gameStats?.games || 0}</td>
+                    <td>{gameStats?.points || 0}</td>
+                    <td>{formatResultTime(gameStats?.bestTimeMs, game.id)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Creators */}
+      {topCreators.length > 0 && (
+        <div className="profile-section">
+          <h2>Creators You've Supported</h2>
+          <ul className="creator-points-list">
+            {topCreators.map(([creatorId, points]) => (
+              <li key={creatorId}>
+                <span>{creatorNames[creatorId] || '…'}</span>
+                <span className="creator-points">{points} points</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Results */}
+      <div className="profile-section">
+        <div className="section-header">
+          <h2>Results</h2>
+          <select
+            className="history-filter"
+            value={gameFilter}
+            onChange={(e) => setGameFilter(e.target.value)}
+          >
+            <option value="all">All games</option>
+            {GAME_LIBRARY.map(game => (
+              <option key={game.id} value={game.id}>{game.name}</option>
+            ))}
+          </select>
+        </div>
+
+        {loading ? (
+          <div className="loading">Loading game history...</div>
+        ) : results.length === 0 ? (
+          <div className="empty-state">
+            <p>No games played yet. Go play some minigames!</p>
+          </div>
+        ) : (
+          <div className="game-history">
+            <table className="history-table">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Game</th>
+                  <th>Difficulty</th>
+                  <th>Time</th>
+                  <th>Points</th>
+                  <th>Tipped To</th>
+                </tr>
+              </thead>
+              <tbody>
+                {results.map(result => (
+                  <tr key={result.id}>
+                    <td>
+                      {result.completedAt.toLocaleDateString()} {result.completedAt.toLocaleTimeString()}
+                    </td>
+                    <td>{getGameEntry(result.gameType)?.name || result.gameType}</td>
+                    <td>{DIFFICULTY_LABELS[result.difficulty] || '—'}</td>
+                    <td>{formatResultTime(result.stats?.reactionMs ?? result.durationMs, result.gameType)}</td>
+                    <td>{result.pointsAwarded || 0}</td>
+                    <td>{creatorNames[result.tippedToCreator] || '…'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {hasMore && (
+              <button className="btn-load-more" onClick={handleLoadMore} disabled={loadingMore}>
+                {loadingMore ? 'Loading...' : 'Load More'}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default GameHistory;
@@ -0,0 +1,188 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { collection, query, orderBy, limit, startAfter, getDocs, doc, getDoc, documentId } from 'firebase/firestore';
+import { db } from './firebaseConfig';
+
+const PAGE_SIZE = 10;
+const FULL_LEADERBOARD_SIZE = 100;
+
+const formatCycleDate = (winner) => (winner.cycleEndTime?.toDate
+  ? winner.cycleEndTime.toDate().toLocaleDateString()
+  : winner.id.slice(0, 10));
+
+// Archive of past cycle winners, newest first. Win counts and streaks come from
+// creatorStats (kept by Cloud Functions); opening a cycle shows its full final leaderboard.
+const HallOfFame = () => {
+  const [winners, setWinners] = useState([]);
+  const [lastWinner, setLastWinner] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [creatorStats, setCreatorStats] = useState({}); // By creator ID
+  const [openCycleId, setOpenCycleId] = useState(null);
+  const [standings, setStandings] = useState({}); // Full leaderboards by cycle ID
+
+  const loadPage = useCallback(async (cursor = null) => {
+    const constraints = [orderBy(documentId(), 'desc')];
+    if (cursor) constraints.push(startAfter(cursor));
+    constraints.push(limit(PAGE_SIZE));
+
+    const snapshot = await getDocs(query(collection(db, 'cycleWinners'), ...constraints));
+    const page = snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+
+    setWinners(prev => (cursor ? [...prev, ...page] : page));
+    setLastWinner(snapshot.docs[snapshot.docs.length - 1] || null);
+    setHasMore(snapshot.docs.length === PAGE_SIZE);
+
+    // Win counts for the creators on this page
+    const creatorIds = [...new Set(page.map(winner => winner.winnerId))];
+    const statsSnaps = await Promise.all(creatorIds.map(id => getDoc(doc(db, 'creatorStats', id))));
+    setCreatorStats(prev => {
+      const next = { ...prev };
+      statsSnaps.forEach((snap, index) => {
+        next[creatorIds[index]] = snap.exists() ? snap.data() : null;
+      });
+      return next;
+    });
+  }, []);
+
+  useEffect(() => {
+    const loadFirstPage = async () => {
+      try {
+        await loadPage();
+      } catch (error) {
+        console.error('Error loading Hall of Fame:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadFirstPage();
+  }, [loadPage]);
+
+  const handleLoadMore = async () => {
+    try {
+      setLoadingMore(true);
+      await loadPage(lastWinner);
+    } catch (error) {
+      console.error('Error loading more winners:', error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // The cycle's leaderboard view is frozen once it's finalized; cycles from before the
+  // view existed only have the top standings stored on the winner doc
+  const handleToggleCycle = async (winner) => {
+    if (openCycleId === winner.id) {
+      setOpenCycleId(null);
+      return;
+    }
+    setOpenCycleId(winner.id);
+    if (standings[winner.id]) return;
+
+    try {
+      const snapshot = await getDocs(query(
+        collection(db, 'cycles', winner.id, 'leaderboardView'),
+        orderBy('rank'),
+        limit(FULL_LEADERBOARD_SIZE)
+      ));
+      const entries = snapshot.empty
+        ? (winner.standings || [])
+        : snapshot.docs.map(docSnap => ({ creatorId: docSnap.id, ...docSnap.data(), totalPoints: docSnap.data().points }));
+      setStandings(prev => ({ ...prev, [winner.id]: entries }));
+    } catch (error) {
+      console.error('Error loading cycle leaderboard:', error);
+      setStandings(prev => ({ ...prev, [winner.id]: winner.standings || [] }));
+    }
+  };
+
+  if (loading) {
+    return <p className="text-white/60 text-sm md:text-base text-center">Loading Hall of Fame...</p>;
+  }
+
+  if (winners.length === 0) {
+    return <p className="text-white/60 text-sm md:text-base text-center">No winners yet. The first cycle is still underway!</p>;
+  }
+
+  return (
+    <div className="space-y-2 md:space-y-3">
+      {winners.map(winner => {
+        const stats = creatorStats[winner.winnerId];
+        const isOpen = openCycleId === winner.id;
+        return (
+          <div key={winner.id} className="bg-white/10 backdrop-blur-sm rounded-lg border border-white/20 shadow-sm">
+            <button
+              onClick={() => handleToggleCycle(winner)}
+              className="w-full flex items-center justify-between p-2 md:p-4 hover:bg-white/15 rounded-lg transition-all text-left"
+            >
+              <div className="flex items-center flex-1 min-w-0">
+                {winner.winnerPhotoURL ? (
+                  <img
+                    src={winner.winnerPhotoURL}
+                    alt={winner.winnerName}
+                    className="w-10 h-10 md:w-12 md:h-12 rounded-full mr-2 md:mr-4 border-2 border-yellow-400/70 flex-shrink-0 object-cover"
+                    onError={(e) => e.target.style.display = 'none'}
+                  />
+                ) : (
+                  <div className="w-10 h-10 md:w-12 md:h-12 rounded-full mr-2 md:mr-4 bg-white/20 flex items-center justify-center text-white text-lg md:text-xl font-bold flex-shrink-0 border border-white/30">
+                    {(winner.winnerName || '?').charAt(0).toUpperCase()}
+                  </div>
+                )}
+                <div className="flex-1 min-w-0">
+                  <p className="text-xs text-white/60">{formatCycleDate(winner)}</p>
+                  <p className="text-sm md:text-lg font-medium text-white truncate">🏆 {winner.winnerName}</p>
+                  <p className="text-xs text-white/60 mt-1">
+                    {winner.supporterCount || 0} supporter{winner.supporterCount !== 1 ? 's' : ''}
+                    {stats && ` · ${stats.wins} win${stats.wins !== 1 ? 's' : ''}`}
+                    {stats?.currentWinStreak > 1 && ` · 🔥 ${stats.currentWinStreak} in a row`}
+                    {winner.tieBrokenByTime && ' · won on tie-break'}
+                  </p>
+                </div>
+              </div>
+              <div className="ml-2 md:ml-4 flex items-center">
+                <span className="text-lg md:text-2xl font-extrabold text-yellow-400">{winner.finalScore || 0}</span>
+                <span className="ml-2 text-white/60 text-sm">{isOpen ? '▲' : '▼'}</span>
+              </div>
+            </button>
+
+            {isOpen && (
+              <div className="px-3 pb-3 md:px-4 md:pb-4">
+                {!standings[winner.id] ? (
+                  <p className="text-white/60 text-sm">Loading leaderboard...</p>
+                ) : standings[winner.id].length === 0 ? (
+                  <p className="text-white/60 text-sm">No final standings recorded for this cycle.</p>
+                ) : (
+                  <ol className="space-y-1 border-t border-white/10 pt-2">
+                    {standings[winner.id].map(entry => (
+                      <li key={entry.creatorId} className="flex justify-between text-sm text-white">
+                        <span className="truncate">
+                          {entry.rank}. {entry.name}
+                          {entry.tied && <span className="text-orange-300 text-xs"> (tie)</span>}
+                        </span>
+                        <span className="text-white/70 flex-shrink-0 ml-2">
+                          {entry.totalPoints || 0} pts · {entry.supporterCount || 0} supporters
+                        </span>
+                      </li>
+                    ))}
+                  </ol>
+                )}
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      {hasMore && (
+        <button
+          onClick={handleLoadMore}
+          disabled={loadingMore}
+          className="w-full py-2 text-sm md:text-base font-semibold text-white bg-white/10 hover:bg-white/20 rounded-lg border border-white/20 transition-all disabled:opacity-50"
+        >
+          {loadingMore ? 'Loading...' : 'Show More'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default HallOfFame;
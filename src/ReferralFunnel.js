@@ -0,0 +1,94 @@
+import React, { useState, useEffect } from 'react';
+import { doc, onSnapshot } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from './firebaseConfig';
+import { useAuth } from './AuthContext';
+
+// A creator's invite link (/r/{code}) and how it converts: clicks, signups, signups who
+// went on to win points for the creator, and those points. Counted by Cloud Functions
+// in referralStats/{creatorId}.
+function ReferralFunnel() {
+  const { currentUser, userProfile } = useAuth();
+  const [code, setCode] = useState(userProfile?.creatorProfile?.referralCode || null);
+  const [stats, setStats] = useState({});
+  const [creating, setCreating] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (!currentUser) return;
+
+    const unsubscribe = onSnapshot(
+      doc(db, 'referralStats', currentUser.uid),
+      (snap) => setStats(snap.exists() ? snap.data() : {}),
+      (error) => console.error('Error loading invite stats:', error)
+    );
+
+    return () => unsubscribe();
+  }, [currentUser]);
+
+  const inviteUrl = code ? `${window.location.origin}/r/${code}` : '';
+
+  const handleCreate = async () => {
+    try {
+      setCreating(true);
+      const getReferralLink = httpsCallable(functions, 'getReferralLink');
+      const result = await getReferralLink();
+      setCode(result.data.code);
+    } catch (error) {
+      console.error('Error creating invite link:', error);
+      alert('Failed to create invite link: ' + error.message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(inviteUrl);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error('Error copying invite link:', error);
+    }
+  };
+
+  const funnel = [
+    { icon: '👆', label: 'Link Clicks', value: stats.clicks || 0 },
+    { icon: '✍️', label: 'Sign-ups', value: stats.signups || 0 },
+    { icon: '💜', label: 'Became Supporters', value: stats.supporters || 0 },
+    { icon: '⭐', label: 'Points Generated', value: stats.pointsGenerated || 0 }
+  ];
+
+  return (
+    <div className="profile-section">
+      <h2>Invite Link</h2>
+      <p className="section-description">
+        Share your invite link with your audience. Players who sign up through it are offered
+        you as their pick, and the points they win for you are counted here.
+      </p>
+
+      {code ? (
+        <div className="overlay-url">
+          <input type="text" value={inviteUrl} readOnly className="input-field" onFocus={(e) => e.target.select()} />
+          <button onClick={handleCopy} className="btn-edit">{copied ? 'Copied!' : 'Copy'}</button>
+        </div>
+      ) : (
+        <button onClick={handleCreate} className="btn-save-settings" disabled={creating}>
+          {creating ? 'Creating...' : 'Create Invite Link'}
+        </button>
+      )}
+
+      <div className="stats-grid referral-funnel">
+        {funnel.map(step => (
+          <div key={step.label} className="stat-card">
+            <div className="stat-icon">{step.icon}</div>
+            <div className="stat-value">{step.value}</div>
+            <div className="stat-label">{step.label}</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default ReferralFunnel;
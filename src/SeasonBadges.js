@@ -0,0 +1,49 @@
+import React, { useState, useEffect } from 'react';
+import { collection, query, orderBy, getDocs } from 'firebase/firestore';
+import { db } from './firebaseConfig';
+import { SEASON_BADGES } from './shared/seasons';
+
+// Badges for a creator's top-3 season finishes, awarded by Cloud Functions when a season is finalized
+function SeasonBadges({ creatorId }) {
+  const [badges, setBadges] = useState([]);
+
+  useEffect(() => {
+    if (!creatorId) return;
+
+    const loadBadges = async () => {
+      try {
+        const snapshot = await getDocs(query(
+          collection(db, 'creatorStats', creatorId, 'seasonBadges'),
+          orderBy('seasonId', 'desc')
+        ));
+        setBadges(snapshot.docs.map(docSnap => docSnap.data()));
+      } catch (error) {
+        console.error('Error loading season badges:', error);
+      }
+    };
+
+    loadBadges();
+  }, [creatorId]);
+
+  if (badges.length === 0) return null;
+
+  return (
+    <div className="profile-section">
+      <h2>Season Badges</h2>
+      <div className="season-badges">
+        {badges.map(badge => {
+          const { icon, name } = SEASON_BADGES[badge.rank] || {};
+          return (
+            <div key={badge.seasonId} className={`season-badge ${badge.badge}`}>
+              <span className="season-badge-icon">{icon}</span>
+              <strong>{name}</strong>
+              <span>{badge.seasonLabel} · {badge.seasonPoints} pts</span>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default SeasonBadges;
@@ -0,0 +1,186 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { collection, query, where, orderBy, limit, onSnapshot, getDocs, documentId } from 'firebase/firestore';
+import { db } from './firebaseConfig';
+import { loadSeasonRules } from './seasonRules';
+import { getCycleById } from './shared/cycles';
+import { SEASON_BADGES, getSeasonId, getSeasonLabel, getLastCycleOfSeason } from './shared/seasons';
+
+const PAGE_SIZE = 25;
+const PAST_SEASONS = 12;
+
+// Competition ranking on season points, then cycle wins - the same order Cloud Functions
+// use when a season is finalized
+const rankEntries = (entries) => entries.map((entry, index) => {
+  const ahead = entries.findIndex(other => other.seasonPoints === entry.seasonPoints
+    && (other.cycleWins || 0) === (entry.cycleWins || 0));
+  return { ...entry, rank: (ahead === -1 ? index : ahead) + 1 };
+});
+
+// Season standings: points from every finalized cycle of the season (config/seasonRules),
+// live for the current season and with the champion for finished ones.
+const SeasonLeaderboard = ({ currentCycleId, schedule }) => {
+  const [rules, setRules] = useState(null);
+  const [pastSeasons, setPastSeasons] = useState([]);
+  const [selectedSeasonId, setSelectedSeasonId] = useState(null);
+  const [standings, setStandings] = useState(null);
+  const [pageSize, setPageSize] = useState(PAGE_SIZE);
+
+  useEffect(() => {
+    loadSeasonRules().then(setRules);
+  }, []);
+
+  const currentSeasonId = rules && currentCycleId ? getSeasonId(currentCycleId, rules) : null;
+  const seasonId = selectedSeasonId || currentSeasonId;
+  const season = pastSeasons.find(entry => entry.id === seasonId);
+  const isFinalized = season?.status === 'finalized';
+
+  const seasonEnd = useMemo(() => {
+    const current = rules && schedule && seasonId === currentSeasonId ? getCycleById(schedule, currentCycleId) : null;
+    return current ? getLastCycleOfSeason(schedule, rules, current).endsAt : null;
+  }, [rules, schedule, currentCycleId, seasonId, currentSeasonId]);
+
+  useEffect(() => {
+    const loadSeasons = async () => {
+      try {
+        const snapshot = await getDocs(query(collection(db, 'seasons'), orderBy(documentId(), 'desc'), limit(PAST_SEASONS)));
+        setPastSeasons(snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() })));
+      } catch (error) {
+        console.error('Error loading seasons:', error);
+      }
+    };
+
+    loadSeasons();
+  }, [currentSeasonId]);
+
+  useEffect(() => {
+    setPageSize(PAGE_SIZE);
+  }, [seasonId]);
+
+  useEffect(() => {
+    if (!seasonId) return;
+
+    setStandings(null);
+    const unsubscribe = onSnapshot(
+      query(
+        collection(db, 'seasons', seasonId, 'standings'),
+        where('seasonPoints', '>', 0),
+        orderBy('seasonPoints', 'desc'),
+        limit(pageSize + 1)
+      ),
+      (snapshot) => {
+        const entries = snapshot.docs.map(docSnap => ({ creatorId: docSnap.id, ...docSnap.data() }));
+        // Cycle wins break ties in season points
+        entries.sort((a, b) => (b.seasonPoints - a.seasonPoints) || ((b.cycleWins || 0) - (a.cycleWins || 0)));
+        setStandings(entries);
+      },
+      (error) => {
+        console.error('Error loading season standings:', error);
+        setStandings([]);
+      }
+    );
+
+    return () => unsubscribe();
+  }, [seasonId, pageSize]);
+
+  if (!rules || !seasonId) {
+    return <p className="text-white/60 text-sm md:text-base text-center">Loading season...</p>;
+  }
+
+  const seasonIds = [...new Set([currentSeasonId, ...pastSeasons.map(entry => entry.id)])];
+  const ranked = standings ? rankEntries(standings.slice(0, pageSize)) : [];
+  const hasMore = standings && standings.length > pageSize;
+
+  return (
+    <div className="space-y-3 md:space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <select
+          value={seasonId}
+          onChange={(e) => setSelectedSeasonId(e.target.value)}
+          className="bg-white/10 text-white text-sm md:text-base rounded-lg border border-white/20 px-3 py-1"
+        >
+          {seasonIds.map(id => (
+            <option key={id} value={id} className="text-gray-900">
+              {getSeasonLabel(id, rules)}{id === currentSeasonId ? ' (current)' : ''}
+            </option>
+          ))}
+        </select>
+        <p className="text-xs md:text-sm text-white/60">
+          {isFinalized
+            ? 'Season complete'
+            : seasonEnd
+              ? `Ends ${new Date(seasonEnd).toLocaleString()}`
+              : 'In progress'}
+        </p>
+      </div>
+
+      {isFinalized && season.championId && (
+        <div className="p-3 md:p-4 rounded-xl bg-yellow-400/20 border border-yellow-400/60 text-center">
+          <p className="text-xs md:text-sm text-yellow-100 uppercase tracking-wide">{SEASON_BADGES[1].icon} Season Champion</p>
+          <p className="text-lg md:text-2xl font-extrabold text-white">{season.championName}</p>
+          <p className="text-sm text-white/70">{season.championPoints} season points</p>
+        </div>
+      )}
+
+      <div className="bg-white/10 backdrop-blur-md rounded-xl shadow-2xl p-3 md:p-6 border border-white/20">
+        {!standings ? (
+          <p className="text-white/60 text-sm text-center">Loading standings...</p>
+        ) : ranked.length === 0 ? (
+          <p className="text-white/60 text-sm text-center">
+            No season points yet - they're awarded as each cycle of the season is finalized.
+          </p>
+        ) : (
+          <ol className="space-y-2">
+            {ranked.map(entry => (
+              <li
+                key={entry.creatorId}
+                className="flex items-center justify-between p-2 md:p-3 bg-white/10 rounded-lg border border-white/20"
+              >
+                <div className="flex items-center flex-1 min-w-0">
+                  <span className="w-8 md:w-10 text-sm md:text-lg font-bold text-white/80 flex-shrink-0">
+                    {isFinalized && SEASON_BADGES[entry.rank] ? SEASON_BADGES[entry.rank].icon : `#${entry.rank}`}
+                  </span>
+                  {entry.photoURL ? (
+                    <img
+                      src={entry.photoURL}
+                      alt={entry.name}
+                      className="w-8 h-8 md:w-10 md:h-10 rounded-full mr-2 md:mr-3 border border-white/30 flex-shrink-0 object-cover"
+                      onError={(e) => e.target.style.display = 'none'}
+                    />
+                  ) : (
+                    <div className="w-8 h-8 md:w-10 md:h-10 rounded-full mr-2 md:mr-3 bg-white/20 flex items-center justify-center text-white font-bold flex-shrink-0 border border-white/30">
+                      {(entry.name || '?').charAt(0).toUpperCase()}
+                    </div>
+                  )}
+                  <div className="min-w-0">
+                    <p className="text-sm md:text-base font-medium text-white truncate">{entry.name || 'Unknown'}</p>
+                    <p className="text-xs text-white/60">
+                      {entry.cycleWins || 0} cycle win{entry.cycleWins !== 1 ? 's' : ''} · placed in {entry.cyclesPlaced || 0}
+                    </p>
+                  </div>
+                </div>
+                <span className="ml-2 text-lg md:text-2xl font-extrabold text-yellow-400">{entry.seasonPoints}</span>
+              </li>
+            ))}
+          </ol>
+        )}
+
+        {hasMore && (
+          <button
+            onClick={() => setPageSize(prev => prev + PAGE_SIZE)}
+            className="w-full mt-3 py-2 text-sm md:text-base font-semibold text-white bg-white/10 hover:bg-white/20 rounded-lg border border-white/20 transition-all"
+          >
+            Show More
+          </button>
+        )}
+      </div>
+
+      <p className="text-xs text-white/50 text-center">
+        Each finalized cycle awards season points by placing: {rules.placementPoints.map((points, index) => `#${index + 1} ${points}`).join(' · ')}
+        {rules.participationPoints > 0 && `, and ${rules.participationPoints} to everyone else who scored`}.
+        Ties on season points go to the creator with more cycle wins. The top 3 earn season badges.
+      </p>
+    </div>
+  );
+};
+
+export default SeasonLeaderboard;
@@ -0,0 +1,111 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from './AuthContext';
+import { OVERLAY_LAYOUTS, OVERLAY_THEMES, normalizeOverlaySettings } from './shared/overlay';
+
+// Browser source size that fits each layout - a starting point for OBS
+const SOURCE_SIZES = {
+  ticker: '900 × 70',
+  card: '520 × 160',
+  board: '400 × 320'
+};
+
+// Stream overlay setup for creators: pick a default layout and theme and copy the
+// browser source URL (served by public/overlay.html).
+function StreamOverlaySettings() {
+  const { currentUser, userProfile, updateCreatorProfile } = useAuth();
+  const [settings, setSettings] = useState(() => normalizeOverlaySettings(userProfile?.creatorProfile?.overlay));
+  const [saving, setSaving] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    setSettings(normalizeOverlaySettings(userProfile?.creatorProfile?.overlay));
+  }, [userProfile]);
+
+  const overlayUrl = `${window.location.origin}/overlay/${currentUser?.uid}`;
+  const saved = normalizeOverlaySettings(userProfile?.creatorProfile?.overlay);
+  const hasChanges = settings.layout !== saved.layout || settings.theme !== saved.theme;
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      await updateCreatorProfile({ overlay: settings });
+    } catch (error) {
+      console.error('Error saving overlay settings:', error);
+      alert('Failed to save overlay settings: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(overlayUrl);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error('Error copying overlay URL:', error);
+    }
+  };
+
+  return (
+    <div className="profile-section">
+      <div className="section-header">
+        <h2>Stream Overlay</h2>
+        <button onClick={handleSave} className="btn-save" disabled={saving || !hasChanges}>
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+
+      <p className="section-description">
+        Show your live rank, points and a "play for me" QR code on stream. Add the URL below
+        as a Browser Source in OBS or Streamlabs - it updates on its own as points come in.
+      </p>
+
+      <div className="profile-fields">
+        <div className="field-group">
+          <label>Layout</label>
+          <div className="overlay-options">
+            {Object.entries(OVERLAY_LAYOUTS).map(([id, layout]) => (
+              <button
+                key={id}
+                className={`overlay-option ${settings.layout === id ? 'active' : ''}`}
+                onClick={() => setSettings(prev => ({ ...prev, layout: id }))}
+              >
+                <strong>{layout.name}</strong>
+                <span>{layout.description}</span>
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="field-group">
+          <label>Theme</label>
+          <select
+            value={settings.theme}
+            onChange={(e) => setSettings(prev => ({ ...prev, theme: e.target.value }))}
+            className="input-field"
+          >
+            {Object.entries(OVERLAY_THEMES).map(([id, theme]) => (
+              <option key={id} value={id}>{theme.name}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="field-group">
+          <label>Browser Source URL</label>
+          <div className="overlay-url">
+            <input type="text" value={overlayUrl} readOnly className="input-field" onFocus={(e) => e.target.select()} />
+            <button onClick={handleCopy} className="btn-edit">{copied ? 'Copied!' : 'Copy'}</button>
+          </div>
+          <p className="section-description">
+            Suggested size for {OVERLAY_LAYOUTS[settings.layout].name}: {SOURCE_SIZES[settings.layout]}.
+            Add <code>?layout=ticker</code> or <code>?theme=light</code> to the URL to use a different
+            layout or theme in a single scene. <a href={overlayUrl} target="_blank" rel="noopener noreferrer">Preview</a>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default StreamOverlaySettings;
@@ -0,0 +1,92 @@
+import React, { useState, useEffect } from 'react';
+import { collection, query, orderBy, limit, getDocs } from 'firebase/firestore';
+import { db } from './firebaseConfig';
+import { getCycleId } from './shared/cycles';
+import { loadCycleSchedule } from './cycleSchedule';
+
+const TOP_SUPPORTERS = 10;
+
+const SupporterList = ({ supporters, emptyMessage }) => (
+  supporters.length === 0 ? (
+    <div className="empty-state">
+      <p>{emptyMessage}</p>
+    </div>
+  ) : (
+    <ol className="supporter-list">
+      {supporters.map((supporter, index) => (
+        <li key={supporter.userId}>
+          <span className="supporter-rank">#{index + 1}</span>
+          {supporter.photoURL ? (
+            <img src={supporter.photoURL} alt={supporter.displayName} className="supporter-avatar" />
+          ) : (
+            <div className="supporter-avatar supporter-avatar-placeholder">
+              {supporter.displayName?.charAt(0) || '?'}
+            </div>
+          )}
+          <span className="supporter-name">{supporter.displayName}</span>
+          <span className="supporter-points">{supporter.points} pts</span>
+        </li>
+      ))}
+    </ol>
+  )
+);
+
+// A creator's top supporters - this cycle and all-time - by points won for them
+function SupporterRankings({ creatorId }) {
+  const [cycleSupporters, setCycleSupporters] = useState([]);
+  const [allTimeSupporters, setAllTimeSupporters] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!creatorId) return;
+
+    const loadSupporters = async () => {
+      try {
+        const cycleId = getCycleId(await loadCycleSchedule());
+        const [cycleSnapshot, allTimeSnapshot] = await Promise.all([
+          getDocs(query(
+            collection(db, 'cycles', cycleId, 'leaderboard', creatorId, 'supporters'),
+            orderBy('points', 'desc'),
+            limit(TOP_SUPPORTERS)
+          )),
+          getDocs(query(
+            collection(db, 'creatorSupporters', creatorId, 'supporters'),
+            orderBy('points', 'desc'),
+            limit(TOP_SUPPORTERS)
+          )),
+        ]);
+
+        setCycleSupporters(cycleSnapshot.docs.map(docSnap => docSnap.data()));
+        setAllTimeSupporters(allTimeSnapshot.docs.map(docSnap => docSnap.data()));
+      } catch (error) {
+        console.error('Error loading supporter rankings:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadSupporters();
+  }, [creatorId]);
+
+  return (
+    <div className="profile-section">
+      <h2>Top Supporters</h2>
+      {loading ? (
+        <div className="loading">Loading supporters...</div>
+      ) : (
+        <div className="supporter-rankings">
+          <div>
+            <h3>This Cycle</h3>
+            <SupporterList supporters={cycleSupporters} emptyMessage="No supporters have earned points for you this cycle yet." />
+          </div>
+          <div>
+            <h3>All-Time</h3>
+            <SupporterList supporters={allTimeSupporters} emptyMessage="No supporters have earned points for you yet." />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SupporterRankings;
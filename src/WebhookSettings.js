@@ -0,0 +1,167 @@
+import React, { useState, useEffect } from 'react';
+import { collection, query, orderBy, limit, onSnapshot } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { useAuth } from './AuthContext';
+import { db, functions } from './firebaseConfig';
+import { WEBHOOK_EVENTS, MAX_WEBHOOKS_PER_CREATOR } from './shared/webhooks';
+
+const DELIVERY_LOG_SIZE = 20;
+
+// Creator webhooks: register URLs for game events and watch the delivery log.
+// Webhooks are written by Cloud Functions only, which also sign and retry deliveries.
+function WebhookSettings() {
+  const { currentUser } = useAuth();
+  const [webhooks, setWebhooks] = useState([]);
+  const [deliveries, setDeliveries] = useState([]);
+  const [url, setUrl] = useState('');
+  const [events, setEvents] = useState(Object.keys(WEBHOOK_EVENTS));
+  const [revealedSecret, setRevealedSecret] = useState(null); // Webhook ID whose secret is shown
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (!currentUser) return;
+
+    const userRef = ['users', currentUser.uid];
+    const unsubscribeWebhooks = onSnapshot(
+      query(collection(db, ...userRef, 'webhooks'), orderBy('createdAt')),
+      (snapshot) => setWebhooks(snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))),
+      (error) => console.error('Error loading webhooks:', error)
+    );
+    const unsubscribeDeliveries = onSnapshot(
+      query(collection(db, ...userRef, 'webhookDeliveries'), orderBy('createdAt', 'desc'), limit(DELIVERY_LOG_SIZE)),
+      (snapshot) => setDeliveries(snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))),
+      (error) => console.error('Error loading webhook deliveries:', error)
+    );
+
+    return () => {
+      unsubscribeWebhooks();
+      unsubscribeDeliveries();
+    };
+  }, [currentUser]);
+
+  const toggleEvent = (event) => {
+    setEvents(prev => (prev.includes(event) ? prev.filter(e => e !== event) : [...prev, event]));
+  };
+
+  const callWebhookFunction = async (name, payload) => {
+    setBusy(true);
+    try {
+      const callable = httpsCallable(functions, name);
+      await callable(payload);
+      return true;
+    } catch (error) {
+      console.error(`Error calling ${name}:`, error);
+      alert(error.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAdd = async () => {
+    if (await callWebhookFunction('createWebhook', { url: url.trim(), events })) {
+      setUrl('');
+    }
+  };
+
+  const handleDelete = (webhook) => {
+    if (!window.confirm(`Remove the webhook for ${webhook.url}? Pending deliveries will be cancelled.`)) return;
+    callWebhookFunction('deleteWebhook', { webhookId: webhook.id });
+  };
+
+  return (
+    <div className="profile-section">
+      <h3>Webhooks</h3>
+      <p className="section-description">
+        Send game events to your own bots and automations. Each delivery is a JSON POST signed with
+        the webhook's secret in the <code>X-SubGames-Signature</code> header
+        (<code>t=&lt;timestamp&gt;,v1=&lt;HMAC-SHA256 of "timestamp.body"&gt;</code>). Failed deliveries are retried
+        with increasing delays for up to 17 hours.
+      </p>
+
+      {webhooks.map(webhook => (
+        <div key={webhook.id} className="webhook-item">
+          <div className="webhook-info">
+            <span className="webhook-url">{webhook.url}</span>
+            <span className="webhook-events">
+              {webhook.events.map(event => WEBHOOK_EVENTS[event]?.name || event).join(' · ')}
+            </span>
+            <span className="webhook-secret">
+              Secret: <code>{revealedSecret === webhook.id ? webhook.secret : '••••••••••••'}</code>
+              <button
+                className="btn-toggle-email"
+                onClick={() => setRevealedSecret(revealedSecret === webhook.id ? null : webhook.id)}
+                title={revealedSecret === webhook.id ? 'Hide secret' : 'Show secret'}
+              >
+                👁️
+              </button>
+            </span>
+          </div>
+          <button
+            onClick={() => callWebhookFunction('sendTestWebhook', { webhookId: webhook.id })}
+            className="btn-connect"
+            disabled={busy}
+          >
+            Send test
+          </button>
+          <button onClick={() => handleDelete(webhook)} className="btn-remove" disabled={busy}>
+            Remove
+          </button>
+        </div>
+      ))}
+
+      {webhooks.length < MAX_WEBHOOKS_PER_CREATOR && (
+        <div className="webhook-form">
+          <input
+            type="url"
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+            className="input-field"
+            placeholder="https://example.com/subgames-webhook"
+          />
+          <div className="webhook-event-options">
+            {Object.entries(WEBHOOK_EVENTS).map(([event, { name, description }]) => (
+              <label key={event} title={description}>
+                <input type="checkbox" checked={events.includes(event)} onChange={() => toggleEvent(event)} />
+                {name}
+              </label>
+            ))}
+          </div>
+          <button onClick={handleAdd} className="btn-connect" disabled={busy || !url.trim() || !events.length}>
+            Add Webhook
+          </button>
+        </div>
+      )}
+
+      {deliveries.length > 0 && (
+        <div className="game-history">
+          <h4>Recent Deliveries</h4>
+          <table className="history-table">
+            <thead>
+              <tr>
+                <th>Time</th>
+                <th>Event</th>
+                <th>Status</th>
+                <th>Attempts</th>
+                <th>Response</th>
+              </tr>
+            </thead>
+            <tbody>
+              {deliveries.map(delivery => (
+                <tr key={delivery.id}>
+                  <td>{delivery.createdAt ? delivery.createdAt.toDate().toLocaleString() : 'just now'}</td>
+                  <td>{delivery.event}</td>
+                  <td><span className={`delivery-status ${delivery.status}`}>{delivery.status}</span></td>
+                  <td>{delivery.attempts || 0}</td>
+                  <td>{delivery.error || delivery.responseStatus || '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default WebhookSettings;
@@ -0,0 +1,61 @@
+import React, { useState, useEffect } from 'react';
+import { collection, query, orderBy, limit, getDocs, documentId } from 'firebase/firestore';
+import { db } from './firebaseConfig';
+
+const RECENT_CYCLES = 10;
+
+// Visits to a creator's promotional link from the winner banner, per cycle they won.
+// Counted by the /go/ redirect, so these are real visits rather than button presses.
+function WinnerVisits({ creatorId }) {
+  const [visits, setVisits] = useState([]);
+
+  useEffect(() => {
+    if (!creatorId) return;
+
+    const loadVisits = async () => {
+      try {
+        const snapshot = await getDocs(query(
+          collection(db, 'creatorStats', creatorId, 'visits'),
+          orderBy(documentId(), 'desc'),
+          limit(RECENT_CYCLES)
+        ));
+        setVisits(snapshot.docs.map(docSnap => ({ cycleId: docSnap.id, ...docSnap.data() })));
+      } catch (error) {
+        console.error('Error loading winner visits:', error);
+      }
+    };
+
+    loadVisits();
+  }, [creatorId]);
+
+  if (visits.length === 0) return null;
+
+  return (
+    <div className="profile-section">
+      <h2>Visits from SubGames</h2>
+      <p className="section-description">
+        Visits to your promotional link from the winner banner in the cycles you won.
+      </p>
+      <table className="history-table">
+        <thead>
+          <tr>
+            <th>Cycle</th>
+            <th>Visits</th>
+            <th>Unique Players</th>
+          </tr>
+        </thead>
+        <tbody>
+          {visits.map(entry => (
+            <tr key={entry.cycleId}>
+              <td>{entry.cycleId.slice(0, 10)}</td>
+              <td>{entry.visits || 0}</td>
+              <td>{entry.uniqueVisitors || 0}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default WinnerVisits;
@@ -0,0 +1,17 @@
+// CSV exports for the creator dashboard. Rows are arrays of cells; null and undefined
+// are written as empty cells, and cells with commas, quotes or line breaks are quoted.
+export const toCsv = (rows) => rows
+  .map(row => row.map(value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(','))
+  .join('\n');
+
+export const downloadCsv = (filename, rows) => {
+  const url = URL.createObjectURL(new Blob([toCsv(rows)], { type: 'text/csv' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
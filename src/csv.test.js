@@ -0,0 +1,54 @@
+import { toCsv, downloadCsv } from './csv';
+
+describe('toCsv', () => {
+  test('joins cells with commas and rows with newlines', () => {
+    expect(toCsv([['Day', 'Points'], ['2025-11-12', 40], ['2025-11-13', 0]])).toBe('Day,Points\n2025-11-12,40\n2025-11-13,0');
+  });
+
+  test('writes null and undefined as empty cells', () => {
+    expect(toCsv([['a', null, undefined, 'b']])).toBe('a,,,b');
+  });
+
+  test('quotes cells with commas, quotes or line breaks', () => {
+    expect(toCsv([['Smith, Jo', 'plain']])).toBe('"Smith, Jo",plain');
+    expect(toCsv([['say "hi"']])).toBe('"say ""hi"""');
+    expect(toCsv([['two\nlines', 'cr\rhere']])).toBe('"two\nlines","cr\rhere"');
+  });
+
+  test('writes an empty export as an empty file', () => {
+    expect(toCsv([])).toBe('');
+  });
+});
+
+describe('downloadCsv', () => {
+  const { createObjectURL, revokeObjectURL } = URL;
+
+  afterEach(() => {
+    URL.createObjectURL = createObjectURL;
+    URL.revokeObjectURL = revokeObjectURL;
+    jest.restoreAllMocks();
+  });
+
+  test('saves the rows as a CSV file under the given name', async () => {
+    URL.createObjectURL = jest.fn(() => 'blob:export');
+    URL.revokeObjectURL = jest.fn();
+    const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+      expect(this.download).toBe('timeline.csv');
+      expect(this.href).toBe('blob:export');
+    });
+
+    downloadCsv('timeline.csv', [['Hour', 'Points'], ['18:00', 5]]);
+
+    expect(click).toHaveBeenCalledTimes(1);
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:export');
+
+    const blob = URL.createObjectURL.mock.calls[0][0];
+    expect(blob.type).toBe('text/csv');
+    const text = await new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.readAsText(blob);
+    });
+    expect(text).toBe('Hour,Points\n18:00,5');
+  });
+});
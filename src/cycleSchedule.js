@@ -0,0 +1,20 @@
+import { doc, getDoc } from 'firebase/firestore';
+import { db } from './firebaseConfig';
+import { DEFAULT_CYCLE_SCHEDULE, normalizeSchedule } from './shared/cycles';
+
+let schedulePromise = null;
+
+// Load the cycle schedule from config/cycleSchedule once per page load.
+// Falls back to the default schedule if the document is missing or invalid,
+// matching what Cloud Functions do.
+export const loadCycleSchedule = () => {
+  if (!schedulePromise) {
+    schedulePromise = getDoc(doc(db, 'config', 'cycleSchedule'))
+      .then(snap => normalizeSchedule(snap.exists() ? snap.data() : {}))
+      .catch(error => {
+        console.error('Error loading cycle schedule, using default:', error);
+        return DEFAULT_CYCLE_SCHEDULE;
+      });
+  }
+  return schedulePromise;
+};
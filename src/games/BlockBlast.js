@@ -1,37 +1,20 @@
-import React, { useState, useCallback, useEffect } from 'react';
-
-const GRID_SIZE = 8;
-const BLOCK_SHAPES = [
-  // Single block
-  [[1]],
-  
-  // 2x1 blocks
-  [[1, 1]],
-  [[1], [1]],
-  
-  // 3x1 blocks
-  [[1, 1, 1]],
-  [[1], [1], [1]],
-  
-  // L-shapes
-  [[1, 0], [1, 0], [1, 1]],
-  [[1, 1], [1, 0], [1, 0]],
-  [[1, 1, 1], [1, 0, 0]],
-  [[1, 0, 0], [1, 1, 1]],
-  
-  // T-shapes
-  [[1, 1, 1], [0, 1, 0]],
-  [[0, 1], [1, 1], [0, 1]],
-  
-  // Square
-  [[1, 1], [1, 1]],
-  
-  // Plus sign
-  [[0, 1, 0], [1, 1, 1], [0, 1, 0]],
-];
-
-const BlockBlast = ({ onGameWin, onGameStart }) => {
-  const [grid, setGrid] = useState(() => Array(GRID_SIZE).fill(null).map(() => Array(GRID_SIZE).fill(0)));
+import React, { useState, useCallback, useEffect, useRef } from 'react';
+import {
+  GRID_SIZE,
+  BLOCK_SHAPES,
+  createGrid,
+  canPlaceShape,
+  placeShape,
+  canPlaceAny,
+  dealHand
+} from '../shared/games/blockBlast';
+import { createRng, randomSeed } from '../shared/random';
+import { DEFAULT_DIFFICULTY, getDifficulty, getPoints } from '../shared/gameRegistry';
+
+const BlockBlast = ({ onGameWin, onGameStart, difficulty = DEFAULT_DIFFICULTY }) => {
+  const { targetScore } = getDifficulty('blockBlast', difficulty).params;
+  const rewardPoints = getPoints('blockBlast', difficulty);
+  const [grid, setGrid] = useState(createGrid);
   const [score, setScore] = useState(0);
   const [currentBlocks, setCurrentBlocks] = useState([]);
   const [selectedBlock, setSelectedBlock] = useState(null);
@@ -41,89 +24,55 @@ const BlockBlast = ({ onGameWin, onGameStart }) => {
   const [gameOver, setGameOver] = useState(false);
   const [hasWon, setHasWon] = useState(false);
   const [explosions, setExplosions] = useState([]); // Track explosion animations
-  const [sessionId, setSessionId] = useState(null);
+  const [session, setSession] = useState(null); // { sessionId, seed }
   const [gameStarted, setGameStarted] = useState(false);
+  const moveLog = useRef({ moves: [] }); // Replayed server-side to verify the win
+  const rng = useRef(null); // Seeded from the session so the server can regenerate every hand
 
-  // Generate 3 random blocks
+  // Deal 3 blocks from the session's rng
   const generateBlocks = useCallback(() => {
-    const blocks = [];
-    for (let i = 0; i < 3; i++) {
-      const shape = BLOCK_SHAPES[Math.floor(Math.random() * BLOCK_SHAPES.length)];
-      blocks.push({ id: Date.now() + i, shape });
-    }
-    return blocks;
+    return dealHand(rng.current).map((shapeIndex, i) => ({
+      id: Date.now() + i,
+      slot: i,
+      shape: BLOCK_SHAPES[shapeIndex]
+    }));
   }, []);
 
-  // Initialize blocks and create session
+  // Each game gets its own session - a session can only be submitted once.
+  // Without a session (no creator picked) the game is just practice with a local seed
+  const startSession = useCallback(async () => {
+    moveLog.current = { moves: [] };
+    setSession(null);
+    setCurrentBlocks([]);
+
+    const newSession = (onGameStart && await onGameStart('blockBlast')) || { sessionId: null, seed: randomSeed() };
+    rng.current = createRng(newSession.seed);
+    setSession(newSession);
+    setCurrentBlocks(generateBlocks());
+  }, [onGameStart, generateBlocks]);
+
+  // Create session and deal the first blocks
   useEffect(() => {
     if (!gameStarted) {
-      setCurrentBlocks(generateBlocks());
       setGameStarted(true);
-      
-      // Create game session when game loads
-      if (onGameStart) {
-        onGameStart('blockBlast').then(newSessionId => {
-          setSessionId(newSessionId);
-        });
-      }
+      startSession();
     }
-  }, [generateBlocks, onGameStart, gameStarted]);
+  }, [startSession, gameStarted]);
 
   // Check if a block can be placed at position
   const canPlaceBlock = useCallback((block, row, col) => {
     if (!block) return false;
-    
-    for (let r = 0; r < block.shape.length; r++) {
-      for (let c = 0; c < block.shape[r].length; c++) {
-        if (block.shape[r][c] === 1) {
-          const newRow = row + r;
-          const newCol = col + c;
-          
-          if (newRow >= GRID_SIZE || newCol >= GRID_SIZE || grid[newRow][newCol] === 1) {
-            return false;
-          }
-        }
-      }
-    }
-    return true;
+    return canPlaceShape(grid, block.shape, row, col);
   }, [grid]);
 
   // Place block on grid
   const placeBlock = useCallback((block, row, col) => {
-    const newGrid = grid.map(r => [...r]);
-    
-    for (let r = 0; r < block.shape.length; r++) {
-      for (let c = 0; c < block.shape[r].length; c++) {
-        if (block.shape[r][c] === 1) {
-          newGrid[row + r][col + c] = 1;
-        }
-      }
-    }
-
-    // Check for complete rows and columns
-    let clearedLines = 0;
-    const rowsToClear = [];
-    const colsToClear = [];
-
-    // Check rows
-    for (let r = 0; r < GRID_SIZE; r++) {
-      if (newGrid[r].every(cell => cell === 1)) {
-        rowsToClear.push(r);
-        clearedLines++;
-      }
-    }
-
-    // Check columns
-    for (let c = 0; c < GRID_SIZE; c++) {
-      if (newGrid.every(row => row[c] === 1)) {
-        colsToClear.push(c);
-        clearedLines++;
-      }
-    }
+    const { grid: newGrid, rowsCleared, colsCleared, points } = placeShape(grid, block.shape, row, col);
+    moveLog.current.moves.push([block.slot, row, col]);
 
     // Trigger explosion animations
     const newExplosions = [];
-    rowsToClear.forEach(r => {
+    rowsCleared.forEach(r => {
       for (let c = 0; c < GRID_SIZE; c++) {
         newExplosions.push({
           id: `${Date.now()}-${r}-${c}`,
@@ -132,10 +81,10 @@ const BlockBlast = ({ onGameWin, onGameStart }) => {
         });
       }
     });
-    colsToClear.forEach(c => {
+    colsCleared.forEach(c => {
       for (let r = 0; r < GRID_SIZE; r++) {
         // Avoid duplicates from row/col intersections
-        if (!rowsToClear.includes(r)) {
+        if (!rowsCleared.includes(r)) {
           newExplosions.push({
             id: `${Date.now()}-${r}-${c}`,
             row: r,
@@ -151,31 +100,16 @@ const BlockBlast = ({ onGameWin, onGameStart }) => {
       setTimeout(() => setExplosions([]), 600);
     }
 
-    // Clear rows and columns
-    rowsToClear.forEach(r => {
-      for (let c = 0; c < GRID_SIZE; c++) {
-        newGrid[r][c] = 0;
-      }
-    });
-
-    colsToClear.forEach(c => {
-      for (let r = 0; r < GRID_SIZE; r++) {
-        newGrid[r][c] = 0;
-      }
-    });
-
     setGrid(newGrid);
     
     // Update score
-    const blockScore = block.shape.flat().filter(c => c === 1).length;
-    const clearBonus = clearedLines * 10;
-    const newScore = score + blockScore + clearBonus;
+    const newScore = score + points;
     setScore(newScore);
 
-    // Check for win condition (score >= 100) - only award once
-    if (newScore >= 100 && !hasWon && onGameWin) {
+    // Check for win condition - only award once
+    if (newScore >= targetScore && !hasWon && onGameWin) {
       setHasWon(true);
-      onGameWin(sessionId);
+      onGameWin(session?.sessionId, moveLog.current);
     }
 
     // Remove used block
@@ -188,22 +122,13 @@ const BlockBlast = ({ onGameWin, onGameStart }) => {
       setCurrentBlocks(remainingBlocks);
       
       // Check if any remaining blocks can be placed
-      const canPlaceAny = remainingBlocks.some(blk => {
-        for (let r = 0; r < GRID_SIZE; r++) {
-          for (let c = 0; c < GRID_SIZE; c++) {
-            if (canPlaceBlock(blk, r, c)) return true;
-          }
-        }
-        return false;
-      });
-
-      if (!canPlaceAny) {
+      if (!canPlaceAny(newGrid, remainingBlocks.map(blk => blk.shape))) {
         setGameOver(true);
       }
     }
 
     setSelectedBlock(null);
-  }, [grid, score, currentBlocks, generateBlocks, canPlaceBlock, onGameWin, hasWon]);
+  }, [grid, score, currentBlocks, generateBlocks, onGameWin, hasWon, session, targetScore]);
 
   // Handle drag start (touch and mouse)
   const handleDragStart = useCallback((block, e) => {
@@ -306,12 +231,12 @@ const BlockBlast = ({ onGameWin, onGameStart }) => {
 
   // Reset game
   const resetGame = () => {
-    setGrid(Array(GRID_SIZE).fill(null).map(() => Array(GRID_SIZE).fill(0)));
+    setGrid(createGrid());
     setScore(0);
-    setCurrentBlocks(generateBlocks());
     setSelectedBlock(null);
     setGameOver(false);
     setHasWon(false);
+    startSession();
   };
 
   // Check if placement is valid when hovering
@@ -349,9 +274,12 @@ const BlockBlast = ({ onGameWin, onGameStart }) => {
           </div>
           <div className="bg-gray-800 px-3 py-1.5 md:px-6 md:py-3 rounded-lg border border-gray-700">
             <span className="text-xs md:text-sm text-gray-400">Goal: </span>
-            <span className="text-base md:text-xl font-bold text-yellow-400">100</span>
+            <span className="text-base md:text-xl font-bold text-yellow-400">{targetScore}</span>
           </div>
         </div>
+        {session && (
+          <p className="text-xs text-gray-500">Seed #{session.seed}</p>
+        )}
       </div>
 
       {/* Game Grid */}
@@ -446,10 +374,10 @@ const BlockBlast = ({ onGameWin, onGameStart }) => {
         </div>
       )}
 
-      {score >= 100 && (
+      {score >= targetScore && (
         <div className="bg-yellow-900/50 border-2 border-yellow-500 p-4 md:p-6 rounded-xl text-center animate-pulse">
           <p className="text-xl md:text-2xl font-bold text-yellow-400">🎉 You Win! 🎉</p>
-          <p className="text-sm md:text-base text-gray-300">You earned 5 Sub Points for your creator!</p>
+          <p className="text-sm md:text-base text-gray-300">You earned {rewardPoints} Sub {rewardPoints === 1 ? 'Point' : 'Points'} for your creator!</p>
         </div>
       )}
 
@@ -1,4 +1,7 @@
 import React, { useState, useCallback, useEffect, useRef } from 'react';
+import { COLOR_IDS, nextColor } from '../shared/games/colorMatch';
+import { createRng, randomSeed } from '../shared/random';
+import { DEFAULT_DIFFICULTY, getDifficulty, getPoints } from '../shared/gameRegistry';
 
 const COLORS = [
   { id: 'red', bg: 'bg-red-600', hover: 'hover:bg-red-500', active: 'bg-red-400', sound: 329.63 },
@@ -7,14 +10,18 @@ const COLORS = [
   { id: 'yellow', bg: 'bg-yellow-500', hover: 'hover:bg-yellow-400', active: 'bg-yellow-300', sound: 659.25 },
 ];
 
-const ColorMatch = ({ onGameWin, onGameStart }) => {
+const ColorMatch = ({ onGameWin, onGameStart, difficulty = DEFAULT_DIFFICULTY }) => {
+  const { targetLevel } = getDifficulty('colorMatch', difficulty).params;
+  const points = getPoints('colorMatch', difficulty);
   const [sequence, setSequence] = useState([]);
   const [playerSequence, setPlayerSequence] = useState([]);
   const [level, setLevel] = useState(1);
   const [gameState, setGameState] = useState('intro'); // intro, showing, player-turn, correct, wrong, won
   const [activeColor, setActiveColor] = useState(null);
-  const [sessionId, setSessionId] = useState(null);
+  const [session, setSession] = useState(null); // { sessionId, seed }
   const audioContext = useRef(null);
+  const moveLog = useRef({ inputs: [] }); // Replayed server-side to verify the win
+  const rng = useRef(null); // Seeded from the session so the server can regenerate the sequence
 
   // Initialize Web Audio API
   useEffect(() => {
@@ -67,18 +74,19 @@ const ColorMatch = ({ onGameWin, onGameStart }) => {
 
   // Start new game
   const startGame = useCallback(async () => {
-    const newSequence = [COLORS[Math.floor(Math.random() * COLORS.length)].id];
+    // Create game session first - the sequence is drawn from its seed
+    // Without a session (no creator picked) the game is just practice with a local seed
+    const newSession = (onGameStart && await onGameStart('colorMatch')) || { sessionId: null, seed: randomSeed() };
+    rng.current = createRng(newSession.seed);
+    setSession(newSession);
+
+    const newSequence = [COLOR_IDS[nextColor(rng.current)]];
+    moveLog.current = { inputs: [] };
     setSequence(newSequence);
     setPlayerSequence([]);
     setLevel(1);
     setGameState('showing');
     showSequence(newSequence);
-    
-    // Create game session when starting
-    if (onGameStart) {
-      const newSessionId = await onGameStart('colorMatch');
-      setSessionId(newSessionId);
-    }
   }, [showSequence, onGameStart]);
 
   // Handle player clicking a color
@@ -93,6 +101,7 @@ const ColorMatch = ({ onGameWin, onGameStart }) => {
     
     const newPlayerSequence = [...playerSequence, colorId];
     setPlayerSequence(newPlayerSequence);
+    moveLog.current.inputs.push(COLOR_IDS.indexOf(colorId));
     
     // Check if player made a mistake
     if (newPlayerSequence[newPlayerSequence.length - 1] !== sequence[newPlayerSequence.length - 1]) {
@@ -105,18 +114,18 @@ const ColorMatch = ({ onGameWin, onGameStart }) => {
     
     // Check if player completed the sequence
     if (newPlayerSequence.length === sequence.length) {
-      if (level === 8) {
+      if (level === targetLevel) {
         // Player won the game!
         setGameState('won');
         if (onGameWin) {
-          onGameWin(sessionId);
+          onGameWin(session?.sessionId, moveLog.current);
         }
       } else {
         // Move to next level
         setGameState('correct');
         setTimeout(() => {
           const nextLevel = level + 1;
-          const newSequence = [...sequence, COLORS[Math.floor(Math.random() * COLORS.length)].id];
+          const newSequence = [...sequence, COLOR_IDS[nextColor(rng.current)]];
           setSequence(newSequence);
           setPlayerSequence([]);
           setLevel(nextLevel);
@@ -124,7 +133,7 @@ const ColorMatch = ({ onGameWin, onGameStart }) => {
         }, 1000);
       }
     }
-  }, [gameState, playerSequence, sequence, level, playTone, showSequence, onGameWin]);
+  }, [gameState, playerSequence, sequence, level, targetLevel, playTone, showSequence, onGameWin, session]);
 
   // Reset game
   const resetGame = () => {
@@ -143,8 +152,11 @@ const ColorMatch = ({ onGameWin, onGameStart }) => {
         <div className="bg-gray-800 px-4 py-2 md:px-6 md:py-3 rounded-lg border border-gray-700 inline-block">
           <span className="text-xs md:text-sm text-gray-400">Level: </span>
           <span className="text-lg md:text-2xl font-bold text-green-400">{level}</span>
-          <span className="text-gray-400"> / 8</span>
+          <span className="text-gray-400"> / {targetLevel}</span>
         </div>
+        {gameState !== 'intro' && session && (
+          <p className="text-xs text-gray-500">Seed #{session.seed}</p>
+        )}
       </div>
 
       {/* Color Grid - Always visible */}
@@ -171,7 +183,7 @@ const ColorMatch = ({ onGameWin, onGameStart }) => {
       {gameState === 'intro' && (
         <div className="text-center max-w-md">
           <p className="text-base md:text-lg text-blue-300 mb-3 md:mb-4">
-            Reach level 8 to win!
+            Reach level {targetLevel} to win!
           </p>
           <button
             onClick={startGame}
@@ -216,7 +228,7 @@ const ColorMatch = ({ onGameWin, onGameStart }) => {
       {gameState === 'won' && (
         <div className="bg-yellow-900/50 border-2 border-yellow-500 p-4 md:p-6 rounded-xl text-center animate-pulse">
           <p className="text-xl md:text-2xl font-bold text-yellow-400 mb-1 md:mb-2">🎉 You Win! 🎉</p>
-          <p className="text-sm md:text-base text-gray-300">You earned 8 Sub Points for your creator!</p>
+          <p className="text-sm md:text-base text-gray-300">You earned {points} Sub {points === 1 ? 'Point' : 'Points'} for your creator!</p>
           <button
             onClick={resetGame}
             className="mt-3 md:mt-4 px-4 py-2 md:px-6 md:py-3 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-semibold transition-colors text-sm md:text-base"
@@ -1,36 +1,37 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { SYMBOLS, MISMATCH_DELAY_MS, createDeck } from '../shared/games/memoryFlip';
+import { createRng, randomSeed } from '../shared/random';
+import { DEFAULT_DIFFICULTY, getDifficulty, getPoints } from '../shared/gameRegistry';
 
-// Card symbols - 8 pairs = 16 cards
-const SYMBOLS = ['🎮', '🎯', '🎲', '🎪', '🎨', '🎭', '🎸', '🎹'];
-
-const MemoryFlip = ({ onGameWin, onGameStart }) => {
+const MemoryFlip = ({ onGameWin, onGameStart, difficulty = DEFAULT_DIFFICULTY }) => {
+  const { pairs } = getDifficulty('memoryFlip', difficulty).params;
+  const points = getPoints('memoryFlip', difficulty);
   const [cards, setCards] = useState([]);
   const [flipped, setFlipped] = useState([]);
   const [matched, setMatched] = useState([]);
   const [moves, setMoves] = useState(0);
   const [gameState, setGameState] = useState('intro'); // intro, playing, won
   const [canFlip, setCanFlip] = useState(true);
-  const [sessionId, setSessionId] = useState(null);
+  const [session, setSession] = useState(null); // { sessionId, seed }
+  const moveLog = useRef({ flips: [] }); // Replayed server-side to verify the win
 
   // Initialize/shuffle cards
   const initializeGame = useCallback(async () => {
-    const cardPairs = [...SYMBOLS, ...SYMBOLS];
-    const shuffled = cardPairs
-      .map((symbol, index) => ({ id: index, symbol, matched: false }))
-      .sort(() => Math.random() - 0.5);
+    // Create game session first - the deck is dealt from its seed
+    // Without a session (no creator picked) the game is just practice with a local seed
+    const newSession = (onGameStart && await onGameStart('memoryFlip')) || { sessionId: null, seed: randomSeed() };
+    setSession(newSession);
+
+    const shuffled = createDeck(createRng(newSession.seed), pairs)
+      .map((symbolIndex, index) => ({ id: index, symbolIndex, symbol: SYMBOLS[symbolIndex], matched: false }));
+    moveLog.current = { flips: [] };
     setCards(shuffled);
     setFlipped([]);
     setMatched([]);
     setMoves(0);
     setGameState('playing');
     setCanFlip(true);
-    
-    // Create game session when starting
-    if (onGameStart) {
-      const newSessionId = await onGameStart('memoryFlip');
-      setSessionId(newSessionId);
-    }
-  }, [onGameStart]);
+  }, [onGameStart, pairs]);
 
   // Handle card click
   const handleCardClick = (index) => {
@@ -40,6 +41,7 @@ const MemoryFlip = ({ onGameWin, onGameStart }) => {
 
     const newFlipped = [...flipped, index];
     setFlipped(newFlipped);
+    moveLog.current.flips.push(index);
 
     // Check for match when 2 cards are flipped
     if (newFlipped.length === 2) {
@@ -57,7 +59,7 @@ const MemoryFlip = ({ onGameWin, onGameStart }) => {
         setTimeout(() => {
           setFlipped([]);
           setCanFlip(true);
-        }, 1000);
+        }, MISMATCH_DELAY_MS);
       }
     }
   };
@@ -66,9 +68,9 @@ const MemoryFlip = ({ onGameWin, onGameStart }) => {
   useEffect(() => {
     if (matched.length === cards.length && cards.length > 0 && gameState === 'playing') {
       setGameState('won');
-      onGameWin(sessionId); // Pass sessionId instead of points
+      onGameWin(session?.sessionId, moveLog.current);
     }
-  }, [matched, cards.length, gameState, onGameWin, sessionId]);
+  }, [matched, cards.length, gameState, onGameWin, session]);
 
   return (
     <div className="flex flex-col items-center space-y-4 md:space-y-6 p-2 md:p-4">
@@ -83,13 +85,16 @@ const MemoryFlip = ({ onGameWin, onGameStart }) => {
             Moves: {moves}
           </div>
         )}
+        {gameState !== 'intro' && session && (
+          <p className="text-xs text-gray-500">Seed #{session.seed}</p>
+        )}
       </div>
 
       {/* Intro Screen */}
       {gameState === 'intro' && (
         <div className="text-center max-w-md space-y-4">
           <p className="text-base md:text-lg text-gray-300">
-            Find all 8 matching pairs to win 6 SubPoints!
+            Find all {pairs} matching pairs to win {points} SubPoints!
           </p>
           <button
             onClick={initializeGame}
@@ -144,7 +149,7 @@ const MemoryFlip = ({ onGameWin, onGameStart }) => {
               Completed in {moves} moves
             </p>
             <p className="text-lg md:text-xl font-semibold text-purple-300">
-              +6 SubPoints earned!
+              +{points} SubPoints earned!
             </p>
           </div>
           <button
@@ -1,6 +1,11 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { TARGET_LEVEL, FEEDBACK_MS, nextPuzzle } from '../shared/games/patternPro';
+import { createRng, randomSeed } from '../shared/random';
+import { DEFAULT_DIFFICULTY, getDifficulty, getPoints } from '../shared/gameRegistry';
 
-const PatternPro = ({ onGameWin, onGameStart }) => {
+const PatternPro = ({ onGameWin, onGameStart, difficulty = DEFAULT_DIFFICULTY }) => {
+  const { timeLimitSeconds } = getDifficulty('patternPro', difficulty).params;
+  const points = getPoints('patternPro', difficulty);
   const [currentLevel, setCurrentLevel] = useState(1);
   const [pattern, setPattern] = useState([]);
   const [options, setOptions] = useState([]);
@@ -9,57 +14,37 @@ const PatternPro = ({ onGameWin, onGameStart }) => {
   const [gameState, setGameState] = useState('intro'); // intro, playing, correct, wrong, won
   const [timeLeft, setTimeLeft] = useState(15);
   const [combo, setCombo] = useState(0);
-  const [sessionId, setSessionId] = useState(null);
-
-  // Fun emoji sets for patterns
-  const EMOJI_SETS = [
-    ['🍕', '🍔', '🌭', '🍟', '🌮', '🍿'],
-    ['⚽', '🏀', '🎾', '🏈', '⚾', '🎱'],
-    ['🐶', '🐱', '🐭', '🐹', '🐰', '🦊'],
-    ['🚗', '🚕', '🚙', '🚌', '🚎', '🏎️'],
-    ['⭐', '💫', '✨', '🌟', '💥', '🔥'],
-    ['🎸', '🎹', '🎺', '🎷', '🥁', '🎻'],
-    ['🌈', '☀️', '⛅', '🌙', '⭐', '💫'],
-    ['🎮', '🎯', '🎲', '🎪', '🎨', '🎭'],
-  ];
+  const [session, setSession] = useState(null); // { sessionId, seed }
+  const moveLog = useRef({ picks: [], times: [] }); // Replayed server-side to verify the win
+  const rng = useRef(null); // Seeded from the session so the server can regenerate every puzzle
+  const puzzleShownAt = useRef(0);
 
   // Generate fun visual pattern
   const generatePattern = useCallback((level) => {
-    const emojiSet = EMOJI_SETS[Math.floor(Math.random() * EMOJI_SETS.length)];
-    const patternLength = 3 + Math.floor(level / 3); // Grows with level
-    const basePatternSize = Math.min(2 + Math.floor(level / 4), 3);
-    const basePattern = emojiSet.slice(0, basePatternSize);
-    
-    const sequence = [];
-    for (let i = 0; i < patternLength; i++) {
-      sequence.push(basePattern[i % basePattern.length]);
-    }
-    
-    const answer = basePattern[patternLength % basePattern.length];
-    
-    // Create 4 options including the correct answer
-    const wrongOptions = emojiSet.filter(e => e !== answer).slice(0, 3);
-    const allOptions = [answer, ...wrongOptions].sort(() => Math.random() - 0.5);
+    // 4 options including the correct answer
+    const puzzle = nextPuzzle(rng.current, level, timeLimitSeconds);
     
-    setPattern(sequence);
-    setCorrectAnswer(answer);
-    setOptions(allOptions);
+    puzzleShownAt.current = Date.now();
+    setPattern(puzzle.pattern);
+    setCorrectAnswer(puzzle.answer);
+    setOptions(puzzle.options);
     setSelectedAnswer(null);
-    setTimeLeft(15 - Math.floor(level / 2)); // Faster as you progress
-  }, []);
+    setTimeLeft(puzzle.timeLimit); // Faster as you progress
+  }, [timeLimitSeconds]);
 
   // Start game
   const startGame = useCallback(async () => {
+    // Create game session first - every puzzle is drawn from its seed
+    // Without a session (no creator picked) the game is just practice with a local seed
+    const newSession = (onGameStart && await onGameStart('patternPro')) || { sessionId: null, seed: randomSeed() };
+    rng.current = createRng(newSession.seed);
+    setSession(newSession);
+
+    moveLog.current = { picks: [], times: [] };
     setCurrentLevel(1);
     setCombo(0);
     setGameState('playing');
     generatePattern(1);
-    
-    // Create game session when starting
-    if (onGameStart) {
-      const newSessionId = await onGameStart('patternPro');
-      setSessionId(newSessionId);
-    }
   }, [generatePattern, onGameStart]);
 
   // Timer countdown
@@ -87,6 +72,8 @@ const PatternPro = ({ onGameWin, onGameStart }) => {
     if (selectedAnswer !== null) return;
     
     setSelectedAnswer(answer);
+    moveLog.current.picks.push(options.indexOf(answer));
+    moveLog.current.times.push(Date.now() - puzzleShownAt.current);
     
     if (answer === correctAnswer) {
       const newCombo = combo + 1;
@@ -94,15 +81,15 @@ const PatternPro = ({ onGameWin, onGameStart }) => {
       setGameState('correct');
       
       setTimeout(() => {
-        if (currentLevel >= 10) {
+        if (currentLevel >= TARGET_LEVEL) {
           setGameState('won');
-          onGameWin(sessionId);
+          onGameWin(session?.sessionId, moveLog.current);
         } else {
           setCurrentLevel(currentLevel + 1);
           setGameState('playing');
           generatePattern(currentLevel + 1);
         }
-      }, 1000);
+      }, FEEDBACK_MS);
     } else {
       setGameState('wrong');
       setCombo(0);
@@ -124,7 +111,7 @@ const PatternPro = ({ onGameWin, onGameStart }) => {
         {gameState === 'playing' && (
           <div className="flex items-center justify-center gap-4 mt-2">
             <div className="text-lg md:text-xl font-semibold text-purple-300">
-              Level {currentLevel}/10
+              Level {currentLevel}/{TARGET_LEVEL}
             </div>
             <div className={`text-lg md:text-xl font-bold px-3 py-1 rounded-full ${
               timeLeft <= 5 ? 'bg-red-500/30 text-red-300 animate-pulse' : 'bg-cyan-500/30 text-cyan-300'
@@ -138,6 +125,9 @@ const PatternPro = ({ onGameWin, onGameStart }) => {
             )}
           </div>
         )}
+        {gameState !== 'intro' && session && (
+          <p className="text-xs text-gray-500">Seed #{session.seed}</p>
+        )}
       </div>
 
       {/* Intro Screen */}
@@ -145,7 +135,7 @@ const PatternPro = ({ onGameWin, onGameStart }) => {
         <div className="text-center max-w-md space-y-4">
           <div className="text-6xl animate-bounce">🎯</div>
           <p className="text-base md:text-lg text-gray-300">
-            Complete 10 visual patterns to win 10 SubPoints!
+            Complete {TARGET_LEVEL} visual patterns to win {points} SubPoints!
           </p>
           <p className="text-sm text-gray-400">
             Quick reflexes and sharp eyes needed! ⚡
@@ -249,10 +239,10 @@ const PatternPro = ({ onGameWin, onGameStart }) => {
               Pattern Master!
             </p>
             <p className="text-base md:text-lg text-gray-300">
-              You crushed all 10 patterns! 🔥
+              You crushed all {TARGET_LEVEL} patterns! 🔥
             </p>
             <p className="text-xl md:text-2xl font-semibold text-purple-300">
-              +10 SubPoints earned!
+              +{points} SubPoints earned!
             </p>
           </div>
           <button
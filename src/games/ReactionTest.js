@@ -0,0 +1,113 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { getDelay } from '../shared/games/reaction';
+import { createRng, randomSeed } from '../shared/random';
+import { DEFAULT_DIFFICULTY, getDifficulty, getPoints } from '../shared/gameRegistry';
+
+const ReactionTest = ({ onGameWin, onGameStart, difficulty = DEFAULT_DIFFICULTY }) => {
+  const { winThresholdMs } = getDifficulty('reaction', difficulty).params;
+  const points = getPoints('reaction', difficulty);
+  const [gameState, setGameState] = useState('initial'); // initial, wait, go, result
+  const [reactionTime, setReactionTime] = useState(null);
+  const [session, setSession] = useState(null); // { sessionId, seed }
+  const goAt = useRef(0);
+  const goTimer = useRef(null);
+
+  // Don't turn green after leaving the game
+  useEffect(() => () => clearTimeout(goTimer.current), []);
+
+  const startGame = useCallback(async () => {
+    // Start the visual game immediately - no delay
+    clearTimeout(goTimer.current);
+    setGameState('wait');
+    setReactionTime(null);
+    setSession(null);
+
+    // The session seed decides when the box turns green,
+    // so the server can check the reaction against the same delay
+    // Without a session (no creator picked) the game is just practice with a local seed
+    const newSession = (onGameStart && await onGameStart('reaction')) || { sessionId: null, seed: randomSeed() };
+    setSession(newSession);
+
+    goTimer.current = setTimeout(() => {
+      setGameState('go');
+      // Start tracking time from this moment
+      goAt.current = Date.now();
+    }, getDelay(createRng(newSession.seed))); // 2 to 5 seconds
+  }, [onGameStart]);
+
+  const handleClick = () => {
+    if (gameState === 'wait') {
+      // Too early click
+      clearTimeout(goTimer.current);
+      setGameState('result');
+      setReactionTime('Too Early!');
+      return;
+    }
+
+    if (gameState === 'go') {
+      // Successful click!
+      const timeElapsed = Date.now() - goAt.current;
+      setReactionTime(`${timeElapsed} ms`);
+      setGameState('result');
+
+      if (timeElapsed < winThresholdMs) {
+        onGameWin(session?.sessionId, { reactionMs: timeElapsed }, timeElapsed);
+      }
+      return;
+    }
+
+    startGame();
+  };
+
+  const timeValue = reactionTime && reactionTime !== 'Too Early!' ? parseInt(reactionTime) : Infinity;
+  const isWin = timeValue < winThresholdMs;
+
+  let message;
+  let boxClass = 'cursor-pointer w-full h-80 flex items-center justify-center rounded-2xl shadow-xl transition-all duration-300 text-3xl font-bold';
+
+  switch (gameState) {
+    case 'initial':
+      boxClass += ' bg-gradient-to-br from-purple-600 to-purple-700 hover:from-purple-500 hover:to-purple-600 text-white';
+      message = 'Click to Start Reaction Test';
+      break;
+    case 'wait':
+      boxClass += ' bg-red-500 text-white';
+      message = 'Wait for Green...';
+      break;
+    case 'go':
+      boxClass += ' bg-green-500 text-white shadow-2xl shadow-green-400';
+      message = 'CLICK NOW!';
+      break;
+    case 'result':
+      boxClass += ' bg-gray-800 text-gray-100 border-2 border-gray-700';
+      message = (
+        <div className="text-center p-4">
+          <p className="text-5xl mb-4">{reactionTime}</p>
+          {reactionTime === 'Too Early!' && <p className="text-red-400">You lost this round: Too Early!</p>}
+          {isWin && <p className="text-yellow-400">Success! You earned {points} Sub {points === 1 ? 'Point' : 'Points'}!</p>}
+          {!isWin && reactionTime !== 'Too Early!' && reactionTime !== null && <p className="text-orange-400">Too slow. Try again!</p>}
+          {session && <p className="text-xs text-gray-500 mt-2">Seed #{session.seed}</p>}
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              startGame();
+            }}
+            className="mt-6 px-6 py-2 bg-gradient-to-r from-purple-600 to-purple-700 text-white rounded-full hover:from-purple-500 hover:to-purple-600 transition-all shadow-md"
+          >
+            Play Again
+          </button>
+        </div>
+      );
+      break;
+    default:
+      message = 'Error';
+  }
+
+  return (
+    <div id="reaction-box" className={boxClass} onClick={handleClick}>
+      {message}
+    </div>
+  );
+};
+
+export default ReactionTest;
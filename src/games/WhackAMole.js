@@ -1,114 +1,116 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  GRID_SIZE,
+  TARGET_SCORE,
+  GAME_DURATION_MS,
+  SPAWN_INTERVAL_MS,
+  MOLE_EMOJIS,
+  getMoleLifetime,
+  spawnWave
+} from '../shared/games/whackAMole';
+import { createRng, randomSeed } from '../shared/random';
+import { DEFAULT_DIFFICULTY, getDifficulty, getPoints } from '../shared/gameRegistry';
 
-const GRID_SIZE = 9; // 3x3 grid
-const TARGET_SCORE = 30; // Need 30 hits to win
-const MOLE_EMOJIS = ['🐭', '🐹', '🐰', '🦊', '🐻'];
-
-const WhackAMole = ({ onGameWin, onGameStart }) => {
+const WhackAMole = ({ onGameWin, onGameStart, difficulty = DEFAULT_DIFFICULTY }) => {
+  const { moleLifetimeMs } = getDifficulty('whackAMole', difficulty).params;
+  const points = getPoints('whackAMole', difficulty);
   const [score, setScore] = useState(0);
-  const [timeLeft, setTimeLeft] = useState(30);
+  const [timeLeft, setTimeLeft] = useState(GAME_DURATION_MS / 1000);
   const [activeMoles, setActiveMoles] = useState([]);
   const [gameState, setGameState] = useState('intro'); // intro, playing, won, lost
   const [lastHit, setLastHit] = useState(null);
   const [combo, setCombo] = useState(0);
-  const [sessionId, setSessionId] = useState(null);
+  const [session, setSession] = useState(null); // { sessionId, seed }
+  const moveLog = useRef({ waves: [], hits: [] }); // Replayed server-side to verify the win
+  const startedAt = useRef(0);
+  const scoreRef = useRef(0); // Read by the spawn clock without restarting it on every hit
+  const molesRef = useRef([]); // Mirrors activeMoles so the spawn clock sees which holes are taken
+  const rng = useRef(null); // Seeded from the session so the server can regenerate every wave
+
+  const updateMoles = useCallback((update) => {
+    molesRef.current = update(molesRef.current);
+    setActiveMoles(molesRef.current);
+  }, []);
 
   // Start game
   const startGame = useCallback(async () => {
+    // Create game session first - every wave is drawn from its seed
+    // Without a session (no creator picked) the game is just practice with a local seed
+    const newSession = (onGameStart && await onGameStart('whackAMole')) || { sessionId: null, seed: randomSeed() };
+    rng.current = createRng(newSession.seed);
+    setSession(newSession);
+
+    moveLog.current = { waves: [], hits: [] };
+    startedAt.current = Date.now();
+    scoreRef.current = 0;
     setScore(0);
-    setTimeLeft(30);
-    setActiveMoles([]);
+    setTimeLeft(GAME_DURATION_MS / 1000);
+    updateMoles(() => []);
     setGameState('playing');
     setCombo(0);
     setLastHit(null);
-    
-    // Create game session when starting
-    if (onGameStart) {
-      const newSessionId = await onGameStart('whackAMole');
-      setSessionId(newSessionId);
-    }
-  }, [onGameStart]);
+  }, [onGameStart, updateMoles]);
 
-  // Spawn moles randomly
+  // Spawn moles randomly on a fixed clock so every wave lines up with the replay
   useEffect(() => {
     if (gameState !== 'playing') return;
 
     const spawnInterval = setInterval(() => {
-      const numMoles = Math.min(1 + Math.floor(score / 10), 3); // More moles as you progress
-      const newMoles = [];
-      
-      for (let i = 0; i < numMoles; i++) {
-        const position = Math.floor(Math.random() * GRID_SIZE);
-        const emoji = MOLE_EMOJIS[Math.floor(Math.random() * MOLE_EMOJIS.length)];
-        
-        if (!newMoles.find(m => m.position === position)) {
-          newMoles.push({
-            id: Date.now() + i,
-            position,
-            emoji,
-            duration: 1000 - Math.floor(score * 10), // Faster as score increases
-          });
-        }
-      }
-      
-      setActiveMoles(prev => {
-        const combined = [...prev, ...newMoles];
-        // Remove duplicates by position
-        const unique = combined.filter((mole, index, self) =>
-          index === self.findIndex(m => m.position === mole.position)
-        );
-        return unique;
-      });
+      const wave = moveLog.current.waves.length;
+      const waveScore = scoreRef.current;
+      moveLog.current.waves.push(waveScore);
+
+      // More moles as you progress; a hole that is already occupied keeps its current mole
+      const spawned = spawnWave(rng.current, waveScore)
+        .filter(mole => !molesRef.current.some(m => m.position === mole.position))
+        .map(mole => ({
+          id: `${wave}-${mole.position}`,
+          wave,
+          position: mole.position,
+          emoji: MOLE_EMOJIS[mole.emojiIndex],
+          duration: getMoleLifetime(waveScore, moleLifetimeMs), // Faster as score increases
+        }));
+      updateMoles(prev => [...prev, ...spawned]);
 
       // Remove moles after their duration
-      newMoles.forEach(mole => {
+      spawned.forEach(mole => {
         setTimeout(() => {
-          setActiveMoles(prev => prev.filter(m => m.id !== mole.id));
+          updateMoles(prev => prev.filter(m => m.id !== mole.id));
         }, mole.duration);
       });
-    }, 800);
+    }, SPAWN_INTERVAL_MS);
 
     return () => clearInterval(spawnInterval);
-  }, [gameState, score]);
+  }, [gameState, updateMoles, moleLifetimeMs]);
 
   // Timer countdown
   useEffect(() => {
     if (gameState !== 'playing') return;
 
     if (timeLeft <= 0) {
-      if (score >= TARGET_SCORE) {
-        setGameState('won');
-        onGameWin(sessionId);
-      } else {
-        setGameState('lost');
-      }
+      setGameState('lost');
       return;
     }
 
     const timer = setInterval(() => {
-      setTimeLeft(t => t - 1);
-    }, 1000);
+      const remaining = GAME_DURATION_MS - (Date.now() - startedAt.current);
+      setTimeLeft(Math.max(0, Math.ceil(remaining / 1000)));
+    }, 250);
 
     return () => clearInterval(timer);
-  }, [gameState, timeLeft, score, onGameWin]);
-
-  // Check for win condition
-  useEffect(() => {
-    if (gameState === 'playing' && score >= TARGET_SCORE) {
-      setGameState('won');
-      onGameWin(3); // Award 3 points
-    }
-  }, [score, gameState, onGameWin]);
+  }, [gameState, timeLeft]);
 
   // Handle mole whack
   const whackMole = (moleId, position) => {
     if (gameState !== 'playing') return;
     
-    const mole = activeMoles.find(m => m.id === moleId);
+    const mole = molesRef.current.find(m => m.id === moleId);
     if (!mole) return;
 
-    setScore(prev => prev + 1);
-    setActiveMoles(prev => prev.filter(m => m.id !== moleId));
+    moveLog.current.hits.push([mole.wave, position, Date.now() - startedAt.current]);
+    scoreRef.current += 1;
+    setScore(scoreRef.current);
+    updateMoles(prev => prev.filter(m => m.id !== moleId));
     setLastHit(position);
     setCombo(prev => prev + 1);
     
@@ -116,6 +118,12 @@ const WhackAMole = ({ onGameWin, onGameStart }) => {
     
     // Reset combo if too slow
     setTimeout(() => setCombo(0), 2000);
+
+    // Check for win condition
+    if (scoreRef.current >= TARGET_SCORE) {
+      setGameState('won');
+      onGameWin(session?.sessionId, moveLog.current);
+    }
   };
 
   return (
@@ -143,6 +151,9 @@ const WhackAMole = ({ onGameWin, onGameStart }) => {
             )}
           </div>
         )}
+        {gameState !== 'intro' && session && (
+          <p className="text-xs text-gray-500">Seed #{session.seed}</p>
+        )}
       </div>
 
       {/* Intro Screen */}
@@ -150,7 +161,7 @@ const WhackAMole = ({ onGameWin, onGameStart }) => {
         <div className="text-center max-w-md space-y-4">
           <div className="text-6xl animate-bounce">🎪</div>
           <p className="text-base md:text-lg text-gray-300">
-            Whack 30 critters in 30 seconds to win 3 SubPoints!
+            Whack {TARGET_SCORE} critters in {GAME_DURATION_MS / 1000} seconds to win {points} SubPoints!
           </p>
           <p className="text-sm text-gray-400">
             Tap fast before they hide! ⚡
@@ -228,7 +239,7 @@ const WhackAMole = ({ onGameWin, onGameStart }) => {
               You whacked {score} critters! 🎯
             </p>
             <p className="text-xl md:text-2xl font-semibold text-orange-300">
-              +3 SubPoints earned!
+              +{points} SubPoints earned!
             </p>
           </div>
           <button
@@ -0,0 +1,64 @@
+import { GAMES } from '../shared/gameRegistry';
+import ReactionTest from './ReactionTest';
+import WhackAMole from './WhackAMole';
+import BlockBlast from './BlockBlast';
+import MemoryFlip from './MemoryFlip';
+import ColorMatch from './ColorMatch';
+import PatternPro from './PatternPro';
+
+// Client half of the game registry (see src/shared/gameRegistry.js).
+// description(params) is the library card text for a difficulty tier's params.
+// Every game component takes the same props:
+//   onGameStart(gameType) -> Promise<{ sessionId, seed } | null>
+//   onGameWin(sessionId, moveLog, timeTaken?)
+const GAME_UI = {
+  reaction: {
+    component: ReactionTest,
+    icon: '🎯',
+    description: () => 'Test your reflexes! Click as fast as you can when the screen turns green.',
+    color: 'from-purple-600 to-purple-700',
+    cheer: 'Nice!',
+  },
+  whackAMole: {
+    component: WhackAMole,
+    icon: '🎪',
+    description: () => 'Tap the critters before they hide! Hit 30 in 30 seconds to win.',
+    color: 'from-orange-500 to-red-600',
+    cheer: 'Quick reflexes!',
+  },
+  blockBlast: {
+    component: BlockBlast,
+    icon: '🧩',
+    description: ({ targetScore }) => `Clear lines by placing blocks strategically. Reach ${targetScore} points to win!`,
+    color: 'from-yellow-500 to-yellow-600',
+    cheer: 'Great job!',
+  },
+  memoryFlip: {
+    component: MemoryFlip,
+    icon: '🃏',
+    description: ({ pairs }) => `Match all the pairs! Find ${pairs} matching card pairs to win.`,
+    color: 'from-purple-500 to-pink-600',
+    cheer: 'Excellent memory!',
+  },
+  colorMatch: {
+    component: ColorMatch,
+    icon: '🎨',
+    description: ({ targetLevel }) => `Simon says! Repeat the color sequence. Reach level ${targetLevel} to win!`,
+    color: 'from-blue-500 to-blue-600',
+    cheer: 'Amazing!',
+  },
+  patternPro: {
+    component: PatternPro,
+    icon: '🧠',
+    description: () => 'Master the patterns! Solve 10 challenging pattern puzzles to win.',
+    color: 'from-cyan-500 to-blue-600',
+    cheer: 'Pattern master!',
+  },
+};
+
+// Registry games that have a component, in library order
+export const GAME_LIBRARY = Object.values(GAMES)
+  .filter(game => GAME_UI[game.id])
+  .map(game => ({ ...game, ...GAME_UI[game.id] }));
+
+export const getGameEntry = (gameType) => GAME_LIBRARY.find(game => game.id === gameType) || null;
@@ -0,0 +1,21 @@
+import { GAME_LIBRARY, getGameEntry } from './index';
+import { DIFFICULTY_IDS, getDifficulty } from '../shared/gameRegistry';
+
+describe('library descriptions', () => {
+  test('state the goal of the chosen difficulty', () => {
+    const describeTier = (gameType, difficulty) =>
+      getGameEntry(gameType).description(getDifficulty(gameType, difficulty).params);
+
+    expect(describeTier('blockBlast', 'easy')).toContain('Reach 60 points');
+    expect(describeTier('blockBlast', 'hard')).toContain('Reach 200 points');
+    expect(describeTier('colorMatch', 'easy')).toContain('Reach level 5');
+    expect(describeTier('colorMatch', 'hard')).toContain('Reach level 12');
+    expect(describeTier('memoryFlip', 'hard')).toContain('Find 10 matching card pairs');
+  });
+
+  test('every game describes every difficulty', () => {
+    GAME_LIBRARY.forEach((game) => DIFFICULTY_IDS.forEach((difficulty) => {
+      expect(game.description(getDifficulty(game.id, difficulty).params)).toEqual(expect.any(String));
+    }));
+  });
+});
@@ -0,0 +1,38 @@
+import { normalizeReferralCode, isReferralCode } from './shared/referrals';
+
+// Invite link codes. /r/{code} redirects to /?ref={code}; the code is kept in localStorage
+// until the visitor signs up, then attributeReferral credits the creator with the signup.
+const STORAGE_KEY = 'referralCode';
+// An invite is forgotten if the visitor doesn't sign up within a week
+const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Remember ?ref= from the current URL and remove it from the address bar
+export const captureReferralCode = () => {
+  const params = new URLSearchParams(window.location.search);
+  if (!params.has('ref')) return;
+
+  // Anything that isn't an invite code is dropped from the URL without being saved
+  const code = normalizeReferralCode(params.get('ref'));
+  if (isReferralCode(code)) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ code, savedAt: Date.now() }));
+    } catch (error) {
+      console.error('Error saving invite code:', error);
+    }
+  }
+
+  params.delete('ref');
+  const search = params.toString();
+  window.history.replaceState({}, '', `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`);
+};
+
+// The saved invite code, if recent enough, cleared so it's only used once
+export const takeReferralCode = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    localStorage.removeItem(STORAGE_KEY);
+    return saved && Date.now() - saved.savedAt < MAX_AGE_MS ? saved.code : null;
+  } catch (error) {
+    return null;
+  }
+};
@@ -0,0 +1,58 @@
+import { captureReferralCode, takeReferralCode } from './referral';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+beforeEach(() => {
+  localStorage.clear();
+  window.history.replaceState({}, '', '/');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('captureReferralCode', () => {
+  test('saves the invite code and removes it from the address bar', () => {
+    window.history.replaceState({}, '', '/?tab=games&ref=abcdefg#top');
+    captureReferralCode();
+
+    expect(`${window.location.pathname}${window.location.search}${window.location.hash}`).toBe('/?tab=games#top');
+    expect(takeReferralCode()).toBe('ABCDEFG');
+  });
+
+  test('drops values that are not invite codes', () => {
+    window.history.replaceState({}, '', '/?ref=<script>');
+    captureReferralCode();
+
+    expect(window.location.search).toBe('');
+    expect(takeReferralCode()).toBeNull();
+  });
+
+  test('leaves a saved code alone when there is no ?ref=', () => {
+    window.history.replaceState({}, '', '/?ref=ABCDEFG');
+    captureReferralCode();
+    captureReferralCode();
+    expect(takeReferralCode()).toBe('ABCDEFG');
+  });
+});
+
+describe('takeReferralCode', () => {
+  test('only returns a code once', () => {
+    window.history.replaceState({}, '', '/?ref=ABCDEFG');
+    captureReferralCode();
+    expect(takeReferralCode()).toBe('ABCDEFG');
+    expect(takeReferralCode()).toBeNull();
+  });
+
+  test('forgets codes saved more than a week ago', () => {
+    const savedAt = Date.now();
+    localStorage.setItem('referralCode', JSON.stringify({ code: 'ABCDEFG', savedAt }));
+    jest.spyOn(Date, 'now').mockReturnValue(savedAt + 7 * DAY_MS);
+    expect(takeReferralCode()).toBeNull();
+  });
+
+  test('ignores unreadable saved values', () => {
+    localStorage.setItem('referralCode', '{');
+    expect(takeReferralCode()).toBeNull();
+  });
+});
@@ -0,0 +1,19 @@
+import { doc, getDoc } from 'firebase/firestore';
+import { db } from './firebaseConfig';
+import { DEFAULT_SEASON_RULES, normalizeSeasonRules } from './shared/seasons';
+
+let rulesPromise = null;
+
+// Load the season rules from config/seasonRules once per page load, falling back to
+// the defaults like Cloud Functions do.
+export const loadSeasonRules = () => {
+  if (!rulesPromise) {
+    rulesPromise = getDoc(doc(db, 'config', 'seasonRules'))
+      .then(snap => normalizeSeasonRules(snap.exists() ? snap.data() : {}))
+      .catch(error => {
+        console.error('Error loading season rules, using defaults:', error);
+        return DEFAULT_SEASON_RULES;
+      });
+  }
+  return rulesPromise;
+};
@@ -0,0 +1,28 @@
+import { httpsCallable } from 'firebase/functions';
+import { functions } from './firebaseConfig';
+
+let offsetMs = 0;
+let syncPromise = null;
+
+// Measure how far this device's clock is from the server's, once per page load.
+// Half the round trip is assumed to be on the way back; if the call fails the
+// device clock is used as-is.
+export const syncServerClock = () => {
+  if (!syncPromise) {
+    const getServerTime = httpsCallable(functions, 'getServerTime');
+    const sentAt = Date.now();
+    syncPromise = getServerTime()
+      .then(result => {
+        offsetMs = result.data.now - (sentAt + Date.now()) / 2;
+        return offsetMs;
+      })
+      .catch(error => {
+        console.error('Error syncing server clock, using device time:', error);
+        return 0;
+      });
+  }
+  return syncPromise;
+};
+
+// Current time in ms, corrected to the server's clock
+export const serverNow = () => Date.now() + offsetMs;
@@ -0,0 +1,106 @@
+// Achievement definitions, shared by the client (badge display) and Cloud Functions
+// (which evaluate and award them). Each achievement has a criteria object checked
+// against a user's progress by isAchievementEarned:
+//   gameWin      - a verified win of gameType; with stat/min, that result's stat must reach min
+//   gamesWon     - total verified wins
+//   supportStreak - longest run of consecutive cycles with a win for a creator
+//   winningPicks - cycles where the user's pick won
+//   cycleWins    - cycles won as a creator
+// Achievements are only ever added here - removing one would orphan awarded badges.
+
+const ACHIEVEMENTS = {
+  firstWin: {
+    id: 'firstWin',
+    name: 'First Victory',
+    description: 'Win your first game',
+    icon: '🎮',
+    audience: 'player',
+    criteria: { type: 'gamesWon', min: 1 }
+  },
+  centurion: {
+    id: 'centurion',
+    name: 'Centurion',
+    description: 'Win 100 games',
+    icon: '💯',
+    audience: 'player',
+    criteria: { type: 'gamesWon', min: 100 }
+  },
+  firstBlockBlastWin: {
+    id: 'firstBlockBlastWin',
+    name: 'Block Buster',
+    description: 'Win your first game of Block Blast',
+    icon: '🧱',
+    audience: 'player',
+    criteria: { type: 'gameWin', gameType: 'blockBlast' }
+  },
+  colorMatchLevel12: {
+    id: 'colorMatchLevel12',
+    name: 'Color Master',
+    description: 'Reach level 12 in Color Match',
+    icon: '🎨',
+    audience: 'player',
+    criteria: { type: 'gameWin', gameType: 'colorMatch', stat: 'level', min: 12 }
+  },
+  supportStreak7: {
+    id: 'supportStreak7',
+    name: 'Loyal Supporter',
+    description: 'Win games for a creator 7 cycles in a row',
+    icon: '🔥',
+    audience: 'player',
+    criteria: { type: 'supportStreak', min: 7 }
+  },
+  winningPicks5: {
+    id: 'winningPicks5',
+    name: 'Kingmaker',
+    description: 'Pick the cycle winner 5 times',
+    icon: '🎯',
+    audience: 'player',
+    criteria: { type: 'winningPicks', min: 5 }
+  },
+  firstCycleWin: {
+    id: 'firstCycleWin',
+    name: 'First Crown',
+    description: 'Win a cycle as a creator',
+    icon: '🏆',
+    audience: 'creator',
+    criteria: { type: 'cycleWins', min: 1 }
+  },
+  cycleWins3: {
+    id: 'cycleWins3',
+    name: 'Triple Crown',
+    description: 'Win 3 cycles as a creator',
+    icon: '👑',
+    audience: 'creator',
+    criteria: { type: 'cycleWins', min: 3 }
+  }
+};
+
+// progress: { result, byGame, gamesWon, longestStreak, winningPicks, cycleWins } - any
+// subset; criteria whose inputs are missing aren't earned
+const isAchievementEarned = (achievement, progress = {}) => {
+  const { type, gameType, stat, min = 1 } = achievement.criteria;
+  switch (type) {
+    case 'gameWin': {
+      const { result } = progress;
+      if (stat) {
+        return !!result && result.gameType === gameType && (result.stats?.[stat] || 0) >= min;
+      }
+      return (!!result && result.gameType === gameType) || (progress.byGame?.[gameType]?.games || 0) >= min;
+    }
+    case 'gamesWon':
+      return (progress.gamesWon || 0) >= min;
+    case 'supportStreak':
+      return (progress.longestStreak || 0) >= min;
+    case 'winningPicks':
+      return (progress.winningPicks || 0) >= min;
+    case 'cycleWins':
+      return (progress.cycleWins || 0) >= min;
+    default:
+      return false;
+  }
+};
+
+export {
+  ACHIEVEMENTS,
+  isAchievementEarned
+};
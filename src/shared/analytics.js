@@ -0,0 +1,51 @@
+// Creator analytics aggregates, kept by Cloud Functions under creatorAnalytics/{creatorId}:
+//
+//   days/{YYYY-MM-DD} - one doc per day in the cycle schedule's timezone
+//     points, games   - points and wins from the creator's supporters that day
+//     newSupporters   - players who won points for the creator for the first time
+//     byGame          - { [gameType]: { games, points } }
+//     byHour          - { [HH]: { games, points, rank, totalPoints } }; rank and totalPoints
+//                       are the creator's cycle standing at the end of that hour
+//
+//   cycles/{cycleId}  - one doc per cycle
+//     points, games, supporters (distinct), newSupporters, returningSupporters
+//     (supporters who also won points for the creator in the previous cycle)
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// { day: 'YYYY-MM-DD', hour: 'HH' } of a moment in the given timezone
+const getAnalyticsSlot = (ms, timezone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit'
+  }).formatToParts(new Date(ms)).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return { day: `${parts.year}-${parts.month}-${parts.day}`, hour: pad(Number(parts.hour) % 24) };
+};
+
+// The hourly slots a cycle spans, in order - one per hour from startsAt up to endsAt
+const getCycleSlots = (cycle, timezone) => {
+  const slots = [];
+  const seen = new Set();
+  for (let at = cycle.startsAt; at < cycle.endsAt; at += 60 * 60 * 1000) {
+    const slot = getAnalyticsSlot(at, timezone);
+    const key = `${slot.day} ${slot.hour}`;
+    // A repeated hour at a daylight saving change only appears once
+    if (!seen.has(key)) {
+      seen.add(key);
+      slots.push({ ...slot, at });
+    }
+  }
+  return slots;
+};
+
+export {
+  getAnalyticsSlot,
+  getCycleSlots
+};
@@ -0,0 +1,182 @@
+// Cycle schedule shared by the client and Cloud Functions.
+// The schedule lives in Firestore at config/cycleSchedule:
+//   timezone   - IANA zone the boundaries are measured in, e.g. 'America/Chicago'
+//   startTime  - 'HH:MM' local time every cycle starts and ends at
+//   lengthDays - cycle length in days, or a repeating pattern such as [5, 2]
+//                for a weekday cycle followed by a weekend cycle
+//   anchorDate - 'YYYY-MM-DD' local date some cycle started on; lines up
+//                multi-day cycles (e.g. a Friday for weekly Friday cycles)
+//
+// A cycle ID is the local date and time the cycle ENDS, e.g. '2025-11-12-18:00',
+// so IDs written before the schedule was configurable keep their meaning.
+//
+// A cycle moves through these statuses:
+//   open      - before endsAt; picks and points are accepted
+//   closing   - just ended; only game sessions started while it was open can still submit
+//   closed    - no more writes; waiting for the winner to be finalized
+//   finalized - winner and standings recorded in cycleWinners/{cycleId}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a cycle stays 'closing' after it ends - as long as a game session lives,
+// so every session started before the end can still be submitted
+const CYCLE_CLOSING_MS = 10 * 60 * 1000;
+
+const CYCLE_STATUSES = ['open', 'closing', 'closed', 'finalized'];
+
+const DEFAULT_CYCLE_SCHEDULE = {
+  timezone: 'America/Chicago',
+  startTime: '18:00',
+  lengthDays: 1,
+  anchorDate: '2025-01-01'
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Days since the epoch for a 'YYYY-MM-DD' string (or null if it isn't one)
+const parseDay = (date) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date || '');
+  if (!match) return null;
+  return Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) / DAY_MS;
+};
+
+const formatDay = (dayNumber) => {
+  const date = new Date(dayNumber * DAY_MS);
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+};
+
+// Minutes after local midnight for a 'HH:MM' string (or null if it isn't one)
+const parseTime = (time) => {
+  const match = /^(\d{2}):(\d{2})$/.exec(time || '');
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+// Merge a config document over the defaults. Throws if the result is unusable.
+const normalizeSchedule = (config = {}) => {
+  const schedule = { ...DEFAULT_CYCLE_SCHEDULE, ...config };
+  const pattern = Array.isArray(schedule.lengthDays) ? schedule.lengthDays : [schedule.lengthDays];
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: schedule.timezone });
+  } catch (error) {
+    throw new Error(`Invalid cycle timezone: ${schedule.timezone}`);
+  }
+
+  if (parseTime(schedule.startTime) === null) {
+    throw new Error(`Invalid cycle startTime: ${schedule.startTime}`);
+  }
+
+  if (!pattern.length || pattern.some(days => !Number.isInteger(days) || days < 1)) {
+    throw new Error(`Invalid cycle lengthDays: ${JSON.stringify(schedule.lengthDays)}`);
+  }
+
+  if (parseDay(schedule.anchorDate) === null) {
+    throw new Error(`Invalid cycle anchorDate: ${schedule.anchorDate}`);
+  }
+
+  return { ...schedule, lengthDays: pattern.length === 1 ? pattern[0] : pattern };
+};
+
+// Wall-clock parts of an instant in a timezone
+const getZonedParts = (ms, timezone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(ms)).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  return parts;
+};
+
+// Offset of a timezone from UTC at an instant, in ms
+const getZoneOffset = (ms, timezone) => {
+  const p = getZonedParts(ms, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(ms / 1000) * 1000;
+};
+
+// Instant of a local day + minutes-after-midnight in a timezone
+const zonedToUtc = (dayNumber, minutes, timezone) => {
+  const guess = dayNumber * DAY_MS + minutes * 60 * 1000;
+  const firstPass = guess - getZoneOffset(guess, timezone);
+  // Re-check the offset at the result in case a DST change sits in between
+  return guess - getZoneOffset(firstPass, timezone);
+};
+
+// The cycle containing an instant: { cycleId, startsAt, endsAt } (ms).
+// A cycle includes its start instant and excludes its end instant.
+const getCycle = (schedule, at = Date.now()) => {
+  const { timezone, startTime, lengthDays, anchorDate } = normalizeSchedule(schedule);
+  const startMinutes = parseTime(startTime);
+  const pattern = Array.isArray(lengthDays) ? lengthDays : [lengthDays];
+  const period = pattern.reduce((sum, days) => sum + days, 0);
+
+  // Local day of the most recent start-time boundary at or before `at`
+  const local = getZonedParts(at, timezone);
+  const localDay = Date.UTC(local.year, local.month - 1, local.day) / DAY_MS;
+  const boundaryDay = local.hour * 60 + local.minute >= startMinutes ? localDay : localDay - 1;
+
+  // Walk the repeating length pattern from the anchor to find which cycle that boundary is in
+  const offset = (((boundaryDay - parseDay(anchorDate)) % period) + period) % period;
+  let startDay = boundaryDay;
+  let endDay = boundaryDay + pattern[0];
+  let elapsed = 0;
+  for (const days of pattern) {
+    if (offset < elapsed + days) {
+      startDay = boundaryDay - (offset - elapsed);
+      endDay = startDay + days;
+      break;
+    }
+    elapsed += days;
+  }
+
+  return {
+    cycleId: `${formatDay(endDay)}-${startTime}`,
+    startsAt: zonedToUtc(startDay, startMinutes, timezone),
+    endsAt: zonedToUtc(endDay, startMinutes, timezone)
+  };
+};
+
+const getCycleId = (schedule, at = Date.now()) => getCycle(schedule, at).cycleId;
+
+// The cycle that ended most recently before `at`
+const getPreviousCycle = (schedule, at = Date.now()) => getCycle(schedule, getCycle(schedule, at).startsAt - 1);
+
+// Look a cycle up by ID, or null if the ID isn't a boundary of this schedule
+const getCycleById = (schedule, cycleId) => {
+  const { timezone, startTime } = normalizeSchedule(schedule);
+  const match = /^(\d{4}-\d{2}-\d{2})-(\d{2}:\d{2})$/.exec(cycleId || '');
+  if (!match || match[2] !== startTime) return null;
+
+  const endsAt = zonedToUtc(parseDay(match[1]), parseTime(startTime), timezone);
+  const cycle = getCycle(schedule, endsAt - 1);
+  return cycle.cycleId === cycleId ? cycle : null;
+};
+
+// Status of a cycle (from getCycle/getCycleById) at an instant
+const getCycleStatus = (cycle, { finalized = false } = {}, at = Date.now()) => {
+  if (finalized) return 'finalized';
+  if (at < cycle.endsAt) return 'open';
+  if (at < cycle.endsAt + CYCLE_CLOSING_MS) return 'closing';
+  return 'closed';
+};
+
+export {
+  DEFAULT_CYCLE_SCHEDULE,
+  CYCLE_CLOSING_MS,
+  CYCLE_STATUSES,
+  normalizeSchedule,
+  getCycle,
+  getCycleId,
+  getPreviousCycle,
+  getCycleById,
+  getCycleStatus
+};
@@ -0,0 +1,122 @@
+import {
+  DEFAULT_CYCLE_SCHEDULE,
+  CYCLE_CLOSING_MS,
+  normalizeSchedule,
+  getCycle,
+  getCycleId,
+  getPreviousCycle,
+  getCycleById,
+  getCycleStatus
+} from './cycles';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+describe('normalizeSchedule', () => {
+  test('fills in the defaults', () => {
+    expect(normalizeSchedule()).toEqual(DEFAULT_CYCLE_SCHEDULE);
+    expect(normalizeSchedule({ startTime: '09:30' })).toEqual({ ...DEFAULT_CYCLE_SCHEDULE, startTime: '09:30' });
+  });
+
+  test('collapses a one-length pattern', () => {
+    expect(normalizeSchedule({ lengthDays: [7] }).lengthDays).toBe(7);
+    expect(normalizeSchedule({ lengthDays: [5, 2] }).lengthDays).toEqual([5, 2]);
+  });
+
+  test('throws on unusable config', () => {
+    expect(() => normalizeSchedule({ timezone: 'Mars/Olympus' })).toThrow('Invalid cycle timezone');
+    expect(() => normalizeSchedule({ startTime: '24:00' })).toThrow('Invalid cycle startTime');
+    expect(() => normalizeSchedule({ lengthDays: 0 })).toThrow('Invalid cycle lengthDays');
+    expect(() => normalizeSchedule({ lengthDays: [] })).toThrow('Invalid cycle lengthDays');
+    expect(() => normalizeSchedule({ anchorDate: '2025-1-1' })).toThrow('Invalid cycle anchorDate');
+  });
+});
+
+describe('getCycle', () => {
+  test('daily cycles run from the start time to the same time the next day, named for the end', () => {
+    // 2025-11-12 12:00 in Chicago (CST, UTC-6)
+    const cycle = getCycle(DEFAULT_CYCLE_SCHEDULE, Date.UTC(2025, 10, 12, 18));
+    expect(cycle).toEqual({
+      cycleId: '2025-11-12-18:00',
+      startsAt: Date.UTC(2025, 10, 12, 0),
+      endsAt: Date.UTC(2025, 10, 13, 0)
+    });
+  });
+
+  test('includes the start instant and excludes the end instant', () => {
+    const { startsAt, endsAt, cycleId } = getCycle(DEFAULT_CYCLE_SCHEDULE, Date.UTC(2025, 10, 12, 18));
+    expect(getCycleId(DEFAULT_CYCLE_SCHEDULE, startsAt)).toBe(cycleId);
+    expect(getCycleId(DEFAULT_CYCLE_SCHEDULE, endsAt - 1)).toBe(cycleId);
+    expect(getCycleId(DEFAULT_CYCLE_SCHEDULE, endsAt)).toBe('2025-11-13-18:00');
+  });
+
+  test('lines multi-day cycles up with the anchor date', () => {
+    // Weekly cycles starting Fridays at 20:00 UTC
+    const schedule = { timezone: 'UTC', startTime: '20:00', lengthDays: 7, anchorDate: '2025-01-03' };
+    const cycle = getCycle(schedule, Date.UTC(2025, 10, 12, 12)); // Wednesday
+    expect(cycle.startsAt).toBe(Date.UTC(2025, 10, 7, 20));
+    expect(cycle.endsAt).toBe(Date.UTC(2025, 10, 14, 20));
+    expect(cycle.cycleId).toBe('2025-11-14-20:00');
+  });
+
+  test('walks a repeating length pattern', () => {
+    // A Monday-to-Saturday cycle then a Saturday-to-Monday cycle
+    const schedule = { timezone: 'UTC', startTime: '00:00', lengthDays: [5, 2], anchorDate: '2025-11-10' };
+    expect(getCycle(schedule, Date.UTC(2025, 10, 12))).toMatchObject({
+      startsAt: Date.UTC(2025, 10, 10),
+      endsAt: Date.UTC(2025, 10, 15)
+    });
+    expect(getCycle(schedule, Date.UTC(2025, 10, 16))).toMatchObject({
+      startsAt: Date.UTC(2025, 10, 15),
+      endsAt: Date.UTC(2025, 10, 17)
+    });
+  });
+
+  test('keeps the local start time across daylight saving changes', () => {
+    // Chicago leaves daylight saving on 2025-11-02, so that cycle is 25 hours long
+    const cycle = getCycle(DEFAULT_CYCLE_SCHEDULE, Date.UTC(2025, 10, 2, 12));
+    expect(cycle.startsAt).toBe(Date.UTC(2025, 10, 1, 23)); // 18:00 CDT
+    expect(cycle.endsAt).toBe(Date.UTC(2025, 10, 3, 0)); // 18:00 CST
+    expect(cycle.endsAt - cycle.startsAt).toBe(25 * HOUR_MS);
+  });
+});
+
+describe('getPreviousCycle and getCycleById', () => {
+  test('the previous cycle ends where the current one starts', () => {
+    const at = Date.UTC(2025, 10, 12, 18);
+    const previous = getPreviousCycle(DEFAULT_CYCLE_SCHEDULE, at);
+    expect(previous.cycleId).toBe('2025-11-11-18:00');
+    expect(previous.endsAt).toBe(getCycle(DEFAULT_CYCLE_SCHEDULE, at).startsAt);
+  });
+
+  test('looks a cycle up by its ID', () => {
+    const cycle = getCycle(DEFAULT_CYCLE_SCHEDULE, Date.UTC(2025, 10, 12, 18));
+    expect(getCycleById(DEFAULT_CYCLE_SCHEDULE, cycle.cycleId)).toEqual(cycle);
+  });
+
+  test('returns null for IDs that are not boundaries of the schedule', () => {
+    expect(getCycleById(DEFAULT_CYCLE_SCHEDULE, '2025-11-12-17:00')).toBeNull();
+    expect(getCycleById(DEFAULT_CYCLE_SCHEDULE, 'not-a-cycle')).toBeNull();
+    expect(getCycleById(DEFAULT_CYCLE_SCHEDULE, undefined)).toBeNull();
+
+    // Weekly Friday cycles don't end on a Wednesday
+    const weekly = { timezone: 'UTC', startTime: '20:00', lengthDays: 7, anchorDate: '2025-01-03' };
+    expect(getCycleById(weekly, '2025-11-12-20:00')).toBeNull();
+    expect(getCycleById(weekly, '2025-11-14-20:00')).not.toBeNull();
+  });
+});
+
+describe('getCycleStatus', () => {
+  const cycle = { cycleId: 'c', startsAt: 0, endsAt: DAY_MS };
+
+  test('moves from open through closing to closed', () => {
+    expect(getCycleStatus(cycle, {}, DAY_MS - 1)).toBe('open');
+    expect(getCycleStatus(cycle, {}, DAY_MS)).toBe('closing');
+    expect(getCycleStatus(cycle, {}, DAY_MS + CYCLE_CLOSING_MS - 1)).toBe('closing');
+    expect(getCycleStatus(cycle, {}, DAY_MS + CYCLE_CLOSING_MS)).toBe('closed');
+  });
+
+  test('a finalized cycle stays finalized', () => {
+    expect(getCycleStatus(cycle, { finalized: true }, 0)).toBe('finalized');
+  });
+});
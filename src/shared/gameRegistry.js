@@ -0,0 +1,125 @@
+// The game registry - the one list of games both the client and Cloud Functions read.
+// Each entry holds what the server needs to trust a result: base points, the
+// difficulty tiers (multiplier, time bounds, game params) and the replay verifier.
+// The client adds its component and library card styling in src/games/index.js.
+//
+// Adding a game: write its rules module in ./games, register it here, then
+// register its component in src/games/index.js.
+
+import * as reaction from './games/reaction';
+import * as whackAMole from './games/whackAMole';
+import * as blockBlast from './games/blockBlast';
+import * as memoryFlip from './games/memoryFlip';
+import * as colorMatch from './games/colorMatch';
+import * as patternPro from './games/patternPro';
+
+const DIFFICULTY_IDS = ['easy', 'medium', 'hard'];
+const DEFAULT_DIFFICULTY = 'medium';
+
+const DIFFICULTY_LABELS = {
+  easy: 'Easy',
+  medium: 'Medium',
+  hard: 'Hard'
+};
+
+// In library order. Each difficulty tier has its own point multiplier, server-side
+// time bounds and params - the params are passed to the game component and verifier.
+const GAMES = {
+  reaction: {
+    id: 'reaction',
+    name: 'Reaction Test',
+    points: 1,
+    difficulties: {
+      // Fast reactions are expected!
+      easy: { multiplier: 1, minSeconds: 0.05, maxSeconds: 60, params: { winThresholdMs: 600 } },
+      medium: { multiplier: 1, minSeconds: 0.05, maxSeconds: 60, params: { winThresholdMs: 500 } },
+      hard: { multiplier: 2, minSeconds: 0.05, maxSeconds: 60, params: { winThresholdMs: 350 } }
+    },
+    verify: reaction.verify
+  },
+  whackAMole: {
+    id: 'whackAMole',
+    name: 'Whack-a-Mole',
+    points: 3,
+    difficulties: {
+      easy: { multiplier: 0.5, minSeconds: 3, maxSeconds: 120, params: { moleLifetimeMs: 1300 } },
+      medium: { multiplier: 1, minSeconds: 3, maxSeconds: 120, params: { moleLifetimeMs: 1000 } },
+      hard: { multiplier: 2, minSeconds: 3, maxSeconds: 120, params: { moleLifetimeMs: 800 } }
+    },
+    verify: whackAMole.verify
+  },
+  blockBlast: {
+    id: 'blockBlast',
+    name: 'Block Blast',
+    points: 5,
+    difficulties: {
+      easy: { multiplier: 0.5, minSeconds: 2, maxSeconds: 120, params: { targetScore: 60 } },
+      medium: { multiplier: 1, minSeconds: 2, maxSeconds: 180, params: { targetScore: 100 } },
+      hard: { multiplier: 2, minSeconds: 4, maxSeconds: 300, params: { targetScore: 200 } }
+    },
+    verify: blockBlast.verify
+  },
+  memoryFlip: {
+    id: 'memoryFlip',
+    name: 'Memory Flip',
+    points: 6,
+    difficulties: {
+      easy: { multiplier: 0.5, minSeconds: 4, maxSeconds: 120, params: { pairs: 6 } },
+      medium: { multiplier: 1, minSeconds: 5, maxSeconds: 150, params: { pairs: 8 } },
+      hard: { multiplier: 2, minSeconds: 6, maxSeconds: 200, params: { pairs: 10 } }
+    },
+    verify: memoryFlip.verify
+  },
+  colorMatch: {
+    id: 'colorMatch',
+    name: 'Color Match',
+    points: 8,
+    difficulties: {
+      easy: { multiplier: 0.5, minSeconds: 4, maxSeconds: 120, params: { targetLevel: 5 } },
+      medium: { multiplier: 1, minSeconds: 8, maxSeconds: 200, params: { targetLevel: 8 } },
+      hard: { multiplier: 2, minSeconds: 15, maxSeconds: 320, params: { targetLevel: 12 } }
+    },
+    verify: colorMatch.verify
+  },
+  patternPro: {
+    id: 'patternPro',
+    name: 'Pattern Pro',
+    points: 10,
+    difficulties: {
+      easy: { multiplier: 0.5, minSeconds: 10, maxSeconds: 300, params: { timeLimitSeconds: 20 } },
+      medium: { multiplier: 1, minSeconds: 10, maxSeconds: 240, params: { timeLimitSeconds: 15 } },
+      hard: { multiplier: 2, minSeconds: 10, maxSeconds: 160, params: { timeLimitSeconds: 10 } }
+    },
+    verify: patternPro.verify
+  }
+};
+
+const GAME_IDS = Object.keys(GAMES);
+
+const getGame = (gameType) => (Object.prototype.hasOwnProperty.call(GAMES, gameType) ? GAMES[gameType] : null);
+
+// Tier for a game and difficulty, or null if either is unknown
+const getDifficulty = (gameType, difficulty = DEFAULT_DIFFICULTY) => {
+  const game = getGame(gameType);
+  if (!game || !DIFFICULTY_IDS.includes(difficulty)) return null;
+  return game.difficulties[difficulty] || null;
+};
+
+// Points a win pays out - always at least 1
+const getPoints = (gameType, difficulty = DEFAULT_DIFFICULTY) => {
+  const game = getGame(gameType);
+  const tier = getDifficulty(gameType, difficulty);
+  if (!game || !tier) return 0;
+  return Math.max(1, Math.round(game.points * tier.multiplier));
+};
+
+export {
+  GAMES,
+  GAME_IDS,
+  DIFFICULTY_IDS,
+  DIFFICULTY_LABELS,
+  DEFAULT_DIFFICULTY,
+  getGame,
+  getDifficulty,
+  getPoints
+};
@@ -0,0 +1,184 @@
+// Block Blast rules shared by the game component and the server-side replay.
+// Kept free of React and browser APIs so Cloud Functions can require it too.
+
+const GRID_SIZE = 8;
+const TARGET_SCORE = 100; // Medium difficulty - see the game registry for the other tiers
+const LINE_CLEAR_BONUS = 10;
+const HAND_SIZE = 3;
+const MIN_MOVE_MS = 200; // Fastest plausible drag-and-drop
+
+const BLOCK_SHAPES = [
+  // Single block
+  [[1]],
+
+  // 2x1 blocks
+  [[1, 1]],
+  [[1], [1]],
+
+  // 3x1 blocks
+  [[1, 1, 1]],
+  [[1], [1], [1]],
+
+  // L-shapes
+  [[1, 0], [1, 0], [1, 1]],
+  [[1, 1], [1, 0], [1, 0]],
+  [[1, 1, 1], [1, 0, 0]],
+  [[1, 0, 0], [1, 1, 1]],
+
+  // T-shapes
+  [[1, 1, 1], [0, 1, 0]],
+  [[0, 1], [1, 1], [0, 1]],
+
+  // Square
+  [[1, 1], [1, 1]],
+
+  // Plus sign
+  [[0, 1, 0], [1, 1, 1], [0, 1, 0]],
+];
+
+const createGrid = () => Array(GRID_SIZE).fill(null).map(() => Array(GRID_SIZE).fill(0));
+
+// Check if a shape can be placed with its top-left corner at (row, col)
+const canPlaceShape = (grid, shape, row, col) => {
+  if (!shape || row < 0 || col < 0) return false;
+
+  for (let r = 0; r < shape.length; r++) {
+    for (let c = 0; c < shape[r].length; c++) {
+      if (shape[r][c] === 1) {
+        const newRow = row + r;
+        const newCol = col + c;
+
+        if (newRow >= GRID_SIZE || newCol >= GRID_SIZE || grid[newRow][newCol] === 1) {
+          return false;
+        }
+      }
+    }
+  }
+  return true;
+};
+
+// Place a shape and clear any completed rows/columns.
+// Returns the new grid plus what was cleared and the points the placement scored.
+const placeShape = (grid, shape, row, col) => {
+  const newGrid = grid.map(r => [...r]);
+
+  for (let r = 0; r < shape.length; r++) {
+    for (let c = 0; c < shape[r].length; c++) {
+      if (shape[r][c] === 1) {
+        newGrid[row + r][col + c] = 1;
+      }
+    }
+  }
+
+  const rowsCleared = [];
+  const colsCleared = [];
+
+  for (let r = 0; r < GRID_SIZE; r++) {
+    if (newGrid[r].every(cell => cell === 1)) {
+      rowsCleared.push(r);
+    }
+  }
+
+  for (let c = 0; c < GRID_SIZE; c++) {
+    if (newGrid.every(gridRow => gridRow[c] === 1)) {
+      colsCleared.push(c);
+    }
+  }
+
+  rowsCleared.forEach(r => {
+    for (let c = 0; c < GRID_SIZE; c++) {
+      newGrid[r][c] = 0;
+    }
+  });
+
+  colsCleared.forEach(c => {
+    for (let r = 0; r < GRID_SIZE; r++) {
+      newGrid[r][c] = 0;
+    }
+  });
+
+  const blockScore = shape.flat().filter(cell => cell === 1).length;
+  const linesCleared = rowsCleared.length + colsCleared.length;
+
+  return {
+    grid: newGrid,
+    rowsCleared,
+    colsCleared,
+    linesCleared,
+    points: blockScore + linesCleared * LINE_CLEAR_BONUS
+  };
+};
+
+// True if any of the shapes fits anywhere on the grid
+const canPlaceAny = (grid, shapes) => shapes.some(shape => {
+  for (let r = 0; r < GRID_SIZE; r++) {
+    for (let c = 0; c < GRID_SIZE; c++) {
+      if (canPlaceShape(grid, shape, r, c)) return true;
+    }
+  }
+  return false;
+});
+
+// Deal a hand of shape indexes from the session's rng
+const dealHand = (rng) => Array.from({ length: HAND_SIZE }, () => rng.int(BLOCK_SHAPES.length));
+
+// Replay a move log and report whether it reaches the difficulty's target score.
+// Log format: { moves: [[slot, row, col], ...] }
+// where slot is the block's position (0-2) in the hand it came from.
+// Hands are regenerated from the session seed, one per three moves.
+const verify = (log, rng, { targetScore = TARGET_SCORE } = {}) => {
+  const moves = Array.isArray(log.moves) ? log.moves : [];
+
+  let grid = createGrid();
+  let score = 0;
+  let maxLinesCleared = 0;
+  let deal = dealHand(rng);
+  let used = [];
+
+  for (let i = 0; i < moves.length; i++) {
+    const [slot, row, col] = moves[i];
+    if (!Number.isInteger(slot) || slot < 0 || slot >= HAND_SIZE || used.includes(slot)) {
+      return { won: false, reason: `Invalid block slot at move ${i}` };
+    }
+
+    const shape = BLOCK_SHAPES[deal[slot]];
+    if (!shape || !Number.isInteger(row) || !Number.isInteger(col) || !canPlaceShape(grid, shape, row, col)) {
+      return { won: false, reason: `Illegal placement at move ${i}` };
+    }
+
+    const placement = placeShape(grid, shape, row, col);
+    grid = placement.grid;
+    score += placement.points;
+    maxLinesCleared = Math.max(maxLinesCleared, placement.linesCleared);
+    used.push(slot);
+
+    if (score >= targetScore) {
+      return {
+        won: true,
+        stats: { score, moves: i + 1, maxLinesCleared },
+        minDurationMs: (i + 1) * MIN_MOVE_MS
+      };
+    }
+
+    // A new hand is dealt once all three blocks are used
+    if (used.length === HAND_SIZE) {
+      deal = dealHand(rng);
+      used = [];
+    }
+  }
+
+  return { won: false, reason: `Score ${score} is below the target of ${targetScore}` };
+};
+
+export {
+  GRID_SIZE,
+  TARGET_SCORE,
+  HAND_SIZE,
+  BLOCK_SHAPES,
+  createGrid,
+  canPlaceShape,
+  placeShape,
+  canPlaceAny,
+  dealHand,
+  verify
+};
@@ -0,0 +1,48 @@
+// Color Match rules shared by the game component and the server-side replay.
+
+const COLOR_IDS = ['red', 'blue', 'green', 'yellow'];
+const TARGET_LEVEL = 8; // Medium difficulty - see the game registry for the other tiers
+const STEP_MS = 800; // Each color in the sequence is shown for 400ms after a 400ms pause
+const LEVEL_PAUSE_MS = 1000;
+
+// Each level appends one color drawn from the session's rng
+const nextColor = (rng) => rng.int(COLOR_IDS.length);
+
+// Replay a move log and report whether the player repeated every level.
+// Log format: { inputs: [colorIndex, ...] }
+// The sequence is regenerated from the session seed. At level N the player
+// repeats the first N colors, so inputs holds sequence[0..1), sequence[0..2), ...
+// back to back.
+const verify = (log, rng, { targetLevel = TARGET_LEVEL } = {}) => {
+  const inputs = Array.isArray(log.inputs) ? log.inputs : [];
+  const sequence = [];
+
+  let cursor = 0;
+  let showMs = 0;
+
+  for (let level = 1; level <= targetLevel; level++) {
+    sequence.push(nextColor(rng));
+
+    for (let i = 0; i < level; i++) {
+      if (inputs[cursor] !== sequence[i]) {
+        return { won: false, reason: `Wrong color at level ${level}` };
+      }
+      cursor++;
+    }
+
+    showMs += level * STEP_MS + (level > 1 ? LEVEL_PAUSE_MS : 0);
+  }
+
+  return {
+    won: true,
+    stats: { level: targetLevel },
+    minDurationMs: showMs
+  };
+};
+
+export {
+  COLOR_IDS,
+  TARGET_LEVEL,
+  nextColor,
+  verify
+};
@@ -0,0 +1,66 @@
+// Memory Flip rules shared by the game component and the server-side replay.
+
+// Card symbols - enough for the largest board (10 pairs = 20 cards)
+const SYMBOLS = ['🎮', '🎯', '🎲', '🎪', '🎨', '🎭', '🎸', '🎹', '🎤', '🎬'];
+const PAIRS = 8; // Medium difficulty - see the game registry for the other tiers
+const MISMATCH_DELAY_MS = 1000; // Cards stay face up this long before flipping back
+const MIN_FLIP_MS = 150;
+
+// Build a shuffled deck of symbol indexes, two of each
+const createDeck = (rng, pairs = PAIRS) => {
+  const deck = [];
+  for (let i = 0; i < pairs; i++) {
+    deck.push(i, i);
+  }
+  return rng.shuffle(deck);
+};
+
+// Replay a move log and report whether every pair was matched.
+// Log format: { flips: [cardIndex, ...] }
+// The deck is regenerated from the session seed. Flips are read two at a
+// time, exactly as the player turned the cards over.
+const verify = (log, rng, { pairs = PAIRS } = {}) => {
+  const deck = createDeck(rng, pairs);
+  const flips = Array.isArray(log.flips) ? log.flips : [];
+
+  const matched = new Set();
+  let moves = 0;
+  let mismatches = 0;
+
+  for (let i = 0; i + 1 < flips.length; i += 2) {
+    const first = flips[i];
+    const second = flips[i + 1];
+
+    if (!Number.isInteger(first) || !Number.isInteger(second) ||
+        first === second || deck[first] === undefined || deck[second] === undefined ||
+        matched.has(first) || matched.has(second)) {
+      return { won: false, reason: `Invalid flip at move ${moves}` };
+    }
+
+    moves++;
+    if (deck[first] === deck[second]) {
+      matched.add(first);
+      matched.add(second);
+    } else {
+      mismatches++;
+    }
+
+    if (matched.size === deck.length) {
+      return {
+        won: true,
+        stats: { moves },
+        minDurationMs: mismatches * MISMATCH_DELAY_MS + moves * 2 * MIN_FLIP_MS
+      };
+    }
+  }
+
+  return { won: false, reason: `Only ${matched.size / 2} of ${pairs} pairs matched` };
+};
+
+export {
+  SYMBOLS,
+  PAIRS,
+  MISMATCH_DELAY_MS,
+  createDeck,
+  verify
+};
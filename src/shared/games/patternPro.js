@@ -0,0 +1,105 @@
+// Pattern Pro rules shared by the game component and the server-side replay.
+
+const TARGET_LEVEL = 10;
+const TIME_LIMIT_SECONDS = 15; // Medium difficulty - see the game registry for the other tiers
+const FEEDBACK_MS = 1000; // "Perfect!" is shown this long before the next puzzle
+const MIN_ANSWER_MS = 300; // Faster than anyone can read the pattern and pick an option
+
+// Fun emoji sets for patterns
+const EMOJI_SETS = [
+  ['🍕', '🍔', '🌭', '🍟', '🌮', '🍿'],
+  ['⚽', '🏀', '🎾', '🏈', '⚾', '🎱'],
+  ['🐶', '🐱', '🐭', '🐹', '🐰', '🦊'],
+  ['🚗', '🚕', '🚙', '🚌', '🚎', '🏎️'],
+  ['⭐', '💫', '✨', '🌟', '💥', '🔥'],
+  ['🎸', '🎹', '🎺', '🎷', '🥁', '🎻'],
+  ['🌈', '☀️', '⛅', '🌙', '⭐', '💫'],
+  ['🎮', '🎯', '🎲', '🎪', '🎨', '🎭'],
+];
+
+// Seconds allowed to answer - faster as you progress
+const getTimeLimit = (level, timeLimitSeconds = TIME_LIMIT_SECONDS) => timeLimitSeconds - Math.floor(level / 2);
+
+// Build the puzzle for a level from an emoji set.
+// The pattern repeats the first few emojis of the set and the answer
+// is the one that comes next, so only its index depends on the level.
+const buildPuzzle = (setIndex, level, timeLimitSeconds) => {
+  const emojiSet = EMOJI_SETS[setIndex];
+  const patternLength = 3 + Math.floor(level / 3); // Grows with level
+  const basePatternSize = Math.min(2 + Math.floor(level / 4), 3);
+
+  const pattern = [];
+  for (let i = 0; i < patternLength; i++) {
+    pattern.push(emojiSet[i % basePatternSize]);
+  }
+
+  const answerIndex = patternLength % basePatternSize;
+
+  return {
+    pattern,
+    answerIndex,
+    answer: emojiSet[answerIndex],
+    // Wrong options are the first three other emojis in the set
+    wrongOptions: emojiSet.filter((_, i) => i !== answerIndex).slice(0, 3),
+    timeLimit: getTimeLimit(level, timeLimitSeconds)
+  };
+};
+
+// Draw the next puzzle from the session's rng: a random emoji set and
+// the four answer options (correct one included) in a random order
+const nextPuzzle = (rng, level, timeLimitSeconds) => {
+  const setIndex = rng.int(EMOJI_SETS.length);
+  const puzzle = buildPuzzle(setIndex, level, timeLimitSeconds);
+
+  return {
+    ...puzzle,
+    setIndex,
+    options: rng.shuffle([puzzle.answer, ...puzzle.wrongOptions])
+  };
+};
+
+// Replay a move log and report whether every puzzle was solved in time.
+// Log format: { picks: [optionIndex, ...], times: [ms, ...] }
+// with one entry per level, in order - a pick is the position of the chosen option as shown,
+// so the right pick depends on the seeded shuffle. Puzzles are regenerated from the session seed.
+const verify = (log, rng, { timeLimitSeconds = TIME_LIMIT_SECONDS } = {}) => {
+  const picks = Array.isArray(log.picks) ? log.picks : [];
+  const times = Array.isArray(log.times) ? log.times : [];
+
+  let answerMs = 0;
+
+  for (let level = 1; level <= TARGET_LEVEL; level++) {
+    const i = level - 1;
+    const puzzle = nextPuzzle(rng, level, timeLimitSeconds);
+    if (picks[i] !== puzzle.options.indexOf(puzzle.answer)) {
+      return { won: false, reason: `Wrong answer at level ${level}` };
+    }
+
+    if (typeof times[i] !== 'number' || times[i] > puzzle.timeLimit * 1000) {
+      return { won: false, reason: `Level ${level} was not answered in time` };
+    }
+
+    if (times[i] < MIN_ANSWER_MS) {
+      return { won: false, reason: `Level ${level} was answered faster than humanly possible` };
+    }
+    answerMs += times[i];
+  }
+
+  return {
+    won: true,
+    stats: { level: TARGET_LEVEL, maxCombo: TARGET_LEVEL },
+    minDurationMs: answerMs + TARGET_LEVEL * FEEDBACK_MS
+  };
+};
+
+export {
+  TARGET_LEVEL,
+  FEEDBACK_MS,
+  MIN_ANSWER_MS,
+  TIME_LIMIT_SECONDS,
+  EMOJI_SETS,
+  getTimeLimit,
+  buildPuzzle,
+  nextPuzzle,
+  verify
+};
@@ -0,0 +1,55 @@
+// Reaction Test rules shared by App.js and the server-side replay.
+
+const MIN_DELAY_MS = 2000;
+const DELAY_RANGE_MS = 3000; // Green appears 2 to 5 seconds after the start
+const WIN_THRESHOLD_MS = 500; // Medium difficulty - see the game registry for the other tiers
+const HUMAN_FLOOR_MS = 150; // Anything faster is an anticipation, not a reaction
+const MAX_LATENCY_MS = 2000; // Network and cold-start time the session clock can include
+
+// Milliseconds before the box turns green, drawn from the session's rng
+const getDelay = (rng) => MIN_DELAY_MS + rng.int(DELAY_RANGE_MS);
+
+// Replay a move log and report whether the click was a fair winning reaction.
+// Log format: { reactionMs: ms from green to click }
+// The start delay is regenerated from the session seed. When the server passes the
+// session's elapsedMs (session start to submission, on its own clock), the reaction
+// it allows is elapsedMs minus the delay - the client's number can only be lower than
+// that by network latency, and the submission can't beat a human to the green box.
+const verify = (log, rng, { winThresholdMs = WIN_THRESHOLD_MS } = {}, { elapsedMs } = {}) => {
+  const { reactionMs } = log;
+  const delay = getDelay(rng);
+
+  if (typeof reactionMs !== 'number' || reactionMs < HUMAN_FLOOR_MS) {
+    return { won: false, reason: 'Reaction is faster than humanly possible' };
+  }
+
+  if (typeof elapsedMs === 'number') {
+    const serverReactionMs = elapsedMs - delay;
+    if (serverReactionMs < HUMAN_FLOOR_MS) {
+      return { won: false, reason: 'Result arrived before a human could have reacted' };
+    }
+    if (serverReactionMs - reactionMs > MAX_LATENCY_MS) {
+      return { won: false, reason: `Reaction of ${reactionMs}ms doesn't match the ${serverReactionMs}ms the session clock measured` };
+    }
+  }
+
+  if (reactionMs >= winThresholdMs) {
+    return { won: false, reason: `Reaction of ${reactionMs}ms is too slow` };
+  }
+
+  return {
+    won: true,
+    stats: { reactionMs },
+    minDurationMs: delay + reactionMs
+  };
+};
+
+export {
+  MIN_DELAY_MS,
+  DELAY_RANGE_MS,
+  WIN_THRESHOLD_MS,
+  HUMAN_FLOOR_MS,
+  MAX_LATENCY_MS,
+  getDelay,
+  verify
+};
@@ -0,0 +1,104 @@
+// Whack-a-Mole rules shared by the game component and the server-side replay.
+
+const GRID_SIZE = 9; // 3x3 grid
+const TARGET_SCORE = 30; // Need 30 hits to win
+const GAME_DURATION_MS = 30000;
+const SPAWN_INTERVAL_MS = 800;
+const TIMING_TOLERANCE_MS = 300; // Browser timers drift; allow some slack when replaying
+const MOLE_EMOJIS = ['🐭', '🐹', '🐰', '🦊', '🐻'];
+
+// More moles as you progress
+const getMoleCount = (score) => Math.min(1 + Math.floor(score / 10), 3);
+
+const MOLE_LIFETIME_MS = 1000; // Medium difficulty - see the game registry for the other tiers
+
+// Moles hide faster as score increases
+const getMoleLifetime = (score, baseLifetimeMs = MOLE_LIFETIME_MS) => baseLifetimeMs - Math.floor(score * 10);
+
+// Wave N (0-based) pops up this many ms after the game starts
+const getWaveTime = (wave) => (wave + 1) * SPAWN_INTERVAL_MS;
+
+// Draw the moles for one spawn tick from the session's rng.
+// Duplicate holes are dropped; the rng is advanced the same way either way.
+const spawnWave = (rng, score) => {
+  const moles = [];
+  for (let i = 0; i < getMoleCount(score); i++) {
+    const position = rng.int(GRID_SIZE);
+    const emojiIndex = rng.int(MOLE_EMOJIS.length);
+    if (!moles.some(mole => mole.position === position)) {
+      moles.push({ position, emojiIndex });
+    }
+  }
+  return moles;
+};
+
+// Replay a move log and report whether 30 moles were hit in time.
+// Log format:
+//   waves: [scoreAtSpawn, ...] - one per spawn tick
+//   hits:  [[wave, position, msSinceStart], ...] - in the order they happened
+// Mole positions are regenerated from the session seed and the score at each tick.
+const verify = (log, rng, { moleLifetimeMs = MOLE_LIFETIME_MS } = {}) => {
+  const waves = Array.isArray(log.waves) ? log.waves : [];
+  const hits = Array.isArray(log.hits) ? log.hits : [];
+
+  const hitTimes = hits.map(hit => hit[2]);
+  const countHitsBefore = (time) => hitTimes.filter(t => t < time).length;
+
+  const spawned = [];
+
+  for (let wave = 0; wave < waves.length; wave++) {
+    const score = waves[wave];
+    const waveTime = getWaveTime(wave);
+
+    // The score the client saw when the wave spawned must match the hits so far
+    if (score < countHitsBefore(waveTime - TIMING_TOLERANCE_MS) ||
+        score > countHitsBefore(waveTime + TIMING_TOLERANCE_MS)) {
+      return { won: false, reason: `Score does not match hits at wave ${wave}` };
+    }
+
+    spawned.push(spawnWave(rng, score));
+  }
+
+  const whacked = new Set();
+  let lastTime = 0;
+
+  for (let i = 0; i < hits.length; i++) {
+    const [wave, position, time] = hits[i];
+    const moles = spawned[wave];
+
+    if (!moles || !moles.some(mole => mole.position === position) || whacked.has(`${wave}-${position}`)) {
+      return { won: false, reason: `Hit ${i} does not match a mole` };
+    }
+
+    const waveTime = getWaveTime(wave);
+    const lifetime = getMoleLifetime(waves[wave], moleLifetimeMs);
+    if (typeof time !== 'number' || time < lastTime ||
+        time < waveTime - TIMING_TOLERANCE_MS ||
+        time > waveTime + lifetime + TIMING_TOLERANCE_MS ||
+        time > GAME_DURATION_MS + TIMING_TOLERANCE_MS) {
+      return { won: false, reason: `Hit ${i} happened while the mole was hidden` };
+    }
+
+    whacked.add(`${wave}-${position}`);
+    lastTime = time;
+
+    if (whacked.size >= TARGET_SCORE) {
+      return { won: true, stats: { hits: whacked.size }, minDurationMs: time };
+    }
+  }
+
+  return { won: false, reason: `Only ${whacked.size} of ${TARGET_SCORE} moles hit` };
+};
+
+export {
+  GRID_SIZE,
+  TARGET_SCORE,
+  GAME_DURATION_MS,
+  SPAWN_INTERVAL_MS,
+  MOLE_EMOJIS,
+  MOLE_LIFETIME_MS,
+  getMoleCount,
+  getMoleLifetime,
+  spawnWave,
+  verify
+};
@@ -0,0 +1,37 @@
+// Streamer overlay settings shared by the client and Cloud Functions.
+// Creators pick a default layout and theme in CreatorProfile; they're stored at
+// users/{uid}.creatorProfile.overlay and can be overridden per browser source
+// with ?layout= and ?theme= on the overlay URL (/overlay/{creatorId}).
+
+const OVERLAY_LAYOUTS = {
+  ticker: { name: 'Ticker', description: 'One line - rank, points and gap to #1' },
+  card: { name: 'Card', description: 'Rank, points, supporters and a "play for me" QR code' },
+  board: { name: 'Full Board', description: 'The top of the leaderboard with you highlighted' }
+};
+
+const OVERLAY_THEMES = {
+  dark: { name: 'Dark' },
+  light: { name: 'Light' },
+  neon: { name: 'Neon' },
+  transparent: { name: 'Transparent' }
+};
+
+const DEFAULT_OVERLAY = {
+  layout: 'card',
+  theme: 'dark'
+};
+
+const isOption = (options, value) => Object.prototype.hasOwnProperty.call(options, value);
+
+// Fill in and sanitize overlay settings read from Firestore or a URL
+const normalizeOverlaySettings = (settings = {}) => ({
+  layout: isOption(OVERLAY_LAYOUTS, settings.layout) ? settings.layout : DEFAULT_OVERLAY.layout,
+  theme: isOption(OVERLAY_THEMES, settings.theme) ? settings.theme : DEFAULT_OVERLAY.theme
+});
+
+export {
+  OVERLAY_LAYOUTS,
+  OVERLAY_THEMES,
+  DEFAULT_OVERLAY,
+  normalizeOverlaySettings
+};
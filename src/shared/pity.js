@@ -0,0 +1,87 @@
+// Pity points for players whose creator didn't win, shared by App.js and Cloud Functions.
+// Rules come from config/pityRules:
+//   points           - points per pity claim
+//   expiryHours      - how long after the winner is announced it can be claimed (0 = no expiry)
+//   applyToNextCycle - true credits the player's pick in the cycle after the lost one
+//                      (the current cycle, if that one has closed too);
+//                      false only adds the points to the player's own total
+//   maxClaimsPerUser - claims allowed per player within capWindowDays (0 = no cap)
+//   capWindowDays    - the window the cap counts over
+//
+// Each eligible player has a record at cycles/{cycleId}/pityPointsEligible/{userId}
+// (see setPityEligibility in functions/index.js).
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_PITY_RULES = {
+  points: 1,
+  expiryHours: 24,
+  applyToNextCycle: true,
+  maxClaimsPerUser: 0,
+  capWindowDays: 7
+};
+
+// Merge a config document over the defaults. Throws if the result is unusable.
+const normalizePityRules = (config = {}) => {
+  const rules = { ...DEFAULT_PITY_RULES, ...config };
+
+  ['points', 'expiryHours', 'maxClaimsPerUser', 'capWindowDays'].forEach((key) => {
+    if (!Number.isInteger(rules[key]) || rules[key] < 0) {
+      throw new Error(`Invalid pityRules ${key}: ${rules[key]}`);
+    }
+  });
+
+  return {
+    points: rules.points,
+    expiryHours: rules.expiryHours,
+    applyToNextCycle: rules.applyToNextCycle !== false,
+    maxClaimsPerUser: rules.maxClaimsPerUser,
+    capWindowDays: rules.capWindowDays
+  };
+};
+
+// When a pity point announced at `now` expires (ms), or null if it never does
+const getPityExpiry = (rules, now = Date.now()) => (rules.expiryHours ? now + rules.expiryHours * HOUR_MS : null);
+
+// Start of the window the claim cap counts over (ms)
+const getPityCapWindowStart = (rules, now = Date.now()) => now - rules.capWindowDays * 24 * HOUR_MS;
+
+// Records from before claims had a status were marked with clickedWinnerLink
+const isPityClaimed = (record) => record.status === 'claimed' || record.clickedWinnerLink === true;
+
+const isPityExpired = (record, now = Date.now()) => !!record.expiresAt && record.expiresAt.toMillis() < now;
+
+// Why a record can't be claimed now, as { code, message } with an HttpsError code,
+// or null if it can. visited: the player's visit to the winner's channel is recorded;
+// recentClaims: claims the player made within the cap window.
+const getPityClaimError = (record, { rules, visited, recentClaims = 0, now = Date.now() }) => {
+  if (!record || !record.eligibleForPityPoint) {
+    return { code: 'failed-precondition', message: 'No pity point to claim for this cycle' };
+  }
+  if (isPityClaimed(record)) {
+    return { code: 'already-exists', message: 'Pity point already claimed' };
+  }
+  if (isPityExpired(record, now)) {
+    return { code: 'deadline-exceeded', message: 'This pity point has expired' };
+  }
+  if (!visited) {
+    return { code: 'failed-precondition', message: 'Visit the winner\'s channel to claim your pity point' };
+  }
+  if (rules.maxClaimsPerUser && recentClaims >= rules.maxClaimsPerUser) {
+    return {
+      code: 'resource-exhausted',
+      message: `You can claim ${rules.maxClaimsPerUser} pity point${rules.maxClaimsPerUser !== 1 ? 's' : ''} every ${rules.capWindowDays} days`
+    };
+  }
+  return null;
+};
+
+export {
+  DEFAULT_PITY_RULES,
+  normalizePityRules,
+  getPityExpiry,
+  getPityCapWindowStart,
+  isPityClaimed,
+  isPityExpired,
+  getPityClaimError
+};
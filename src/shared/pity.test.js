@@ -0,0 +1,96 @@
+import {
+  DEFAULT_PITY_RULES,
+  normalizePityRules,
+  getPityExpiry,
+  getPityCapWindowStart,
+  isPityClaimed,
+  isPityExpired,
+  getPityClaimError
+} from './pity';
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.UTC(2025, 10, 13, 12);
+
+// Stands in for a Firestore Timestamp
+const at = (ms) => ({ toMillis: () => ms });
+
+const eligible = (overrides = {}) => ({ status: 'eligible', eligibleForPityPoint: true, points: 1, expiresAt: at(NOW + HOUR_MS), ...overrides });
+
+describe('normalizePityRules', () => {
+  test('fills in the defaults', () => {
+    expect(normalizePityRules()).toEqual(DEFAULT_PITY_RULES);
+    expect(normalizePityRules({ points: 3 })).toEqual({ ...DEFAULT_PITY_RULES, points: 3 });
+  });
+
+  test('only an explicit false turns off crediting the next cycle', () => {
+    expect(normalizePityRules({ applyToNextCycle: false }).applyToNextCycle).toBe(false);
+    expect(normalizePityRules({ applyToNextCycle: 'no' }).applyToNextCycle).toBe(true);
+  });
+
+  test('drops unknown keys', () => {
+    expect(normalizePityRules({ extra: true })).not.toHaveProperty('extra');
+  });
+
+  test('throws on negative or fractional numbers', () => {
+    expect(() => normalizePityRules({ points: -1 })).toThrow('Invalid pityRules points');
+    expect(() => normalizePityRules({ expiryHours: 1.5 })).toThrow('Invalid pityRules expiryHours');
+    expect(() => normalizePityRules({ maxClaimsPerUser: '2' })).toThrow('Invalid pityRules maxClaimsPerUser');
+  });
+});
+
+describe('expiry and cap window', () => {
+  test('a pity point expires expiryHours after it is announced, or never for 0', () => {
+    expect(getPityExpiry({ expiryHours: 24 }, NOW)).toBe(NOW + 24 * HOUR_MS);
+    expect(getPityExpiry({ expiryHours: 0 }, NOW)).toBeNull();
+  });
+
+  test('the cap counts claims from the last capWindowDays', () => {
+    expect(getPityCapWindowStart({ capWindowDays: 7 }, NOW)).toBe(NOW - 7 * 24 * HOUR_MS);
+  });
+
+  test('records without an expiry never expire', () => {
+    expect(isPityExpired(eligible({ expiresAt: null }), NOW)).toBe(false);
+    expect(isPityExpired(eligible({ expiresAt: at(NOW - 1) }), NOW)).toBe(true);
+  });
+});
+
+describe('isPityClaimed', () => {
+  test('counts claimed records and records from before claims had a status', () => {
+    expect(isPityClaimed({ status: 'claimed' })).toBe(true);
+    expect(isPityClaimed({ eligibleForPityPoint: true, clickedWinnerLink: true })).toBe(true);
+    expect(isPityClaimed(eligible())).toBe(false);
+  });
+});
+
+describe('getPityClaimError', () => {
+  const rules = normalizePityRules();
+  const check = (record, options = {}) => getPityClaimError(record, { rules, visited: true, now: NOW, ...options });
+
+  test('allows an eligible, unexpired, visited record', () => {
+    expect(check(eligible())).toBeNull();
+  });
+
+  test('rejects missing, claimed and expired records', () => {
+    expect(check(null).code).toBe('failed-precondition');
+    expect(check(eligible({ eligibleForPityPoint: false })).code).toBe('failed-precondition');
+    expect(check(eligible({ status: 'claimed' })).code).toBe('already-exists');
+    expect(check(eligible({ expiresAt: at(NOW - 1) })).code).toBe('deadline-exceeded');
+  });
+
+  test('needs a recorded visit to the winner\'s channel', () => {
+    expect(check(eligible(), { visited: false })).toEqual({
+      code: 'failed-precondition',
+      message: 'Visit the winner\'s channel to claim your pity point'
+    });
+  });
+
+  test('enforces the claim cap only when one is set', () => {
+    const capped = normalizePityRules({ maxClaimsPerUser: 2, capWindowDays: 7 });
+    expect(check(eligible(), { rules: capped, recentClaims: 1 })).toBeNull();
+    expect(check(eligible(), { rules: capped, recentClaims: 2 })).toEqual({
+      code: 'resource-exhausted',
+      message: 'You can claim 2 pity points every 7 days'
+    });
+    expect(check(eligible(), { recentClaims: 100 })).toBeNull();
+  });
+});
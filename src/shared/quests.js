@@ -0,0 +1,117 @@
+// Daily quests: each cycle draws a few missions from QUEST_POOL, the same for every
+// player. Progress comes from a player's verified results in the cycle, kept by Cloud
+// Functions in userStats/{userId}/cycles/{cycleId}:
+//   games     - wins this cycle
+//   points    - points won this cycle
+//   gameTypes - the different games won
+//   bestStats - best replay stat per game, e.g. { blockBlast: { maxLinesCleared: 4 } }
+//   bestStatsByDifficulty - the same per difficulty, e.g. { hard: { colorMatch: { level: 12 } } }
+// A completed quest is claimed for its bonus, which is credited like game points.
+//
+// Quest types:
+//   gamesWon      - win `target` games
+//   distinctGames - win `target` different games
+//   points        - win `target` points
+//   gameStat      - reach `target` on a replay stat of one game; with `difficulty`,
+//                   only games won on that difficulty count. Some stats are fixed by the
+//                   tier (a Color Match win always reaches the tier's last level), so a
+//                   target only some tiers can reach must name the difficulty.
+
+import { createRng, hashSeed } from './random';
+
+const QUESTS_PER_CYCLE = 3;
+
+const QUEST_POOL = {
+  win5Games: {
+    id: 'win5Games',
+    name: 'Warm-up',
+    description: 'Win 5 games',
+    type: 'gamesWon',
+    target: 5,
+    bonusPoints: 5
+  },
+  win3DifferentGames: {
+    id: 'win3DifferentGames',
+    name: 'Variety Pack',
+    description: 'Win 3 different games',
+    type: 'distinctGames',
+    target: 3,
+    bonusPoints: 10
+  },
+  earn50Points: {
+    id: 'earn50Points',
+    name: 'Point Hunter',
+    description: 'Win 50 points for your creator',
+    type: 'points',
+    target: 50,
+    bonusPoints: 10
+  },
+  blockBlastQuadClear: {
+    id: 'blockBlastQuadClear',
+    name: 'Line Breaker',
+    description: 'Clear 4 lines at once in Block Blast',
+    type: 'gameStat',
+    gameType: 'blockBlast',
+    stat: 'maxLinesCleared',
+    target: 4,
+    bonusPoints: 15
+  },
+  // ID kept from when this was "reach level 10", so existing claims still match
+  colorMatchLevel10: {
+    id: 'colorMatchLevel10',
+    name: 'Color Sprint',
+    description: 'Clear all 12 levels of Color Match on Hard',
+    type: 'gameStat',
+    gameType: 'colorMatch',
+    difficulty: 'hard',
+    stat: 'level',
+    target: 12,
+    bonusPoints: 15
+  },
+  whackAMoleHits: {
+    id: 'whackAMoleHits',
+    name: 'Mole Patrol',
+    description: 'Win a game of Whack-a-Mole',
+    type: 'gameStat',
+    gameType: 'whackAMole',
+    stat: 'hits',
+    target: 1,
+    bonusPoints: 5
+  }
+};
+
+// The quests for a cycle - a seeded draw, so the client and server agree without storing it
+const getCycleQuests = (cycleId) => createRng(hashSeed(`quests:${cycleId}`))
+  .shuffle(Object.values(QUEST_POOL))
+  .slice(0, QUESTS_PER_CYCLE);
+
+// { current, target, complete } for a quest, from the player's cycle stats
+const getQuestProgress = (quest, cycleStats = {}) => {
+  let current = 0;
+  switch (quest.type) {
+    case 'gamesWon':
+      current = cycleStats.games || 0;
+      break;
+    case 'distinctGames':
+      current = (cycleStats.gameTypes || []).length;
+      break;
+    case 'points':
+      current = cycleStats.points || 0;
+      break;
+    case 'gameStat': {
+      const bestStats = quest.difficulty ? cycleStats.bestStatsByDifficulty?.[quest.difficulty] : cycleStats.bestStats;
+      current = bestStats?.[quest.gameType]?.[quest.stat] || 0;
+      break;
+    }
+    default:
+      break;
+  }
+  return { current: Math.min(current, quest.target), target: quest.target, complete: current >= quest.target };
+};
+
+export {
+  QUESTS_PER_CYCLE,
+  QUEST_POOL,
+  getCycleQuests,
+  getQuestProgress
+};
@@ -0,0 +1,54 @@
+// Seeded random numbers shared by every mini-game and the server-side replay.
+// A game draws everything from createRng(session.seed), so the same seed always
+// produces the same layout - the server can regenerate it to verify a result,
+// a bug report can quote the seed, and a daily challenge can hand everyone one seed.
+
+// mulberry32 - small, fast and good enough for game layouts (not for secrets)
+const createRng = (seed) => {
+  let state = seed >>> 0;
+
+  // Float in [0, 1), drop-in for Math.random()
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  // Integer in [0, max)
+  const int = (max) => Math.floor(next() * max);
+
+  const pick = (items) => items[int(items.length)];
+
+  // Fisher-Yates on a copy
+  const shuffle = (items) => {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = int(i + 1);
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  };
+
+  return { next, int, pick, shuffle };
+};
+
+// Seed for local play when there is no session (e.g. no creator picked yet)
+const randomSeed = () => Math.floor(Math.random() * 4294967296);
+
+// FNV-1a - turns a string such as "<cycleId>:<gameType>" into a seed
+const hashSeed = (text) => {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+export {
+  createRng,
+  randomSeed,
+  hashSeed
+};
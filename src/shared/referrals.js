@@ -0,0 +1,54 @@
+// Creator invite links, shared by the client and Cloud Functions. Each creator has one
+// code (referralCodes/{code}); /r/{code} sends visitors to /?ref={code}, and a new
+// account that arrives that way is attributed to the creator in users/{uid}.referredBy.
+
+// No 0/O or 1/I/L, so codes survive being read off a stream
+const REFERRAL_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const REFERRAL_CODE_LENGTH = 7;
+// Only accounts created this recently can be attributed to an invite
+const REFERRAL_SIGNUP_WINDOW_MS = 60 * 60 * 1000;
+
+const REFERRAL_CODE_PATTERN = new RegExp(`^[${REFERRAL_CODE_ALPHABET}]{${REFERRAL_CODE_LENGTH}}$`);
+
+// A code from REFERRAL_CODE_LENGTH random bytes
+const referralCodeFromBytes = (bytes) => Array.from(
+  bytes.slice(0, REFERRAL_CODE_LENGTH),
+  byte => REFERRAL_CODE_ALPHABET[byte % REFERRAL_CODE_ALPHABET.length]
+).join('');
+
+// Codes are matched case-insensitively - people retype them from streams
+const normalizeReferralCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+const isReferralCode = (code) => typeof code === 'string' && REFERRAL_CODE_PATTERN.test(code);
+
+// Why a signup can't be attributed to a creator's invite, as { code, message } with an
+// HttpsError code, or null if it can. profile is the new user's doc (null if missing).
+const getReferralAttributionError = ({ userId, creatorId, accountCreatedAt, profile, now = Date.now() }) => {
+  if (now - accountCreatedAt > REFERRAL_SIGNUP_WINDOW_MS) {
+    return { code: 'failed-precondition', message: 'Invites only apply to new accounts' };
+  }
+  if (creatorId === userId) {
+    return { code: 'invalid-argument', message: 'You cannot use your own invite' };
+  }
+  if (!profile) {
+    return { code: 'failed-precondition', message: 'Create your profile first' };
+  }
+  if (profile.referredBy) {
+    return { code: 'already-exists', message: 'This account was already invited' };
+  }
+  return null;
+};
+
+// Whether a player signed up through this creator's invite link
+const isReferredBy = (profile, creatorId) => !!creatorId && profile?.referredBy?.creatorId === creatorId;
+
+export {
+  REFERRAL_CODE_ALPHABET,
+  REFERRAL_CODE_LENGTH,
+  REFERRAL_SIGNUP_WINDOW_MS,
+  referralCodeFromBytes,
+  normalizeReferralCode,
+  isReferralCode,
+  getReferralAttributionError,
+  isReferredBy
+};
@@ -0,0 +1,90 @@
+import {
+  REFERRAL_CODE_ALPHABET,
+  REFERRAL_CODE_LENGTH,
+  REFERRAL_SIGNUP_WINDOW_MS,
+  referralCodeFromBytes,
+  normalizeReferralCode,
+  isReferralCode,
+  getReferralAttributionError,
+  isReferredBy
+} from './referrals';
+
+const NOW = Date.UTC(2025, 10, 13, 12);
+
+describe('invite codes', () => {
+  test('maps random bytes onto the alphabet', () => {
+    expect(referralCodeFromBytes([0, 1, 2, 3, 4, 5, 6])).toBe('ABCDEFG');
+    // Bytes wrap around the 31 characters
+    expect(referralCodeFromBytes([31, 32, 255, 30, 0, 0, 0])).toBe('ABH9AAA');
+  });
+
+  test('every generated code is a valid code', () => {
+    for (let byte = 0; byte < 256; byte++) {
+      const code = referralCodeFromBytes(new Array(REFERRAL_CODE_LENGTH).fill(byte));
+      expect(isReferralCode(code)).toBe(true);
+    }
+  });
+
+  test('leaves out characters that are easy to misread', () => {
+    ['0', 'O', '1', 'I', 'L'].forEach((char) => expect(REFERRAL_CODE_ALPHABET).not.toContain(char));
+    expect(isReferralCode('ABCDEF0')).toBe(false);
+  });
+
+  test('only accepts codes of the right length', () => {
+    expect(isReferralCode('ABCDEF')).toBe(false);
+    expect(isReferralCode('ABCDEFGH')).toBe(false);
+    expect(isReferralCode(undefined)).toBe(false);
+  });
+
+  test('matches codes case-insensitively', () => {
+    expect(normalizeReferralCode(' abcdefg ')).toBe('ABCDEFG');
+    expect(isReferralCode('abcdefg')).toBe(false);
+    expect(normalizeReferralCode(null)).toBe('');
+  });
+});
+
+describe('getReferralAttributionError', () => {
+  const attribute = (overrides = {}) => getReferralAttributionError({
+    userId: 'player',
+    creatorId: 'creator',
+    accountCreatedAt: NOW - 60 * 1000,
+    profile: { displayName: 'Player' },
+    now: NOW,
+    ...overrides
+  });
+
+  test('allows a new account with a profile', () => {
+    expect(attribute()).toBeNull();
+    expect(attribute({ accountCreatedAt: NOW - REFERRAL_SIGNUP_WINDOW_MS })).toBeNull();
+  });
+
+  test('rejects accounts older than the signup window', () => {
+    expect(attribute({ accountCreatedAt: NOW - REFERRAL_SIGNUP_WINDOW_MS - 1 })).toEqual({
+      code: 'failed-precondition',
+      message: 'Invites only apply to new accounts'
+    });
+  });
+
+  test('rejects a creator using their own invite', () => {
+    expect(attribute({ userId: 'creator' }).code).toBe('invalid-argument');
+  });
+
+  test('needs a profile to record the invite on', () => {
+    expect(attribute({ profile: null }).message).toBe('Create your profile first');
+  });
+
+  test('only attributes an account once', () => {
+    const profile = { referredBy: { creatorId: 'other', code: 'ABCDEFG' } };
+    expect(attribute({ profile }).code).toBe('already-exists');
+  });
+});
+
+describe('isReferredBy', () => {
+  test('matches the creator whose invite the player used', () => {
+    const profile = { referredBy: { creatorId: 'creator' } };
+    expect(isReferredBy(profile, 'creator')).toBe(true);
+    expect(isReferredBy(profile, 'other')).toBe(false);
+    expect(isReferredBy({}, 'creator')).toBe(false);
+    expect(isReferredBy({}, undefined)).toBe(false);
+  });
+});
@@ -0,0 +1,49 @@
+// Server-side replay of submitted move logs.
+// Each game records a compact log while it is played; submitGameResult runs
+// it back through the same rules the client used - with the layout regenerated
+// from the session seed - and only awards points if the replay really reaches
+// the win condition.
+
+import { getGame, getDifficulty } from './gameRegistry';
+import { createRng } from './random';
+
+const MAX_LOG_BYTES = 20000;
+
+// Returns { won, stats, minDurationMs } or { won: false, reason }.
+// Never throws - a malformed log is simply a failed replay.
+// elapsedMs is how long the session lasted on the server clock, for verifiers that
+// check timing against it.
+const verifyReplay = (gameType, moveLog, { seed, difficulty, elapsedMs } = {}) => {
+  const game = getGame(gameType);
+  if (!game || !game.verify) {
+    return { won: false, reason: `No verifier for game type: ${gameType}` };
+  }
+
+  const tier = getDifficulty(gameType, difficulty);
+  if (!tier) {
+    return { won: false, reason: `Unknown difficulty: ${difficulty}` };
+  }
+
+  if (!moveLog || typeof moveLog !== 'object') {
+    return { won: false, reason: 'Move log is missing' };
+  }
+
+  if (JSON.stringify(moveLog).length > MAX_LOG_BYTES) {
+    return { won: false, reason: 'Move log is too large' };
+  }
+
+  if (!Number.isInteger(seed)) {
+    return { won: false, reason: 'Session has no seed' };
+  }
+
+  try {
+    // Verifiers draw from a fresh rng in the same order the game did
+    return game.verify(moveLog, createRng(seed), tier.params, { elapsedMs });
+  } catch (error) {
+    return { won: false, reason: `Malformed move log: ${error.message}` };
+  }
+};
+
+export {
+  verifyReplay
+};
@@ -0,0 +1,145 @@
+import { verifyReplay } from './replay';
+import { createRng } from './random';
+import * as patternPro from './games/patternPro';
+import * as reaction from './games/reaction';
+import * as colorMatch from './games/colorMatch';
+import * as memoryFlip from './games/memoryFlip';
+
+const SEED = 12345;
+
+// A Pattern Pro log that picks the right option for every puzzle the seed draws
+const solvePatternPro = (seed, timeLimitSeconds, answerMs = 800) => {
+  const rng = createRng(seed);
+  const log = { picks: [], times: [] };
+  for (let level = 1; level <= patternPro.TARGET_LEVEL; level++) {
+    const puzzle = patternPro.nextPuzzle(rng, level, timeLimitSeconds);
+    log.picks.push(puzzle.options.indexOf(puzzle.answer));
+    log.times.push(answerMs);
+  }
+  return log;
+};
+
+describe('verifyReplay', () => {
+  test('rejects unknown games, difficulties, missing logs and seeds', () => {
+    expect(verifyReplay('chess', {}, { seed: SEED, difficulty: 'medium' }).won).toBe(false);
+    expect(verifyReplay('reaction', {}, { seed: SEED, difficulty: 'impossible' }).won).toBe(false);
+    expect(verifyReplay('reaction', null, { seed: SEED, difficulty: 'medium' }).won).toBe(false);
+    expect(verifyReplay('reaction', { reactionMs: 300 }, { difficulty: 'medium' }).won).toBe(false);
+  });
+
+  test('rejects oversized logs', () => {
+    const log = { picks: new Array(20000).fill(0) };
+    expect(verifyReplay('patternPro', log, { seed: SEED, difficulty: 'medium' })).toEqual({
+      won: false,
+      reason: 'Move log is too large'
+    });
+  });
+
+  test('treats a verifier error as a failed replay', () => {
+    const result = verifyReplay('whackAMole', { waves: [0], hits: [null] }, { seed: SEED, difficulty: 'medium' });
+    expect(result.won).toBe(false);
+    expect(result.reason).toMatch(/Malformed move log/);
+  });
+});
+
+describe('Pattern Pro', () => {
+  test('accepts the seeded answers', () => {
+    const result = verifyReplay('patternPro', solvePatternPro(SEED, 15), { seed: SEED, difficulty: 'medium' });
+    expect(result).toEqual({
+      won: true,
+      stats: { level: patternPro.TARGET_LEVEL, maxCombo: patternPro.TARGET_LEVEL },
+      minDurationMs: patternPro.TARGET_LEVEL * (800 + patternPro.FEEDBACK_MS)
+    });
+  });
+
+  test('the right pick depends on the seed, so no constant log wins', () => {
+    for (let seed = 1; seed <= 200; seed++) {
+      for (let pick = 0; pick < 4; pick++) {
+        const log = { picks: new Array(patternPro.TARGET_LEVEL).fill(pick), times: new Array(patternPro.TARGET_LEVEL).fill(800) };
+        expect(verifyReplay('patternPro', log, { seed, difficulty: 'hard' }).won).toBe(false);
+      }
+    }
+  });
+
+  test('rejects answers faster than a human can read the pattern', () => {
+    const log = solvePatternPro(SEED, 15, 0);
+    expect(verifyReplay('patternPro', log, { seed: SEED, difficulty: 'medium' }).won).toBe(false);
+
+    const justFastEnough = solvePatternPro(SEED, 15, patternPro.MIN_ANSWER_MS);
+    expect(verifyReplay('patternPro', justFastEnough, { seed: SEED, difficulty: 'medium' }).won).toBe(true);
+  });
+
+  test('rejects answers after the time limit for the tier', () => {
+    const log = solvePatternPro(SEED, 10, 10 * 1000);
+    expect(verifyReplay('patternPro', log, { seed: SEED, difficulty: 'hard' }).won).toBe(false);
+  });
+});
+
+describe('Reaction Test', () => {
+  const delay = reaction.getDelay(createRng(SEED));
+  const submit = (reactionMs, elapsedMs, difficulty = 'medium') =>
+    verifyReplay('reaction', { reactionMs }, { seed: SEED, difficulty, elapsedMs });
+
+  test('accepts a reaction under the tier threshold that matches the session clock', () => {
+    expect(submit(300, delay + 500)).toEqual({ won: true, stats: { reactionMs: 300 }, minDurationMs: delay + 300 });
+  });
+
+  test('rejects reactions faster than the human floor', () => {
+    expect(submit(reaction.HUMAN_FLOOR_MS - 1, delay + 500).won).toBe(false);
+  });
+
+  test('rejects reactions at or over the tier threshold', () => {
+    expect(submit(400, delay + 600, 'hard').won).toBe(false);
+    expect(submit(400, delay + 600, 'easy').won).toBe(true);
+  });
+
+  test('rejects a submission that arrived before a human could react to green', () => {
+    expect(submit(200, delay + 50).reason).toBe('Result arrived before a human could have reacted');
+  });
+
+  test('rejects a reported reaction far faster than the session clock allows', () => {
+    expect(submit(200, delay + 200 + reaction.MAX_LATENCY_MS + 1).won).toBe(false);
+    expect(submit(200, delay + 200 + reaction.MAX_LATENCY_MS).won).toBe(true);
+  });
+});
+
+describe('Color Match', () => {
+  const solve = (seed, targetLevel) => {
+    const rng = createRng(seed);
+    const sequence = [];
+    const inputs = [];
+    for (let level = 1; level <= targetLevel; level++) {
+      sequence.push(colorMatch.nextColor(rng));
+      inputs.push(...sequence);
+    }
+    return { inputs };
+  };
+
+  test('accepts the seeded sequence and reports the tier level', () => {
+    const result = verifyReplay('colorMatch', solve(SEED, 12), { seed: SEED, difficulty: 'hard' });
+    expect(result.won).toBe(true);
+    expect(result.stats).toEqual({ level: 12 });
+  });
+
+  test('rejects a wrong color', () => {
+    const log = solve(SEED, 8);
+    log.inputs[log.inputs.length - 1] = (log.inputs[log.inputs.length - 1] + 1) % colorMatch.COLOR_IDS.length;
+    expect(verifyReplay('colorMatch', log, { seed: SEED, difficulty: 'medium' }).won).toBe(false);
+  });
+});
+
+describe('Memory Flip', () => {
+  test('accepts flipping every pair of the seeded deck', () => {
+    const deck = memoryFlip.createDeck(createRng(SEED), memoryFlip.PAIRS);
+    const flips = [];
+    deck.forEach((symbol, index) => {
+      const pair = deck.indexOf(symbol);
+      if (pair !== index) flips.push(pair, index);
+    });
+    expect(verifyReplay('memoryFlip', { flips }, { seed: SEED, difficulty: 'medium' }).won).toBe(true);
+  });
+
+  test('rejects flipping the same card twice', () => {
+    expect(verifyReplay('memoryFlip', { flips: [0, 0] }, { seed: SEED, difficulty: 'medium' }).won).toBe(false);
+  });
+});
@@ -0,0 +1,85 @@
+// Seasons group consecutive cycles into a longer competition. Shared by the client and
+// Cloud Functions. The rules live in Firestore at config/seasonRules:
+//   lengthMonths        - season length in months, a divisor of 12 (1 = monthly, 3 = quarterly)
+//   placementPoints     - season points for finishing a cycle 1st, 2nd, 3rd, ... (tied ranks
+//                         share the higher placing's points)
+//   participationPoints - season points for every other creator who scored in the cycle
+//
+// A cycle counts toward the season its ID - the local date it ends - falls in, and a
+// season ID is the first month of the season, e.g. '2025-10' for a quarterly Oct-Dec season.
+
+import { getCycle } from './cycles';
+
+const SEASON_LENGTHS = [1, 2, 3, 4, 6, 12];
+
+const DEFAULT_SEASON_RULES = {
+  lengthMonths: 1,
+  placementPoints: [25, 18, 15, 12, 10, 8, 6, 4, 2, 1],
+  participationPoints: 1
+};
+
+// Badges awarded when a season is finalized, by final season rank
+const SEASON_BADGES = {
+  1: { id: 'champion', name: 'Season Champion', icon: '👑' },
+  2: { id: 'runnerUp', name: 'Season Runner-up', icon: '🥈' },
+  3: { id: 'thirdPlace', name: 'Season Third Place', icon: '🥉' }
+};
+
+const isPointValue = (value) => Number.isInteger(value) && value >= 0;
+
+// Fill in and sanitize rules read from Firestore
+const normalizeSeasonRules = (rules = {}) => ({
+  lengthMonths: SEASON_LENGTHS.includes(rules.lengthMonths) ? rules.lengthMonths : DEFAULT_SEASON_RULES.lengthMonths,
+  placementPoints: Array.isArray(rules.placementPoints) && rules.placementPoints.length && rules.placementPoints.every(isPointValue)
+    ? rules.placementPoints
+    : DEFAULT_SEASON_RULES.placementPoints,
+  participationPoints: isPointValue(rules.participationPoints)
+    ? rules.participationPoints
+    : DEFAULT_SEASON_RULES.participationPoints
+});
+
+const getSeasonId = (cycleId, rules) => {
+  const { lengthMonths } = normalizeSeasonRules(rules);
+  const month = Number(cycleId.slice(5, 7));
+  const startMonth = Math.floor((month - 1) / lengthMonths) * lengthMonths + 1;
+  return `${cycleId.slice(0, 4)}-${String(startMonth).padStart(2, '0')}`;
+};
+
+// Season points for a cycle's final rank
+const getSeasonPoints = (rules, rank) => {
+  const { placementPoints, participationPoints } = normalizeSeasonRules(rules);
+  return rank <= placementPoints.length ? placementPoints[rank - 1] : participationPoints;
+};
+
+// 'November 2025' for monthly seasons, 'Oct – Dec 2025' otherwise
+const getSeasonLabel = (seasonId, rules) => {
+  const { lengthMonths } = normalizeSeasonRules(rules);
+  const year = Number(seasonId.slice(0, 4));
+  const startMonth = Number(seasonId.slice(5, 7)) - 1;
+  const monthName = (month, style) => new Date(Date.UTC(year, month, 1))
+    .toLocaleString('en-US', { month: style, timeZone: 'UTC' });
+
+  if (lengthMonths === 1) return `${monthName(startMonth, 'long')} ${year}`;
+  if (lengthMonths === 12) return `${year}`;
+  return `${monthName(startMonth, 'short')} – ${monthName(startMonth + lengthMonths - 1, 'short')} ${year}`;
+};
+
+// The last cycle of the season the given cycle is in
+const getLastCycleOfSeason = (schedule, rules, cycle) => {
+  const seasonId = getSeasonId(cycle.cycleId, rules);
+  let last = cycle;
+  for (let next = getCycle(schedule, last.endsAt); getSeasonId(next.cycleId, rules) === seasonId; next = getCycle(schedule, next.endsAt)) {
+    last = next;
+  }
+  return last;
+};
+
+export {
+  DEFAULT_SEASON_RULES,
+  SEASON_BADGES,
+  normalizeSeasonRules,
+  getSeasonId,
+  getSeasonPoints,
+  getSeasonLabel,
+  getLastCycleOfSeason
+};
@@ -0,0 +1,69 @@
+// Channel ownership verification. A creator asks for a code (startChannelVerification),
+// adds it to their YouTube channel description or Twitch bio, and confirmChannelVerification
+// finds it there. The result is kept on the user doc, where only Cloud Functions write it:
+//   channelVerification: { channelUrl, platform, channelId, channelName, verifiedAt }
+// Verification covers the channel URL it was done for - changing the channel URL
+// makes the creator unverified until they verify the new one.
+
+const VERIFICATION_CODE_PREFIX = 'subgames-verify-';
+
+// Policy from config/verificationPolicy:
+//   requireVerifiedToWin - only creators with a verified channel can win a cycle; unverified
+//                          creators keep their place in the standings but are passed over
+//   codeExpiryHours      - how long a verification code stays valid
+const DEFAULT_VERIFICATION_POLICY = {
+  requireVerifiedToWin: false,
+  codeExpiryHours: 48
+};
+
+// Merge a config document over the defaults. Throws if the result is unusable.
+const normalizeVerificationPolicy = (config = {}) => {
+  const policy = { ...DEFAULT_VERIFICATION_POLICY, ...config };
+
+  if (!Number.isInteger(policy.codeExpiryHours) || policy.codeExpiryHours < 1) {
+    throw new Error(`Invalid verificationPolicy codeExpiryHours: ${policy.codeExpiryHours}`);
+  }
+
+  return {
+    requireVerifiedToWin: policy.requireVerifiedToWin === true,
+    codeExpiryHours: policy.codeExpiryHours
+  };
+};
+
+// When a verification code issued at `now` expires (ms)
+const getVerificationCodeExpiry = (policy, now = Date.now()) => now + policy.codeExpiryHours * 60 * 60 * 1000;
+
+const normalizeChannelUrl = (url) => (url || '').trim().toLowerCase().replace(/^https?:\/\/(www\.|m\.)?/, '').replace(/\/+$/, '');
+
+const getChannelPlatform = (url) => {
+  const normalized = normalizeChannelUrl(url);
+  if (normalized.startsWith('youtube.com/')) return 'youtube';
+  if (normalized.startsWith('twitch.tv/')) return 'twitch';
+  return null;
+};
+
+// Whether a user profile's current channel is verified
+const isChannelVerified = (profile) => {
+  const verification = profile?.channelVerification;
+  const channelUrl = profile?.creatorProfile?.channelUrl;
+  return !!verification && !!channelUrl && normalizeChannelUrl(verification.channelUrl) === normalizeChannelUrl(channelUrl);
+};
+
+// Whether a creator can win a cycle under the policy
+const canWinCycle = (profile, policy) => !policy.requireVerifiedToWin || isChannelVerified(profile);
+
+// The winner among creators in ranked order - the first who can win under the policy -
+// as an index into profiles, or -1 if none can
+const getWinnerIndex = (profiles, policy) => profiles.findIndex(profile => canWinCycle(profile, policy));
+
+export {
+  VERIFICATION_CODE_PREFIX,
+  DEFAULT_VERIFICATION_POLICY,
+  normalizeVerificationPolicy,
+  getVerificationCodeExpiry,
+  normalizeChannelUrl,
+  getChannelPlatform,
+  isChannelVerified,
+  canWinCycle,
+  getWinnerIndex
+};
@@ -0,0 +1,96 @@
+import {
+  DEFAULT_VERIFICATION_POLICY,
+  normalizeVerificationPolicy,
+  getVerificationCodeExpiry,
+  normalizeChannelUrl,
+  getChannelPlatform,
+  isChannelVerified,
+  canWinCycle,
+  getWinnerIndex
+} from './verification';
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.UTC(2025, 10, 13, 12);
+
+const creator = (channelUrl, verifiedUrl) => ({
+  creatorProfile: { channelUrl },
+  ...(verifiedUrl ? { channelVerification: { channelUrl: verifiedUrl, platform: 'youtube' } } : {})
+});
+
+describe('normalizeVerificationPolicy', () => {
+  test('fills in the defaults', () => {
+    expect(normalizeVerificationPolicy()).toEqual(DEFAULT_VERIFICATION_POLICY);
+    expect(normalizeVerificationPolicy({ codeExpiryHours: 6 })).toEqual({ ...DEFAULT_VERIFICATION_POLICY, codeExpiryHours: 6 });
+  });
+
+  test('only an explicit true requires a verified winner', () => {
+    expect(normalizeVerificationPolicy({ requireVerifiedToWin: true }).requireVerifiedToWin).toBe(true);
+    expect(normalizeVerificationPolicy({ requireVerifiedToWin: 'yes' }).requireVerifiedToWin).toBe(false);
+  });
+
+  test('throws on a code expiry under an hour or fractional', () => {
+    expect(() => normalizeVerificationPolicy({ codeExpiryHours: 0 })).toThrow('Invalid verificationPolicy codeExpiryHours');
+    expect(() => normalizeVerificationPolicy({ codeExpiryHours: 1.5 })).toThrow('Invalid verificationPolicy codeExpiryHours');
+  });
+
+  test('codes expire codeExpiryHours after they are issued', () => {
+    expect(getVerificationCodeExpiry({ codeExpiryHours: 48 }, NOW)).toBe(NOW + 48 * HOUR_MS);
+  });
+});
+
+describe('channel URLs', () => {
+  test('ignore scheme, www/m, case and trailing slashes', () => {
+    expect(normalizeChannelUrl(' https://www.YouTube.com/@Streamer/ ')).toBe('youtube.com/@streamer');
+    expect(normalizeChannelUrl('http://m.youtube.com/@streamer')).toBe('youtube.com/@streamer');
+    expect(normalizeChannelUrl(undefined)).toBe('');
+  });
+
+  test('recognize YouTube and Twitch channels', () => {
+    expect(getChannelPlatform('https://youtube.com/@streamer')).toBe('youtube');
+    expect(getChannelPlatform('twitch.tv/streamer')).toBe('twitch');
+    expect(getChannelPlatform('https://kick.com/streamer')).toBeNull();
+    expect(getChannelPlatform('https://youtube.com.example.com/x')).toBeNull();
+  });
+});
+
+describe('isChannelVerified', () => {
+  test('covers the channel URL it was done for', () => {
+    expect(isChannelVerified(creator('https://www.youtube.com/@streamer', 'youtube.com/@streamer/'))).toBe(true);
+  });
+
+  test('a changed channel URL is unverified until verified again', () => {
+    expect(isChannelVerified(creator('https://youtube.com/@newname', 'https://youtube.com/@streamer'))).toBe(false);
+  });
+
+  test('needs both a verification and a channel', () => {
+    expect(isChannelVerified(creator('https://youtube.com/@streamer'))).toBe(false);
+    expect(isChannelVerified({ channelVerification: { channelUrl: 'youtube.com/@streamer' } })).toBe(false);
+    expect(isChannelVerified({})).toBe(false);
+    expect(isChannelVerified(undefined)).toBe(false);
+  });
+});
+
+describe('choosing the winner', () => {
+  const verified = creator('https://youtube.com/@a', 'https://youtube.com/@a');
+  const unverified = creator('https://youtube.com/@b');
+  const requireVerified = normalizeVerificationPolicy({ requireVerifiedToWin: true });
+
+  test('any creator can win unless the policy requires verification', () => {
+    expect(canWinCycle(unverified, DEFAULT_VERIFICATION_POLICY)).toBe(true);
+    expect(canWinCycle(unverified, requireVerified)).toBe(false);
+    expect(canWinCycle(verified, requireVerified)).toBe(true);
+  });
+
+  test('the top creator wins by default', () => {
+    expect(getWinnerIndex([unverified, verified], DEFAULT_VERIFICATION_POLICY)).toBe(0);
+  });
+
+  test('unverified creators are passed over when the policy requires verification', () => {
+    expect(getWinnerIndex([unverified, unverified, verified], requireVerified)).toBe(2);
+  });
+
+  test('nobody wins when no creator is verified or there are no entries', () => {
+    expect(getWinnerIndex([unverified, {}], requireVerified)).toBe(-1);
+    expect(getWinnerIndex([], DEFAULT_VERIFICATION_POLICY)).toBe(-1);
+  });
+});
@@ -0,0 +1,33 @@
+// Creator webhook events shared by the client and Cloud Functions.
+// Each delivery is a JSON POST of { id, event, creatorId, createdAt, data } - `data`
+// for each event is described below. 'ping' is only sent by "Send test".
+
+const WEBHOOK_EVENTS = {
+  'lead.taken': {
+    name: 'Took the lead',
+    description: 'You moved into first place this cycle',
+    // data: { cycleId, points, previousRank }
+  },
+  'cycle.won': {
+    name: 'Won the cycle',
+    description: 'You won a cycle',
+    // data: { cycleId, finalScore, supporterCount, tieBrokenByTime }
+  },
+  'supporter.new': {
+    name: 'New supporter',
+    description: 'A player picked you this cycle',
+    // data: { cycleId, supporterName, switchedFromAnotherCreator }
+  },
+  'cycle.ended': {
+    name: 'Cycle ended',
+    description: 'A cycle you were in ended - with your final position',
+    // data: { cycleId, position, points, entryCount, winnerId, winnerName }
+  }
+};
+
+const MAX_WEBHOOKS_PER_CREATOR = 5;
+
+export {
+  WEBHOOK_EVENTS,
+  MAX_WEBHOOKS_PER_CREATOR
+};